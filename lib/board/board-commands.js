@@ -0,0 +1,193 @@
+// The Python source of the commands Shell runs on the board. Paths and other values
+// only go in as literals made by literal(), never pasted between quotes, so a file called
+// it's.py, one with a backslash or with non-ASCII letters in its name is just a name
+module.exports = class BoardCommands {
+
+  // A Python literal for a string that both MicroPython and CPython read back as the
+  // same string. Printable ASCII stays readable, quotes and backslashes are escaped and
+  // control characters are \x escapes. Other text is written as its utf-8 bytes and
+  // decoded on the board, because \u escapes need a MicroPython build with unicode
+  static literal(value){
+    var text = String(value)
+    var bytes = Buffer.from(text,'utf8')
+    var body = ''
+    for(var i=0;i<bytes.length;i++){
+      var b = bytes[i]
+      if(b == 0x27 || b == 0x5c){
+        body += '\\'+String.fromCharCode(b)
+      }else if(b < 0x20 || b >= 0x7f){
+        body += '\\x'+('0'+b.toString(16)).slice(-2)
+      }else{
+        body += String.fromCharCode(b)
+      }
+    }
+    if(/^[\x00-\x7f]*$/.test(text)){
+      return "'"+body+"'"
+    }
+    return "b'"+body+"'.decode('utf-8')"
+  }
+
+  static removeFile(name){
+    return "import os\r\n" +
+      "os.remove("+BoardCommands.literal(name)+")\r\n"
+  }
+
+  static createDir(name){
+    return "import os\r\n" +
+      "os.mkdir("+BoardCommands.literal(name)+")\r\n"
+  }
+
+  static removeDir(name){
+    return "import os\r\n" +
+      "os.rmdir("+BoardCommands.literal(name)+")\r\n"
+  }
+
+  // removes a file, or a folder with everything in it, in one go on the board
+  static removeTree(name){
+    return "import os\r\n" +
+      "def _rm(p):\r\n" +
+      "    if os.stat(p)[0] & 0x4000:\r\n" +
+      "        for n in os.listdir(p):\r\n" +
+      "            _rm(p.rstrip('/') + '/' + n)\r\n" +
+      "        os.rmdir(p)\r\n" +
+      "    else:\r\n" +
+      "        os.remove(p)\r\n" +
+      "_rm("+BoardCommands.literal(name)+")\r\n" +
+      "del(_rm)\r\n"
+  }
+
+  // also moves, to is the new path
+  static rename(from,to){
+    return "import os\r\n" +
+      "os.rename("+BoardCommands.literal(from)+", "+BoardCommands.literal(to)+")\r\n"
+  }
+
+  // writes the mode, size and modification time of a file or folder
+  static stat(name){
+    return "import os, sys\r\n" +
+      "_s = os.stat("+BoardCommands.literal(name)+")\r\n" +
+      "sys.stdout.write('%d %d %d' % (_s[0], _s[6], _s[8]))\r\n" +
+      "del(_s)\r\n"
+  }
+
+  // writes what's in a folder as json, [{"name", "mode", "size", "mtime"}]. The type comes
+  // from os.ilistdir where the port has it, the rest from os.stat. Names are escaped to
+  // ascii on the board, so the output doesn't depend on how the connection decodes text
+  static entries(folder){
+    return "import os, sys\r\n" +
+      "def _q(s):\r\n" +
+      "    r = '\"'\r\n" +
+      "    for c in s:\r\n" +
+      "        o = ord(c)\r\n" +
+      "        if o > 0xffff:\r\n" +
+      "            o -= 0x10000\r\n" +
+      "            r += '\\\\u%04x\\\\u%04x' % (0xd800 + (o >> 10), 0xdc00 + (o & 0x3ff))\r\n" +
+      "        elif o < 32 or o > 126 or c == '\"' or c == '\\\\':\r\n" +
+      "            r += '\\\\u%04x' % o\r\n" +
+      "        else:\r\n" +
+      "            r += c\r\n" +
+      "    return r + '\"'\r\n" +
+      "def _entries(d):\r\n" +
+      "    p = d.rstrip('/') + '/'\r\n" +
+      "    try:\r\n" +
+      "        l = [(e[0], e[1]) for e in os.ilistdir(d)]\r\n" +
+      "    except AttributeError:\r\n" +
+      "        l = [(n, 0) for n in os.listdir(d)]\r\n" +
+      "    sys.stdout.write('[')\r\n" +
+      "    for i in range(len(l)):\r\n" +
+      "        s = os.stat(p + l[i][0])\r\n" +
+      "        sys.stdout.write('%s{\"name\": %s, \"mode\": %d, \"size\": %d, \"mtime\": %d}' % (',' if i else '', _q(l[i][0]), l[i][1] or s[0], s[6], s[8]))\r\n" +
+      "    sys.stdout.write(']')\r\n" +
+      "_entries("+BoardCommands.literal(folder)+")\r\n" +
+      "del(_q, _entries)\r\n"
+  }
+
+  static chdir(folder){
+    return "import os\r\n" +
+      "os.chdir("+BoardCommands.literal(folder)+")\r\n"
+  }
+
+  // makes folder the current folder, creating it when it isn't there. A folder on /sd mounts
+  // the SD card first when it isn't mounted, with machine.SDCard or machine.SD on Pycom boards
+  static enterFolder(folder){
+    return "import os\r\n" +
+      "def _cd(d):\r\n" +
+      "    try:\r\n" +
+      "        os.chdir(d)\r\n" +
+      "        return\r\n" +
+      "    except OSError:\r\n" +
+      "        pass\r\n" +
+      "    if d == '/sd' or d.startswith('/sd/'):\r\n" +
+      "        try:\r\n" +
+      "            os.stat('/sd')\r\n" +
+      "        except OSError:\r\n" +
+      "            import machine\r\n" +
+      "            os.mount(machine.SDCard() if hasattr(machine, 'SDCard') else machine.SD(), '/sd')\r\n" +
+      "    p = ''\r\n" +
+      "    for n in d.split('/'):\r\n" +
+      "        if n:\r\n" +
+      "            p += '/' + n\r\n" +
+      "            try:\r\n" +
+      "                os.mkdir(p)\r\n" +
+      "            except OSError:\r\n" +
+      "                pass\r\n" +
+      "    os.chdir(d)\r\n" +
+      "_cd("+BoardCommands.literal(folder)+")\r\n" +
+      "del(_cd)\r\n"
+  }
+
+  // opens f for writeChunk, executed on its own because raw-paste mode only starts on an
+  // empty raw repl line
+  static openForWrite(name){
+    return "import ubinascii\r\n" +
+      "f = open("+BoardCommands.literal(name)+", 'wb')\r\n"
+  }
+
+  static writeChunk(base64){
+    return "f.write(ubinascii.a2b_base64("+BoardCommands.literal(base64)+"))\r\n"
+  }
+
+  // writes the file in base64, every chunk on its own line
+  static readFile(name,chunk_size){
+    return "import ubinascii,sys\r\n" +
+      "with open("+BoardCommands.literal(name)+", 'rb') as f:\r\n" +
+      "  while True:\r\n" +
+      "    c = ubinascii.b2a_base64(f.read("+parseInt(chunk_size,10)+"))\r\n" +
+      "    sys.stdout.write(c)\r\n" +
+      "    if not len(c) or c == b'\\n':\r\n" +
+      "        break\r\n"
+  }
+
+  // writes the sha256 of the file in hex
+  static hash(name,chunk_size){
+    return "import uhashlib,ubinascii,sys\r\n" +
+      "hash = uhashlib.sha256()\r\n" +
+      "with open("+BoardCommands.literal(name)+", 'rb') as f:\r\n" +
+      "  while True:\r\n" +
+      "    c = f.read("+parseInt(chunk_size,10)+")\r\n" +
+      "    if not c:\r\n" +
+      "       break\r\n" +
+      "    hash.update(c)\r\n" +
+      "sys.stdout.write(ubinascii.hexlify(hash.digest()))\r\n"
+  }
+
+  // unpacks a file that was uploaded compressed, in place
+  static decompress(name){
+    return "import uzlib\r\n" +
+      "def decompress(name):\r\n" +
+      "  with open(name,'r+') as d:\r\n" +
+      "    c = uzlib.decompress(d.read())\r\n" +
+      "  with open(name,'w') as d:\r\n" +
+      "      d.write(c)\r\n" +
+      "  del(c)\r\n" +
+      "decompress("+BoardCommands.literal(name)+")\r\n"
+  }
+
+  // writes the free space on the filesystem of folder in bytes
+  static freeSpace(folder){
+    return "import os, sys\r\n" +
+      "_s = os.statvfs("+BoardCommands.literal(folder)+")\r\n" +
+      "sys.stdout.write(str(_s[0]*_s[3]))\r\n" +
+      "del(_s)\r\n"
+  }
+}
@@ -0,0 +1,277 @@
+const Shell = require('./shell.js')
+const Logger = require('../helpers/logger.js')
+const Config = require('../config.js')
+var fs = require('fs')
+var path = require('path')
+
+// What the Board Files view does on the board: listing, reading, downloading, removing,
+// renaming and uploading single files and folders. Every action enters the raw repl with
+// its own Shell and goes back to the friendly repl after, without resetting the board.
+// Actions wait for the one before them. Paths are relative to the root folder of the board
+// or absolute, folders without a trailing slash
+module.exports = class BoardFiles {
+
+  constructor(pyboard,settings){
+    this.pyboard = pyboard
+    this.settings = settings
+    this.config = Config.constants()
+    this.logger = new Logger('BoardFiles')
+    this.busy = false
+    this.queue = [] // actions waiting for the one that runs, as [name,work,cb]
+  }
+
+  // runs work(shell,done) in the raw repl, cb gets what work passed to done
+  __session(name,work,cb){
+    var _this = this
+    if(this.busy){
+      this.queue.push([name,work,cb])
+      return
+    }
+    this.busy = true
+    this.logger.info("Starting "+name)
+
+    var shell
+    var next = function(){
+      _this.busy = false
+      if(_this.queue.length > 0){
+        _this.__session.apply(_this,_this.queue.shift())
+      }
+    }
+    var finish = function(err,result){
+      shell.exit_no_reset(function(){
+        if(err){
+          _this.logger.warning(name+" failed: "+err.message)
+        }
+        cb(err,result)
+        next()
+      })
+    }
+
+    this.pyboard.enqueue(function(done){
+      _this.pyboard.stop_running_programs_double(function(){
+        done()
+      },500)
+    },{name: 'stop running programs'}).catch(function(){
+      // entering the raw repl says what's wrong
+    }).then(function(){
+      shell = new Shell(_this.pyboard,function(err){
+        if(err){
+          finish(err)
+          return
+        }
+        work(shell,finish)
+      },'files',_this.settings)
+    }).catch(function(err){
+      if(!shell){
+        cb(err)
+        next()
+      }
+    })
+  }
+
+  // everything on the board as [{path, size}] for files and [{path, dir: true}] for
+  // folders (so empty ones show up too), sorted by path
+  list(cb){
+    this.__session('listing files',function(shell,done){
+      var list = []
+      var folders = ['']
+      var next = function(){
+        if(folders.length == 0){
+          list.sort(function(a,b){
+            return a.path < b.path ? -1 : a.path > b.path ? 1 : 0
+          })
+          done(null,list)
+          return
+        }
+        var folder = folders.shift()
+        shell.readDir(Shell.boardFolder(folder,shell.mcu_root_folder),function(err,entries){
+          if(err){
+            done(err)
+            return
+          }
+          entries.forEach(function(entry){
+            var entry_path = folder ? folder+'/'+entry.name : entry.name
+            if(entry.type == 'dir'){
+              list.push({path: entry_path, dir: true})
+              folders.push(entry_path)
+            }else{
+              list.push({path: entry_path, size: entry.size})
+            }
+          })
+          next()
+        })
+      }
+      next()
+    },cb)
+  }
+
+  // {type: 'file' or 'dir', size, mtime}, see Shell.stat
+  stat(file,cb){
+    this.__session('stat of '+file,function(shell,done){
+      shell.stat(file,done)
+    },cb)
+  }
+
+  // [{name, type, size, mtime}] of what's in a folder
+  readDir(folder,cb){
+    this.__session('listing '+folder,function(shell,done){
+      shell.readDir(folder,done)
+    },cb)
+  }
+
+  read(file,cb){
+    this.__session('reading '+file,function(shell,done){
+      shell.readFile(file,function(err,content_buffer){
+        done(err,err ? null : Buffer.concat(content_buffer))
+      })
+    },cb)
+  }
+
+  // downloads files (paths on the board, from the list) to the local folder target,
+  // keeping their path below base
+  download(files,base,target,cb){
+    var _this = this
+    this.__session('downloading '+(base || files[0]),function(shell,done){
+      _this.__eachFile(files,function(file,next){
+        shell.readFile(file,function(err,content_buffer){
+          if(err){
+            next(err)
+            return
+          }
+          var local = path.join(target,relative(file,base))
+          try{
+            fs.mkdirSync(path.dirname(local),{recursive: true})
+            fs.writeFileSync(local,Buffer.concat(content_buffer))
+            next()
+          }catch(e){
+            next(e)
+          }
+        })
+      },done)
+    },cb)
+  }
+
+  // writes contents to a file, and checks the hash when the board can. Fails when the
+  // file is there and options.overwrite isn't set, or when it isn't and options.create
+  // isn't set. Calls back with whether the file was there
+  write(file,contents,options,cb){
+    var _this = this
+    this.__session('writing '+file,function(shell,done){
+      shell.stat(file,function(err,stat){
+        if(err && !/ENOENT|Errno 2\b/.test(err.message)){
+          done(err)
+          return
+        }
+        if(stat && stat.type == 'dir'){
+          done(new Error("[Errno 21] EISDIR: "+file))
+          return
+        }
+        if(stat && !options.overwrite){
+          done(new Error("[Errno 17] EEXIST: "+file))
+          return
+        }
+        if(!stat && !options.create){
+          done(new Error("[Errno 2] ENOENT: "+file))
+          return
+        }
+        var check_hash = contents.length/1000 < _this.config.hash_check_max_size && shell.canHash()
+        shell.writeFile(file,null,contents,check_hash,false,function(err,retry){
+          // writeFile calls back again after a retry
+          if(!retry){
+            done(err,!!stat)
+          }
+        })
+      })
+    },cb)
+  }
+
+  // removes a file, or a folder with everything in it
+  remove(file,cb){
+    this.__session('removing '+file,function(shell,done){
+      shell.removeTree(file,function(err){
+        done(err)
+      })
+    },cb)
+  }
+
+  // renames or moves a file or folder
+  rename(from,to,cb){
+    this.__session('renaming '+from,function(shell,done){
+      shell.rename(from,to,function(err){
+        done(err)
+      })
+    },cb)
+  }
+
+  createDir(folder,cb){
+    this.__session('creating '+folder,function(shell,done){
+      shell.createDir(folder,function(err){
+        done(err)
+      })
+    },cb)
+  }
+
+  // uploads a local file or folder into folder on the board ('' for the root folder),
+  // progress(file) is called for every file
+  upload(local,folder,progress,cb){
+    var _this = this
+    var items = []
+    var collect = function(local_path,board_path){
+      if(fs.statSync(local_path).isDirectory()){
+        items.push({board: board_path, dir: true})
+        fs.readdirSync(local_path).forEach(function(name){
+          collect(path.join(local_path,name),board_path+'/'+name)
+        })
+      }else{
+        items.push({board: board_path, local: local_path})
+      }
+    }
+    try{
+      collect(local,folder ? folder+'/'+path.basename(local) : path.basename(local))
+    }catch(e){
+      cb(e)
+      return
+    }
+
+    this.__session('uploading '+local,function(shell,done){
+      _this.__eachFile(items,function(item,next){
+        if(item.dir){
+          // the folder may be there already
+          shell.createDir(item.board,function(){
+            next()
+          })
+          return
+        }
+        progress(item.board)
+        var contents = fs.readFileSync(item.local)
+        var check_hash = contents.length/1000 < _this.config.hash_check_max_size && shell.canHash()
+        shell.writeFile(item.board,item.local,contents,check_hash,false,function(err,retry){
+          // writeFile calls back again after a retry
+          if(!retry){
+            next(err)
+          }
+        })
+      },done)
+    },cb)
+  }
+
+  // calls action(item,next) for every item in turn, stops at the first error
+  __eachFile(items,action,cb){
+    var i = 0
+    var next = function(err){
+      if(err || i >= items.length){
+        cb(err || null)
+        return
+      }
+      var item = items[i]
+      i += 1
+      action(item,next)
+    }
+    next()
+  }
+}
+
+// path of file below folder base ('' for the root folder)
+function relative(file,base){
+  return base ? file.slice(base.length+1) : file
+}
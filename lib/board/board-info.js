@@ -0,0 +1,136 @@
+const Utils = require('../helpers/utils.js')
+
+// modules we check for, the ones we use on the board plus 'pycom' to recognize Pycom firmware
+var MODULES = ['uzlib','uhashlib','ubinascii','ujson','network','machine','pycom']
+
+// Collects everything in one go and writes it as json. Every part is allowed
+// to fail, not all ports have machine.unique_id() or gc.mem_free()
+var PROBE =
+  "def _probe():\r\n" +
+  "    import sys, os, gc\r\n" +
+  "    i = {'modules': []}\r\n" +
+  "    try:\r\n" +
+  "        v = sys.implementation.version\r\n" +
+  "        i['implementation'] = {'name': sys.implementation.name, 'version': '%d.%d.%d' % (v[0], v[1], v[2]), 'mpy': getattr(sys.implementation, '_mpy', None)}\r\n" +
+  "    except Exception:\r\n" +
+  "        pass\r\n" +
+  "    try:\r\n" +
+  "        u = os.uname()\r\n" +
+  "        i['uname'] = {'sysname': u.sysname, 'nodename': u.nodename, 'release': u.release, 'version': u.version, 'machine': u.machine}\r\n" +
+  "    except Exception:\r\n" +
+  "        pass\r\n" +
+  "    try:\r\n" +
+  "        import machine, ubinascii\r\n" +
+  "        i['unique_id'] = ubinascii.hexlify(machine.unique_id()).decode()\r\n" +
+  "    except Exception:\r\n" +
+  "        pass\r\n" +
+  "    try:\r\n" +
+  "        os.stat('/flash')\r\n" +
+  "        i['root_folder'] = '/flash'\r\n" +
+  "    except OSError:\r\n" +
+  "        i['root_folder'] = os.getcwd()\r\n" +
+  "    i['filesystems'] = []\r\n" +
+  "    try:\r\n" +
+  "        r = os.statvfs('/')\r\n" +
+  "    except Exception:\r\n" +
+  "        r = None\r\n" +
+  "    for p in ['/'] + ['/' + d for d in os.listdir('/')]:\r\n" +
+  "        try:\r\n" +
+  "            s = os.statvfs(p)\r\n" +
+  "            if p == '/' or s != r:\r\n" +
+  "                i['filesystems'].append({'path': p, 'size': s[0] * s[2], 'free': s[0] * s[3]})\r\n" +
+  "        except Exception:\r\n" +
+  "            pass\r\n" +
+  "    try:\r\n" +
+  "        gc.collect()\r\n" +
+  "        i['free_ram'] = gc.mem_free()\r\n" +
+  "    except Exception:\r\n" +
+  "        pass\r\n" +
+  "    for m in " + JSON.stringify(MODULES).replace(/"/g,"'") + ":\r\n" +
+  "        try:\r\n" +
+  "            __import__(m)\r\n" +
+  "            i['modules'].append(m)\r\n" +
+  "        except ImportError:\r\n" +
+  "            pass\r\n" +
+  "    return i\r\n" +
+  "import sys\r\n" +
+  "try:\r\n" +
+  "    import ujson as _json\r\n" +
+  "except ImportError:\r\n" +
+  "    import json as _json\r\n" +
+  "sys.stdout.write(_json.dumps(_probe()))\r\n" +
+  "del _probe, _json\r\n"
+
+// What we know about the connected board, collected by Pyboard.probe() after connecting
+module.exports = class BoardInfo {
+
+  constructor(data){
+    this.implementation = data.implementation || null // {name, version, mpy}
+    this.uname = data.uname || null // {sysname, nodename, release, version, machine}
+    this.unique_id = data.unique_id || null
+    this.root_folder = data.root_folder || '/flash'
+    this.filesystems = data.filesystems || [] // [{path, size, free}], sizes in bytes
+    this.free_ram = data.free_ram === undefined ? null : data.free_ram
+    this.modules = data.modules || []
+  }
+
+  static command(){
+    return PROBE
+  }
+
+  // parses the output of command(), throws when it isn't valid
+  static parse(output){
+    var data = JSON.parse(output.trim())
+    return new BoardInfo(data)
+  }
+
+  hasModule(name){
+    return this.modules.indexOf(name) > -1
+  }
+
+  isPycom(){
+    return this.hasModule('pycom')
+  }
+
+  // the firmware version, like 1.20.2.r4 on Pycom boards
+  get release(){
+    return this.uname ? this.uname.release : null
+  }
+
+  get versionInt(){
+    return Utils.calculate_int_version(this.release)
+  }
+
+  canCompress(){
+    return this.hasModule('uzlib')
+  }
+
+  canHash(){
+    return this.hasModule('uhashlib') && this.hasModule('ubinascii')
+  }
+
+  // the filesystem a path on the board is on
+  filesystem(path){
+    var found = null
+    for(var i=0;i<this.filesystems.length;i++){
+      var fs = this.filesystems[i]
+      var prefix = fs.path == '/' ? '/' : fs.path+'/'
+      if(path == fs.path || path.startsWith(prefix)){
+        if(!found || fs.path.length > found.path.length){
+          found = fs
+        }
+      }
+    }
+    return found
+  }
+
+  // short description for the ui, like 'LoPy4 1.20.2.r4 (MicroPython 1.20.0)'
+  toString(){
+    var text = this.uname ? this.uname.sysname+" "+this.uname.release : "Unknown board"
+    if(this.implementation){
+      var name = this.implementation.name == 'micropython' ? 'MicroPython' : this.implementation.name
+      text += " ("+name+" "+this.implementation.version+")"
+    }
+    return text
+  }
+}
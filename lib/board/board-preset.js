@@ -0,0 +1,169 @@
+const Config = require('../config.js')
+
+// What differs between the boards we support:
+//   usb          vendor (and product) ids the board shows up with, lowercase hex like SerialPort.list()
+//   sysnames     os.uname().sysname of the firmware, see BoardInfo
+//   module       a module only this firmware has
+//   root_folder  where the project goes, when the board can't tell us
+//   safe_boot    'ctrl-f' when the firmware can boot without running boot.py and main.py, or null
+//   reset        'hard' for machine.reset(), 'soft' for ctrl-d. Boards with native usb lose
+//                the serial port on a hard reset, so they get a soft reset
+//   wifi_ssid    python that prints the ssid of the boards access point, or null
+var PRESETS = {
+  pycom: {
+    name: 'Pycom',
+    usb: [{vid: '04d8', pid: 'f012'},{vid: '04d8', pid: 'f013'},{vid: '04d8', pid: 'ef98'}], // pysense, pytrack, expansion board 3
+    sysnames: [],
+    module: 'pycom',
+    root_folder: '/flash',
+    safe_boot: 'ctrl-f',
+    reset: 'hard',
+    wifi_ssid: "from network import WLAN; from binascii import hexlify; from os import uname; wlan = WLAN(); mac = hexlify(wlan.mac().ap_mac).decode('ascii'); device = uname().sysname;print('WiFi AP SSID: %(device)s-wlan-%(mac)s' % {'device': device, 'mac': mac[len(mac)-4:len(mac)]})"
+  },
+  esp32: {
+    name: 'ESP32',
+    usb: [{vid: '10c4', pid: 'ea60'},{vid: '1a86', pid: '7523'},{vid: '1a86', pid: '55d4'},{vid: '303a'}], // cp210x, ch340, ch9102, espressif
+    sysnames: ['esp32','esp8266'],
+    module: null,
+    root_folder: '/',
+    safe_boot: null,
+    reset: 'hard',
+    wifi_ssid: "import network; print('WiFi AP SSID: ' + network.WLAN(network.AP_IF).config('essid'))"
+  },
+  rp2040: {
+    name: 'RP2040',
+    usb: [{vid: '2e8a'}],
+    sysnames: ['rp2'],
+    module: null,
+    root_folder: '/',
+    safe_boot: null,
+    reset: 'soft',
+    wifi_ssid: "import network; print('WiFi AP SSID: ' + network.WLAN(network.AP_IF).config('essid'))" // pico w only
+  },
+  pyboard: {
+    name: 'STM32 pyboard',
+    usb: [{vid: 'f055'}],
+    sysnames: ['pyboard'],
+    module: null,
+    root_folder: '/flash',
+    safe_boot: null,
+    reset: 'soft',
+    wifi_ssid: null
+  },
+  generic: {
+    name: 'MicroPython',
+    usb: [],
+    sysnames: [],
+    module: null,
+    root_folder: '/',
+    safe_boot: null,
+    reset: 'hard',
+    wifi_ssid: null
+  }
+}
+
+// Pymakr started out for Pycom boards only, so that's what we assume when we can't tell
+var FALLBACK = 'pycom'
+
+module.exports = class BoardPreset {
+
+  constructor(id){
+    var preset = PRESETS[id]
+    this.id = id
+    this.name = preset.name
+    this.usb = preset.usb
+    this.sysnames = preset.sysnames
+    this.module = preset.module
+    this.root_folder = preset.root_folder
+    this.safe_boot = preset.safe_boot
+    this.reset = preset.reset
+    this.wifi_ssid = preset.wifi_ssid
+    this.config = Config.constants()
+  }
+
+  static ids(){
+    return Object.keys(PRESETS)
+  }
+
+  // the preset for an id, or the fallback for unknown ids
+  static get(id){
+    return new BoardPreset(id in PRESETS ? id : FALLBACK)
+  }
+
+  // Picks the preset from the board_preset setting, or when that's 'auto' from what the
+  // probe found (BoardInfo) and the usb ids of the serial port ({vid, pid}), in that order
+  static detect(setting,usb,info){
+    if(setting && setting != 'auto'){
+      return BoardPreset.get(setting)
+    }
+    var ids = BoardPreset.ids()
+    if(info){
+      for(var i=0;i<ids.length;i++){
+        if(new BoardPreset(ids[i]).matchesInfo(info)){
+          return new BoardPreset(ids[i])
+        }
+      }
+    }
+    if(usb){
+      var id = BoardPreset.matchUsb(usb.vid,usb.pid)
+      if(id){
+        return new BoardPreset(id)
+      }
+    }
+    // a board we could probe but don't know is better off with the generic preset
+    return BoardPreset.get(info ? 'generic' : FALLBACK)
+  }
+
+  // id of the preset for these usb ids, or null
+  static matchUsb(vid,pid){
+    if(!vid){
+      return null
+    }
+    var ids = BoardPreset.ids()
+    for(var i=0;i<ids.length;i++){
+      if(new BoardPreset(ids[i]).matchesUsb(vid,pid)){
+        return ids[i]
+      }
+    }
+    return null
+  }
+
+  matchesUsb(vid,pid){
+    vid = vid ? vid.toLowerCase() : vid
+    pid = pid ? pid.toLowerCase() : pid
+    for(var i=0;i<this.usb.length;i++){
+      var id = this.usb[i]
+      if(id.vid == vid && (!id.pid || id.pid == pid)){
+        return true
+      }
+    }
+    return false
+  }
+
+  matchesInfo(info){
+    if(this.module && info.hasModule(this.module)){
+      return true
+    }
+    // pycom boards are esp32 boards too, the pycom module tells them apart
+    if(info.hasModule('pycom')){
+      return false
+    }
+    return info.uname != null && this.sysnames.indexOf(info.uname.sysname) > -1
+  }
+
+  // safe booting only works on firmware that supports it, see Sync.__safe_boot
+  canSafeBoot(info){
+    if(this.safe_boot != 'ctrl-f'){
+      return false
+    }
+    return !info || info.versionInt >= this.config.safeboot_version
+  }
+
+  // the command that prints the access point ssid, null when the board has no wifi
+  wifiSsidCommand(info){
+    if(!this.wifi_ssid || (info && this.id != 'pycom' && !info.hasModule('network'))){
+      return null
+    }
+    return this.wifi_ssid
+  }
+}
@@ -0,0 +1,89 @@
+const Logger = require('../helpers/logger.js')
+var EventEmitter = require('events')
+
+// The states of the connection to a board:
+//
+//   disconnected    no connection
+//   connecting      opening the serial port or socket
+//   authenticating  logging in over telnet
+//   friendly_repl   the normal '>>>' prompt, user input goes to the board
+//   raw_repl        executing commands for Pymakr (ctrl-a)
+//   running         running a file or a selection, see Pyboard.run
+//   paste           paste mode (ctrl-e)
+//   syncing         uploading or downloading the project, in the raw repl
+//
+// Every change emits a 'change' event with {state, previous, reason}, followed by
+// an event with the name of the new state. The reason is optional, like 'lost'
+// when the board disconnected without being asked to.
+var STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  AUTHENTICATING: 'authenticating',
+  FRIENDLY_REPL: 'friendly_repl',
+  RAW_REPL: 'raw_repl',
+  RUNNING: 'running',
+  PASTE: 'paste',
+  SYNCING: 'syncing'
+}
+
+// the states that can follow each state, besides disconnected which can always follow
+var TRANSITIONS = {}
+TRANSITIONS[STATES.DISCONNECTED] = [STATES.CONNECTING]
+TRANSITIONS[STATES.CONNECTING] = [STATES.AUTHENTICATING,STATES.FRIENDLY_REPL]
+TRANSITIONS[STATES.AUTHENTICATING] = [STATES.FRIENDLY_REPL]
+TRANSITIONS[STATES.FRIENDLY_REPL] = [STATES.RAW_REPL,STATES.PASTE]
+TRANSITIONS[STATES.RAW_REPL] = [STATES.FRIENDLY_REPL,STATES.RUNNING,STATES.SYNCING]
+TRANSITIONS[STATES.RUNNING] = [STATES.FRIENDLY_REPL,STATES.RAW_REPL]
+TRANSITIONS[STATES.PASTE] = [STATES.FRIENDLY_REPL]
+TRANSITIONS[STATES.SYNCING] = [STATES.FRIENDLY_REPL]
+
+module.exports = class ConnectionState extends EventEmitter {
+
+  constructor(){
+    super()
+    this.current = STATES.DISCONNECTED
+    this.logger = new Logger('ConnectionState')
+  }
+
+  static get STATES(){
+    return STATES
+  }
+
+  is(state){
+    return this.current == state
+  }
+
+  // syncing happens in the raw repl, so commands are executed the same way
+  inRawRepl(){
+    return this.current == STATES.RAW_REPL || this.current == STATES.SYNCING
+  }
+
+  canTransition(state){
+    if(state == STATES.DISCONNECTED || state == this.current){
+      return true
+    }
+    var next = TRANSITIONS[this.current]
+    return next != undefined && next.indexOf(state) > -1
+  }
+
+  // returns false when the transition isn't allowed from the current state
+  transition(state,reason){
+    if(!(state in TRANSITIONS)){
+      this.logger.warning("Unknown state "+state)
+      return false
+    }
+    if(!this.canTransition(state)){
+      this.logger.warning("Invalid state transition from "+this.current+" to "+state)
+      return false
+    }
+    if(state != this.current){
+      var previous = this.current
+      this.current = state
+      this.logger.verbose("State changed from "+previous+" to "+state)
+      var event = {state: state, previous: previous, reason: reason}
+      this.emit('change',event)
+      this.emit(state,event)
+    }
+    return true
+  }
+}
@@ -0,0 +1,77 @@
+const PyboardError = require('./pyboard-error.js')
+
+var EOF = '\x04'
+
+// Output of code executed in the raw repl, which the board frames as
+// OK<stdout>\x04<stderr>\x04>
+// An exception raised on the board ends up in stderr, and is parsed into
+// {type, message, traceback: [{file, line, name}]}
+
+module.exports = class ExecResult {
+
+  constructor(stdout,stderr){
+    this.stdout = stdout
+    this.stderr = stderr
+    this.exception = ExecResult.parseException(stderr)
+  }
+
+  // returns null when the content doesn't contain the complete framing
+  static parse(content){
+    var start = content.indexOf('OK')
+    if(start == -1){
+      return null
+    }
+    var parts = content.slice(start+2).split(EOF)
+    if(parts.length < 3){
+      return null
+    }
+    return new ExecResult(parts[0],parts[1])
+  }
+
+  static parseException(stderr){
+    if(!stderr || stderr.trim() == ""){
+      return null
+    }
+    var lines = stderr.split(/\r?\n/)
+    var traceback = []
+    var type = null
+    var message = ""
+
+    for(var i=0;i<lines.length;i++){
+      var line = lines[i]
+      var frame = line.match(/^\s*File "([^"]*)", line (\d+)(?:, in (.*))?/)
+      if(frame){
+        traceback.push({file: frame[1], line: parseInt(frame[2]), name: frame[3] || null})
+      }else if(line.trim() != "" && line.indexOf('Traceback (most recent call last)') == -1){
+        // the exception itself, like 'OSError: [Errno 2] ENOENT' or 'KeyboardInterrupt:'
+        var exception = line.trim().match(/^([A-Za-z_][\w.]*)(?::\s?(.*))?$/)
+        if(exception && type == null){
+          type = exception[1]
+          message = exception[2] || ""
+        }else if(type != null){
+          // multi-line exception message
+          message += "\n"+line
+        }
+      }
+    }
+
+    if(type == null){
+      type = "Error"
+      message = stderr.trim()
+    }
+    return {type: type, message: message, traceback: traceback}
+  }
+
+  get ok(){
+    return this.exception == null
+  }
+
+  // the exception as an Error, or null when the code ran without one
+  error(){
+    if(!this.exception){
+      return null
+    }
+    var text = this.exception.type + (this.exception.message ? ": "+this.exception.message : "")
+    return new PyboardError(text,this.exception)
+  }
+}
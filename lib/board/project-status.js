@@ -67,6 +67,12 @@ module.exports = class ProjectStatus {
     this.changed = true
     if(!this.local_file_hashes[name]){
       delete this.board_file_hashes[name]
+      // a removed folder took what was in it along
+      for(var board_name in this.board_file_hashes){
+        if(board_name.startsWith(name+"/") && !this.local_file_hashes[board_name]){
+          delete this.board_file_hashes[board_name]
+        }
+      }
     }else{
       this.board_file_hashes[name] = this.local_file_hashes[name]
     }
@@ -176,13 +182,17 @@ module.exports = class ProjectStatus {
         }
       }
     }
+    // folders are removed with everything in them, so what's in them doesn't need to be
+    var deleted_folders = Object.keys(board_hashes).filter(function(name){
+      return board_hashes[name][1] == 'd'
+    })
     for(var name in board_hashes){
-      if(board_hashes[name][1] == 'f'){
-        deletes.unshift(board_hashes[name])
-      }else{
+      var in_deleted_folder = deleted_folders.some(function(folder){
+        return name.startsWith(folder+"/")
+      })
+      if(!in_deleted_folder){
         deletes.push(board_hashes[name])
       }
-
     }
     return {'delete': deletes, 'files': changed_files,'folders': changed_folders}
   }
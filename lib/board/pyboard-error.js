@@ -1 +1,9 @@
-module.exports = class PyboardError extends Error{}
+// An exception raised by code running on the board.
+// exception holds the parsed {type, message, traceback}, see exec-result.js
+module.exports = class PyboardError extends Error{
+  constructor(message,exception){
+    super(message)
+    this.name = 'PyboardError'
+    this.exception = exception
+  }
+}
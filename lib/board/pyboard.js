@@ -2,8 +2,20 @@ const Config = require('../config.js')
 const Pyserial = require('../connections/pyserial')
 const Pytelnet = require('../connections/pytelnet')
 const Pysocket = require('../connections/pysocket')
+const Pywebrepl = require('../connections/pywebrepl')
+const Pyrfc2217 = require('../connections/pyrfc2217')
+const Pyexec = require('../connections/pyexec')
+const Pyreplay = require('../connections/pyreplay')
+const Recorder = require('../connections/recorder')
+const Address = require('../connections/address')
 const Authorize = require('./authorize')
+const RequestQueue = require('./request-queue')
+const ExecResult = require('./exec-result')
+const ConnectionState = require('./connection-state')
+const BoardInfo = require('./board-info')
+const BoardPreset = require('./board-preset')
 const Logger = require('../helpers/logger.js')
+const path = require('path')
 
 var CTRL_A = '\x01' // raw repl
 var CTRL_B = '\x02' // exit raw repl
@@ -12,15 +24,20 @@ var CTRL_D = '\x04' // reset (ctrl-d)
 var CTRL_E = '\x05' // paste mode (ctrl-e)
 var CTRL_F = '\x06' // safe boot (ctrl-f)
 var EOF = '\x04'    // end of file
+// raw-paste mode, from within the raw repl. Only works on an empty line,
+// ctrl-c clears what's left there (like the newline sent after ctrl-a)
+var RAW_PASTE_ENTER = CTRL_C+CTRL_E+'A'+CTRL_A
+var RAW_PASTE_WINDOW = 0x01 // board has room for another window of data
 
 
-//statuses
-var DISCONNECTED=0
-var CONNECTED=1
-var FRIENDLY_REPL=2
-var RAW_REPL=3
-var RUNNING_FILE=4
-var PASTE_MODE=5
+//statuses, see connection-state.js
+var DISCONNECTED = ConnectionState.STATES.DISCONNECTED
+var CONNECTING = ConnectionState.STATES.CONNECTING
+var AUTHENTICATING = ConnectionState.STATES.AUTHENTICATING
+var FRIENDLY_REPL = ConnectionState.STATES.FRIENDLY_REPL
+var RAW_REPL = ConnectionState.STATES.RAW_REPL
+var RUNNING_FILE = ConnectionState.STATES.RUNNING
+var PASTE_MODE = ConnectionState.STATES.PASTE
 
 module.exports = class Pyboard {
 
@@ -32,30 +49,54 @@ module.exports = class Pyboard {
     this.waiting_for = null
     this.waiting_for_cb = null
     this.waiting_for_timeout = 8000
-    this.status = DISCONNECTED
+    this.state = new ConnectionState()
     this.pingTimer = null
     this.ping_count = 0
     this.isSerial = false
+    this.raw_paste_supported = null // unknown until the first time we enter the raw repl
+    this.run_output = null // output of the file that is running, see run()
+    this.info = null // BoardInfo of the connected board, see probe()
+    this.usb = null // {vid, pid} of the serial port
+    this.preset = BoardPreset.detect(settings.board_preset,null,null)
     this.type = null
     this.settings = settings
     this.timeout = settings.timeout
     this.authorize = new Authorize(this)
+    this.queue = new RequestQueue()
+    this.held_input = [] // user input that waits for the raw repl to end, see send_user_input()
     this.logger = new Logger('Pyboard')
     this.config = Config.constants()
     this.refreshConfig()
     this.address = null
+
+    var _this = this
+    this.state.on(FRIENDLY_REPL,function(){
+      _this._sendHeldInput()
+    })
+    this.state.on(DISCONNECTED,function(){
+      _this.held_input = []
+    })
   }
 
   refreshConfig(cb){
     var _this = this
     this.settings.refresh(function(){
       _this.params = {
-        port: 23,
         username: _this.settings.username,
         password:_this.settings.password,
         enpassword:"",
         timeout: _this.settings.timeout,
-        ctrl_c_on_connect: _this.settings.ctrl_c_on_connect
+        ctrl_c_on_connect: _this.settings.ctrl_c_on_connect,
+        exec_folder: _this.settings.exec_folder,
+        serial: {
+          baud_rate: _this.settings.serial_baud_rate,
+          data_bits: _this.settings.serial_data_bits,
+          parity: _this.settings.serial_parity,
+          stop_bits: _this.settings.serial_stop_bits,
+          flow_control: _this.settings.serial_flow_control,
+          dtr: _this.settings.serial_dtr,
+          rts: _this.settings.serial_rts
+        }
       }
       if(!_this.settings.auto_connect){
         _this.address = _this.settings.address
@@ -76,6 +117,10 @@ module.exports = class Pyboard {
   startPings(interval){
     var _this = this
     this.pingTimer = setInterval(function(){
+      if(_this.queue.isBusy() && !_this.queue.isInteractive()){
+        // a queued request is waiting for the board and has its own timeout
+        return
+      }
       _this.connection.sendPing(function(err){
         if(err){
           _this.ping_count+=1
@@ -86,8 +131,8 @@ module.exports = class Pyboard {
         if(_this.ping_count > 1){ // timeout after 2 pings
           _this.ping_count = 0
           clearInterval(_this.pingTimer)
+          _this._disconnected(null,'lost')
           _this.ontimeout(new Error("Connection lost"))
-          _this.disconnect()
         }
       })
     },interval*1000)
@@ -97,17 +142,13 @@ module.exports = class Pyboard {
      clearInterval(this.pingTimer)
   }
 
-  setStatus(status){
-    if(status != this.status){
-      this.status = status
-      if(this.statusListenerCB){
-        this.statusListenerCB(status)
-      }
-    }
+  get status(){
+    return this.state.current
   }
 
-  registerStatusListener(cb){
-    this.statusListenerCB = cb
+  // returns false (and keeps the current status) when the change isn't a valid transition
+  setStatus(status,reason){
+    return this.state.transition(status,reason)
   }
 
   enter_friendly_repl(callback){
@@ -151,7 +192,7 @@ module.exports = class Pyboard {
       timeout = 5000
     }
     this.logger.info("Soft reset")
-    var wait_for = this.status == RAW_REPL ? ">" : "OK"
+    var wait_for = this.state.inRawRepl() ? ">" : "OK"
     this.send_wait_for_blocking(CTRL_D,wait_for,cb,timeout)
   }
 
@@ -196,15 +237,58 @@ module.exports = class Pyboard {
       _this.flush(function(){
         _this.logger.info("Entering raw repl")
         _this.send_wait_for_blocking(CTRL_A,'raw REPL; CTRL-B to exit\r\n>',function(err){
-          if(!err){
+          if(err){
+            callback(err)
+            return
+          }
+          // while syncing we're in the raw repl already
+          if(!_this.state.inRawRepl()){
             _this.setStatus(RAW_REPL)
           }
-          callback(err)
+          if(_this.raw_paste_supported === null){
+            _this.detect_raw_paste(function(){
+              callback()
+            })
+          }else{
+            callback()
+          }
         },5000)
       })
     // })
   }
 
+  // Asks the board to enter raw-paste mode with an empty script. Newer firmware answers
+  // R\x01 and runs the empty script, R\x00 means it's disabled and older firmware
+  // just resets the raw repl (ctrl-a) and prints its banner again
+  detect_raw_paste(cb){
+    var _this = this
+    this.wait_for_blocking(this._raw_paste_header,function(err,content,raw){
+      if(err || raw[0] != 0x52 || raw[1] != 0x01){
+        _this.raw_paste_supported = false
+        _this.logger.info("Raw-paste mode not supported")
+        cb()
+        return
+      }
+      _this.raw_paste_supported = true
+      _this.logger.info("Raw-paste mode supported, window size "+raw.readUInt16LE(2))
+      _this.wait_for_blocking(function(buffer){
+        return buffer.split(EOF).length > 3 && buffer.slice(-1) == '>'
+      },function(){
+        cb()
+      },2000,'function')
+      _this.send(EOF)
+    },2000,'function')
+    this.send(RAW_PASTE_ENTER)
+  }
+
+  // matches the answer to RAW_PASTE_ENTER: R\x00, or R\x01 plus the two byte window size
+  _raw_paste_header(buffer,raw){
+    if(raw.length >= 2 && raw[0] == 0x52){
+      return raw[1] == 0x00 || raw.length >= 4
+    }
+    return buffer.indexOf('raw REPL; CTRL-B to exit\r\n>') > -1
+  }
+
   enter_raw_repl(callback){
     var _this = this
     this.enter_raw_repl_no_reset(function(err){
@@ -220,10 +304,13 @@ module.exports = class Pyboard {
       return this.connecting && !this.connected
   }
 
-  connect_raw(cb,onerror,ontimeout,onmessage){
-    this.connect(cb,onerror,ontimeout,onmessage,true)
+  // connects to a host without a scheme over a plain socket instead of telnet
+  connect_raw(address,cb,onerror,ontimeout,onmessage){
+    this.connect(address,cb,onerror,ontimeout,onmessage,true)
   }
 
+  // address is a serial port, a host or a scheme:// address (see Address). Without
+  // a scheme, anything that doesn't look like a serial port is a telnet host
   connect(address,callback,onerror,ontimeout,onmessage,raw){
     this.connecting = true
     this.onconnect = callback
@@ -231,51 +318,131 @@ module.exports = class Pyboard {
     this.ontimeout = ontimeout
     this.onerror = onerror
     this.address = address
+    this.raw_paste_supported = null
+    this.info = null
+    this.usb = null
+    this.setStatus(CONNECTING)
     this.stopWaitingForSilent()
     this.refreshConfig()
+    this.updatePreset()
     var _this = this
-    Pyserial.isSerialPort(this.address,function(res){
-      _this.isSerial = res
-      if(res){
-        _this.connection = new Pyserial(_this.address,_this.params,_this.settings)
-      }else if (raw){
-        _this.connection = new Pysocket(_this.address,_this.params)
-      }else{
-        _this.connection = new Pytelnet(_this.address,_this.params)
-      }
-      _this.type = _this.connection.type
 
-      if (_this.connection.type == 'telnet') {
-        _this.authorize.run(function(error){
-          if(error){
-            _this._disconnected()
-            callback(error)
-          }else{
-            _this._onconnect(callback)
-          }
-        })
-      }
+    var target
+    try{
+      target = Address.parse(address)
+    }catch(err){
+      this.logger.warning(err.message)
+      this._disconnected()
+      onerror(err)
+      return
+    }
 
-      _this.connection.connect(function(){
-          _this.connection.registerListener(function(mssg,raw){
-            _this.receive(mssg,raw)
-          })
-          if (_this.connection.type != 'telnet') {
-            _this._onconnect(callback)
-          }
-        },function(err){
+    if(target.scheme){
+      this._connect(target,target.type,callback,ontimeout)
+    }else{
+      Pyserial.isSerialPort(address,function(res){
+        target.port = 23
+        _this._connect(target,res ? 'serial' : raw ? 'socket' : 'telnet',callback,ontimeout)
+      })
+    }
+  }
+
+  // type is 'serial', 'telnet', 'socket', 'webrepl', 'rfc2217', 'fake', 'exec' or 'replay'
+  _connect(target,type,callback,ontimeout){
+    var _this = this
+    var address = this.address
+    var params = Object.assign({},this.params,{port: target.port})
+
+    this.isSerial = type == 'serial'
+    if(type == 'serial'){
+      this.connection = new Pyserial(address,this.params,this.settings)
+      Pyserial.portInfo(address,function(usb){
+        if(_this.address != address){
+          return // connected somewhere else in the meantime
+        }
+        _this.usb = usb
+        _this.updatePreset()
+      })
+    }else if(type == 'webrepl'){
+      this.connection = new Pywebrepl(target.toString(),params)
+    }else if(type == 'rfc2217'){
+      this.connection = new Pyrfc2217(target.host,params)
+    }else if(type == 'socket'){
+      this.connection = new Pysocket(target.host,params)
+    }else if(type == 'fake'){
+      // loaded when used, the fake board brings a whole python interpreter for tests and demos
+      var Pyfake = require('../connections/pyfake')
+      this.connection = new Pyfake(target.host,params)
+    }else if(type == 'exec'){
+      this.connection = new Pyexec(target.host,params)
+    }else if(type == 'replay'){
+      this.connection = new Pyreplay(this._projectFile(target.host),params)
+    }else{
+      this.connection = new Pytelnet(target.host,params)
+    }
+    var transcript = this.settings.transcript_file
+    if(transcript && type != 'replay'){
+      // the username and password stay out of the transcript
+      this.connection = new Recorder(this.connection,this._projectFile(transcript),target.toString(),function(){
+        return _this.state.is(AUTHENTICATING)
+      })
+      this.logger.info("Recording transcript to "+this._projectFile(transcript))
+    }
+    this.logger.info("Connecting to "+address+" over "+type)
+    // a replay behaves like the connection it was recorded on
+    this.type = this.connection.type
+
+    if (_this.connection.type == 'webrepl') {
+      // logs in by itself, onconnect is called after that
+      _this.setStatus(AUTHENTICATING)
+    }
+
+    if (_this.connection.type == 'telnet') {
+      _this.setStatus(AUTHENTICATING)
+      _this.authorize.run(function(error){
+        if(error){
           _this._disconnected()
-          _this.onerror(err)
-        },function(mssg){
-          // Timeout callback only works properly during connect
-          // after that it might trigger unneccesarily
-          if(_this.isConnecting()){
-            _this._disconnected()
-            ontimeout(mssg,raw)
-          }
+          callback(error)
+        }else{
+          _this._onconnect(callback)
         }
-      )
-    })
+      })
+    }
+
+    _this.connection.connect(function(){
+        _this.connection.registerListener(function(mssg,raw){
+          _this.receive(mssg,raw)
+        })
+        if (_this.connection.type != 'telnet') {
+          _this._onconnect(callback)
+        }
+      },function(err){
+        // an error on a working connection means we lost it
+        _this._disconnected(null,_this.connected ? 'lost' : undefined)
+        _this.onerror(err)
+      },function(mssg){
+        // Timeout callback only works properly during connect
+        // after that it might trigger unneccesarily
+        if(_this.isConnecting()){
+          _this._disconnected()
+          ontimeout(mssg)
+        }
+      }
+    )
+  }
+
+  // files in settings are relative to the project
+  _projectFile(file){
+    if(this.settings.project_path && !path.isAbsolute(file)){
+      return path.join(this.settings.project_path,file)
+    }
+    return file
+  }
+
+  // serial ports (local or on an RFC 2217 server), fake boards and processes stay connected
+  // while the board resets, network connections to the board itself have to reconnect
+  keepsConnectionOnReset(){
+    return this.type == 'serial' || this.type == 'rfc2217' || this.type == 'fake' || this.type == 'exec'
   }
 
   _onconnect(cb){
@@ -285,6 +452,7 @@ module.exports = class Pyboard {
     _this.connection.connected = true
 
     _this.connecting = false
+    _this.setStatus(FRIENDLY_REPL)
 
     if(_this.params.ctrl_c_on_connect && this.type != "socket"){
       _this.stop_running_programs(cb)
@@ -294,24 +462,31 @@ module.exports = class Pyboard {
     _this.startPings(5)
   }
 
-  _disconnected(cb){
+  // reason is passed on to the state listeners, 'lost' when we didn't ask for it
+  _disconnected(cb,reason){
+    this.connecting = false
+    this.connected = false
+    this.info = null
+    this.stopPings()
+    this.setStatus(DISCONNECTED,reason)
+    this.queue.clear(new Error("Disconnected"))
+    // some connections call back right away, by then we're disconnected already
     if(this.connection){
       this.connection.disconnect(function(){
         if(cb){
           cb()
         }
       })
+    }else if(cb){
+      cb()
     }
-    this.connecting = false
-    this.connected = false
-    this.stopPings()
   }
 
 
   receive(mssg,raw){
     this.logger.silly('Received message: '+mssg)
     if(!this.wait_for_block && typeof mssg != 'object'){
-      this.onmessage(mssg)
+      this.forward(mssg)
     }
     var err_in_output = this.getErrorMessage(mssg)
 
@@ -354,17 +529,35 @@ module.exports = class Pyboard {
         if(this.receive_buffer.length >= this.waiting_for){
           this.stopWaitingFor(this.receive_buffer,this.receive_buffer_raw)
         }
+      }else if(this.waiting_for_type == 'function'){
+        if(this.waiting_for(this.receive_buffer,this.receive_buffer_raw)){
+          this.stopWaitingFor(this.receive_buffer,this.receive_buffer_raw)
+        }
       }else if(this.receive_buffer.indexOf(this.waiting_for) > -1 || this.receive_buffer_raw.indexOf(this.waiting_for) > -1){
         var trail = this.receive_buffer.split(this.waiting_for).pop(-1)
         if(trail && trail.length > 0 && this.wait_for_block){
-          this.onmessage(trail)
+          this.forward(trail)
         }
         this.stopWaitingFor(this.receive_buffer,this.receive_buffer_raw)
       }
     }
   }
 
+  // passes board output on to the terminal, keeping a copy while a file runs
+  forward(mssg){
+    if(this.status == RUNNING_FILE && this.run_output != null){
+      this.run_output += mssg
+    }
+    this.onmessage(mssg)
+  }
+
+  // stops waiting and aborts the queued request that is currently running
   stopWaitingForSilent(){
+    this._clearWaitingFor()
+    this.queue.cancel(new Error("canceled"))
+  }
+
+  _clearWaitingFor(){
     clearTimeout(this.waiting_for_timer)
     this.waiting_for = null
     this.wait_for_block = false
@@ -372,7 +565,7 @@ module.exports = class Pyboard {
 
   stopWaitingFor(mssg,raw,err){
     this.logger.silly("Stopping waiting for, got message of "+mssg.length+" chars")
-    this.stopWaitingForSilent()
+    this._clearWaitingFor()
     if(this.waiting_for_cb){
       this.logger.silly("Callback after waiting for")
       this.waiting_for_cb(err,mssg,raw)
@@ -383,30 +576,61 @@ module.exports = class Pyboard {
 
   disconnect(cb){
     this.disconnect_silent(cb)
-    this.setStatus(DISCONNECTED)
   }
 
   disconnect_silent(cb){
     this._disconnected(cb)
   }
 
+  // runs the code and calls back with an ExecResult of its output, which holds
+  // the exception (and traceback) if the code raised one
   run(filecontents,cb){
     var _this = this
-    this.stop_running_programs(function(){
-      _this.enter_raw_repl_no_reset(function(){
-        _this.setStatus(RUNNING_FILE)
-
-        filecontents += "\r\nimport time"
-        filecontents += "\r\ntime.sleep(0.1)"
+    var result = null
+    var running = this.enqueue(function(done){
+      _this.stop_running_programs(function(){
+        _this.enter_raw_repl_no_reset(function(){
+          _this.setStatus(RUNNING_FILE)
+          _this.run_output = ""
+
+          filecontents += "\r\nimport time"
+          filecontents += "\r\ntime.sleep(0.1)"
+
+          // the board is done when stdout and stderr are both terminated.
+          // Checking the collected output instead of only the receive buffer,
+          // since (part of) it can arrive before we start waiting
+          var finished = function(){
+            return ExecResult.parse("OK"+_this.run_output) != null
+          }
+          var end = function(){
+            result = ExecResult.parse("OK"+_this.run_output)
+            _this.run_output = null
+            _this.enter_friendly_repl_wait(done)
+          }
 
-        // executing code delayed (20ms) to make sure _this.wait_for(">") is executed before execution is complete
-        _this.exec_raw(filecontents+"\r\n",function(){
-          _this.wait_for(">",function(){
-            _this.enter_friendly_repl_wait(cb)
+          _this.exec_raw(filecontents+"\r\n",function(){
+            if(finished()){
+              end()
+            }else{
+              _this.wait_for(finished,end,undefined,'function')
+            }
           })
         })
       })
+    },{name: 'run', interactive: true})
+
+    running = running.then(function(){
+      return result
+    },function(err){
+      _this.run_output = null
+      throw err
     })
+    running.then(function(){
+      if(cb) cb(null,result)
+    },function(err){
+      if(cb) cb(err,null)
+    })
+    return running
   }
 
   // run a line or a block of code using paste mode
@@ -469,7 +693,26 @@ module.exports = class Pyboard {
   }
 
   send_user_input(mssg,cb){
-    this.send(mssg,cb)
+    // while a program runs it might be waiting for input(), so keystrokes go straight through.
+    // Otherwise they wait for the queued requests, to keep them out of the raw REPL.
+    // A Shell stays in the raw REPL between its requests, with nothing queued for a moment,
+    // so while it's there the input waits until the board is back in the friendly REPL
+    if(this.queue.isInteractive()){
+      this.send(mssg,cb)
+    }else if(this.state.inRawRepl()){
+      this.held_input.push({data: mssg, cb: cb})
+    }else if(!this.queue.isBusy()){
+      this.send(mssg,cb)
+    }else{
+      this._callback(this.request({data: mssg, name: 'user input'}),cb)
+    }
+  }
+
+  _sendHeldInput(){
+    var held = this.held_input.splice(0)
+    for(var i=0;i<held.length;i++){
+      this.send_user_input(held[i].data,held[i].cb)
+    }
   }
 
 
@@ -559,20 +802,342 @@ module.exports = class Pyboard {
   }
   exec_raw(code,cb,timeout){
     var _this = this
+    if(this.raw_paste_supported){
+      this.exec_raw_paste(code,cb,timeout)
+      return
+    }
     this.exec_raw_no_reset(code,function(){
       _this.logger.silly("Executed raw code, now resetting")
+      if(_this.state.inRawRepl()){
+        // wait for the complete result, a '>' in the output would end a plain soft_reset too early
+        _this.wait_for_blocking(_this._raw_repl_result,cb,timeout || 5000,'function')
+        _this.send_with_enter(CTRL_D)
+      }else{
         _this.soft_reset(cb,timeout)
+      }
+    })
+  }
+
+  // matches OK<stdout>\x04<stderr>\x04> or, when the board isn't in the raw repl, its normal prompt
+  _raw_repl_result(buffer){
+    var start = buffer.indexOf('OK')
+    if(start == -1){
+      return buffer.indexOf('>>>') > -1
+    }
+    var stdout_end = buffer.indexOf(EOF,start+2)
+    return stdout_end > -1 && buffer.indexOf(EOF+'>',stdout_end+1) > -1
+  }
+
+  // Executes code using raw-paste mode. The board sends the window size when entering the
+  // mode, and a \x01 whenever it has room for another window of data, so big files don't
+  // overrun its uart buffer. Like exec_raw, this waits for the result when in the raw repl
+  // and only for the start of the execution otherwise (when running a file).
+  // The content is returned in the same format as exec_raw: OK<stdout>\x04<stderr>\x04>
+  exec_raw_paste(code,cb,timeout){
+    var _this = this
+    var data = Buffer.from(code,'binary')
+    var wait_for_result = this.state.inRawRepl()
+    var offset = 0
+    var increment = 0
+    var window_remain = 0
+    var stalled = false
+    var done = false
+
+    if(!timeout){
+      timeout = 5000
+    }
+
+    var finish = function(err,content){
+      if(!done){
+        done = true
+        cb(err,content || "")
+      }
+    }
+
+    // returns false when the board aborted the transfer
+    var flow_control = function(raw){
+      for(var i=0;i<raw.length;i++){
+        if(raw[i] == RAW_PASTE_WINDOW){
+          window_remain += increment
+        }else if(raw[i] == 0x04){
+          return false
+        }
+      }
+      return true
+    }
+
+    var end_of_data = function(){
+      _this.wait_for_blocking(function(buffer){
+        var start = buffer.indexOf(EOF)
+        if(!wait_for_result){
+          return start > -1
+        }
+        return start > -1 && buffer.indexOf(EOF+'>',buffer.indexOf(EOF,start+1)) > -1
+      },function(err,content){
+        if(err){
+          finish(err,content)
+          return
+        }
+        // drop the flow control bytes and the acknowledgement of the end of data
+        var output = content.slice(content.indexOf(EOF)+1)
+        if(wait_for_result){
+          finish(null,"OK"+output)
+        }else{
+          if(output.length > 0){
+            _this.forward(output)
+          }
+          finish(null,"OK")
+        }
+      },wait_for_result ? timeout : 5000,'function')
+      _this.send(EOF)
+    }
+
+    var listen = function(){
+      _this.wait_for_blocking(function(buffer,raw){
+        return raw.length > 0
+      },function(err,content,raw){
+        if(err){
+          finish(err,content)
+        }else if(!flow_control(raw)){
+          // board wants to stop, acknowledge it
+          _this.send(EOF)
+          finish(new Error("Raw-paste transfer aborted by the board"))
+        }else{
+          listen()
+          if(stalled){
+            stalled = false
+            write()
+          }
+        }
+      },timeout,'function')
+    }
+
+    var write = function(){
+      if(offset >= data.length){
+        end_of_data()
+      }else if(window_remain == 0){
+        stalled = true
+      }else{
+        var chunk = data.slice(offset,offset+window_remain)
+        offset += chunk.length
+        window_remain -= chunk.length
+        _this.send_raw(chunk,function(){
+          write()
+        })
+      }
+    }
+
+    this.logger.verbose("Executing code in raw-paste mode:" +code)
+    this.wait_for_blocking(this._raw_paste_header,function(err,content,raw){
+      if(err){
+        finish(err,content)
+      }else if(raw[0] != 0x52 || raw[1] != 0x01){
+        // refused after all, go back to the normal raw repl
+        _this.raw_paste_supported = false
+        _this.exec_raw(code,finish,timeout)
+      }else{
+        increment = raw.readUInt16LE(2)
+        window_remain = increment
+        if(!flow_control(raw.slice(4))){
+          finish(new Error("Raw-paste transfer aborted by the board"))
+          return
+        }
+        listen()
+        write()
+      }
+    },timeout,'function')
+    this.send(RAW_PASTE_ENTER)
+  }
+
+  // Executes code in the raw repl. Resolves with an ExecResult holding stdout, stderr and the
+  // exception raised on the board, if any. Only rejects when the board didn't answer properly
+  execute(code,timeout){
+    return this.request({exec: code, timeout: timeout, name: 'execute'}).then(function(response){
+      var result = ExecResult.parse(response.content)
+      if(!result){
+        var err = new Error("Incomplete response from the board")
+        err.content = response.content
+        throw err
+      }
+      return result
     })
   }
 
-  exec_(code,cb){
+  // whether files can go over the connection itself (the webrepl file protocol)
+  // instead of base64 chunks through the raw REPL
+  canTransferFiles(name){
+    return !!(this.connection && this.connection.canTransfer && this.connection.canTransfer(name))
+  }
+
+  // writes a file with the file protocol of the connection, see canTransferFiles()
+  putFile(name,contents){
     var _this = this
-    this.exec_raw_no_reset("\r\n"+code,function(){
-      _this.logger.silly("Executed code, now resetting")
-      _this.soft_reset(cb)
+    return this.enqueue(function(done){
+      _this.connection.putFile(name,contents,done)
+    },{name: 'put file'})
+  }
+
+  // reads a file with the file protocol of the connection, resolves with its contents as a buffer
+  getFile(name){
+    var _this = this
+    return this.enqueue(function(done){
+      _this.connection.getFile(name,function(err,contents){
+        done(err,null,contents)
+      })
+    },{name: 'get file'}).then(function(response){
+      return response.raw
     })
   }
 
+  // picks the BoardPreset from the settings, the probe and the usb ids, whatever we know by now
+  updatePreset(){
+    var preset = BoardPreset.detect(this.settings.board_preset,this.usb,this.info)
+    if(preset.id != this.preset.id){
+      this.logger.info("Using the "+preset.name+" board preset")
+    }
+    this.preset = preset
+  }
+
+  // Collects the BoardInfo of the board and keeps it in this.info. Only when the
+  // board shows the prompt (or is in the raw repl already), a running program is left alone
+  probe(){
+    var _this = this
+    var output = null
+    return this.enqueue(function(done){
+      var in_raw_repl = _this.state.inRawRepl()
+      var run = function(){
+        _this.exec_raw(BoardInfo.command(),function(err,content){
+          output = content
+          if(in_raw_repl){
+            done(err)
+          }else{
+            _this.enter_friendly_repl(function(){
+              done(err)
+            })
+          }
+        },5000)
+      }
+
+      if(in_raw_repl){
+        run()
+        return
+      }
+      _this.send_wait_for_blocking('','>>>',function(err){
+        if(err){
+          done(new Error("Board is busy"))
+          return
+        }
+        _this.enter_raw_repl_no_reset(function(err){
+          if(err){
+            done(err)
+          }else{
+            run()
+          }
+        })
+      },1000)
+    },{name: 'probe'}).then(function(){
+      var result = ExecResult.parse(output || "")
+      if(!result){
+        throw new Error("Incomplete response from the board")
+      }
+      if(!result.ok){
+        throw result.error()
+      }
+      _this.info = BoardInfo.parse(result.stdout)
+      _this.logger.info("Board info: "+_this.info.toString())
+      if(_this.connection && _this.connection.setBoardRoot){
+        _this.connection.setBoardRoot(_this.info.root_folder)
+      }
+      _this.updatePreset()
+      return _this.info
+    })
+  }
+
+  exec_(code,cb,timeout){
+    return this._callback(this.request({exec: "\r\n"+code, timeout: timeout, name: 'exec'}),cb)
+  }
+
+  // Queues an operation written in callback style. The operation receives a
+  // callback(err,content,raw) and the next request only starts after it was called.
+  // Returns a promise for {content,raw}, errors carry the received content in err.content.
+  // See RequestQueue.push for the options, an operation that times out stops waiting
+  // for the board so its answer doesn't end up with the next request
+  enqueue(operation,options){
+    var _this = this
+    options = Object.assign({},options)
+    options.ontimeout = function(){
+      _this._clearWaitingFor()
+      _this.waiting_for_cb = null
+    }
+    return this.queue.push(function(){
+      return new Promise(function(resolve,reject){
+        operation(function(err,content,raw){
+          if(err){
+            if(!(err instanceof Error)){
+              err = new Error(err)
+            }
+            err.content = content || ""
+            reject(err)
+          }else{
+            resolve({content: content || "", raw: raw})
+          }
+        })
+      })
+    },options)
+  }
+
+  // Queued, promise based counterpart of the send / wait_for / exec_raw functions.
+  // options:
+  //   exec: code to execute in the raw REPL (like exec_raw)
+  //   data: string to send, with enter: true a newline is added
+  //   wait_for: string or buffer to wait for, or a number of chars when type is 'length'
+  //   blocking: don't pass the output on to the terminal while waiting
+  //   timeout: in ms
+  //   name: used for logging
+  request(options){
+    var _this = this
+    return this.enqueue(function(done){
+      if(options.exec !== undefined){
+        _this.exec_raw(options.exec,done,options.timeout)
+      }else if(options.wait_for !== undefined){
+        if(options.blocking){
+          _this.wait_for_blocking(options.wait_for,done,options.timeout,options.type)
+        }else{
+          _this.wait_for(options.wait_for,done,options.timeout,options.type)
+        }
+        _this._send_request_data(options)
+      }else{
+        _this._send_request_data(options,done)
+      }
+    },{
+      name: options.name,
+      // the waits above time out themselves, this is for when nothing calls back
+      timeout: options.timeout ? options.timeout+RequestQueue.TIMEOUT : undefined
+    })
+  }
+
+  _send_request_data(options,cb){
+    if(options.data === undefined){
+      if(cb) cb()
+    }else if(options.enter){
+      this.send_with_enter(options.data,cb)
+    }else{
+      this.send(options.data,cb)
+    }
+  }
+
+  // calls a node style callback when a request promise settles
+  _callback(promise,cb){
+    if(cb){
+      promise.then(function(result){
+        cb(null,result.content,result.raw)
+      },function(err){
+        cb(err,err.content,err.raw)
+      })
+    }
+    return promise
+  }
+
   flush(cb){
     this.connection.flush(cb)
   }
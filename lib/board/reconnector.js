@@ -0,0 +1,110 @@
+const Logger = require('../helpers/logger.js')
+const Config = require('../config.js')
+const ConnectionState = require('./connection-state.js')
+
+var STATES = ConnectionState.STATES
+
+// Connects again when the connection to the board got lost (failed pings, a
+// board that browned out or flaky wifi), doubling the delay after every failed
+// attempt. Gives way to anything else that connects or disconnects (the user,
+// autoconnect) and waits while a sync is still giving up.
+module.exports = class Reconnector {
+
+  constructor(pymakr){
+    this.pymakr = pymakr
+    this.pyboard = pymakr.pyboard
+    this.terminal = pymakr.terminal
+    this.settings = pymakr.settings
+    this.logger = new Logger('Reconnector')
+    this.config = Config.constants()
+    this.address = null
+    this.attempt = 0
+    this.timer = null
+    this.active = false
+    this.attempting = false
+
+    var _this = this
+    this.pyboard.state.on('change',function(event){
+      _this.__onStateChange(event)
+    })
+  }
+
+  isReconnecting(){
+    return this.active
+  }
+
+  start(address){
+    if(!this.settings.auto_reconnect || !address){
+      return
+    }
+    this.logger.info("Connection to "+address+" lost, reconnecting")
+    this.active = true
+    this.address = address
+    this.attempt = 0
+    this.__schedule()
+  }
+
+  stop(){
+    if(this.active){
+      this.logger.info("Stopped reconnecting")
+    }
+    clearTimeout(this.timer)
+    this.timer = null
+    this.active = false
+    this.attempting = false
+    this.attempt = 0
+  }
+
+  __onStateChange(event){
+    if(event.state == STATES.DISCONNECTED){
+      if(this.attempting){
+        this.attempting = false
+        this.__schedule()
+      }else if(event.reason == 'lost' && !this.active){
+        this.start(this.pyboard.address)
+      }
+    }else if(event.state == STATES.FRIENDLY_REPL && this.attempting){
+      this.logger.info("Reconnected to "+this.address)
+      this.stop()
+    }
+  }
+
+  __schedule(){
+    var max = this.settings.reconnect_attempts
+    if(this.attempt >= max){
+      this.terminal.writeln("> Unable to reconnect after "+max+" attempt"+(max == 1 ? "" : "s")+". Click here to try again.")
+      this.stop()
+      return
+    }
+
+    var delay = Math.min(this.settings.reconnect_delay * Math.pow(2,this.attempt),this.config.reconnect_max_delay)
+    this.attempt += 1
+    this.terminal.writeln("> Reconnecting in "+(delay/1000)+"s (attempt "+this.attempt+"/"+max+")...")
+    this.__wait(delay)
+  }
+
+  __wait(delay){
+    var _this = this
+    clearTimeout(this.timer)
+    this.timer = setTimeout(function(){
+      _this.timer = null
+      _this.__attempt()
+    },delay)
+  }
+
+  __attempt(){
+    if(this.pyboard.connected || this.pyboard.connecting){
+      // connected again some other way
+      this.stop()
+      return
+    }
+    if(this.pymakr.synchronizing){
+      // the sync fails now that the board is gone, try again after it stopped
+      this.logger.verbose("Waiting for the sync to stop before reconnecting")
+      this.__wait(this.settings.reconnect_delay)
+      return
+    }
+    this.attempting = true
+    this.pymakr.reconnect(this.address)
+  }
+}
@@ -0,0 +1,132 @@
+const Logger = require('../helpers/logger.js')
+
+// in ms, for tasks that don't say how long they may take
+var TIMEOUT = 30000
+
+// Serializes everything that talks to the board and waits for an answer.
+// A task is a function returning a promise. The next task only starts after
+// the previous one settled, so two callers never share the single wait_for
+// slot of the Pyboard.
+//
+// var queue = new RequestQueue()
+// queue.push(function(){ return doSomething() },{name: 'something'}).then(...)
+//
+// A task that doesn't settle within its timeout is rejected, so one lost
+// answer can't block everything after it.
+
+module.exports = class RequestQueue {
+
+  static get TIMEOUT(){
+    return TIMEOUT
+  }
+
+  constructor(){
+    this.pending = []
+    this.current = null
+    this.logger = new Logger('RequestQueue')
+  }
+
+  // options.name is used for logging, options.interactive marks tasks
+  // (like running a file) during which user input goes straight to the board.
+  // options.timeout is in ms, RequestQueue.TIMEOUT by default and 0 for none
+  // (the default for interactive tasks). options.ontimeout is called when the
+  // task is given up, to stop whatever it was still waiting for
+  push(task,options){
+    var _this = this
+    options = options || {}
+    return new Promise(function(resolve,reject){
+      _this.pending.push({
+        task: task,
+        name: options.name || 'request',
+        interactive: !!options.interactive,
+        timeout: options.timeout !== undefined ? options.timeout : options.interactive ? 0 : TIMEOUT,
+        ontimeout: options.ontimeout,
+        timer: null,
+        settled: false,
+        resolve: resolve,
+        reject: reject
+      })
+      _this._next()
+    })
+  }
+
+  isBusy(){
+    return this.current != null || this.pending.length > 0
+  }
+
+  isInteractive(){
+    return this.current != null && this.current.interactive
+  }
+
+  // rejects the running task, the queue continues with the next one
+  cancel(err){
+    if(this.current){
+      this.logger.info("Canceling "+this.current.name)
+      this._settle(this.current,err || new Error("canceled"))
+    }
+  }
+
+  // rejects the running task and everything that is still waiting
+  clear(err){
+    err = err || new Error("canceled")
+    var pending = this.pending.splice(0)
+    for(var i=0;i<pending.length;i++){
+      pending[i].settled = true
+      pending[i].reject(err)
+    }
+    this.cancel(err)
+  }
+
+  _next(){
+    var _this = this
+    if(this.current || this.pending.length == 0){
+      return
+    }
+    var item = this.pending.shift()
+    this.current = item
+    this.logger.silly("Starting "+item.name+" ("+this.pending.length+" waiting)")
+    if(item.timeout){
+      item.timer = setTimeout(function(){
+        if(item.settled){
+          return
+        }
+        _this.logger.warning(item.name+" timed out after "+item.timeout+" ms")
+        if(item.ontimeout){
+          item.ontimeout()
+        }
+        _this._settle(item,new Error(item.name+" timed out"))
+      },item.timeout)
+    }
+
+    var result
+    try{
+      result = Promise.resolve(item.task())
+    }catch(e){
+      result = Promise.reject(e)
+    }
+    result.then(function(value){
+      _this._settle(item,null,value)
+    },function(err){
+      _this._settle(item,err)
+    })
+  }
+
+  _settle(item,err,value){
+    if(item.settled){
+      return
+    }
+    item.settled = true
+    clearTimeout(item.timer)
+    if(this.current === item){
+      this.current = null
+    }
+    if(err){
+      this.logger.silly("Failed "+item.name+": "+err.message)
+      item.reject(err)
+    }else{
+      this.logger.silly("Finished "+item.name)
+      item.resolve(value)
+    }
+    this._next()
+  }
+}
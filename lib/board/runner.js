@@ -1,4 +1,9 @@
 const ApiWrapper = require('../main/api-wrapper.js');
+const TracebackDiagnostics = require('../main/traceback-diagnostics.js');
+const ConnectionState = require('./connection-state.js');
+
+// interrupting the code is not an error in the code itself
+var IGNORED_EXCEPTIONS = ['KeyboardInterrupt','SystemExit']
 
 module.exports = class Runner {
   constructor(pyboard,terminal,pymakr) {
@@ -6,7 +11,18 @@ module.exports = class Runner {
     this.terminal = terminal
     this.pymakr = pymakr
     this.api = new ApiWrapper()
+    this.diagnostics = new TracebackDiagnostics(pymakr.settings)
     this.busy = false
+    this.stopped = false // the user stopped the run, which cancels it
+
+    var _this = this
+    // nothing is running anymore once the board is gone
+    this.pyboard.state.on(ConnectionState.STATES.DISCONNECTED,function(){
+      if(_this.busy){
+        _this.busy = false
+        _this.pymakr.setButtonState()
+      }
+    })
   }
 
   toggle(cb){
@@ -19,12 +35,14 @@ module.exports = class Runner {
 
   start(cb){
     var _this = this
-    this._getCurrentFile(function(file,filename){
+    this._getCurrentFile(function(file,filename,path){
       _this.terminal.writeln("Running "+filename)
       _this.busy = true
+      _this.stopped = false
       _this.pymakr.view.setButtonState()
-      _this.pyboard.run(file,function(){
+      _this.pyboard.run(file,function(err,result){
         _this.busy = false
+        _this.__finish(err,result,{file: path, line_offset: 0})
         if(cb) cb()
       })
     },function onerror(err){
@@ -35,22 +53,29 @@ module.exports = class Runner {
   selection(codeblock,cb){
     var _this = this
     codeblock = this.__trimcodeblock(codeblock)
+    var source = this.api.getSelectionSource()
     _this.terminal.writeln("Running selected lines")
     _this.busy = true
-    _this.pyboard.run(codeblock,function(){
+    _this.stopped = false
+    _this.pyboard.run(codeblock,function(err,result){
       _this.busy = false
+      _this.__finish(err,result,source)
       if(cb) cb()
-    },function onerror(err){
-      _this.terminal.writeln_and_prompt(err)
     })
   }
 
   stop(cb){
     var _this = this
     if(this.busy){
+      this.stopped = true
       this.pyboard.stop_running_programs_nofollow(function(){
         _this.pyboard.flush(function(){
-          _this.pyboard.enter_friendly_repl(function(){
+          // abort the queued run, the friendly repl request below takes its turn after it
+          _this.pyboard.stopWaitingForSilent()
+          _this.pyboard.enqueue(function(done){
+            _this.pyboard.enter_friendly_repl(done)
+          },{name: 'enter friendly repl'}).catch(function(){
+            // ignore, the board might already be back in the friendly repl
           })
           _this.busy = false
           if(cb) cb()
@@ -75,10 +100,47 @@ module.exports = class Runner {
           return
         }
       }
-      cb(file,filename)
+      cb(file,filename,name)
     },onerror)
   }
 
+  // the run itself failed when there's an error (a timeout, a lost connection), which
+  // is different from the code raising an exception
+  __finish(err,result,source){
+    if(err){
+      if(!this.stopped){
+        this.terminal.writeln_and_prompt(err.message)
+      }
+      return
+    }
+    this.__report(result,source)
+  }
+
+  // shows where an exception was raised, or clears the previous one after a successful run
+  __report(result,source){
+    if(!result){
+      return
+    }
+    var exception = result.exception
+    if(!exception){
+      this.diagnostics.clear()
+      return
+    }
+    if(IGNORED_EXCEPTIONS.indexOf(exception.type) > -1){
+      return
+    }
+
+    var locations = this.diagnostics.publish(exception,source)
+    if(locations.length > 0){
+      // file:line is turned into a link by the terminal
+      var lines = ["","Traceback locations:"]
+      for(var i=locations.length-1;i>=0;i--){
+        lines.push("  "+locations[i].file+":"+locations[i].line)
+      }
+      this.terminal.writeln_and_prompt(lines.join("\r\n"))
+    }
+  }
+
   //remove excessive identation
   __trimcodeblock(codeblock){
     // regex to split both win and unix style
@@ -1,6 +1,8 @@
 var fs = require('fs');
 const Logger = require('../helpers/logger.js')
 const ShellWorkers = require('./shell-workers.js')
+const BoardCommands = require('./board-commands.js')
+const ConnectionState = require('./connection-state.js')
 const ApiWrapper = require ('../main/api-wrapper.js');
 const Utils = require ('../helpers/utils.js');
 const Config = require ('../config.js');
@@ -25,51 +27,71 @@ module.exports = class Shell {
     this.utils = new Utils(settings)
     this.lib_folder = this.api.getPackageSrcPath()
     this.package_folder = this.api.getPackagePath()
-    this.mcu_root_folder = '/flash' // overwritten by getRootFolder below
+    this.mcu_root_folder = pyboard.preset.root_folder // overwritten by __loadBoardInfo below
+    this.sync_folder = null // see setSyncFolder
+    this.in_sync_folder = false // see setSyncRoot
     this.working = false
     this.interrupt_cb = null
     this.interrupted = false
 
     this.logger.silly("Try to enter raw mode")
-    this.pyboard.enter_raw_repl_no_reset(function(err){
-      if(err){
-        cb(err)
-      }else{
-        _this.getRootFolder(function(folder){
-          _this.mcu_root_folder = folder
-          cb(err)
-        })
-      }
+    this.pyboard.enqueue(function(done){
+      _this.pyboard.enter_raw_repl_no_reset(done)
+    },{name: 'enter raw repl'}).then(function(){
+      _this.__loadBoardInfo(cb)
+    },cb)
+  }
 
+  // the root folder comes from the BoardInfo, probing again when that didn't work on connect
+  __loadBoardInfo(cb){
+    var _this = this
+    var info = this.pyboard.info ? Promise.resolve(this.pyboard.info) : this.pyboard.probe()
+    info.then(function(info){
+      _this.mcu_root_folder = info.root_folder
+      cb()
+    },function(err){
+      _this.logger.warning("Failed to probe the board ("+err.message+"), looking up the root folder")
+      _this.getRootFolder(function(folder){
+        _this.mcu_root_folder = folder
+        cb()
+      })
     })
   }
 
+  // when we don't know the board, assume it has what's needed
+  canCompress(){
+    return !this.pyboard.info || this.pyboard.info.canCompress()
+  }
+
+  canHash(){
+    return !this.pyboard.info || this.pyboard.info.canHash()
+  }
+
+  // calls back with the release of the firmware, like '1.20.0'
   getVersion(cb){
     var command =
         "import os,sys\r\n" +
         "sys.stdout.write(os.uname().release)\r\n"
 
-    this.pyboard.exec_(command,function(err,content){
-      cb(content)
-    })
+    this.execute(command).then(function(version){
+      cb(null,version.trim())
+    },cb)
   }
 
+  // calls back with the free space on the root folder in bytes
   getFreeMemory(cb){
-      var command =
-          "import os, sys\r\n" +
-          "_s = os.statvfs('"+ this.mcu_root_folder +"')\r\n" +
-          "sys.stdout.write(str(s[0]*s[3])\r\n" +
-          "del(_s)\r\n"
-
-    this.pyboard.exec_(command,function(err,content){
-      cb(content)
-    })
+    var command = BoardCommands.freeSpace(this.mcu_root_folder)
+
+    this.execute(command).then(function(size){
+      size = parseInt(size)
+      cb(isNaN(size) ? new Error("Unexpected free space from the board") : null,size)
+    },cb)
   }
 
   getRootFolder(cb){
-
+    var _this = this
     var command =
-        "import os, errno\r\n" +
+        "import os, errno, sys\r\n" +
         "try:\r\n" +
         "    r = \"/flash\"\r\n" +
         "    _ = os.stat(r)\r\n" +
@@ -77,13 +99,13 @@ module.exports = class Shell {
         "    if e.args[0] == errno.ENOENT:\r\n" +
         "        r = os.getcwd()\r\n" +
         "finally:\r\n" +
-        "    print(\"'{}'\".format(r))\r\n"
+        "    sys.stdout.write(r)\r\n"
 
-    this.pyboard.exec_(command,function(err,content){
-      // Remove OK, > , singe-quote, CR/LF and 0x004 chars
-      content = content.replace('OK','').trim()
-      content = content.replace(/[\u0004\r\n'>]/g,'')
-      cb(content)
+    this.execute(command).then(function(folder){
+      cb(folder.trim() || _this.mcu_root_folder)
+    },function(err){
+      _this.logger.warning("Failed to get root folder, using "+_this.mcu_root_folder)
+      cb(_this.mcu_root_folder)
     })
   }
 
@@ -93,19 +115,11 @@ module.exports = class Shell {
       cb()
       return
     }
-    var command =
-        "import uzlib\r\n" +
-        "def decompress(name):\r\n" +
-        "  with open(name,'r+') as d:\r\n" +
-        "    c = uzlib.decompress(d.read())\r\n" +
-        "  with open(name,'w') as d:\r\n" +
-        "      d.write(c)\r\n" +
-        "  del(c)\r\n" +
-        "decompress('"+name+"')\r\n"
+    var command = BoardCommands.decompress(name)
 
-    this.pyboard.exec_(command,function(err,content){
-      cb(content)
-    },40000)
+    this.execute(command,40000).then(function(){
+      cb()
+    },cb)
   }
 
   compress(filepath,name,cb){
@@ -154,7 +168,15 @@ module.exports = class Shell {
         if(err && (err.message.indexOf("Not enough memory") > -1 || err.message.indexOf("OSError:") > -1)){
           _this.logger.info("Safe booting...")
           _this.safeboot_restart(function(){
-            _this.writeFile(name,file_path,contents,compare_hash,compress,cb,retries+1)
+            // the board starts in its root folder again
+            _this.in_sync_folder = false
+            _this.setSyncRoot(function(err){
+              if(err){
+                cb(err)
+                return
+              }
+              _this.writeFile(name,file_path,contents,compare_hash,compress,cb,retries+1)
+            })
           })
 
         // if not for memory issues, do a normal retry
@@ -177,67 +199,74 @@ module.exports = class Shell {
           return
         }
         _this.eval("f.close()\r\n",function(close_err){
-          if((err || close_err) && retries < _this.RETRIES){
-            retry(err)
-
-          }else if(!err && !close_err){
-            if(compress){
-              try{
-                fs.unlinkSync(compressed_path)
-              }catch(e){
-                _this.logger.info("Removing compressed file failed, likely because it never existed. Otherwise, it'll be removed with the py_compiles folder after upload")
-              }
-            }
+          finish(err,close_err)
+        })
+    }
 
-            _this.decompress(name,compress,function(){
-              if(_this.interrupted){
-                _this.interrupt_cb()
-                return
-              }
-              if(compare_hash){
-                _this.board_ready(function(){
-                  _this.compare_hash(name,file_path,contents,function(match,err){
-                    _this.resetSyncRoot(function(){
-                      _this.board_ready(function(){
-                        if(match){
-                          cb(null)
-                        }else if(err){
-                          _this.logger.warning("Error during file hash check: "+err.message)
-                          retry(new Error("Filecheck failed: "+err.message))
-                        }else{
-                          _this.logger.warning("File hash check didn't match, trying again")
-                          retry(new Error("Filecheck failed"))
-                        }
-                      })
-                    })
-                  })
-                })
-              }else{
+    var finish = function(err,close_err){
+      if((err || close_err) && retries < _this.RETRIES){
+        retry(err)
+
+      }else if(!err && !close_err){
+        if(compress){
+          try{
+            fs.unlinkSync(compressed_path)
+          }catch(e){
+            _this.logger.info("Removing compressed file failed, likely because it never existed. Otherwise, it'll be removed with the py_compiles folder after upload")
+          }
+        }
+
+        _this.decompress(name,compress,function(err){
+          if(_this.interrupted){
+            _this.interrupt_cb()
+            return
+          }
+          if(err){
+            // the compressed file is on the board now, writing it again replaces it
+            _this.board_ready(function(){
+              retry(new Error("Decompressing failed: "+err.message))
+            })
+          }else if(compare_hash){
+            _this.board_ready(function(){
+              _this.compare_hash(name,file_path,contents,function(match,err){
                 _this.board_ready(function(){
-                  cb(null)
+                  if(match){
+                    cb(null)
+                  }else if(err){
+                    _this.logger.warning("Error during file hash check: "+err.message)
+                    retry(new Error("Filecheck failed: "+err.message))
+                  }else{
+                    _this.logger.warning("File hash check didn't match, trying again")
+                    retry(new Error("Filecheck failed"))
+                  }
                 })
-              }
+              })
             })
-          }else if(err){
-            cb(err)
           }else{
-            cb(close_err)
+            _this.board_ready(function(){
+              cb(null)
+            })
           }
         })
+      }else{
+        cb(err || close_err)
+      }
     }
 
     var start = function(){
       // contents = utf8.encode(contents)
-      _this.setSyncRoot(function(){
-
-        var get_file_command =
-          "import ubinascii\r\n"+
-          "f = open('"+name+"', 'wb')\r\n"
+      if(_this.pyboard.canTransferFiles(name)){
+        // the connection sends the file as it is, no need for base64 chunks
+        _this.pyboard.putFile(name,contents).then(function(){
+          finish(null)
+        },finish)
+        return
+      }
 
-        _this.pyboard.exec_raw_no_reset(get_file_command,function(){
-          _this.utils.doRecursively([contents,0],worker,end)
-        })
-      })
+      // executed on its own, raw-paste mode only starts on an empty raw repl line
+      _this.execute(BoardCommands.openForWrite(name)).then(function(){
+        _this.utils.doRecursively([contents,0],worker,end)
+      },end)
     }
 
     if(compress){
@@ -258,74 +287,52 @@ module.exports = class Shell {
     _this.working = true
 
     var cb = function(err,content_buffer,content_str){
-      _this.resetSyncRoot(function(){
-        setTimeout(function(){
-          _this.working = false
-          callback(err,content_buffer,content_str)
-        },100)
+      setTimeout(function(){
+        _this.working = false
+        callback(err,content_buffer,content_str)
+      },100)
+    }
+    if(this.pyboard.canTransferFiles(name)){
+      this.pyboard.getFile(name).then(function(contents){
+        cb(null,[contents],contents.toString())
+      },function(err){
+        _this.logger.silly("Error reading file contents: "+err.message)
+        cb(err,null,null)
       })
+      return
     }
-    this.setSyncRoot(function(){
     // avoid leaking file handles 
-      var command
-      command = "import ubinascii,sys" + "\r\n" + 
-              "with open('"+name+"', 'rb') as f:" + "\r\n" + 
-              "  while True:" + "\r\n" + 
-              "    c = ubinascii.b2a_base64(f.read("+_this.BIN_CHUNK_SIZE+"))" + "\r\n" + 
-              "    sys.stdout.write(c)" + "\r\n" + 
-              "    if not len(c) or c == b'\\n':" + "\r\n" + 
-              "        break\r\n"
-    
-              _this.pyboard.exec_raw(command,function(err,content){
-
-        // Workaround for the "OK" return of soft reset, which is sometimes returned with the content
-        if(content.indexOf("OK") == 0){
-          content = content.slice(2,content.length)
-        }
-        // Did an error occur 
-        if (content.includes("Traceback (")) {
-          // some type of error
-          _this.logger.silly("Traceback error reading file contents: "+ content)
-          // pass the error back
-          cb(content,null ,null)
-          return
-        }
-
-        var decode_result = _this.utils.base64decode(content)
-        var content_buffer = decode_result[1]
-        var content_str = decode_result[0].toString()
-
-        if(err){
-          _this.logger.silly("Error after executing read")
-          _this.logger.silly(err)
-        }
-        cb(err,content_buffer,content_str)
-      },60000)
+    var command = BoardCommands.readFile(name,this.BIN_CHUNK_SIZE)
+
+    this.execute(command,60000).then(function(stdout){
+      // every chunk is encoded (and padded) separately, on its own line
+      var content_buffer = stdout.split('\n').filter(function(line){
+        return line.trim() != ""
+      }).map(function(line){
+        return Buffer.from(line,'base64')
+      })
+      var content_str = Buffer.concat(content_buffer).toString()
+      cb(null,content_buffer,content_str)
+    },function(err){
+      _this.logger.silly("Error reading file contents: "+err.message)
+      cb(err,null,null)
     })
   }
-  // list files on MCU 
+  // all files on the board, as paths relative to its root folder or the sync folder
   list_files(cb){
     var _this = this
-    this.setSyncRoot(function(){
-      var file_list = ['']
-
-      var end = function(err,file_list_2){
-        // return no error, and the retrieved file_list
-        _this.resetSyncRoot(function(){
-          cb(undefined,file_list)
-        })
-      }
+    var end = function(err,file_list){
+      cb(err || undefined,err ? [] : file_list)
+    }
 
-      var worker = function(params,callback){
-        if(_this.interrupted){
-          _this.interrupt_cb()
-          return
-        }
-        _this.workers.list_files(params,callback)
+    var worker = function(params,callback){
+      if(_this.interrupted){
+        _this.interrupt_cb()
+        return
       }
-      // need to determine what the root folder of the board is
-      _this.utils.doRecursively([_this.mcu_root_folder,[''],file_list], worker ,end)
-    })
+      _this.workers.list_files(params,callback)
+    }
+    this.utils.doRecursively([this.sync_folder || this.mcu_root_folder,[''],[]],worker,end)
   }
 
 
@@ -339,81 +346,104 @@ module.exports = class Shell {
 
 
   removeFile(name,cb){
-    var _this = this
-    var command =
-        "import os\r\n" +
-        "os.remove('"+name+"')\r\n"
-    this.setSyncRoot(function(){
-      _this.eval(command,function(err,content){
-        _this.resetSyncRoot(function(){
-          cb(err,content)
-        })
-      })
-    })
+    this.eval(BoardCommands.removeFile(name),cb)
   }
 
   createDir(name,cb){
-    var _this = this
-    var command =
-        "import os\r\n" +
-        "os.mkdir('"+name+"')\r\n"
-    this.setSyncRoot(function(){
-      _this.eval(command,function(err,content){
-        _this.resetSyncRoot(function(){
-          cb(err,content)
-        })
-      })
-    })
+    this.eval(BoardCommands.createDir(name),cb)
   }
 
   removeDir(name,cb){
+    this.eval(BoardCommands.removeDir(name),cb)
+  }
+
+  // removes a file, or a folder with everything in it. removeDir only removes empty folders
+  removeTree(name,cb){
+    this.eval(BoardCommands.removeTree(name),cb,40000)
+  }
+
+  // renames or moves a file or folder, to is its new path
+  rename(from,to,cb){
+    this.eval(BoardCommands.rename(from,to),cb)
+  }
+
+  // {type: 'file' or 'dir', size, mtime} of a file or folder, mtime in milliseconds
+  stat(name,cb){
+    this.execute(BoardCommands.stat(name)).then(function(stdout){
+      var parts = stdout.trim().split(' ')
+      cb(null,toEntry({mode: parseInt(parts[0],10), size: parseInt(parts[1],10), mtime: parseInt(parts[2],10)}))
+    },function(err){
+      cb(err,null)
+    })
+  }
+
+  // what's in a folder as [{name, type, size, mtime}], like stat
+  readDir(folder,cb){
     var _this = this
-    var command =
-        "import os\r\n" +
-        "os.rmdir('"+name+"')\r\n"
-    this.setSyncRoot(function(){
-      _this.eval(command,function(err,content){
-        _this.resetSyncRoot(function(){
-          cb(err,content)
-        })
-      })
+    this.execute(BoardCommands.entries(folder),40000).then(function(stdout){
+      var entries
+      try{
+        entries = JSON.parse(stdout.trim()).map(toEntry)
+      }catch(e){
+        _this.logger.error("Invalid folder listing: "+stdout)
+        entries = null
+      }
+      cb(entries ? null : new Error("Failed to list "+folder),entries)
+    },function(err){
+      cb(err,null)
     })
   }
 
+  // resets the board the way its BoardPreset says
   reset(cb){
+    if(this.pyboard.preset.reset == 'soft'){
+      this.soft_reset(cb)
+      return
+    }
     var _this = this
     var command =
         "import machine\r\n" +
         "machine.reset()\r\n"
     
-    this.pyboard.exec_raw_no_reset(command,function(err){
-      // don't wait for soft reset to be done, because device will be resetting
-      _this.pyboard.soft_reset_no_follow(cb)
-    })
+    this.pyboard.enqueue(function(done){
+      _this.pyboard.exec_raw_no_reset(command,function(err){
+        // don't wait for soft reset to be done, because device will be resetting
+        _this.pyboard.soft_reset_no_follow(function(err){
+          // the board starts in the friendly repl again
+          _this.pyboard.setStatus(ConnectionState.STATES.FRIENDLY_REPL)
+          done(err)
+        })
+      })
+    },{name: 'reset'}).then(function(){
+      cb()
+    },cb)
   }
 
-  safeboot_restart(cb){
+  // restarts the board without losing the connection (on boards with native usb), running boot.py and main.py
+  soft_reset(cb){
     var _this = this
-    this.pyboard.safe_boot(function(){
-      _this.pyboard.enter_raw_repl_no_reset(cb)
-    },4000)
-
+    this.pyboard.enqueue(function(done){
+      _this.pyboard.enter_friendly_repl(function(err){
+        if(err){
+          done(err)
+          return
+        }
+        _this.pyboard.soft_reset_no_follow(done)
+      })
+    },{name: 'soft reset'}).then(function(){
+      cb()
+    },cb)
   }
 
-  get_version(cb){
+  safeboot_restart(cb){
     var _this = this
-    var command = "import os; os.uname().release\r\n"
-
-    this.eval(command,function(err,content){
-      var version = content.replace(command,'').replace(/>>>/g,'').replace(/'/g,"").replace(/\r\n/g,"").trim()
-      var version_int = _this.utils.calculate_int_version(version)
-      if(version_int == 0 || isNaN(version_int)){
-        err = new Error("Error retrieving version number")
-      }else{
-        err = undefined
-      }
-      cb(err,version_int,version)
-    })
+    this.pyboard.enqueue(function(done){
+      _this.pyboard.safe_boot(function(){
+        _this.pyboard.enter_raw_repl_no_reset(done)
+      },4000)
+    },{name: 'safe boot'}).then(function(){
+      cb()
+    },cb)
   }
 
   compare_hash(filename,file_path,content_buffer,cb){
@@ -440,7 +470,7 @@ module.exports = class Shell {
       });
       fd.pipe(hash);
     }else{
-      var local_hash = crypto.createHash('sha256').update(content_buffer.toString()).digest('hex');
+      var local_hash = crypto.createHash('sha256').update(content_buffer).digest('hex');
       compare(local_hash)
     }
   }
@@ -448,75 +478,118 @@ module.exports = class Shell {
   get_hash(filename,cb){
     var _this = this
 
-    var command =
-        "import uhashlib,ubinascii,sys\r\n" +
-        "hash = uhashlib.sha256()\r\n" +
-        "with open('"+filename+"', 'rb') as f:\r\n"+
-        "  while True:\r\n"+
-        "    c = f.read("+this.BIN_CHUNK_SIZE+")\r\n"+
-        "    if not c:\r\n"+
-        "       break\r\n"+
-        "    hash.update(c)\r\n"+
-        "sys.stdout.write(ubinascii.hexlify(hash.digest()))\r\n"
-
-    this.eval(command,function(err,content){
-      content = content.slice(2,-3).replace('>','')
-      if(err){
-        _this.logger.silly("Error after reading hash:")
-        _this.logger.silly(err)
-      }
+    var command = BoardCommands.hash(filename,this.BIN_CHUNK_SIZE)
+
+    this.execute(command,40000).then(function(hash){
       _this.logger.silly("Returned content from hash:")
-      _this.logger.silly(content)
-      cb(err,content)
-    },40000)
+      _this.logger.silly(hash)
+      cb(null,hash)
+    },function(err){
+      _this.logger.silly("Error after reading hash:")
+      _this.logger.silly(err)
+      cb(err,"")
+    })
   }
 
-  resetSyncRoot(cb){
-    cb()
-    // TODO: Activate whenever setSyncRoot is impleneted correctly, to reset to mcu_root after each read/write action
-    // var folder = this.mcu_root_folder
-    // var command = 
-    //   "import os\r\n" +
-    //   "os.chdir('"+folder+"')\r\n"
+  // uploads and downloads go to folder instead of the root folder, a path like /sd or
+  // /flash/lib or one relative to the root folder. Empty for the root folder itself
+  setSyncFolder(folder){
+    folder = Shell.boardFolder(folder,this.mcu_root_folder)
+    this.sync_folder = folder == this.mcu_root_folder ? null : folder
+  }
 
-    // this.eval(command,cb)
+  // back to the root folder, when the shell closes
+  resetSyncRoot(cb){
+    if(!this.in_sync_folder){
+      cb()
+      return
+    }
+    this.in_sync_folder = false
+    this.eval(BoardCommands.chdir(this.mcu_root_folder),function(){
+      cb()
+    })
   }
 
+  // makes the sync folder the current folder for the rest of the session, so the names
+  // the actions get are relative to that folder. Sync calls it once after starting the
+  // shell. Creates the folder and mounts the SD card when needed
   setSyncRoot(cb){
-    cb()
-    // TODO: create a setting / switch / button in UI for 'upload to /sd' or other base folder
-    // var folder = this.settings.upload_base_folder
-    // var command = 
-    //   "import os\r\n" +
-    //   "os.chdir('"+folder+"')\r\n"
-      
-    // this.eval(command,cb)
+    var _this = this
+    if(!this.sync_folder || this.in_sync_folder){
+      cb(null)
+      return
+    }
+    this.eval(BoardCommands.enterFolder(this.sync_folder),function(err){
+      _this.in_sync_folder = !err
+      cb(err ? new Error("Can't use "+_this.sync_folder+" on the board: "+err.message) : null)
+    })
   }
 
-  // evaluates command through REPL and returns the resulting feedback
-  eval(c,cb,timeout){
-    var _this = this
-    var command =
-        c+"\r\n"
+  // the absolute path of folder on the board, relative folders are in root
+  static boardFolder(folder,root){
+    folder = (folder || '').trim()
+    if(folder.startsWith('/')){
+      return folder.replace(/\/+$/,'') || '/'
+    }
+    folder = folder.replace(/\/+$/,'')
+    if(!folder){
+      return root
+    }
+    return root.replace(/\/+$/,'')+'/'+folder
+  }
 
-    this.pyboard.exec_raw(command,function(err,content){
-      if(!err){
-        err = _this.utils.parse_error(content)
-      }
+  // Executes command in the raw REPL. Resolves with its stdout, rejects with a
+  // PyboardError when it raised an exception on the board
+  execute(command,timeout){
+    var _this = this
+    return this.pyboard.execute(command+"\r\n",timeout).then(function(result){
+      var err = result.error()
       if(err){
-        _this.logger.error(err.message)
+        // not always a failure (ENOENT when checking whether a file exists), the caller decides
+        _this.logger.verbose("Board raised "+err.message)
+        throw err
       }
-      setTimeout(function(){
-          cb(err,content)
-      },100)
+      return result.stdout
+    })
+  }
 
-    },timeout)
+  // evaluates command through REPL and returns the resulting feedback
+  // calls cb(err,stdout) when given, and returns a promise for the stdout that only
+  // rejects without cb, the error went to cb already
+  eval(c,cb,timeout){
+    return this.execute(c,timeout).then(function(stdout){
+      return new Promise(function(resolve){
+        setTimeout(function(){
+          if(cb) cb(null,stdout)
+          resolve(stdout)
+        },100)
+      })
+    },function(err){
+      return new Promise(function(resolve,reject){
+        setTimeout(function(){
+          if(cb){
+            cb(err,"")
+            resolve("")
+          }else{
+            reject(err)
+          }
+        },100)
+      })
+    })
   }
 
   exit(cb){
     var _this = this
     this.stop_working(function(){
-      _this.__clean_close(cb)
+      _this.__clean_close(cb,true)
+    })
+  }
+
+  // back to the friendly repl without the reboot_after_upload reset, for the Board Files view
+  exit_no_reset(cb){
+    var _this = this
+    this.stop_working(function(){
+      _this.__clean_close(cb,false)
     })
   }
 
@@ -546,13 +619,22 @@ module.exports = class Shell {
     }
   }
 
-  __clean_close(cb){
+  // after a sync the board reboots when the settings say so, and connections that don't
+  // survive that are closed
+  __clean_close(cb,after_sync){
     var _this = this
     _this.logger.info("Closing shell cleanly")
+    if(this.in_sync_folder){
+      // the repl continues in the root folder
+      this.resetSyncRoot(function(){
+        _this.__clean_close(cb,after_sync)
+      })
+      return
+    }
 
     var finish = function(err){
       _this.logger.info("Closed successfully")
-      if(_this.pyboard.connection.type != 'serial'){
+      if(after_sync && !_this.pyboard.keepsConnectionOnReset()){
         _this.pyboard.disconnect_silent()
       }
       if(cb){
@@ -563,14 +645,32 @@ module.exports = class Shell {
       }
     }
 
-    if(this.settings.reboot_after_upload){
+    if(after_sync && this.settings.reboot_after_upload){
       _this.logger.info("Rebooting after upload")
       this.reset(finish)
     }else{
-      this.pyboard.enter_friendly_repl(function(err){
-        _this.pyboard.send("\r\n")
-        finish(err)
-      })
+      this.pyboard.enqueue(function(done){
+        _this.pyboard.enter_friendly_repl(function(err){
+          _this.pyboard.send("\r\n")
+          done(err)
+        })
+      },{name: 'enter friendly repl'}).then(function(){
+        finish()
+      },finish)
     }
   }
 }
+
+// MicroPython ports count time from 1970 or from 2000. A time before 2000 can't come from
+// a clock that counts from 1970 (the board wasn't around yet), so it counts from 2000
+var EPOCH_2000 = 946684800
+
+// a file or folder from os.stat numbers
+function toEntry(stat){
+  var mtime = stat.mtime < EPOCH_2000 ? stat.mtime + EPOCH_2000 : stat.mtime
+  var entry = {type: (stat.mode & 0x4000) ? 'dir' : 'file', size: stat.size, mtime: mtime*1000}
+  if(stat.name !== undefined){
+    entry = Object.assign({name: stat.name},entry)
+  }
+  return entry
+}
@@ -3,6 +3,7 @@ const Config = require('../config.js')
 const Logger = require ('../helpers/logger.js')
 const ApiWrapper = require ('../main/api-wrapper.js');
 const ProjectStatus = require ('./project-status.js');
+const ConnectionState = require ('./connection-state.js');
 const Utils = require ('../helpers/utils.js');
 var fs = require('fs');
 
@@ -22,6 +23,8 @@ module.exports = class Sync {
     this.number_of_changed_files = 0
     this.method_action = "Downloading"
     this.method_name = "Download"
+    this.board_folder = '' // see __choose_folder
+    this.synced_folder = null // absolute folder on the board the files went to or came from
 
     this.utils = new Utils(settings)
     this.config = Config.constants()
@@ -133,9 +136,11 @@ module.exports = class Sync {
 
   check_file_size(cb){
     var _this = this
-    this.shell.getFreeMemory(function(size){
-      if(_this.method == 'send' && size*1000 < _this.total_file_size){
-        var mssg = "Not enough space left on device ("+size+"kb) to fit "+_this.total_number_of_files.toString()+" files of ("+parseInt(_this.total_file_size/1000).toString()+"kb)"
+    this.shell.getFreeMemory(function(err,size){
+      if(err){
+        cb(size,err)
+      }else if(_this.method == 'send' && size < _this.total_file_size){
+        var mssg = "Not enough space left on device ("+parseInt(size/1000)+"kb) to fit "+_this.total_number_of_files.toString()+" files of ("+parseInt(_this.total_file_size/1000).toString()+"kb)"
         cb(size,Error(mssg))
       }else{
         cb(size,null)
@@ -143,18 +148,66 @@ module.exports = class Sync {
     })
   }
 
+  // oncomplete gets {cancelled: true} when no board folder was picked, nothing was synced then
   start(oncomplete,files){
     var _this = this
     this.settings.refresh(function(){
-      _this.__start_sync(oncomplete,'send',files)
+      _this.__choose_folder('upload to',function(folder){
+        if(folder === null){
+          oncomplete({cancelled: true})
+          return
+        }
+        _this.board_folder = folder
+        _this.__start_sync(oncomplete,'send',files)
+      })
     })
   }
 
   start_receive(oncomplete){
     var _this = this
     this.settings.refresh(function(){
-      _this.__start_sync(oncomplete,'receive')
+      _this.__choose_folder('download from',function(folder){
+        if(folder === null){
+          oncomplete({cancelled: true})
+          return
+        }
+        _this.board_folder = folder
+        _this.__start_sync(oncomplete,'receive')
+      })
+    })
+  }
+
+  // the folder on the board to sync with, from the board_sync_folder setting or picked by
+  // the user when board_sync_folder_prompt is on. cb gets null when nothing was picked
+  __choose_folder(action,cb){
+    var _this = this
+    var folder = this.settings.board_sync_folder || ''
+    if(!this.settings.board_sync_folder_prompt){
+      cb(folder)
+      return
+    }
+    var root = this.__board_root()
+    var options = {}
+    var folders = [Shell.boardFolder(folder,root),root,Shell.boardFolder('lib',root),'/sd']
+    folders.forEach(function(f){
+      options[f] = function(){
+        cb(f)
+      }
     })
+    options['Other folder...'] = function(){
+      _this.api.prompt("Folder on the board to "+action+", like /sd/app or lib (in "+root+")",folder,function(other){
+        cb(other === undefined ? null : other)
+      })
+    }
+    options['Cancel'] = function(){
+      cb(null)
+    }
+    this.api.confirm("Board folder","Folder on the board to "+action,options)
+  }
+
+  // the root folder of the board, before the shell knows it for sure
+  __board_root(){
+    return this.pyboard.info ? this.pyboard.info.root_folder : this.pyboard.preset.root_folder
   }
 
   __start_sync(oncomplete,method,files){
@@ -188,9 +241,8 @@ module.exports = class Sync {
     if(files){
       // TODO: make compatible with future usecase where files contains more than one file
       var filename = files.split('/').pop()
-      this.terminal.write(this.method_action+" current file ("+filename+")...\r\n")
-      // TODO: Add notification about the upload target folder when this feature is implemented
-      // this.terminal.write(this.method_action+" current file ("+filename+") "+direction+" "+this.shell.mcu_root_folder+"...\r\n")
+      var target = Shell.boardFolder(this.board_folder,this.__board_root())
+      this.terminal.write(this.method_action+" current file ("+filename+") to "+target+"...\r\n")
     }else{
       this.terminal.write(this.method_action+" project ("+this.folder_name+")...\r\n")
     }
@@ -208,12 +260,16 @@ module.exports = class Sync {
       _this.logger.silly("Start shell")
       _this.start_shell(function(err){
         _this.in_raw_mode = true
+        if(!err){
+          _this.pyboard.setStatus(ConnectionState.STATES.SYNCING)
+        }
+        _this.shell.setSyncFolder(_this.board_folder)
 
         var direction = "to"
         if(_this.method_action.toLowerCase() == "downloading"){
           direction = "from"
         }
-        _this.terminal.write(_this.method_action+" "+direction+" "+_this.shell.mcu_root_folder+"...\r\n")
+        _this.terminal.write(_this.method_action+" "+direction+" "+(_this.shell.sync_folder || _this.shell.mcu_root_folder)+"...\r\n")
         
         _this.project_status = new ProjectStatus(_this.shell,_this.settings,_this.py_folder)
         _this.logger.silly("Entered raw mode")
@@ -228,11 +284,19 @@ module.exports = class Sync {
           _this.exit()
 
         }else{
-          if(_this.method=='receive'){
-            _this.__receive(cb,err)
-          }else{
-            _this.__send(cb,err,files)
-          }
+          // stop here when the folder can't be used, like /sd without an SD card
+          _this.shell.setSyncRoot(function(err){
+            if(err){
+              _this.throwError(cb,err)
+              return
+            }
+            _this.synced_folder = _this.shell.sync_folder || _this.shell.mcu_root_folder
+            if(_this.method=='receive'){
+              _this.__receive(cb,err)
+            }else{
+              _this.__send(cb,err,files)
+            }
+          })
         }
       })
     })
@@ -352,7 +416,11 @@ module.exports = class Sync {
 
   __safe_boot(cb){
     var _this = this
-    _this.pyboard.stop_running_programs_double(function(){
+    _this.pyboard.enqueue(function(done){
+      _this.pyboard.stop_running_programs_double(function(){
+        done()
+      },500)
+    },{name: 'stop running programs'}).then(function(){
 
       if(!_this.settings.safe_boot_on_upload){
         _this.progress("Not safe booting, disabled in settings")
@@ -360,15 +428,25 @@ module.exports = class Sync {
         return false
       }
 
-      if(!_this.pyboard.isSerial){
+      if(!_this.pyboard.keepsConnectionOnReset()){
+        cb()
+        return false
+      }
+
+      if(!_this.pyboard.preset.canSafeBoot(_this.pyboard.info)){
+        _this.progress("Not safe booting, not supported by this board")
         cb()
         return false
       }
 
       _this.logger.info("Safe booting...")
       _this.progress("Safe booting device... (see settings for more info)")
-      _this.pyboard.safe_boot(cb,4000)
-    },500)
+      _this.pyboard.enqueue(function(done){
+        _this.pyboard.safe_boot(done,4000)
+      },{name: 'safe boot'}).then(function(){
+        cb()
+      },cb)
+    },cb)
   }
 
   receive_files(i,list,cb){
@@ -574,7 +652,9 @@ module.exports = class Sync {
 
     var _this = this
     this.exit(function(){
-      _this.pyboard.enter_friendly_repl_non_blocking(function(){
+      _this.pyboard.enqueue(function(done){
+        _this.pyboard.enter_friendly_repl_non_blocking(done)
+      },{name: 'enter friendly repl'}).catch(function(){
         // do nothing, this might work or not based on what went wrong when synchronizing.
       })
     })
@@ -614,42 +694,36 @@ module.exports = class Sync {
       var file = files[0]
       var filename = file[0]
       var type = file[1]
-      if(type == "d"){
-        _this.progress("Removing dir "+filename)
-        _this.shell.removeDir(filename,function(err){
-
-          if(err){
-            _this.progress("Failed to remove dir "+filename)
-          }
-          _this.project_status.update(filename)
-
-          if(!_this.isrunning){
-            _this.stoppedByUser(cb)
-            return
-          }
+      var what = type == "d" ? "dir" : "file"
 
-          files.splice(0,1)
-          _this.removeFilesRecursive(files,cb,depth+1)
-        })
-      }else{
-        _this.progress("Removing file "+filename)
-        _this.shell.removeFile(filename,function(err){
+      var next = function(){
+        _this.project_status.update(filename)
 
+        if(!_this.isrunning){
+          _this.stoppedByUser(cb)
+          return
+        }
 
-          if(err){
-            _this.progress("Failed to remove file "+filename)
-          }
-          _this.project_status.update(filename)
+        files.splice(0,1)
+        _this.removeFilesRecursive(files,cb,depth+1)
+      }
 
-          if(!_this.isrunning){
-            _this.stoppedByUser(cb)
-            return
+      _this.progress("Removing "+what+" "+filename)
+      // a folder goes with everything in it, also files that aren't part of the project
+      var remove = type == "d" ? _this.shell.removeTree : _this.shell.removeFile
+      remove.call(_this.shell,filename,function(err){
+        if(!err){
+          next()
+          return
+        }
+        // it's fine when it was gone already
+        _this.shell.stat(filename,function(stat_err){
+          if(!stat_err){
+            _this.progress("Failed to remove "+what+" "+filename)
           }
-
-          files.splice(0,1)
-          _this.removeFilesRecursive(files,cb,depth+1)
+          next()
         })
-      }
+      })
     }
   }
 
@@ -665,7 +739,7 @@ module.exports = class Sync {
         var filename = file[0]
         var type = file[1]
         var size = file[3] ? Math.round(file[3]/1000) : 0
-        var check_hash = size < _this.config.hash_check_max_size
+        var check_hash = size < _this.config.hash_check_max_size && _this.shell.canHash()
         if(type == "f"){
           try{
             var file_path = _this.py_folder + filename
@@ -674,7 +748,7 @@ module.exports = class Sync {
 
             var message = "Writing file "+filename+" ("+size+"kb)"
             var compress = false
-            if(_this.settings.fast_upload && size >= _this.compression_limit){
+            if(_this.settings.fast_upload && size >= _this.compression_limit && _this.shell.canCompress()){
               compress = true
               message += " with compression"
             }
@@ -692,7 +766,11 @@ module.exports = class Sync {
                 var duration = (end_time - start_time)/ 1000
                 _this.logger.info("Completed in "+duration+" seconds")
                 if(!check_hash){
-                  _this.progress("Hashcheck not performed, file is > 500kb")
+                  if(!_this.shell.canHash()){
+                    _this.progress("Hashcheck not performed, not supported by the board")
+                  }else{
+                    _this.progress("Hashcheck not performed, file is > 500kb")
+                  }
                 }
                 if(err){
                   _this.fails += 1
@@ -8,6 +8,9 @@ module.exports = class Config {
       fast_upload_batch_multiplier: 4, // multiplier for upload_batch_size when fast_upload is active
       compressed_files_folder: "py_compressed", // dynamically generated and removed again after upload
       hash_check_max_size: 200, // in kb
+      reconnect_max_delay: 30000, // in ms, the delay between reconnect attempts doubles until this
+      port_watch_interval: 1000, // in ms, how often to look for attached and detached boards
+      port_watch_max_interval: 5000, // in ms, the interval grows to this while no ports change
       error_messages: {
         "EHOSTDOWN": "Host down",
         "EHOSTUNREACH": "Host unreachable",
@@ -28,10 +31,12 @@ module.exports = class Config {
             +  "- Get WiFi SSID        : Gets the SSID of the boards wifi accesspoint\r\n"
             +  "\r\n"
             +  "Settings (name : default : description):\r\n"
-            +  "- address                 : 192.168.4.1         : IP address or comport for your device\r\n"
+            +  "- address                 : 192.168.4.1         : IP address or comport for your device, or telnet://, tcp://, ws:// or rfc2217:// with host and port, fake://name, exec:command or replay:file\r\n"
             +  "- username                : micro               : Boards username, only for telnet\r\n"
-            +  "- password                : python              : Boards password, only for telnet\r\n"
+            +  "- password                : python              : Boards password, for telnet and the WebREPL\r\n"
             +  "- sync_folder             : <empty>             : Folder to synchronize. Empty to sync projects main folder\r\n"
+            +  "- board_sync_folder       : <empty>             : Folder on the board to upload to and download from, like /sd or lib. Empty for the root folder of the board\r\n"
+            +  "- board_sync_folder_prompt: false               : Asks for the folder on the board before every upload or download\r\n"
             +  "- sync_file_types         : py,txt,log,json,xml : Type of files to be synchronized\r\n"
             +  "- ctrl_c_on_connect       : false               : If true, executes a ctrl-c on connect to stop running programs\r\n"
             +  "- open_on_start           : true                : Weather to open the terminal and connect to the board when starting vsc\r\n"
@@ -39,6 +44,21 @@ module.exports = class Config {
             +  "- reboot_after_upload     : true                : Reboots the board after each upload.\r\n"
             +  "- fast_upload             : false               : Experimental feature. Uses bigger batches and compresses larger (>4kb) files to make uploading faster. Only works on newer devices with 4mb of ram and firmware version >=1.20.0.\r\n"
             +  "- auto_connect            : true                : *Global settings only* If enabled, connects to USB automatically. Disable to use the 'address' field for connecting over WiFi\r\n"
+            +  "- autoconnect_rules       : []                  : Boards to autoconnect to by vid, pid and serial_number (with * and ? wildcards), first rule wins. Empty to use the comport manufacturers\r\n"
+            +  "- exec_folder             : <empty>             : Working folder of the process for exec: addresses, the root folder of that board\r\n"
+            +  "- transcript_file         : <empty>             : File to record what goes over the connection to, for bug reports. Replay it with the address replay:<file>\r\n"
+            +  "- devices                 : []                  : More boards to connect to at the same time, like [{\"name\": \"sensor\", \"address\": \"COM4\"}]\r\n"
+            +  "- board_preset            : auto                : Type of board (auto, pycom, esp32, rp2040, pyboard, generic). Decides the root folder, safe boot and reset method\r\n"
+            +  "- auto_reconnect          : true                : Connects again when the connection to the board gets lost\r\n"
+            +  "- reconnect_attempts      : 5                   : Number of times to try reconnecting before giving up\r\n"
+            +  "- reconnect_delay         : 1000                : Milliseconds before the first reconnect attempt, doubles after every attempt\r\n"
+            +  "- serial_baud_rate        : 115200              : Baud rate of the serial connection\r\n"
+            +  "- serial_data_bits        : 8                   : Data bits of the serial connection (5, 6, 7 or 8)\r\n"
+            +  "- serial_parity           : none                : Parity of the serial connection (none, even, odd, mark or space)\r\n"
+            +  "- serial_stop_bits        : 1                   : Stop bits of the serial connection (1, 1.5 or 2)\r\n"
+            +  "- serial_flow_control     : none                : Flow control of the serial connection (none, rtscts or xonxoff)\r\n"
+            +  "- serial_dtr              : auto                : DTR line after opening the port (auto, high or low)\r\n"
+            +  "- serial_rts              : auto                : RTS line after opening the port (auto, high or low)\r\n"
             +  "Any of these can be used inside the Project config to override the global config\r\n"
             +  "\r\n"
             +  "For more information, check github.com/pycom/pymakr-atom or docs.pycom.io\r\n"
@@ -64,7 +84,7 @@ module.exports = class Config {
             type: 'string',
             default: '192.168.4.1',
             title: 'Device address',
-            description: 'Either connect through USB serial using a comport, or an IP address for a telnet connection. Username and password are not needed for serial connections.',
+            description: 'Either connect through USB serial using a comport, an IP address for a telnet connection. A scheme picks the connection and port: telnet://host:port, tcp://host:port for a plain socket without telnet negotiation (like ser2net or qemu), ws://host:8266 for the WebREPL of MicroPython boards, rfc2217://host:port for a serial port on an RFC 2217 server, fake://name for a board emulated by the extension, exec:command for a process whose stdio is the REPL, like exec:/usr/local/bin/micropython, or replay:file to play back a transcript (see Transcript file). Username and password are not needed for serial connections, the WebREPL only uses the password.',
             order: 1
         },
         auto_connect: {
@@ -93,6 +113,20 @@ module.exports = class Config {
             description: 'This folder will be uploaded to the pyboard when using the sync button. Leave empty to sync the complete project. (only allows folders within the project). Use a path relative to the project you opened in atom, without leading or trailing slash',
             order: 5
         },
+        board_sync_folder: {
+            type: 'string',
+            default: "",
+            title: 'Board sync folder',
+            description: 'Folder on the board that uploads go to and downloads come from, like /sd, /flash/lib or lib (relative to the root folder of the board). The folder is created when needed and the SD card is mounted when the folder is on /sd. The project status file is kept in this folder too. Leave empty for the root folder of the board',
+            order: 29
+        },
+        board_sync_folder_prompt: {
+            type: 'boolean',
+            default: false,
+            title: 'Ask for the board sync folder',
+            description: 'Asks for the folder on the board before every upload or download, with the board sync folder as the first choice',
+            order: 30
+        },
         sync_all_file_types: {
             type: 'boolean',
             default: false,
@@ -162,6 +196,124 @@ module.exports = class Config {
             default: ['Pycom','Pycom Ltd.','FTDI','Microsoft','Microchip Technology, Inc.', '1a86'],
             order: 13
         },
+        autoconnect_rules: {
+            title: 'Autoconnect rules',
+            description: 'Which boards autoconnect picks, like [{"vid": "04d8", "pid": "ef98"}, {"serial_number": "5CCF7F*"}]. A rule matches vid, pid, serial_number, manufacturer and path with * and ? wildcards, earlier rules win. Set it in the project settings with a serial_number to pin the project to one board. When empty the comport manufacturers are used',
+            type: 'array',
+            items: {
+              type: 'object'
+            },
+            default: [],
+            order: 25
+        },
+        exec_folder: {
+            type: 'string',
+            default: '',
+            title: 'Exec folder',
+            description: 'Working folder of the process for exec: addresses (like exec:/usr/local/bin/micropython), which is the root folder of that board. Empty for a pymakr-exec folder in the temp folder',
+            order: 26
+        },
+        transcript_file: {
+            type: 'string',
+            default: '',
+            title: 'Transcript file',
+            description: 'Records everything sent to and received from the board to this file (relative to the project), to attach to bug reports. Play it back with the address replay:<file>. Empty to not record',
+            order: 27
+        },
+        devices: {
+            type: 'array',
+            items: {
+              type: 'object'
+            },
+            default: [],
+            title: 'Devices',
+            description: 'More boards to connect to at the same time, each with its own terminal and status bar entry, like [{"name": "sensor", "address": "COM4"}]. Commands go to the active device, pick it with Select device',
+            order: 28
+        },
+        board_preset: {
+            type: 'string',
+            default: 'auto',
+            title: 'Board preset',
+            description: 'The type of board: auto, pycom, esp32, rp2040, pyboard or generic. Decides the root folder, how to safe boot and reset the board, and which extra commands are available. With \'auto\' the preset is picked by the USB vendor id and by asking the board',
+            enum: ['auto','pycom','esp32','rp2040','pyboard','generic'],
+            order: 17
+        },
+        auto_reconnect: {
+            type: 'boolean',
+            default: true,
+            title: 'Reconnect automatically',
+            description: 'Connects again when the connection to the board gets lost, for example on flaky WiFi or when the board browns out',
+            order: 14
+        },
+        reconnect_attempts: {
+            type: 'integer',
+            default: 5,
+            title: 'Reconnect attempts',
+            description: 'Number of times to try reconnecting before giving up',
+            order: 15
+        },
+        reconnect_delay: {
+            type: 'integer',
+            default: 1000,
+            title: 'Reconnect delay',
+            description: 'Milliseconds to wait before the first reconnect attempt. The delay doubles after every failed attempt, up to 30 seconds',
+            order: 16
+        },
+        serial_baud_rate: {
+            type: 'integer',
+            default: 115200,
+            title: 'Serial baud rate',
+            description: 'Baud rate of the serial connection. Only change this for boards with firmware that uses a different rate',
+            order: 18
+        },
+        serial_data_bits: {
+            type: 'integer',
+            default: 8,
+            title: 'Serial data bits',
+            description: 'Number of data bits of the serial connection',
+            enum: [5,6,7,8],
+            order: 19
+        },
+        serial_parity: {
+            type: 'string',
+            default: 'none',
+            title: 'Serial parity',
+            description: 'Parity of the serial connection',
+            enum: ['none','even','odd','mark','space'],
+            order: 20
+        },
+        serial_stop_bits: {
+            type: 'number',
+            default: 1,
+            title: 'Serial stop bits',
+            description: 'Number of stop bits of the serial connection',
+            enum: [1,1.5,2],
+            order: 21
+        },
+        serial_flow_control: {
+            type: 'string',
+            default: 'none',
+            title: 'Serial flow control',
+            description: 'Flow control of the serial connection: none, rtscts for hardware flow control or xonxoff for software flow control',
+            enum: ['none','rtscts','xonxoff'],
+            order: 22
+        },
+        serial_dtr: {
+            type: 'string',
+            default: 'auto',
+            title: 'Serial DTR',
+            description: 'State of the DTR line after opening the serial port. With \'auto\' it is set high on macOS and left alone elsewhere. Some boards reset or enter their bootloader depending on DTR and RTS',
+            enum: ['auto','high','low'],
+            order: 23
+        },
+        serial_rts: {
+            type: 'string',
+            default: 'auto',
+            title: 'Serial RTS',
+            description: 'State of the RTS line after opening the serial port. With \'auto\' it is set high on Windows, so the board doesn\'t wait in its bootloader, and left alone elsewhere',
+            enum: ['auto','high','low'],
+            order: 24
+        },
     }
   }
 }
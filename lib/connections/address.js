@@ -0,0 +1,112 @@
+// Where to connect to, parsed from the address setting. An address with a scheme
+// picks the connection and port:
+//   telnet://host[:port]     Pycom telnet server (PyTelnet), port 23 by default
+//   tcp://host:port          plain socket without telnet negotiation (PySocket), like ser2net or qemu
+//   ws://host[:port][/path]  MicroPython WebREPL (PyWebRepl), port 8266 by default
+//   rfc2217://host:port      serial port on an RFC 2217 server (PyRfc2217)
+//   fake://name              emulated board in this process, for tests (PyFake), without a port
+//   exec:command             a process as the board, its stdio is the REPL (PyExec)
+//   replay:file              plays back a transcript recorded with the transcript_file setting (PyReplay)
+// Addresses without a scheme are a serial port or a telnet host, see Pyboard.connect
+var SCHEMES = {
+  telnet: {type: 'telnet', port: 23},
+  tcp: {type: 'socket', port: null},
+  ws: {type: 'webrepl', port: 8266},
+  rfc2217: {type: 'rfc2217', port: null},
+  fake: {type: 'fake', port: false}
+}
+// schemes without //, followed by a command or a file instead of a host
+var OPAQUE_SCHEMES = {
+  exec: {type: 'exec', missing: 'command', example: 'exec:/usr/local/bin/micropython'},
+  replay: {type: 'replay', missing: 'file', example: 'replay:transcript.jsonl'}
+}
+
+module.exports = class Address {
+
+  constructor(scheme,host,port,path){
+    this.scheme = scheme
+    this.host = host
+    this.port = port
+    this.path = path || ''
+  }
+
+  static schemes(){
+    return Object.keys(SCHEMES)
+  }
+
+  static hasScheme(address){
+    return typeof address == 'string' && (/^[a-z][a-z0-9+.-]*:\/\//i.test(address) || Address.opaqueScheme(address) !== null)
+  }
+
+  // exec: and replay: take a command line or a file instead of a host, null for other addresses
+  static opaqueScheme(address){
+    var match = /^([a-z]+):/i.exec(address)
+    var scheme = match ? match[1].toLowerCase() : null
+    return scheme in OPAQUE_SCHEMES ? scheme : null
+  }
+
+  // throws on unknown schemes and missing or invalid ports
+  static parse(address){
+    if(!Address.hasScheme(address)){
+      return new Address(null,address,null)
+    }
+    var opaque = Address.opaqueScheme(address)
+    if(opaque){
+      var rest = address.slice(opaque.length+1).trim()
+      if(rest == ''){
+        throw new Error("No "+OPAQUE_SCHEMES[opaque].missing+" in address "+address+", like "+OPAQUE_SCHEMES[opaque].example)
+      }
+      return new Address(opaque,rest,null)
+    }
+    var match = /^([a-z][a-z0-9+.-]*):\/\/(\[[^\]]+\]|[^\/:]*)(?::([^\/]*))?(\/.*)?$/i.exec(address)
+    var scheme = match ? match[1].toLowerCase() : address.split(':')[0].toLowerCase()
+    if(!(scheme in SCHEMES)){
+      throw new Error("Unknown address scheme '"+scheme+"://', use one of "+Address.schemes().join('://, ')+"://, exec: or replay:")
+    }
+    if(!match || match[2] == ''){
+      throw new Error("No host in address "+address)
+    }
+    var host = match[2].replace(/^\[|\]$/g,'')
+    var port = SCHEMES[scheme].port
+    if(port === false){
+      if(match[3] !== undefined){
+        throw new Error("Unexpected port in address "+address)
+      }
+      port = null
+    }else if(match[3] !== undefined){
+      port = /^\d+$/.test(match[3]) ? parseInt(match[3]) : NaN
+      if(!(port > 0 && port < 65536)){
+        throw new Error("Invalid port in address "+address)
+      }
+    }else if(port === null){
+      throw new Error("Address "+address+" needs a port, like "+scheme+"://"+match[2]+":2000")
+    }
+    if(match[4] && scheme != 'ws'){
+      throw new Error("Unexpected path in address "+address)
+    }
+    return new Address(scheme,host,port,match[4])
+  }
+
+  // the connection type that belongs to the scheme ('telnet', 'socket', 'webrepl', 'rfc2217', 'fake',
+  // 'exec' or 'replay'), null without scheme
+  get type(){
+    if(this.scheme in OPAQUE_SCHEMES){
+      return OPAQUE_SCHEMES[this.scheme].type
+    }
+    return this.scheme ? SCHEMES[this.scheme].type : null
+  }
+
+  toString(){
+    if(!this.scheme){
+      return this.host
+    }
+    if(this.scheme in OPAQUE_SCHEMES){
+      return this.scheme+":"+this.host
+    }
+    var host = this.host.indexOf(':') > -1 ? '['+this.host+']' : this.host
+    if(this.port === null){
+      return this.scheme+"://"+host
+    }
+    return this.scheme+"://"+host+":"+this.port+this.path
+  }
+}
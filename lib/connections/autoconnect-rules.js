@@ -0,0 +1,79 @@
+// Rules from the autoconnect_rules setting, deciding which serial ports autoconnect
+// may pick. A rule is an object with any of these keys, matched against the port
+// (see PySerial.describe) as case insensitive globs, where * is any text and ? any character:
+//   vid, pid, serial_number, manufacturer, path
+// A port matches a rule when all keys of the rule match. Earlier rules win, so with
+//   [{"serial_number": "5CCF7F*"}, {"vid": "04d8"}]
+// a board with that serial number is picked over any other 04d8 board
+var KEYS = ['vid','pid','serial_number','manufacturer','path']
+
+module.exports = class AutoconnectRules {
+
+  constructor(rules){
+    this.rules = (rules || []).filter(function(rule){
+      return rule && typeof rule == 'object'
+    }).map(AutoconnectRules.compile)
+  }
+
+  static keys(){
+    return KEYS.slice()
+  }
+
+  // glob to regular expression, anchored and case insensitive
+  static glob(pattern){
+    var escaped = String(pattern).replace(/[.+^${}()|[\]\\]/g,'\\$&')
+    return new RegExp('^'+escaped.replace(/\*/g,'.*').replace(/\?/g,'.')+'$','i')
+  }
+
+  // a rule as {key: RegExp}, unknown keys are left out
+  static compile(rule){
+    var compiled = {}
+    for(var i=0;i<KEYS.length;i++){
+      var key = KEYS[i]
+      if(rule[key] !== undefined && rule[key] !== null && rule[key] !== ''){
+        compiled[key] = AutoconnectRules.glob(rule[key])
+      }
+    }
+    return compiled
+  }
+
+  get empty(){
+    return this.rules.length == 0
+  }
+
+  // index of the first rule the port matches, -1 if none does
+  match(port){
+    for(var i=0;i<this.rules.length;i++){
+      var rule = this.rules[i]
+      var matches = true
+      for(var key in rule){
+        if(!rule[key].test(port[key] || '')){
+          matches = false
+          break
+        }
+      }
+      if(matches){
+        return i
+      }
+    }
+    return -1
+  }
+
+  // the ports that match a rule, in the order of the rules
+  filter(ports){
+    var _this = this
+    var matched = []
+    ports.forEach(function(port,index){
+      var rule = _this.match(port)
+      if(rule > -1){
+        matched.push({port: port, rule: rule, index: index})
+      }
+    })
+    matched.sort(function(a,b){
+      return a.rule - b.rule || a.index - b.index
+    })
+    return matched.map(function(m){
+      return m.port
+    })
+  }
+}
@@ -0,0 +1,479 @@
+var EventEmitter = require('events')
+var python = require('./python.js')
+var modules = require('./modules.js')
+var FakeFilesystem = require('./filesystem.js')
+
+var CTRL_A = 0x01
+var CTRL_B = 0x02
+var CTRL_C = 0x03
+var CTRL_D = 0x04
+var CTRL_E = 0x05
+var CTRL_F = 0x06
+var BACKSPACE = [0x08,0x7f]
+
+var RAW_BANNER = "raw REPL; CTRL-B to exit\r\n>"
+var PASTE_BANNER = "paste mode; Ctrl-C to cancel, Ctrl-D to finish\r\n=== "
+var HELP = 'Type "help()" for more information.\r\n'
+var RAW_PASTE_WINDOW = 128
+
+// What the fake boards report about themselves, close to the real ones so
+// BoardInfo and BoardPreset recognize them. Boards with /flash start in it
+var PLATFORMS = {
+  pycom: {
+    sysname: 'LoPy4',
+    release: '1.20.2.r4',
+    version: 'v1.11-ffb0e1c on 2021-01-12',
+    machine: 'LoPy4 with ESP32',
+    platform: 'esp32',
+    implementation: [1,11,0],
+    mpy: null,
+    mounts: ['/flash'],
+    modules: ['network','pycom'],
+    raw_paste: false,
+    banner: 'Pycom MicroPython 1.20.2.r4 [v1.11-ffb0e1c] on 2021-01-12; LoPy4 with ESP32'
+  },
+  esp32: {
+    sysname: 'esp32',
+    release: '1.20.0',
+    version: 'v1.20.0 on 2023-04-26',
+    machine: 'ESP32 module with ESP32',
+    platform: 'esp32',
+    implementation: [1,20,0],
+    mpy: 10758,
+    mounts: [],
+    modules: ['network'],
+    raw_paste: true,
+    banner: 'MicroPython v1.20.0 on 2023-04-26; ESP32 module with ESP32'
+  },
+  rp2040: {
+    sysname: 'rp2',
+    release: '1.20.0',
+    version: 'v1.20.0 on 2023-04-26 (GNU 12.2.0 MinSizeRel)',
+    machine: 'Raspberry Pi Pico with RP2040',
+    platform: 'rp2',
+    implementation: [1,20,0],
+    mpy: 4614,
+    mounts: [],
+    modules: [],
+    raw_paste: true,
+    banner: 'MicroPython v1.20.0 on 2023-04-26; Raspberry Pi Pico with RP2040'
+  },
+  pyboard: {
+    sysname: 'pyboard',
+    release: '1.20.0',
+    version: 'v1.20.0 on 2023-04-26',
+    machine: 'PYBv1.1 with STM32F405RG',
+    platform: 'pyboard',
+    implementation: [1,20,0],
+    mpy: 7686,
+    mounts: ['/flash'],
+    modules: [],
+    raw_paste: true,
+    banner: 'MicroPython v1.20.0 on 2023-04-26; PYBv1.1 with STM32F405RG'
+  }
+}
+
+var boards = {}
+
+// An emulated MicroPython board with an in-memory filesystem, for the fake:// connection
+// (PyFake) so uploads, downloads and runs can be tested without hardware. Speaks the
+// friendly REPL with paste mode, the raw REPL with raw-paste mode, ctrl-C, soft reboots
+// (running boot.py and main.py) and safe boot. Code runs in a small Python interpreter
+// (python.js), without threads or interrupts, so a loop that never ends is stopped with
+// a KeyboardInterrupt after a number of steps instead of by ctrl-C.
+//
+// var board = FakeBoard.create('lopy',{platform: 'pycom'})
+// board.fs.writeFile('/flash/main.py','print(1)')
+// board.on('data',function(buffer){}) board.input(buffer)
+//
+// options:
+//   platform     'pycom' (default), 'esp32', 'rp2040' or 'pyboard'
+//   unique_id    hex string for machine.unique_id()
+//   raw_paste    false to leave raw-paste mode out, like older firmware
+//   max_steps    statements to run before interrupting the code
+//   flash_size   size of the filesystem in bytes
+//   ram          bytes gc.mem_free() reports
+class FakeBoard extends EventEmitter {
+
+  constructor(name,options){
+    super()
+    options = options || {}
+    var platform_id = options.platform || 'pycom'
+    if(!PLATFORMS[platform_id]){
+      throw new Error("Unknown fake board platform '"+platform_id+"', use one of "+Object.keys(PLATFORMS).join(', '))
+    }
+    this.name = name
+    this.platform = Object.assign({
+      id: platform_id,
+      nodename: PLATFORMS[platform_id].sysname,
+      unique_id: options.unique_id || '30aea4504e1c',
+      ram: options.ram || 100000,
+      freq: 160000000
+    },PLATFORMS[platform_id])
+    if(options.raw_paste === false){
+      this.platform.raw_paste = false
+    }
+    this.max_steps = options.max_steps
+    this.fs = new FakeFilesystem(this.platform.mounts,options.flash_size)
+    this.pending = ''
+    this.flush_scheduled = false
+    this.boot(false)
+  }
+
+  // the board by name from the registry, created when it doesn't exist yet
+  static get(name,options){
+    if(!boards[name]){
+      boards[name] = new FakeBoard(name,options)
+    }
+    return boards[name]
+  }
+
+  // a new board replacing the one with the same name
+  static create(name,options){
+    FakeBoard.remove(name)
+    boards[name] = new FakeBoard(name,options)
+    return boards[name]
+  }
+
+  static remove(name){
+    if(boards[name]){
+      boards[name].removeAllListeners()
+      delete boards[name]
+    }
+  }
+
+  static platforms(){
+    return Object.keys(PLATFORMS)
+  }
+
+  get root_folder(){
+    return this.platform.mounts.length ? this.platform.mounts[0] : '/'
+  }
+
+  // bytes (or a string) coming in over the connection
+  input(data){
+    data = Buffer.isBuffer(data) ? data : Buffer.from(data,'binary')
+    for(var i=0;i<data.length;i++){
+      this.__byte(data[i])
+    }
+  }
+
+  // what the board writes goes out in one 'data' event per turn of the event loop
+  write(text){
+    var _this = this
+    this.pending += text
+    if(!this.flush_scheduled){
+      this.flush_scheduled = true
+      setImmediate(function(){
+        _this.flush_scheduled = false
+        var data = Buffer.from(_this.pending,'binary')
+        _this.pending = ''
+        if(data.length > 0){
+          _this.emit('data',data)
+        }
+      })
+    }
+  }
+
+  // starts over with fresh globals, like after a reset. Runs boot.py and main.py unless safe
+  boot(run_scripts,safe){
+    var _this = this
+    this.mode = 'friendly'
+    this.line = ''
+    this.block = [] // lines of a compound statement in the friendly repl
+    this.paste = ''
+    this.raw_code = Buffer.alloc(0)
+    this.raw_paste_state = null
+    this.reset_requested = null
+    this.cwd = this.root_folder
+    var board_modules = modules.create(this)
+    this.interpreter = new python.Interpreter({
+      stdout: function(text){
+        _this.stdout(text)
+      },
+      modules: board_modules.modules,
+      builtins: board_modules.builtins,
+      max_steps: this.max_steps
+    })
+    if(run_scripts && !safe){
+      ['boot.py','main.py'].forEach(function(script){
+        var path = FakeFilesystem.resolve(_this.root_folder,script)
+        if(_this.fs.exists(path) && !_this.fs.isDir(path)){
+          _this.__run(function(){
+            _this.interpreter.exec(_this.fs.readFile(path).toString(),script)
+          })
+        }
+      })
+    }
+  }
+
+  stdout(text){
+    this.write(text)
+  }
+
+  // called by machine.reset() and machine.soft_reset(), the reset happens after the code stopped
+  reset(kind){
+    this.reset_requested = kind
+    throw new python.PyException('SystemExit',[])
+  }
+
+  __byte(byte){
+    switch(this.mode){
+      case 'friendly': return this.__friendly(byte)
+      case 'paste': return this.__paste(byte)
+      case 'raw': return this.__raw(byte)
+      case 'raw_paste': return this.__rawPaste(byte)
+    }
+  }
+
+  __prompt(){
+    this.write(this.block.length ? '... ' : '>>> ')
+  }
+
+  __banner(){
+    this.write(this.platform.banner+"\r\n"+HELP)
+  }
+
+  __friendly(byte){
+    if(byte == CTRL_A){
+      this.mode = 'raw'
+      this.raw_code = Buffer.alloc(0)
+      this.write("\r\n"+RAW_BANNER)
+    }else if(byte == CTRL_B){
+      this.line = ''
+      this.block = []
+      this.write("\r\n")
+      this.__banner()
+      this.__prompt()
+    }else if(byte == CTRL_C){
+      this.line = ''
+      this.block = []
+      this.write("\r\n")
+      this.__prompt()
+    }else if(byte == CTRL_D){
+      if(this.line == '' && this.block.length == 0){
+        this.write("\r\n")
+        this.__softReboot()
+        this.__banner()
+        this.__prompt()
+      }
+    }else if(byte == CTRL_E){
+      this.mode = 'paste'
+      this.paste = ''
+      this.write("\r\n"+PASTE_BANNER)
+    }else if(byte == CTRL_F){
+      this.write("\r\n")
+      this.boot(true,true)
+      this.__banner()
+      this.__prompt()
+    }else if(BACKSPACE.indexOf(byte) > -1){
+      if(this.line.length > 0){
+        this.line = this.line.slice(0,-1)
+        this.write("\b \b")
+      }
+    }else if(byte == 0x0d){
+      this.write("\r\n")
+      this.__line(this.line)
+      this.line = ''
+    }else if(byte >= 0x20 || byte == 0x09){
+      var c = String.fromCharCode(byte)
+      this.line += c
+      this.write(c)
+    }
+  }
+
+  // a line of the friendly repl, collecting the lines of a compound statement until an empty one
+  __line(line){
+    var _this = this
+    if(this.block.length){
+      if(line.trim() != ''){
+        this.block.push(line)
+        this.__prompt()
+        return
+      }
+      line = this.block.join("\n")
+      this.block = []
+    }else if(/:\s*(#.*)?$/.test(line)){
+      this.block.push(line)
+      this.__prompt()
+      return
+    }
+    if(line.trim() != ''){
+      this.__run(function(){
+        _this.interpreter.execInteractive(line)
+      })
+    }
+    this.__afterRun()
+  }
+
+  __paste(byte){
+    var _this = this
+    if(byte == CTRL_C){
+      this.mode = 'friendly'
+      this.write("\r\n")
+      this.__prompt()
+    }else if(byte == CTRL_D){
+      this.mode = 'friendly'
+      this.write("\r\n")
+      var code = this.paste
+      this.__run(function(){
+        _this.interpreter.exec(code)
+      })
+      this.__afterRun()
+    }else if(byte == 0x0d){
+      this.paste += "\n"
+      this.write("\r\n=== ")
+    }else if(byte != 0x0a){
+      var c = String.fromCharCode(byte)
+      this.paste += c
+      this.write(c)
+    }
+  }
+
+  __raw(byte){
+    var _this = this
+    if(this.raw_paste_state !== null){
+      return this.__rawPasteRequest(byte)
+    }
+    if(byte == CTRL_A){
+      this.raw_code = Buffer.alloc(0)
+      this.write("\r\n"+RAW_BANNER)
+    }else if(byte == CTRL_B){
+      this.mode = 'friendly'
+      this.write("\r\n")
+      this.__banner()
+      this.__prompt()
+    }else if(byte == CTRL_C){
+      this.raw_code = Buffer.alloc(0)
+    }else if(byte == CTRL_D){
+      if(this.raw_code.length == 0){
+        this.write("OK\r\n")
+        this.__softReboot()
+        if(this.mode == 'raw'){
+          this.write(RAW_BANNER)
+        }
+        return
+      }
+      var code = this.raw_code.toString()
+      this.raw_code = Buffer.alloc(0)
+      this.write("OK")
+      this.__exec(code)
+    }else if(byte == CTRL_E && this.raw_code.length == 0 && this.platform.raw_paste){
+      this.raw_paste_state = 'A'
+    }else{
+      this.raw_code = Buffer.concat([this.raw_code,Buffer.from([byte])])
+    }
+  }
+
+  // after ctrl-E in the raw repl: an 'A' and a ctrl-A switch to raw-paste mode
+  __rawPasteRequest(byte){
+    if(this.raw_paste_state == 'A' && byte == 0x41){
+      this.raw_paste_state = 'ctrl-a'
+      return
+    }
+    var state = this.raw_paste_state
+    this.raw_paste_state = null
+    if(state != 'ctrl-a' || byte != CTRL_A){
+      this.raw_code = Buffer.from(state == 'ctrl-a' ? [CTRL_E,0x41] : [CTRL_E])
+      this.__raw(byte)
+      return
+    }
+    this.mode = 'raw_paste'
+    this.raw_code = Buffer.alloc(0)
+    this.raw_paste_received = 0
+    var header = Buffer.from([0x52,0x01,0,0])
+    header.writeUInt16LE(RAW_PASTE_WINDOW,2)
+    this.write(header.toString('binary'))
+  }
+
+  __rawPaste(byte){
+    if(byte == CTRL_D){
+      this.mode = 'raw'
+      var code = this.raw_code.toString()
+      this.raw_code = Buffer.alloc(0)
+      this.write("\x04")
+      this.__exec(code)
+      return
+    }
+    this.raw_code = Buffer.concat([this.raw_code,Buffer.from([byte])])
+    this.raw_paste_received++
+    if(this.raw_paste_received % RAW_PASTE_WINDOW == 0){
+      this.write("\x01")
+    }
+  }
+
+  // runs code from the raw repl, writing stdout\x04stderr\x04>
+  __exec(code){
+    var _this = this
+    var stderr = this.__run(function(){
+      _this.interpreter.exec(code)
+    },true)
+    if(this.reset_requested){
+      this.__reset() // the board never finishes the output
+    }else{
+      this.write("\x04"+stderr+"\x04>")
+    }
+  }
+
+  // runs fn, writing a traceback when it raises. Returns it instead when to_stderr
+  __run(fn,to_stderr){
+    try{
+      fn()
+    }catch(e){
+      if(!(e instanceof python.PyException)){
+        throw e
+      }
+      if(e.type === python.TYPES.SystemExit){
+        return ''
+      }
+      var traceback = e.format()
+      if(to_stderr){
+        return traceback
+      }
+      this.write(traceback)
+    }
+    return ''
+  }
+
+  __afterRun(){
+    if(this.reset_requested){
+      this.__reset()
+    }else{
+      this.__prompt()
+    }
+  }
+
+  __softReboot(){
+    var mode = this.mode
+    this.write("MPY: soft reboot\r\n")
+    this.boot(true)
+    if(mode == 'raw'){
+      this.mode = 'raw'
+    }
+  }
+
+  // machine.reset() starts over in the friendly repl, machine.soft_reset() keeps the mode
+  __reset(){
+    var kind = this.reset_requested
+    var mode = this.mode
+    this.reset_requested = null
+    if(kind == 'soft'){
+      this.write("MPY: soft reboot\r\n")
+      this.boot(true)
+      if(mode == 'raw' || mode == 'raw_paste'){
+        this.mode = 'raw'
+        this.write(RAW_BANNER)
+        return
+      }
+    }else{
+      this.write("\r\n")
+      this.boot(true)
+    }
+    this.__banner()
+    this.__prompt()
+  }
+}
+
+FakeBoard.PLATFORMS = PLATFORMS
+
+module.exports = FakeBoard
@@ -0,0 +1,280 @@
+// In-memory filesystem of the fake board. Paths are absolute, mounts are folders that
+// exist from the start (like /flash on a Pycom board) and can't be removed.
+
+var ERRNO = {
+  ENOENT: 2,
+  EACCES: 13,
+  EEXIST: 17,
+  ENOTDIR: 20,
+  EISDIR: 21,
+  EINVAL: 22,
+  ENOSPC: 28,
+  ENOTEMPTY: 39
+}
+
+var S_IFDIR = 0x4000
+var S_IFREG = 0x8000
+var BLOCK_SIZE = 4096
+
+class FsError extends Error {
+  constructor(code,path){
+    super(code+': '+path)
+    this.code = code
+    this.errno = ERRNO[code]
+    this.path = path
+  }
+}
+
+class FakeFilesystem {
+
+  // mounts: folders like ['/flash'], size: bytes free on an empty filesystem
+  constructor(mounts,size){
+    this.size = size || 4*1024*1024
+    this.clear(mounts || [])
+  }
+
+  // removes everything but the mounts
+  clear(mounts){
+    this.mounts = (mounts || this.mounts).map(FakeFilesystem.normalize)
+    this.root = this.__folder()
+    for(var i=0;i<this.mounts.length;i++){
+      this.mkdir(this.mounts[i],true)
+    }
+  }
+
+  static normalize(path){
+    var parts = []
+    path.split('/').forEach(function(part){
+      if(part == '..'){
+        parts.pop()
+      }else if(part != '' && part != '.'){
+        parts.push(part)
+      }
+    })
+    return '/'+parts.join('/')
+  }
+
+  // the path relative to cwd, as an absolute path
+  static resolve(cwd,path){
+    return FakeFilesystem.normalize(path[0] == '/' ? path : cwd+'/'+path)
+  }
+
+  exists(path){
+    return this.__find(path) !== null
+  }
+
+  isDir(path){
+    var node = this.__find(path)
+    return node !== null && node.type == 'dir'
+  }
+
+  listdir(path){
+    return Object.keys(this.__dir(path).children).sort()
+  }
+
+  // [{name, type: 'dir'|'file', size}] for each entry
+  ilistdir(path){
+    var folder = this.__dir(path)
+    return this.listdir(path).map(function(name){
+      var node = folder.children[name]
+      return {name: name, type: node.type, size: node.type == 'file' ? node.data.length : 0}
+    })
+  }
+
+  mkdir(path,recursive){
+    path = FakeFilesystem.normalize(path)
+    if(path == '/'){
+      throw new FsError('EEXIST',path)
+    }
+    var parent = recursive ? this.__ensure(this.__parent(path)) : this.__dir(this.__parent(path))
+    var name = this.__name(path)
+    if(parent.children[name]){
+      if(recursive && parent.children[name].type == 'dir'){
+        return
+      }
+      throw new FsError('EEXIST',path)
+    }
+    parent.children[name] = this.__folder()
+  }
+
+  rmdir(path){
+    path = FakeFilesystem.normalize(path)
+    var node = this.__dir(path)
+    if(path == '/' || this.mounts.indexOf(path) > -1){
+      throw new FsError('EACCES',path)
+    }
+    if(Object.keys(node.children).length > 0){
+      throw new FsError('EACCES',path)
+    }
+    delete this.__dir(this.__parent(path)).children[this.__name(path)]
+  }
+
+  remove(path){
+    var node = this.__get(path)
+    if(node.type == 'dir'){
+      throw new FsError('EISDIR',path)
+    }
+    delete this.__dir(this.__parent(path)).children[this.__name(path)]
+  }
+
+  rename(from,to){
+    from = FakeFilesystem.normalize(from)
+    to = FakeFilesystem.normalize(to)
+    var node = this.__get(from)
+    if(this.mounts.indexOf(from) > -1){
+      throw new FsError('EACCES',from)
+    }
+    if(node.type == 'dir' && (to+'/').startsWith(from+'/')){
+      throw new FsError('EINVAL',to)
+    }
+    var parent = this.__dir(this.__parent(to))
+    var existing = parent.children[this.__name(to)]
+    if(existing && existing !== node){
+      if(existing.type != node.type){
+        throw new FsError(existing.type == 'dir' ? 'EISDIR' : 'ENOTDIR',to)
+      }
+      if(existing.type == 'dir' && Object.keys(existing.children).length > 0){
+        throw new FsError('EACCES',to)
+      }
+    }
+    delete this.__dir(this.__parent(from)).children[this.__name(from)]
+    parent.children[this.__name(to)] = node
+    node.mtime = Date.now()
+  }
+
+  // {mode, size, mtime} with mode like os.stat()[0]
+  stat(path){
+    var node = this.__get(path)
+    return {
+      mode: node.type == 'dir' ? S_IFDIR : S_IFREG,
+      size: node.type == 'file' ? node.data.length : 0,
+      mtime: Math.floor(node.mtime/1000)
+    }
+  }
+
+  readFile(path){
+    var node = this.__get(path)
+    if(node.type == 'dir'){
+      throw new FsError('EISDIR',path)
+    }
+    return Buffer.from(node.data)
+  }
+
+  // creates the file when it doesn't exist, data is a Buffer or a string
+  writeFile(path,data){
+    path = FakeFilesystem.normalize(path)
+    var parent = this.__dir(this.__parent(path))
+    var name = this.__name(path)
+    var node = parent.children[name]
+    if(node && node.type == 'dir'){
+      throw new FsError('EISDIR',path)
+    }
+    data = Buffer.from(data)
+    var grows = data.length - (node ? node.data.length : 0)
+    if(grows > 0 && grows > this.free()){
+      throw new FsError('ENOSPC',path)
+    }
+    if(!node){
+      node = parent.children[name] = {type: 'file', data: null, mtime: 0}
+    }
+    node.data = data
+    node.mtime = Date.now()
+  }
+
+  used(){
+    var count = function(node){
+      if(node.type == 'file'){
+        return node.data.length
+      }
+      return Object.keys(node.children).reduce(function(total,name){
+        return total + count(node.children[name])
+      },0)
+    }
+    return count(this.root)
+  }
+
+  free(){
+    return Math.max(0,this.size - this.used())
+  }
+
+  // like os.statvfs(): (bsize, frsize, blocks, bfree, bavail, files, ffree, favail, flag, namemax)
+  statvfs(){
+    var blocks = Math.floor(this.size/BLOCK_SIZE)
+    var free = Math.floor(this.free()/BLOCK_SIZE)
+    return [BLOCK_SIZE,BLOCK_SIZE,blocks,free,free,0,0,0,0,255]
+  }
+
+  // all files below path as {relative path: Buffer}, handy in tests
+  files(path){
+    var _this = this
+    var result = {}
+    var walk = function(folder,prefix){
+      _this.listdir(folder).forEach(function(name){
+        var full = FakeFilesystem.normalize(folder+'/'+name)
+        if(_this.isDir(full)){
+          walk(full,prefix+name+'/')
+        }else{
+          result[prefix+name] = _this.readFile(full)
+        }
+      })
+    }
+    walk(path || '/','')
+    return result
+  }
+
+  __folder(){
+    return {type: 'dir', children: {}, mtime: Date.now()}
+  }
+
+  __parent(path){
+    path = FakeFilesystem.normalize(path)
+    return path.slice(0,path.lastIndexOf('/')) || '/'
+  }
+
+  __name(path){
+    path = FakeFilesystem.normalize(path)
+    return path.slice(path.lastIndexOf('/')+1)
+  }
+
+  __find(path){
+    var parts = FakeFilesystem.normalize(path).split('/').filter(function(part){ return part != '' })
+    var node = this.root
+    for(var i=0;i<parts.length;i++){
+      if(node.type != 'dir' || !node.children[parts[i]]){
+        return null
+      }
+      node = node.children[parts[i]]
+    }
+    return node
+  }
+
+  __get(path){
+    var node = this.__find(path)
+    if(node === null){
+      throw new FsError('ENOENT',path)
+    }
+    return node
+  }
+
+  __dir(path){
+    var node = this.__get(path)
+    if(node.type != 'dir'){
+      throw new FsError('ENOTDIR',path)
+    }
+    return node
+  }
+
+  __ensure(path){
+    if(!this.exists(path)){
+      this.mkdir(path,true)
+    }
+    return this.__dir(path)
+  }
+}
+
+FakeFilesystem.ERRNO = ERRNO
+FakeFilesystem.S_IFDIR = S_IFDIR
+FakeFilesystem.S_IFREG = S_IFREG
+FakeFilesystem.FsError = FsError
+
+module.exports = FakeFilesystem
@@ -0,0 +1,489 @@
+var crypto = require('crypto')
+var zlib = require('zlib')
+var python = require('./python.js')
+var FakeFilesystem = require('./filesystem.js')
+
+var PyException = python.PyException
+var PyObject = python.PyObject
+var tuple = python.tuple
+var toBuffer = python.toBuffer
+
+// The modules and builtins of the fake board, working on board.fs. The board gives
+// board.platform (see board.js), board.cwd, board.stdout(text) and board.reset(kind)
+
+function pyModule(name,attrs){
+  attrs.__name__ = name
+  return new PyObject('module',attrs)
+}
+
+// a builtin taking positional arguments only
+function method(fn){
+  return function(args){
+    var result = fn.apply(null,args)
+    return result === undefined ? null : result
+  }
+}
+
+// FsError to the OSError MicroPython raises
+function fsCall(fn){
+  return function(){
+    try{
+      return fn.apply(null,arguments)
+    }catch(e){
+      if(e instanceof FakeFilesystem.FsError){
+        throw PyException.oserror(e.errno)
+      }
+      throw e
+    }
+  }
+}
+
+// a file from open(), writes go straight to the filesystem
+function fileObject(board,path,mode){
+  var fs = board.fs
+  var binary = mode.indexOf('b') > -1
+  var writing = /[wa+]/.test(mode)
+  var data
+  if(mode.indexOf('w') > -1){
+    fs.writeFile(path,Buffer.alloc(0))
+    data = Buffer.alloc(0)
+  }else if(mode.indexOf('a') > -1){
+    data = fs.exists(path) ? fs.readFile(path) : Buffer.alloc(0)
+    fs.writeFile(path,data)
+  }else{
+    data = fs.readFile(path)
+  }
+  var position = mode.indexOf('a') > -1 ? data.length : 0
+  var closed = false
+
+  var check = function(){
+    if(closed){
+      throw new PyException('ValueError',["I/O operation on closed file"])
+    }
+  }
+  // text mode reads utf-8, or bytes as latin-1 when the file isn't text
+  var output = function(buffer){
+    if(binary){
+      return buffer
+    }
+    var text = buffer.toString('utf8')
+    return Buffer.from(text,'utf8').equals(buffer) ? text : buffer.toString('binary')
+  }
+
+  var file = new PyObject(binary ? 'FileIO' : 'TextIOWrapper',{
+    read: method(function(size){
+      check()
+      var end = typeof size == 'number' && size >= 0 ? Math.min(data.length,position+size) : data.length
+      var chunk = data.slice(position,end)
+      position = end
+      return output(chunk)
+    }),
+    readline: method(function(){
+      check()
+      var end = data.indexOf(10,position)
+      end = end == -1 ? data.length : end+1
+      var chunk = data.slice(position,end)
+      position = end
+      return output(chunk)
+    }),
+    readlines: method(function(){
+      check()
+      var lines = []
+      while(position < data.length){
+        lines.push(file.attrs.readline([],{}))
+      }
+      return lines
+    }),
+    write: method(function(value){
+      check()
+      if(!writing){
+        throw PyException.oserror(FakeFilesystem.ERRNO.EACCES)
+      }
+      var buffer = typeof value == 'string' && binary ? null : toBuffer(value)
+      if(!buffer){
+        throw new PyException('TypeError',["object with buffer protocol required"])
+      }
+      var end = position+buffer.length
+      var grown = Buffer.alloc(Math.max(data.length,end))
+      data.copy(grown)
+      buffer.copy(grown,position)
+      try{
+        fs.writeFile(path,grown)
+      }catch(e){
+        throw PyException.oserror(e.errno || FakeFilesystem.ERRNO.ENOSPC)
+      }
+      data = grown
+      position = end
+      return buffer.length
+    }),
+    seek: method(function(offset,whence){
+      check()
+      whence = typeof whence == 'number' ? whence : 0
+      position = Math.max(0,(whence == 0 ? 0 : whence == 1 ? position : data.length)+offset)
+      return position
+    }),
+    tell: method(function(){
+      check()
+      return position
+    }),
+    flush: method(function(){}),
+    close: method(function(){
+      closed = true
+    }),
+    __enter__: method(function(){
+      return file
+    }),
+    __exit__: method(function(){
+      closed = true
+    })
+  })
+  return file
+}
+
+function hashObject(algorithm,name){
+  return function(args){
+    var data = []
+    var add = function(value){
+      data.push(toBuffer(value))
+    }
+    if(args.length){
+      add(args[0])
+    }
+    return new PyObject(name,{
+      update: method(function(value){
+        add(value)
+      }),
+      digest: method(function(){
+        return crypto.createHash(algorithm).update(Buffer.concat(data)).digest()
+      })
+    })
+  }
+}
+
+// board.platform.modules lists the optional modules like 'pycom' and 'network'
+function create(board){
+  var platform = board.platform
+  var fs = board.fs
+  var started = Date.now()
+  var resolve = function(path){
+    return FakeFilesystem.resolve(board.cwd,path === undefined || path === null || path === '' ? '.' : path)
+  }
+
+  var uname = function(){
+    var attrs = {
+      sysname: platform.sysname,
+      nodename: platform.nodename,
+      release: platform.release,
+      version: platform.version,
+      machine: platform.machine
+    }
+    var items = [attrs.sysname,attrs.nodename,attrs.release,attrs.version,attrs.machine]
+    var result = new PyObject('uname_result',attrs,items)
+    result.repr = function(){
+      return '(sysname='+python.repr(attrs.sysname)+', nodename='+python.repr(attrs.nodename)+', release='+
+        python.repr(attrs.release)+', version='+python.repr(attrs.version)+', machine='+python.repr(attrs.machine)+')'
+    }
+    return result
+  }
+
+  var os = pyModule('os',{
+    sep: '/',
+    uname: method(uname),
+    getcwd: method(function(){
+      return board.cwd
+    }),
+    chdir: method(fsCall(function(path){
+      path = resolve(path)
+      if(!fs.isDir(path)){
+        throw new FakeFilesystem.FsError(fs.exists(path) ? 'ENOTDIR' : 'ENOENT',path)
+      }
+      board.cwd = path
+    })),
+    listdir: method(fsCall(function(path){
+      return fs.listdir(resolve(path))
+    })),
+    ilistdir: method(fsCall(function(path){
+      return fs.ilistdir(resolve(path)).map(function(entry){
+        return tuple([entry.name,entry.type == 'dir' ? FakeFilesystem.S_IFDIR : FakeFilesystem.S_IFREG,0,entry.size])
+      })
+    })),
+    mkdir: method(fsCall(function(path){
+      fs.mkdir(resolve(path))
+    })),
+    rmdir: method(fsCall(function(path){
+      fs.rmdir(resolve(path))
+    })),
+    remove: method(fsCall(function(path){
+      fs.remove(resolve(path))
+    })),
+    rename: method(fsCall(function(from,to){
+      fs.rename(resolve(from),resolve(to))
+    })),
+    stat: method(fsCall(function(path){
+      var stat = fs.stat(resolve(path))
+      return tuple([stat.mode,0,0,0,0,0,stat.size,stat.mtime,stat.mtime,stat.mtime])
+    })),
+    statvfs: method(fsCall(function(path){
+      fs.stat(resolve(path))
+      return tuple(fs.statvfs())
+    })),
+    sync: method(function(){}),
+    urandom: method(function(size){
+      return crypto.randomBytes(size)
+    })
+  })
+
+  var stdout = new PyObject('FileIO',{
+    write: method(function(value){
+      var text = Buffer.isBuffer(value) ? value.toString('binary') : python.str(value)
+      board.stdout(text)
+      return text.length
+    })
+  })
+
+  var sys = pyModule('sys',{
+    platform: platform.platform,
+    version: '3.4.0; MicroPython v'+platform.implementation.join('.'),
+    implementation: new PyObject('implementation',{
+      name: 'micropython',
+      version: tuple(platform.implementation),
+      _mpy: platform.mpy
+    }),
+    path: ['','/lib'],
+    stdout: stdout,
+    stderr: stdout,
+    exit: method(function(code){
+      throw new PyException('SystemExit',code === undefined ? [] : [code])
+    }),
+    print_exception: method(function(e){
+      board.stdout(e.format())
+    })
+  })
+
+  var gc = pyModule('gc',{
+    collect: method(function(){}),
+    enable: method(function(){}),
+    disable: method(function(){}),
+    mem_free: method(function(){
+      return platform.ram
+    }),
+    mem_alloc: method(function(){
+      return 4096
+    })
+  })
+
+  var ticks = function(){
+    return Date.now()-started
+  }
+  var time = pyModule('time',{
+    sleep: method(function(){}),
+    sleep_ms: method(function(){}),
+    sleep_us: method(function(){}),
+    ticks_ms: method(ticks),
+    ticks_us: method(function(){
+      return ticks()*1000
+    }),
+    ticks_diff: method(function(a,b){
+      return a-b
+    }),
+    time: method(function(){
+      return Math.floor(Date.now()/1000)
+    })
+  })
+
+  var errno = pyModule('errno',{errorcode: new Map()})
+  Object.keys(FakeFilesystem.ERRNO).forEach(function(name){
+    errno.attrs[name] = FakeFilesystem.ERRNO[name]
+    errno.attrs.errorcode.set(FakeFilesystem.ERRNO[name],name)
+  })
+
+  var machine = pyModule('machine',{
+    reset: method(function(){
+      board.reset('hard')
+    }),
+    soft_reset: method(function(){
+      board.reset('soft')
+    }),
+    unique_id: method(function(){
+      return Buffer.from(platform.unique_id,'hex')
+    }),
+    freq: method(function(){
+      return platform.freq
+    }),
+    reset_cause: method(function(){
+      return 1
+    })
+  })
+
+  var binascii = pyModule('binascii',{
+    hexlify: method(function(data,sep){
+      var hex = toBuffer(data).toString('hex')
+      if(sep){
+        hex = (hex.match(/../g) || []).join(toBuffer(sep).toString('binary'))
+      }
+      return Buffer.from(hex,'binary')
+    }),
+    unhexlify: method(function(data){
+      var hex = toBuffer(data).toString('binary')
+      if(hex.length % 2 || /[^0-9a-fA-F]/.test(hex)){
+        throw new PyException('ValueError',["odd-length string"])
+      }
+      return Buffer.from(hex,'hex')
+    }),
+    a2b_base64: method(function(data){
+      var text = toBuffer(data).toString('binary')
+      if(/[^A-Za-z0-9+/=\s]/.test(text)){
+        throw new PyException('ValueError',["invalid padding"])
+      }
+      return Buffer.from(text,'base64')
+    }),
+    b2a_base64: method(function(data){
+      return Buffer.from(toBuffer(data).toString('base64')+'\n','binary')
+    })
+  })
+
+  var hashlib = pyModule('hashlib',{
+    sha256: hashObject('sha256','sha256'),
+    sha1: hashObject('sha1','sha1'),
+    md5: hashObject('md5','md5')
+  })
+
+  var uzlib = pyModule('zlib',{
+    decompress: method(function(data){
+      // text mode files read as latin-1 strings, so strings are taken byte for byte
+      var buffer = typeof data == 'string' ? Buffer.from(data,'binary') : toBuffer(data)
+      try{
+        return zlib.unzipSync(buffer)
+      }catch(e){
+        try{
+          return zlib.inflateRawSync(buffer)
+        }catch(e){
+          throw PyException.oserror(FakeFilesystem.ERRNO.EINVAL)
+        }
+      }
+    })
+  })
+
+  var json = pyModule('json',{
+    dumps: method(function(value){
+      return dumps(value)
+    }),
+    loads: method(function(text){
+      try{
+        return loads(JSON.parse(Buffer.isBuffer(text) ? text.toString() : text))
+      }catch(e){
+        throw new PyException('ValueError',["syntax error in JSON"])
+      }
+    })
+  })
+
+  var modules = {
+    os: os,
+    uos: os,
+    sys: sys,
+    gc: gc,
+    time: time,
+    utime: time,
+    errno: errno,
+    uerrno: errno,
+    machine: machine,
+    binascii: binascii,
+    ubinascii: binascii,
+    hashlib: hashlib,
+    uhashlib: hashlib,
+    zlib: uzlib,
+    uzlib: uzlib,
+    json: json,
+    ujson: json
+  }
+
+  if(platform.modules.indexOf('network') > -1){
+    var ssid = platform.sysname+'-wlan-'+platform.unique_id.slice(-4)
+    var wlan = function(){
+      var mac = Buffer.from(platform.unique_id.padStart(12,'0').slice(-12),'hex')
+      return new PyObject('WLAN',{
+        mac: method(function(){
+          return new PyObject('mac',{sta_mac: mac, ap_mac: mac},[mac,mac])
+        }),
+        config: method(function(name){
+          if(name == 'essid'){
+            return ssid
+          }
+          if(name == 'mac'){
+            return mac
+          }
+          throw new PyException('ValueError',["unknown config param"])
+        }),
+        active: method(function(){
+          return true
+        }),
+        isconnected: method(function(){
+          return false
+        })
+      })
+    }
+    modules.network = pyModule('network',{
+      STA_IF: 0,
+      AP_IF: 1,
+      WLAN: method(wlan)
+    })
+  }
+
+  if(platform.modules.indexOf('pycom') > -1){
+    var heartbeat = true
+    modules.pycom = pyModule('pycom',{
+      heartbeat: method(function(on){
+        if(on === undefined){
+          return heartbeat
+        }
+        heartbeat = !!on
+      }),
+      rgbled: method(function(){})
+    })
+  }
+
+  var builtins = {
+    open: method(fsCall(function(path,mode){
+      mode = typeof mode == 'string' ? mode : 'r'
+      return fileObject(board,resolve(path),mode)
+    }))
+  }
+
+  return {modules: modules, builtins: builtins}
+}
+
+function dumps(value){
+  if(value instanceof Map){
+    var pairs = []
+    value.forEach(function(v,k){
+      pairs.push(JSON.stringify(python.str(k))+': '+dumps(v))
+    })
+    return '{'+pairs.join(', ')+'}'
+  }
+  if(Array.isArray(value)){
+    return '['+value.map(dumps).join(', ')+']'
+  }
+  if(value === null || value === undefined){
+    return 'null'
+  }
+  if(typeof value == 'string' || typeof value == 'number' || typeof value == 'boolean'){
+    return JSON.stringify(value)
+  }
+  throw new PyException('TypeError',["can't serialize "+python.repr(value)])
+}
+
+function loads(value){
+  if(Array.isArray(value)){
+    return value.map(loads)
+  }
+  if(value !== null && typeof value == 'object'){
+    var dict = new Map()
+    Object.keys(value).forEach(function(k){
+      dict.set(k,loads(value[k]))
+    })
+    return dict
+  }
+  return value
+}
+
+module.exports = {create: create}
@@ -0,0 +1,2127 @@
+// A small Python interpreter for the fake board (see board.js). It runs the code Pymakr
+// sends to boards and simple scripts: functions, if/while/for, try/except/finally, with,
+// comprehensions, str, bytes, int, float, list, tuple and dict. No classes, generators,
+// lambdas or closures. Modules and builtins that touch the board come from modules.js.
+//
+// Python values are JS values: None is null, str is a string, bytes a Buffer, list an array,
+// tuple an array made by tuple(), dict a Map and int and float both numbers. Floats that
+// happen to be whole numbers print like ints.
+
+var KEYWORDS = ['False','None','True','and','as','assert','break','class','continue','def','del',
+  'elif','else','except','finally','for','from','global','if','import','in','is','lambda',
+  'nonlocal','not','or','pass','raise','return','try','while','with','yield']
+
+var OPERATORS = ['**=','//=','>>=','<<=','...','**','//','==','!=','<=','>=','<<','>>','+=','-=','*=',
+  '/=','%=','&=','|=','^=','->','(',')','[',']','{','}',',',':','.',';','@','=','+','-','*','/',
+  '%','<','>','&','|','^','~']
+
+var AUGMENTED = ['+=','-=','*=','/=','//=','%=','**=','&=','|=','^=','<<=','>>=']
+
+var MAX_STEPS = 1000000
+
+// errno names for OSError messages, like MicroPython's uerrno
+var ERRNO = {1: 'EPERM', 2: 'ENOENT', 5: 'EIO', 9: 'EBADF', 11: 'EAGAIN', 12: 'ENOMEM', 13: 'EACCES',
+  17: 'EEXIST', 19: 'ENODEV', 20: 'ENOTDIR', 21: 'EISDIR', 22: 'EINVAL', 28: 'ENOSPC', 39: 'ENOTEMPTY',
+  110: 'ETIMEDOUT'}
+
+// exception classes by name, with their base class
+var EXCEPTIONS = {
+  BaseException: null,
+  Exception: 'BaseException',
+  KeyboardInterrupt: 'BaseException',
+  SystemExit: 'BaseException',
+  ArithmeticError: 'Exception',
+  ZeroDivisionError: 'ArithmeticError',
+  OverflowError: 'ArithmeticError',
+  AssertionError: 'Exception',
+  AttributeError: 'Exception',
+  EOFError: 'Exception',
+  ImportError: 'Exception',
+  LookupError: 'Exception',
+  IndexError: 'LookupError',
+  KeyError: 'LookupError',
+  MemoryError: 'Exception',
+  NameError: 'Exception',
+  OSError: 'Exception',
+  RuntimeError: 'Exception',
+  NotImplementedError: 'RuntimeError',
+  StopIteration: 'Exception',
+  SyntaxError: 'Exception',
+  TypeError: 'Exception',
+  ValueError: 'Exception'
+}
+
+class ExceptionType {
+  constructor(name,base){
+    this.name = name
+    this.base = base
+  }
+
+  isSubclassOf(other){
+    for(var type = this;type;type = type.base){
+      if(type === other){
+        return true
+      }
+    }
+    return false
+  }
+}
+
+var TYPES = {}
+Object.keys(EXCEPTIONS).forEach(function(name){
+  TYPES[name] = new ExceptionType(name,EXCEPTIONS[name] ? TYPES[EXCEPTIONS[name]] : null)
+})
+
+// An exception value, thrown when raised. traceback holds {file, line, name} frames
+class PyException extends Error {
+  constructor(type,args){
+    if(typeof type == 'string'){
+      type = TYPES[type]
+    }
+    args = tuple(args || [])
+    super(type.name+(args.length ? ': '+exceptionMessage(type,args) : ''))
+    this.type = type
+    this.args = args
+    this.traceback = []
+  }
+
+  static oserror(errno){
+    return new PyException('OSError',[errno])
+  }
+
+  // the exception the way the board prints it, ending with \r\n
+  format(){
+    var text = "Traceback (most recent call last):\r\n"
+    for(var i=0;i<this.traceback.length;i++){
+      var frame = this.traceback[i]
+      text += '  File "'+frame.file+'", line '+frame.line+', in '+frame.name+"\r\n"
+    }
+    var message = exceptionMessage(this.type,this.args)
+    return text + this.type.name + (message ? ": "+message : "") + "\r\n"
+  }
+}
+
+function exceptionMessage(type,args){
+  if(type === TYPES.OSError && args.length == 1 && typeof args[0] == 'number' && ERRNO[args[0]]){
+    return '[Errno '+args[0]+'] '+ERRNO[args[0]]
+  }
+  if(args.length == 1){
+    return str(args[0])
+  }
+  return args.length ? repr(args) : ''
+}
+
+// control flow, thrown through the statements of a loop or function
+class Break {}
+class Continue {}
+class Return {
+  constructor(value){
+    this.value = value
+  }
+}
+
+function tuple(items){
+  items = Array.from(items)
+  items.is_tuple = true
+  return items
+}
+
+// A module or any other object with attributes, methods are JS functions(args,kwargs)
+class PyObject {
+  constructor(type_name,attrs,items){
+    this.type_name = type_name
+    this.attrs = attrs || {}
+    this.items = items || null // for objects that also index like a tuple, like os.uname()
+  }
+}
+
+class PyFunction {
+  constructor(name,params,body,interpreter){
+    this.name = name
+    this.params = params
+    this.body = body
+    this.interpreter = interpreter
+  }
+}
+
+// -- tokenizer
+
+function tokenize(source){
+  var tokens = []
+  var lines = source.replace(/\r\n?/g,'\n').split('\n')
+  var indents = [0]
+  var depth = 0 // open brackets, newlines inside them don't count
+  var continued = false
+
+  var push = function(type,value,line){
+    tokens.push({type: type, value: value, line: line})
+  }
+
+  for(var n=0;n<lines.length;n++){
+    var text = lines[n]
+    var line = n+1
+    var pos = 0
+
+    if(depth == 0 && !continued){
+      var indent = 0
+      while(pos < text.length && (text[pos] == ' ' || text[pos] == '\t')){
+        indent = text[pos] == '\t' ? (Math.floor(indent/8)+1)*8 : indent+1
+        pos++
+      }
+      if(pos == text.length || text[pos] == '#'){
+        continue // blank line
+      }
+      if(indent > indents[indents.length-1]){
+        indents.push(indent)
+        push('indent',null,line)
+      }else{
+        while(indent < indents[indents.length-1]){
+          indents.pop()
+          push('dedent',null,line)
+        }
+        if(indent != indents[indents.length-1]){
+          throw syntaxError("unindent doesn't match any outer indent level",line)
+        }
+      }
+    }
+    continued = false
+
+    while(pos < text.length){
+      var c = text[pos]
+      if(c == ' ' || c == '\t'){
+        pos++
+      }else if(c == '#'){
+        break
+      }else if(c == '\\' && pos == text.length-1){
+        continued = true
+        pos++
+      }else if(/[A-Za-z_]/.test(c) || /[^\x00-\x7f]/.test(c)){
+        var word = /^[A-Za-z_0-9\u0080-￿]+/.exec(text.slice(pos))[0]
+        var quote = text[pos+word.length]
+        if(/^(b|r|u|br|rb)$/i.test(word) && (quote == "'" || quote == '"')){
+          var string = readString(lines,n,pos+word.length,word.toLowerCase())
+          push('string',{value: string.value, bytes: word.toLowerCase().indexOf('b') > -1},line)
+          n = string.line
+          text = lines[n]
+          pos = string.pos
+        }else{
+          push(KEYWORDS.indexOf(word) > -1 ? 'keyword' : 'name',word,line)
+          pos += word.length
+        }
+      }else if(/[0-9]/.test(c) || (c == '.' && /[0-9]/.test(text[pos+1] || ''))){
+        var number = /^(0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(\d[\d_]*\.?[\d_]*|\.\d[\d_]*)([eE][+-]?\d+)?)[jJ]?/.exec(text.slice(pos))[0]
+        push('number',parseNumber(number.replace(/_/g,''),line),line)
+        pos += number.length
+      }else if(c == "'" || c == '"'){
+        var string = readString(lines,n,pos,'')
+        push('string',{value: string.value, bytes: false},line)
+        n = string.line
+        text = lines[n]
+        pos = string.pos
+      }else{
+        var op = null
+        for(var i=0;i<OPERATORS.length;i++){
+          if(text.startsWith(OPERATORS[i],pos)){
+            op = OPERATORS[i]
+            break
+          }
+        }
+        if(!op){
+          throw syntaxError("invalid syntax",line)
+        }
+        if(op == '(' || op == '[' || op == '{'){
+          depth++
+        }else if(op == ')' || op == ']' || op == '}'){
+          depth = Math.max(0,depth-1)
+        }
+        push('op',op,line)
+        pos += op.length
+      }
+    }
+    if(depth == 0 && !continued && tokens.length && tokens[tokens.length-1].type != 'newline'){
+      push('newline',null,line)
+    }
+  }
+  var last = lines.length
+  if(tokens.length && tokens[tokens.length-1].type != 'newline'){
+    push('newline',null,last)
+  }
+  while(indents.length > 1){
+    indents.pop()
+    push('dedent',null,last)
+  }
+  push('eof',null,last)
+  return tokens
+}
+
+function parseNumber(text,line){
+  if(/[jJ]$/.test(text)){
+    throw syntaxError("complex numbers aren't supported",line)
+  }
+  if(/^0[xX]/.test(text)) return parseInt(text.slice(2),16)
+  if(/^0[oO]/.test(text)) return parseInt(text.slice(2),8)
+  if(/^0[bB]/.test(text)) return parseInt(text.slice(2),2)
+  return Number(text)
+}
+
+// reads a (possibly triple quoted) string starting at the quote, returns its value and where it ends
+function readString(lines,n,pos,prefix){
+  var text = lines[n]
+  var quote = text[pos]
+  var triple = text.startsWith(quote+quote+quote,pos)
+  var end = triple ? quote+quote+quote : quote
+  var raw = prefix.indexOf('r') > -1
+  var bytes = prefix.indexOf('b') > -1
+  var value = ''
+  pos += end.length
+  while(true){
+    if(pos >= text.length){
+      if(!triple && text[text.length-1] != '\\'){
+        throw syntaxError("unterminated string",n+1)
+      }
+      if(n+1 >= lines.length){
+        throw syntaxError("unterminated string",n+1)
+      }
+      if(triple){
+        value += '\n'
+      }else{
+        value = value.slice(0,-1) // line continuation in a string
+      }
+      n++
+      text = lines[n]
+      pos = 0
+      continue
+    }
+    if(text.startsWith(end,pos)){
+      pos += end.length
+      break
+    }
+    var c = text[pos]
+    if(c == '\\' && !raw && pos+1 < text.length){
+      var escape = unescape(text,pos+1,bytes)
+      value += escape.value
+      pos = escape.pos
+    }else if(c == '\\' && raw && pos+1 < text.length){
+      value += c+text[pos+1]
+      pos += 2
+    }else{
+      value += c
+      pos++
+    }
+  }
+  return {value: value, line: n, pos: pos}
+}
+
+function unescape(text,pos,bytes){
+  var c = text[pos]
+  var simple = {n: '\n', r: '\r', t: '\t', '\\': '\\', "'": "'", '"': '"', a: '\x07', b: '\b', f: '\f', v: '\v'}
+  if(c in simple){
+    return {value: simple[c], pos: pos+1}
+  }
+  if(c == 'x'){
+    return {value: String.fromCharCode(parseInt(text.substr(pos+1,2),16)), pos: pos+3}
+  }
+  if(/[0-7]/.test(c)){
+    var octal = /^[0-7]{1,3}/.exec(text.slice(pos))[0]
+    return {value: String.fromCharCode(parseInt(octal,8)), pos: pos+octal.length}
+  }
+  if(c == 'u' && !bytes){
+    return {value: String.fromCharCode(parseInt(text.substr(pos+1,4),16)), pos: pos+5}
+  }
+  return {value: '\\'+c, pos: pos+1}
+}
+
+function syntaxError(message,line){
+  var err = new PyException('SyntaxError',[message])
+  err.traceback = [{file: '<stdin>', line: line, name: '<module>'}]
+  return err
+}
+
+// -- parser, builds an AST of plain objects with a type and the line they start on
+
+class Parser {
+
+  constructor(tokens){
+    this.tokens = tokens
+    this.pos = 0
+  }
+
+  peek(offset){
+    return this.tokens[Math.min(this.pos+(offset || 0),this.tokens.length-1)]
+  }
+
+  next(){
+    return this.tokens[this.pos++]
+  }
+
+  is(type,value){
+    var token = this.peek()
+    return token.type == type && (value === undefined || token.value == value)
+  }
+
+  isOp(value){
+    return this.is('op',value)
+  }
+
+  isKeyword(value){
+    return this.is('keyword',value)
+  }
+
+  accept(type,value){
+    if(this.is(type,value)){
+      return this.next()
+    }
+    return null
+  }
+
+  expect(type,value){
+    if(!this.is(type,value)){
+      throw syntaxError("invalid syntax",this.peek().line)
+    }
+    return this.next()
+  }
+
+  module(){
+    var body = []
+    while(!this.is('eof')){
+      if(this.accept('newline')){
+        continue
+      }
+      body = body.concat(this.statement())
+    }
+    return body
+  }
+
+  statement(){
+    var token = this.peek()
+    if(token.type == 'keyword'){
+      switch(token.value){
+        case 'if': return [this.ifStatement()]
+        case 'while': return [this.whileStatement()]
+        case 'for': return [this.forStatement()]
+        case 'try': return [this.tryStatement()]
+        case 'with': return [this.withStatement()]
+        case 'def': return [this.defStatement()]
+        case 'class':
+        case 'lambda':
+        case 'yield':
+        case 'nonlocal':
+          throw syntaxError("'"+token.value+"' isn't supported on the fake board",token.line)
+      }
+    }
+    if(token.type == 'indent'){
+      throw syntaxError("unexpected indent",token.line)
+    }
+    return this.simpleStatements()
+  }
+
+  simpleStatements(){
+    var statements = [this.smallStatement()]
+    while(this.accept('op',';')){
+      if(this.is('newline')){
+        break
+      }
+      statements.push(this.smallStatement())
+    }
+    this.expect('newline')
+    return statements
+  }
+
+  smallStatement(){
+    var line = this.peek().line
+    if(this.accept('keyword','pass')){
+      return {type: 'pass', line: line}
+    }
+    if(this.accept('keyword','break')){
+      return {type: 'break', line: line}
+    }
+    if(this.accept('keyword','continue')){
+      return {type: 'continue', line: line}
+    }
+    if(this.accept('keyword','return')){
+      var value = this.is('newline') || this.isOp(';') ? null : this.testList()
+      return {type: 'return', value: value, line: line}
+    }
+    if(this.accept('keyword','raise')){
+      var exception = this.is('newline') || this.isOp(';') ? null : this.test()
+      if(this.accept('keyword','from')){
+        this.test()
+      }
+      return {type: 'raise', exception: exception, line: line}
+    }
+    if(this.accept('keyword','global')){
+      var names = [this.expect('name').value]
+      while(this.accept('op',',')){
+        names.push(this.expect('name').value)
+      }
+      return {type: 'global', names: names, line: line}
+    }
+    if(this.accept('keyword','del')){
+      var targets = [this.expression()]
+      while(this.accept('op',',')){
+        targets.push(this.expression())
+      }
+      return {type: 'del', targets: targets, line: line}
+    }
+    if(this.accept('keyword','assert')){
+      var test = this.test()
+      var message = this.accept('op',',') ? this.test() : null
+      return {type: 'assert', test: test, message: message, line: line}
+    }
+    if(this.accept('keyword','import')){
+      var modules = [this.importName()]
+      while(this.accept('op',',')){
+        modules.push(this.importName())
+      }
+      return {type: 'import', modules: modules, line: line}
+    }
+    if(this.accept('keyword','from')){
+      var module = this.dottedName()
+      this.expect('keyword','import')
+      var names = []
+      if(this.accept('op','*')){
+        names = null
+      }else{
+        var parens = this.accept('op','(')
+        do{
+          if(parens && this.isOp(')')){
+            break
+          }
+          var name = this.expect('name').value
+          names.push({name: name, as: this.accept('keyword','as') ? this.expect('name').value : name})
+        }while(this.accept('op',','))
+        if(parens){
+          this.expect('op',')')
+        }
+      }
+      return {type: 'from', module: module, names: names, line: line}
+    }
+
+    var expression = this.testList(true)
+    if(this.isOp('=')){
+      var targets = [expression]
+      var value = null
+      while(this.accept('op','=')){
+        value = this.testList(true)
+        targets.push(value)
+      }
+      targets.pop()
+      targets.forEach(function(target){
+        checkTarget(target)
+      })
+      return {type: 'assign', targets: targets, value: value, line: line}
+    }
+    var augmented = this.peek()
+    if(augmented.type == 'op' && AUGMENTED.indexOf(augmented.value) > -1){
+      this.next()
+      checkTarget(expression)
+      return {type: 'augassign', target: expression, op: augmented.value.slice(0,-1), value: this.testList(), line: line}
+    }
+    return {type: 'expr', value: expression, line: line}
+  }
+
+  importName(){
+    var name = this.dottedName()
+    return {name: name, as: this.accept('keyword','as') ? this.expect('name').value : null}
+  }
+
+  dottedName(){
+    var name = this.expect('name').value
+    while(this.accept('op','.')){
+      name += '.'+this.expect('name').value
+    }
+    return name
+  }
+
+  block(){
+    this.expect('op',':')
+    if(!this.accept('newline')){
+      return this.simpleStatements()
+    }
+    this.expect('indent')
+    var body = []
+    while(!this.accept('dedent')){
+      if(this.is('eof')){
+        break
+      }
+      body = body.concat(this.statement())
+    }
+    return body
+  }
+
+  ifStatement(){
+    var line = this.next().line
+    var test = this.test()
+    var body = this.block()
+    var orelse = []
+    if(this.isKeyword('elif')){
+      orelse = [this.ifStatement()]
+    }else if(this.accept('keyword','else')){
+      orelse = this.block()
+    }
+    return {type: 'if', test: test, body: body, orelse: orelse, line: line}
+  }
+
+  whileStatement(){
+    var line = this.next().line
+    var test = this.test()
+    var body = this.block()
+    var orelse = this.accept('keyword','else') ? this.block() : []
+    return {type: 'while', test: test, body: body, orelse: orelse, line: line}
+  }
+
+  forStatement(){
+    var line = this.next().line
+    var target = this.targetList()
+    this.expect('keyword','in')
+    var iterable = this.testList()
+    var body = this.block()
+    var orelse = this.accept('keyword','else') ? this.block() : []
+    return {type: 'for', target: target, iterable: iterable, body: body, orelse: orelse, line: line}
+  }
+
+  tryStatement(){
+    var line = this.next().line
+    var body = this.block()
+    var handlers = []
+    while(this.isKeyword('except')){
+      var handler_line = this.next().line
+      var type = null
+      var name = null
+      if(!this.isOp(':')){
+        type = this.test()
+        if(this.accept('keyword','as') || this.accept('op',',')){
+          name = this.expect('name').value
+        }
+      }
+      handlers.push({type: type, name: name, body: this.block(), line: handler_line})
+    }
+    var orelse = handlers.length && this.accept('keyword','else') ? this.block() : []
+    var final = this.accept('keyword','finally') ? this.block() : null
+    if(!handlers.length && !final){
+      throw syntaxError("invalid syntax",line)
+    }
+    return {type: 'try', body: body, handlers: handlers, orelse: orelse, final: final, line: line}
+  }
+
+  withStatement(){
+    var line = this.next().line
+    var items = []
+    do{
+      var context = this.test()
+      var target = null
+      if(this.accept('keyword','as')){
+        target = this.expression()
+        checkTarget(target)
+      }
+      items.push({context: context, target: target})
+    }while(this.accept('op',','))
+    var body = this.block()
+    // nested withs for more than one item
+    for(var i=items.length-1;i>0;i--){
+      body = [{type: 'with', context: items[i].context, target: items[i].target, body: body, line: line}]
+    }
+    return {type: 'with', context: items[0].context, target: items[0].target, body: body, line: line}
+  }
+
+  defStatement(){
+    var line = this.next().line
+    var name = this.expect('name').value
+    this.expect('op','(')
+    var params = []
+    while(!this.accept('op',')')){
+      var star = this.accept('op','*') ? '*' : this.accept('op','**') ? '**' : null
+      var param = {name: this.expect('name').value, star: star, default: null}
+      if(this.accept('op','=')){
+        param.default = this.test()
+      }
+      params.push(param)
+      if(!this.accept('op',',')){
+        this.expect('op',')')
+        break
+      }
+    }
+    if(this.accept('op','->')){
+      this.test()
+    }
+    return {type: 'def', name: name, params: params, body: this.block(), line: line}
+  }
+
+  // a, b = ... or a single target, for loops
+  targetList(){
+    var line = this.peek().line
+    var targets = [this.expression()]
+    var is_tuple = false
+    while(this.accept('op',',')){
+      is_tuple = true
+      if(this.isKeyword('in') || this.isOp('=')){
+        break
+      }
+      targets.push(this.expression())
+    }
+    targets.forEach(checkTarget)
+    return is_tuple ? {type: 'tuple', items: targets, line: line} : targets[0]
+  }
+
+  // test (',' test)* [','], a tuple when there is a comma
+  testList(allow_star){
+    var line = this.peek().line
+    var items = [this.test()]
+    var is_tuple = false
+    while(this.accept('op',',')){
+      is_tuple = true
+      if(this.endOfList()){
+        break
+      }
+      items.push(this.test())
+    }
+    return is_tuple ? {type: 'tuple', items: items, line: line} : items[0]
+  }
+
+  endOfList(){
+    var token = this.peek()
+    return token.type == 'newline' || token.type == 'eof' ||
+      (token.type == 'op' && [')',']','}','=',';',':'].indexOf(token.value) > -1 || AUGMENTED.indexOf(token.value) > -1)
+  }
+
+  test(){
+    var line = this.peek().line
+    if(this.isKeyword('lambda')){
+      throw syntaxError("'lambda' isn't supported on the fake board",line)
+    }
+    var value = this.orTest()
+    if(this.accept('keyword','if')){
+      var test = this.orTest()
+      this.expect('keyword','else')
+      return {type: 'ifexp', test: test, body: value, orelse: this.test(), line: line}
+    }
+    return value
+  }
+
+  orTest(){
+    var line = this.peek().line
+    var left = this.andTest()
+    while(this.accept('keyword','or')){
+      left = {type: 'or', left: left, right: this.andTest(), line: line}
+    }
+    return left
+  }
+
+  andTest(){
+    var line = this.peek().line
+    var left = this.notTest()
+    while(this.accept('keyword','and')){
+      left = {type: 'and', left: left, right: this.notTest(), line: line}
+    }
+    return left
+  }
+
+  notTest(){
+    var line = this.peek().line
+    if(this.accept('keyword','not')){
+      return {type: 'not', value: this.notTest(), line: line}
+    }
+    return this.comparison()
+  }
+
+  comparison(){
+    var line = this.peek().line
+    var left = this.expression()
+    var ops = []
+    var values = []
+    while(true){
+      var op = null
+      if(this.is('op') && ['<','>','==','>=','<=','!='].indexOf(this.peek().value) > -1){
+        op = this.next().value
+      }else if(this.accept('keyword','in')){
+        op = 'in'
+      }else if(this.isKeyword('not') && this.peek(1).type == 'keyword' && this.peek(1).value == 'in'){
+        this.next()
+        this.next()
+        op = 'not in'
+      }else if(this.accept('keyword','is')){
+        op = this.accept('keyword','not') ? 'is not' : 'is'
+      }
+      if(!op){
+        break
+      }
+      ops.push(op)
+      values.push(this.expression())
+    }
+    if(ops.length == 0){
+      return left
+    }
+    return {type: 'compare', left: left, ops: ops, values: values, line: line}
+  }
+
+  expression(){
+    return this.binary(0)
+  }
+
+  // binary operators from lowest to highest precedence
+  binary(level){
+    var levels = [['|'],['^'],['&'],['<<','>>'],['+','-'],['*','/','//','%','@']]
+    if(level == levels.length){
+      return this.factor()
+    }
+    var line = this.peek().line
+    var left = this.binary(level+1)
+    while(this.is('op') && levels[level].indexOf(this.peek().value) > -1){
+      var op = this.next().value
+      left = {type: 'binop', op: op, left: left, right: this.binary(level+1), line: line}
+    }
+    return left
+  }
+
+  factor(){
+    var line = this.peek().line
+    if(this.is('op') && ['-','+','~'].indexOf(this.peek().value) > -1){
+      var op = this.next().value
+      return {type: 'unary', op: op, value: this.factor(), line: line}
+    }
+    return this.power()
+  }
+
+  power(){
+    var line = this.peek().line
+    var base = this.atomExpression()
+    if(this.accept('op','**')){
+      return {type: 'binop', op: '**', left: base, right: this.factor(), line: line}
+    }
+    return base
+  }
+
+  atomExpression(){
+    var value = this.atom()
+    while(true){
+      var line = this.peek().line
+      if(this.accept('op','(')){
+        value = {type: 'call', func: value, args: this.callArguments(), line: line}
+      }else if(this.accept('op','[')){
+        value = {type: 'subscript', value: value, index: this.subscript(), line: line}
+        this.expect('op',']')
+      }else if(this.accept('op','.')){
+        value = {type: 'attribute', value: value, name: this.expect('name').value, line: line}
+      }else{
+        return value
+      }
+    }
+  }
+
+  callArguments(){
+    var args = []
+    while(!this.accept('op',')')){
+      if(this.accept('op','*')){
+        args.push({star: '*', value: this.test()})
+      }else if(this.accept('op','**')){
+        args.push({star: '**', value: this.test()})
+      }else if(this.is('name') && this.peek(1).type == 'op' && this.peek(1).value == '='){
+        var name = this.next().value
+        this.next()
+        args.push({name: name, value: this.test()})
+      }else{
+        var value = this.test()
+        if(this.isKeyword('for')){
+          value = this.comprehension('list',value,value.line)
+          value.type = 'generator'
+        }
+        args.push({value: value})
+      }
+      if(!this.accept('op',',')){
+        this.expect('op',')')
+        break
+      }
+    }
+    return args
+  }
+
+  subscript(){
+    var line = this.peek().line
+    var start = this.isOp(':') ? null : this.test()
+    if(!this.accept('op',':')){
+      return start
+    }
+    var stop = this.isOp(']') || this.isOp(':') ? null : this.test()
+    var step = null
+    if(this.accept('op',':')){
+      step = this.isOp(']') ? null : this.test()
+    }
+    return {type: 'slice', start: start, stop: stop, step: step, line: line}
+  }
+
+  comprehension(kind,element,line,value){
+    var clauses = []
+    while(this.accept('keyword','for')){
+      var target = this.targetList()
+      this.expect('keyword','in')
+      var clause = {target: target, iterable: this.orTest(), conditions: []}
+      while(this.accept('keyword','if')){
+        clause.conditions.push(this.orTest())
+      }
+      clauses.push(clause)
+    }
+    return {type: 'comprehension', kind: kind, element: element, value: value || null, clauses: clauses, line: line}
+  }
+
+  atom(){
+    var token = this.next()
+    var line = token.line
+    if(token.type == 'name'){
+      return {type: 'name', name: token.value, line: line}
+    }
+    if(token.type == 'number'){
+      return {type: 'constant', value: token.value, line: line}
+    }
+    if(token.type == 'string'){
+      var value = token.value.value
+      var bytes = token.value.bytes
+      while(this.is('string')){
+        value += this.next().value.value // implicit concatenation
+      }
+      return {type: 'constant', value: bytes ? Buffer.from(value,'binary') : value, line: line}
+    }
+    if(token.type == 'keyword'){
+      if(token.value == 'None') return {type: 'constant', value: null, line: line}
+      if(token.value == 'True') return {type: 'constant', value: true, line: line}
+      if(token.value == 'False') return {type: 'constant', value: false, line: line}
+    }
+    if(token.type == 'op'){
+      if(token.value == '('){
+        if(this.accept('op',')')){
+          return {type: 'tuple', items: [], line: line}
+        }
+        var first = this.test()
+        if(this.isKeyword('for')){
+          var generator = this.comprehension('list',first,line)
+          this.expect('op',')')
+          return generator
+        }
+        if(this.accept('op',')')){
+          return first
+        }
+        var items = [first]
+        while(this.accept('op',',')){
+          if(this.isOp(')')){
+            break
+          }
+          items.push(this.test())
+        }
+        this.expect('op',')')
+        return {type: 'tuple', items: items, line: line}
+      }
+      if(token.value == '['){
+        var items = []
+        if(this.accept('op',']')){
+          return {type: 'list', items: items, line: line}
+        }
+        var first = this.test()
+        if(this.isKeyword('for')){
+          var comprehension = this.comprehension('list',first,line)
+          this.expect('op',']')
+          return comprehension
+        }
+        items.push(first)
+        while(this.accept('op',',')){
+          if(this.isOp(']')){
+            break
+          }
+          items.push(this.test())
+        }
+        this.expect('op',']')
+        return {type: 'list', items: items, line: line}
+      }
+      if(token.value == '{'){
+        var keys = []
+        var values = []
+        if(this.accept('op','}')){
+          return {type: 'dict', keys: keys, values: values, line: line}
+        }
+        var key = this.test()
+        if(!this.accept('op',':')){
+          throw syntaxError("sets aren't supported on the fake board",line)
+        }
+        var value = this.test()
+        if(this.isKeyword('for')){
+          var comprehension = this.comprehension('dict',key,line,value)
+          this.expect('op','}')
+          return comprehension
+        }
+        keys.push(key)
+        values.push(value)
+        while(this.accept('op',',')){
+          if(this.isOp('}')){
+            break
+          }
+          keys.push(this.test())
+          this.expect('op',':')
+          values.push(this.test())
+        }
+        this.expect('op','}')
+        return {type: 'dict', keys: keys, values: values, line: line}
+      }
+    }
+    throw syntaxError("invalid syntax",line)
+  }
+}
+
+function checkTarget(target){
+  if(target.type == 'tuple' || target.type == 'list'){
+    target.items.forEach(checkTarget)
+  }else if(['name','attribute','subscript'].indexOf(target.type) == -1){
+    throw syntaxError("can't assign to expression",target.line)
+  }
+}
+
+function parse(source){
+  return new Parser(tokenize(source)).module()
+}
+
+// -- values
+
+function typeName(value){
+  if(value === null || value === undefined) return 'NoneType'
+  if(typeof value == 'boolean') return 'bool'
+  if(typeof value == 'number') return Number.isInteger(value) ? 'int' : 'float'
+  if(typeof value == 'string') return 'str'
+  if(Buffer.isBuffer(value)) return 'bytes'
+  if(Array.isArray(value)) return value.is_tuple ? 'tuple' : 'list'
+  if(value instanceof Map) return 'dict'
+  if(value instanceof PyException) return value.type.name
+  if(value instanceof ExceptionType) return 'type'
+  if(value instanceof PyFunction || typeof value == 'function') return 'function'
+  if(value instanceof PyObject) return value.type_name
+  return 'object'
+}
+
+function truthy(value){
+  if(value === null || value === undefined || value === false || value === 0 || value === '') return false
+  if(Buffer.isBuffer(value) || Array.isArray(value)) return value.length > 0
+  if(value instanceof Map) return value.size > 0
+  return true
+}
+
+function equals(a,b){
+  if(a === b) return true
+  if(typeof a == 'boolean' || typeof b == 'boolean'){
+    return Number(a) === Number(b)
+  }
+  if(Buffer.isBuffer(a) && Buffer.isBuffer(b)){
+    return a.equals(b)
+  }
+  if(Array.isArray(a) && Array.isArray(b)){
+    if(!!a.is_tuple != !!b.is_tuple || a.length != b.length) return false
+    for(var i=0;i<a.length;i++){
+      if(!equals(a[i],b[i])) return false
+    }
+    return true
+  }
+  if(a instanceof Map && b instanceof Map){
+    if(a.size != b.size) return false
+    for(var [key,value] of a){
+      if(!b.has(key) || !equals(value,b.get(key))) return false
+    }
+    return true
+  }
+  return false
+}
+
+function compare(a,b){
+  if(typeof a == typeof b && (typeof a == 'number' || typeof a == 'string')){
+    return a < b ? -1 : a > b ? 1 : 0
+  }
+  if(typeof a == 'boolean' || typeof b == 'boolean'){
+    return compare(Number(a),Number(b))
+  }
+  if(Buffer.isBuffer(a) && Buffer.isBuffer(b)){
+    return Buffer.compare(a,b)
+  }
+  if(Array.isArray(a) && Array.isArray(b)){
+    for(var i=0;i<Math.min(a.length,b.length);i++){
+      var c = compare(a[i],b[i])
+      if(c != 0) return c
+    }
+    return a.length - b.length
+  }
+  throw new PyException('TypeError',["unsupported types for comparison: '"+typeName(a)+"', '"+typeName(b)+"'"])
+}
+
+function reprString(value,bytes){
+  var quote = value.indexOf("'") > -1 && value.indexOf('"') == -1 ? '"' : "'"
+  var text = ''
+  for(var i=0;i<value.length;i++){
+    var c = value[i]
+    var code = value.charCodeAt(i)
+    if(c == quote || c == '\\') text += '\\'+c
+    else if(c == '\n') text += '\\n'
+    else if(c == '\r') text += '\\r'
+    else if(c == '\t') text += '\\t'
+    else if(code < 0x20 || code == 0x7f || (bytes && code > 0x7f)) text += '\\x'+('0'+code.toString(16)).slice(-2)
+    else text += c
+  }
+  return (bytes ? 'b' : '')+quote+text+quote
+}
+
+function repr(value){
+  if(value === null || value === undefined) return 'None'
+  if(value === true) return 'True'
+  if(value === false) return 'False'
+  if(typeof value == 'number'){
+    if(Number.isNaN(value)) return 'nan'
+    if(!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf'
+    return String(value)
+  }
+  if(typeof value == 'string') return reprString(value,false)
+  if(Buffer.isBuffer(value)) return reprString(value.toString('binary'),true)
+  if(Array.isArray(value)){
+    var items = value.map(repr)
+    if(value.is_tuple){
+      return '('+items.join(', ')+(items.length == 1 ? ',' : '')+')'
+    }
+    return '['+items.join(', ')+']'
+  }
+  if(value instanceof Map){
+    var pairs = []
+    value.forEach(function(v,k){
+      pairs.push(repr(k)+': '+repr(v))
+    })
+    return '{'+pairs.join(', ')+'}'
+  }
+  if(value instanceof PyException) return value.type.name+repr(value.args)
+  if(value instanceof ExceptionType) return "<class '"+value.name+"'>"
+  if(value instanceof PyFunction) return '<function '+value.name+'>'
+  if(typeof value == 'function') return '<function '+(value.py_name || value.name || 'builtin')+'>'
+  if(value instanceof PyObject){
+    if(value.repr) return value.repr()
+    if(value.type_name == 'module') return "<module '"+value.attrs.__name__+"'>"
+    return '<'+value.type_name+'>'
+  }
+  return String(value)
+}
+
+function str(value){
+  if(typeof value == 'string') return value
+  if(value instanceof PyException) return exceptionMessage(value.type,value.args)
+  if(value instanceof PyObject && value.str) return value.str()
+  return repr(value)
+}
+
+// text or bytes to a Buffer, for functions that take both
+function toBuffer(value){
+  if(Buffer.isBuffer(value)) return value
+  if(typeof value == 'string') return Buffer.from(value,'utf8')
+  if(Array.isArray(value)) return Buffer.from(value)
+  throw new PyException('TypeError',["object with buffer protocol required"])
+}
+
+// the items of an iterable as an array
+function iterate(value){
+  if(Array.isArray(value)) return value.slice()
+  if(typeof value == 'string') return Array.from(value)
+  if(Buffer.isBuffer(value)) return Array.from(value)
+  if(value instanceof Map) return Array.from(value.keys())
+  if(value instanceof PyObject && value.items) return value.items.slice()
+  throw new PyException('TypeError',["'"+typeName(value)+"' object isn't iterable"])
+}
+
+function index(value,i){
+  if(typeof i == 'boolean') i = Number(i)
+  if(value instanceof Map){
+    for(var [key,v] of value){
+      if(equals(key,i)) return v
+    }
+    throw new PyException('KeyError',[i])
+  }
+  if(value instanceof PyObject && value.items) value = value.items
+  if(typeof value == 'string' || Buffer.isBuffer(value) || Array.isArray(value)){
+    if(typeof i != 'number' || !Number.isInteger(i)){
+      throw new PyException('TypeError',["indices must be integers"])
+    }
+    var j = i < 0 ? value.length+i : i
+    if(j < 0 || j >= value.length){
+      throw new PyException('IndexError',[typeName(value)+" index out of range"])
+    }
+    return typeof value == 'string' ? value[j] : value[j]
+  }
+  throw new PyException('TypeError',["'"+typeName(value)+"' object isn't subscriptable"])
+}
+
+function slice(value,start,stop,step){
+  step = step === null ? 1 : step
+  if(step == 0){
+    throw new PyException('ValueError',["slice step cannot be zero"])
+  }
+  var length = value.length
+  var bound = function(i,fallback){
+    if(i === null) return fallback
+    if(i < 0) i += length
+    return Math.max(step > 0 ? 0 : -1,Math.min(i,step > 0 ? length : length-1))
+  }
+  var from = bound(start,step > 0 ? 0 : length-1)
+  var to = bound(stop,step > 0 ? length : -1)
+  var indexes = []
+  for(var i=from;step > 0 ? i < to : i > to;i += step){
+    indexes.push(i)
+  }
+  if(typeof value == 'string') return indexes.map(function(i){ return value[i] }).join('')
+  if(Buffer.isBuffer(value)) return Buffer.from(indexes.map(function(i){ return value[i] }))
+  var items = indexes.map(function(i){ return value[i] })
+  return value.is_tuple ? tuple(items) : items
+}
+
+// printf style formatting, 'a %s b' % value
+function format(template,values){
+  var args = Array.isArray(values) && values.is_tuple ? values.slice() : [values]
+  var used = 0
+  var result = template.replace(/%(\([^)]*\))?([-+ 0#]*)(\d+|\*)?(?:\.(\d+))?([sdirxXfeEgGc%])/g,function(match,key,flags,width,precision,conversion){
+    if(conversion == '%') return '%'
+    var value
+    if(key){
+      value = index(values,key.slice(1,-1))
+    }else{
+      if(used >= args.length) throw new PyException('TypeError',["not enough arguments for format string"])
+      value = args[used++]
+    }
+    var text
+    switch(conversion){
+      case 's': text = str(value); break
+      case 'r': text = repr(value); break
+      case 'c': text = typeof value == 'number' ? String.fromCharCode(value) : str(value); break
+      case 'd':
+      case 'i': text = String(Math.trunc(Number(value))); break
+      case 'x': text = Math.trunc(value).toString(16); break
+      case 'X': text = Math.trunc(value).toString(16).toUpperCase(); break
+      case 'e':
+      case 'E': text = Number(value).toExponential(precision === undefined ? 6 : parseInt(precision)); break
+      default: text = Number(value).toFixed(precision === undefined ? 6 : parseInt(precision))
+    }
+    if(width){
+      var pad = flags.indexOf('0') > -1 && flags.indexOf('-') == -1 ? '0' : ' '
+      text = flags.indexOf('-') > -1 ? text.padEnd(parseInt(width)) : text.padStart(parseInt(width),pad)
+    }
+    return text
+  })
+  if(!(values instanceof Map) && used < args.length){
+    throw new PyException('TypeError',["not all arguments converted during string formatting"])
+  }
+  return result
+}
+
+function binaryOperation(op,a,b){
+  var numbers = (typeof a == 'number' || typeof a == 'boolean') && (typeof b == 'number' || typeof b == 'boolean')
+  if(numbers){
+    a = Number(a)
+    b = Number(b)
+    switch(op){
+      case '+': return a+b
+      case '-': return a-b
+      case '*': return a*b
+      case '/':
+        if(b == 0) throw new PyException('ZeroDivisionError',["divide by zero"])
+        return a/b
+      case '//':
+        if(b == 0) throw new PyException('ZeroDivisionError',["divide by zero"])
+        return Math.floor(a/b)
+      case '%':
+        if(b == 0) throw new PyException('ZeroDivisionError',["divide by zero"])
+        return ((a % b) + b) % b
+      case '**': return Math.pow(a,b)
+      case '&': return a & b
+      case '|': return a | b
+      case '^': return a ^ b
+      case '<<': return a << b
+      case '>>': return a >> b
+    }
+  }
+  if(op == '+'){
+    if(typeof a == 'string' && typeof b == 'string') return a+b
+    if(Buffer.isBuffer(a) && Buffer.isBuffer(b)) return Buffer.concat([a,b])
+    if(Array.isArray(a) && Array.isArray(b) && !!a.is_tuple == !!b.is_tuple){
+      return a.is_tuple ? tuple(a.concat(b)) : a.concat(b)
+    }
+  }
+  if(op == '*'){
+    if(typeof a == 'number' && typeof b != 'number') return binaryOperation(op,b,a)
+    if(typeof b == 'number'){
+      if(typeof a == 'string') return a.repeat(Math.max(0,b))
+      if(Buffer.isBuffer(a)) return Buffer.concat(Array(Math.max(0,b)).fill(a))
+      if(Array.isArray(a)){
+        var items = []
+        for(var i=0;i<b;i++) items = items.concat(a)
+        return a.is_tuple ? tuple(items) : items
+      }
+    }
+  }
+  if(op == '%' && typeof a == 'string'){
+    return format(a,b)
+  }
+  throw new PyException('TypeError',["unsupported types for "+op+": '"+typeName(a)+"', '"+typeName(b)+"'"])
+}
+
+function contains(container,value){
+  if(typeof container == 'string'){
+    if(typeof value != 'string') throw new PyException('TypeError',["can't convert to str implicitly"])
+    return container.indexOf(value) > -1
+  }
+  if(Buffer.isBuffer(container)){
+    return container.indexOf(typeof value == 'number' ? value : toBuffer(value)) > -1
+  }
+  if(container instanceof Map){
+    for(var key of container.keys()){
+      if(equals(key,value)) return true
+    }
+    return false
+  }
+  return iterate(container).some(function(item){
+    return equals(item,value)
+  })
+}
+
+// methods of the builtin types, as functions(self,args,kwargs)
+var METHODS = {
+  str: {
+    encode: function(s){ return Buffer.from(s,'utf8') },
+    startswith: function(s,args){ return s.startsWith(args[0]) },
+    endswith: function(s,args){ return s.endsWith(args[0]) },
+    strip: function(s,args){ return stripChars(s,args[0],true,true) },
+    lstrip: function(s,args){ return stripChars(s,args[0],true,false) },
+    rstrip: function(s,args){ return stripChars(s,args[0],false,true) },
+    split: function(s,args){
+      if(args[0] === undefined || args[0] === null) return s.split(/\s+/).filter(function(p){ return p != '' })
+      return s.split(args[0])
+    },
+    join: function(s,args){ return iterate(args[0]).map(function(item){
+      if(typeof item != 'string') throw new PyException('TypeError',["join expects a list of str"])
+      return item
+    }).join(s) },
+    replace: function(s,args){ return s.split(args[0]).join(args[1]) },
+    find: function(s,args){ return s.indexOf(args[0]) },
+    upper: function(s){ return s.toUpperCase() },
+    lower: function(s){ return s.toLowerCase() },
+    format: function(s,args,kwargs){
+      var i = 0
+      return s.replace(/\{([^}]*)\}/g,function(match,key){
+        if(key === '') return str(args[i++])
+        if(/^\d+$/.test(key)) return str(args[parseInt(key)])
+        return str(kwargs[key])
+      })
+    },
+    isdigit: function(s){ return /^\d+$/.test(s) }
+  },
+  bytes: {
+    decode: function(b,args){ return b.toString(args[0] && /^(ascii|latin-?1)$/i.test(args[0]) ? 'binary' : 'utf8') },
+    startswith: function(b,args){ return b.slice(0,toBuffer(args[0]).length).equals(toBuffer(args[0])) },
+    hex: function(b){ return b.toString('hex') }
+  },
+  list: {
+    append: function(l,args){ l.push(args[0]); return null },
+    extend: function(l,args){ iterate(args[0]).forEach(function(item){ l.push(item) }); return null },
+    insert: function(l,args){ l.splice(args[0],0,args[1]); return null },
+    pop: function(l,args){
+      if(l.length == 0) throw new PyException('IndexError',["pop from empty list"])
+      var i = args.length ? (args[0] < 0 ? l.length+args[0] : args[0]) : l.length-1
+      return l.splice(i,1)[0]
+    },
+    remove: function(l,args){
+      var i = l.findIndex(function(item){ return equals(item,args[0]) })
+      if(i == -1) throw new PyException('ValueError',["object not in sequence"])
+      l.splice(i,1)
+      return null
+    },
+    index: function(l,args){
+      var i = l.findIndex(function(item){ return equals(item,args[0]) })
+      if(i == -1) throw new PyException('ValueError',["object not in sequence"])
+      return i
+    },
+    count: function(l,args){ return l.filter(function(item){ return equals(item,args[0]) }).length },
+    sort: function(l,args,kwargs){
+      l.sort(compare)
+      if(kwargs.reverse) l.reverse()
+      return null
+    }
+  },
+  dict: {
+    get: function(d,args){ return d.has(args[0]) ? d.get(args[0]) : (args.length > 1 ? args[1] : null) },
+    keys: function(d){ return Array.from(d.keys()) },
+    values: function(d){ return Array.from(d.values()) },
+    items: function(d){ return Array.from(d.entries()).map(tuple) },
+    pop: function(d,args){
+      if(!d.has(args[0])){
+        if(args.length > 1) return args[1]
+        throw new PyException('KeyError',[args[0]])
+      }
+      var value = d.get(args[0])
+      d.delete(args[0])
+      return value
+    },
+    update: function(d,args){ args[0].forEach(function(v,k){ d.set(k,v) }); return null },
+    setdefault: function(d,args){
+      if(!d.has(args[0])) d.set(args[0],args.length > 1 ? args[1] : null)
+      return d.get(args[0])
+    }
+  }
+}
+METHODS.tuple = {index: METHODS.list.index, count: METHODS.list.count}
+
+function stripChars(s,chars,left,right){
+  var strip = chars === undefined || chars === null ? ' \t\r\n\v\f' : chars
+  var start = 0
+  var end = s.length
+  while(left && start < end && strip.indexOf(s[start]) > -1) start++
+  while(right && end > start && strip.indexOf(s[end-1]) > -1) end--
+  return s.slice(start,end)
+}
+
+function getattr(value,name){
+  if(value instanceof PyObject){
+    if(name in value.attrs) return value.attrs[name]
+  }else if(value instanceof PyException){
+    if(name == 'args') return value.args
+    if(name == 'errno' && value.type.isSubclassOf(TYPES.OSError)) return value.args[0]
+  }else if(value instanceof ExceptionType || value instanceof PyFunction){
+    if(name == '__name__') return value.name
+  }else{
+    var methods = METHODS[typeName(value)]
+    if(methods && name in methods){
+      var method = function(args,kwargs){
+        return methods[name](value,args,kwargs)
+      }
+      method.py_name = name
+      return method
+    }
+  }
+  throw new PyException('AttributeError',["'"+typeName(value)+"' object has no attribute '"+name+"'"])
+}
+
+function hasattr(value,name){
+  try{
+    getattr(value,name)
+    return true
+  }catch(e){
+    if(e instanceof PyException && e.type === TYPES.AttributeError) return false
+    throw e
+  }
+}
+
+// -- interpreter
+
+// Runs code with its own globals, like the REPL of a board. builtins and modules
+// extend the basic builtins, modules are PyObjects by name (see modules.js)
+class Interpreter {
+
+  constructor(options){
+    options = options || {}
+    this.stdout = options.stdout || function(){}
+    this.modules = options.modules || {}
+    this.max_steps = options.max_steps || MAX_STEPS
+    this.builtins = Object.assign(basicBuiltins(this),options.builtins || {})
+    this.globals = new Map()
+    this.globals.set('__name__','__main__')
+    this.steps = 0
+    this.frames = []
+  }
+
+  // runs a script, throws a PyException with a traceback when it raised one
+  exec(source,file){
+    var body = parse(source)
+    this.steps = 0
+    this.frames = [{file: file || '<stdin>', name: '<module>', line: 1, locals: null, globals: []}]
+    try{
+      this.run(body)
+    }catch(e){
+      this.frames = []
+      throw this.unwrap(e)
+    }
+    this.frames = []
+  }
+
+  // runs a line of the REPL, printing the value of an expression like the board does
+  execInteractive(source){
+    var body = parse(source)
+    this.steps = 0
+    this.frames = [{file: '<stdin>', name: '<module>', line: 1, locals: null, globals: []}]
+    try{
+      for(var i=0;i<body.length;i++){
+        var statement = body[i]
+        if(statement.type == 'expr'){
+          this.frame().line = statement.line
+          var value = this.evaluate(statement.value)
+          if(value !== null && value !== undefined){
+            this.stdout(repr(value)+"\r\n")
+          }
+        }else{
+          this.run([statement])
+        }
+      }
+    }catch(e){
+      this.frames = []
+      throw this.unwrap(e)
+    }
+    this.frames = []
+  }
+
+  unwrap(e){
+    if(e instanceof PyException) return e
+    if(e instanceof Break || e instanceof Continue) return syntaxError("'break' outside loop",0)
+    if(e instanceof Return) return syntaxError("'return' outside function",0)
+    if(e instanceof RangeError){
+      return new PyException('RuntimeError',["maximum recursion depth exceeded"])
+    }
+    throw e
+  }
+
+  frame(){
+    return this.frames[this.frames.length-1]
+  }
+
+  run(statements){
+    for(var i=0;i<statements.length;i++){
+      this.execute(statements[i])
+    }
+  }
+
+  execute(node){
+    var frame = this.frame()
+    frame.line = node.line
+    if(++this.steps > this.max_steps){
+      throw this.traced(new PyException('KeyboardInterrupt',["the fake board stopped the code after "+this.max_steps+" steps"]))
+    }
+    try{
+      this.__execute(node)
+    }catch(e){
+      if(e instanceof PyException && !e.traced){
+        throw this.traced(e)
+      }
+      throw e
+    }
+  }
+
+  // adds the frames the exception passed through
+  traced(e){
+    e.traced = true
+    e.traceback = this.frames.map(function(frame){
+      return {file: frame.file, line: frame.line, name: frame.name}
+    })
+    return e
+  }
+
+  __execute(node){
+    var _this = this
+    switch(node.type){
+      case 'pass':
+        return
+      case 'break':
+        throw new Break()
+      case 'continue':
+        throw new Continue()
+      case 'return':
+        throw new Return(node.value ? this.evaluate(node.value) : null)
+      case 'expr':
+        this.evaluate(node.value)
+        return
+      case 'assign':
+        var value = this.evaluate(node.value)
+        node.targets.forEach(function(target){
+          _this.assign(target,value)
+        })
+        return
+      case 'augassign':
+        this.assign(node.target,binaryOperation(node.op,this.evaluate(node.target),this.evaluate(node.value)))
+        return
+      case 'global':
+        node.names.forEach(function(name){
+          _this.frame().globals.push(name)
+        })
+        return
+      case 'del':
+        node.targets.forEach(function(target){
+          _this.delete(target)
+        })
+        return
+      case 'assert':
+        if(!truthy(this.evaluate(node.test))){
+          throw new PyException('AssertionError',node.message ? [this.evaluate(node.message)] : [])
+        }
+        return
+      case 'raise':
+        if(!node.exception){
+          if(this.frame().handling) throw this.frame().handling
+          throw new PyException('RuntimeError',["no active exception to reraise"])
+        }
+        var exception = this.evaluate(node.exception)
+        if(exception instanceof ExceptionType){
+          exception = new PyException(exception,[])
+        }
+        if(!(exception instanceof PyException)){
+          throw new PyException('TypeError',["exceptions must derive from BaseException"])
+        }
+        exception.traced = false
+        throw exception
+      case 'import':
+        node.modules.forEach(function(module){
+          var value = _this.importModule(module.name)
+          if(module.as){
+            _this.setName(module.as,value)
+          }else{
+            _this.setName(module.name.split('.')[0],_this.importModule(module.name.split('.')[0]))
+          }
+        })
+        return
+      case 'from':
+        var module = this.importModule(node.module)
+        if(node.names === null){
+          Object.keys(module.attrs).forEach(function(name){
+            if(name[0] != '_') _this.setName(name,module.attrs[name])
+          })
+          return
+        }
+        node.names.forEach(function(name){
+          if(!(name.name in module.attrs)){
+            throw new PyException('ImportError',["can't import name "+name.name])
+          }
+          _this.setName(name.as,module.attrs[name.name])
+        })
+        return
+      case 'if':
+        this.run(truthy(this.evaluate(node.test)) ? node.body : node.orelse)
+        return
+      case 'while':
+        while(truthy(this.evaluate(node.test))){
+          if(this.loopBody(node.body)){
+            return
+          }
+          this.frame().line = node.line
+        }
+        this.run(node.orelse)
+        return
+      case 'for':
+        var items = iterate(this.evaluate(node.iterable))
+        for(var i=0;i<items.length;i++){
+          this.assign(node.target,items[i])
+          if(this.loopBody(node.body)){
+            return
+          }
+        }
+        this.run(node.orelse)
+        return
+      case 'try':
+        this.tryStatement(node)
+        return
+      case 'with':
+        var context = this.evaluate(node.context)
+        var entered = hasattr(context,'__enter__') ? this.call(getattr(context,'__enter__'),[]) : context
+        if(node.target){
+          this.assign(node.target,entered)
+        }
+        try{
+          this.run(node.body)
+        }finally{
+          if(hasattr(context,'__exit__')){
+            this.call(getattr(context,'__exit__'),[null,null,null])
+          }
+        }
+        return
+      case 'def':
+        var params = node.params.map(function(param){
+          return {name: param.name, star: param.star, default: param.default ? _this.evaluate(param.default) : undefined}
+        })
+        this.setName(node.name,new PyFunction(node.name,params,node.body,this))
+        return
+    }
+    throw new PyException('NotImplementedError',[node.type])
+  }
+
+  // returns true when the loop was broken out of
+  loopBody(body){
+    try{
+      this.run(body)
+    }catch(e){
+      if(e instanceof Break) return true
+      if(e instanceof Continue) return false
+      throw e
+    }
+    return false
+  }
+
+  tryStatement(node){
+    try{
+      try{
+        this.run(node.body)
+      }catch(e){
+        if(!(e instanceof PyException)){
+          throw e
+        }
+        var handler = this.findHandler(node.handlers,e)
+        if(!handler){
+          throw e
+        }
+        var frame = this.frame()
+        var previous = frame.handling
+        frame.handling = e
+        if(handler.name){
+          this.setName(handler.name,e)
+        }
+        try{
+          this.run(handler.body)
+        }finally{
+          frame.handling = previous
+        }
+        return
+      }
+      this.run(node.orelse)
+    }finally{
+      if(node.final){
+        this.run(node.final)
+      }
+    }
+  }
+
+  findHandler(handlers,e){
+    for(var i=0;i<handlers.length;i++){
+      var handler = handlers[i]
+      if(!handler.type){
+        return handler
+      }
+      var types = this.evaluate(handler.type)
+      types = Array.isArray(types) ? types : [types]
+      for(var j=0;j<types.length;j++){
+        if(!(types[j] instanceof ExceptionType)){
+          throw new PyException('TypeError',["catching classes that don't inherit from BaseException isn't allowed"])
+        }
+        if(e.type.isSubclassOf(types[j])){
+          return handler
+        }
+      }
+    }
+    return null
+  }
+
+  importModule(name){
+    if(!(name in this.modules)){
+      throw new PyException('ImportError',["no module named '"+name+"'"])
+    }
+    return this.modules[name]
+  }
+
+  lookup(name){
+    var frame = this.frame()
+    if(frame.locals && frame.globals.indexOf(name) == -1 && frame.locals.has(name)){
+      return frame.locals.get(name)
+    }
+    if(this.globals.has(name)){
+      return this.globals.get(name)
+    }
+    if(name in this.builtins){
+      return this.builtins[name]
+    }
+    throw new PyException('NameError',["name '"+name+"' isn't defined"])
+  }
+
+  setName(name,value){
+    var frame = this.frame()
+    if(frame.locals && frame.globals.indexOf(name) == -1){
+      frame.locals.set(name,value)
+    }else{
+      this.globals.set(name,value)
+    }
+  }
+
+  assign(target,value){
+    var _this = this
+    switch(target.type){
+      case 'name':
+        this.setName(target.name,value)
+        return
+      case 'tuple':
+      case 'list':
+        var items = iterate(value)
+        if(items.length != target.items.length){
+          throw new PyException('ValueError',["need "+target.items.length+" values to unpack, got "+items.length])
+        }
+        target.items.forEach(function(item,i){
+          _this.assign(item,items[i])
+        })
+        return
+      case 'attribute':
+        var object = this.evaluate(target.value)
+        if(!(object instanceof PyObject)){
+          throw new PyException('AttributeError',["can't set attribute"])
+        }
+        object.attrs[target.name] = value
+        return
+      case 'subscript':
+        var container = this.evaluate(target.value)
+        var key = this.evaluate(target.index)
+        if(container instanceof Map){
+          for(var existing of container.keys()){
+            if(equals(existing,key)){
+              key = existing
+              break
+            }
+          }
+          container.set(key,value)
+        }else if(Array.isArray(container) && !container.is_tuple){
+          var i = key < 0 ? container.length+key : key
+          if(i < 0 || i >= container.length){
+            throw new PyException('IndexError',["list assignment index out of range"])
+          }
+          container[i] = value
+        }else{
+          throw new PyException('TypeError',["'"+typeName(container)+"' object doesn't support item assignment"])
+        }
+        return
+    }
+    throw syntaxError("can't assign to expression",target.line)
+  }
+
+  delete(target){
+    var _this = this
+    switch(target.type){
+      case 'name':
+        var frame = this.frame()
+        if(frame.locals && frame.locals.has(target.name)){
+          frame.locals.delete(target.name)
+        }else if(this.globals.has(target.name)){
+          this.globals.delete(target.name)
+        }else{
+          throw new PyException('NameError',["name '"+target.name+"' isn't defined"])
+        }
+        return
+      case 'tuple':
+      case 'list':
+        target.items.forEach(function(item){
+          _this.delete(item)
+        })
+        return
+      case 'subscript':
+        var container = this.evaluate(target.value)
+        var key = this.evaluate(target.index)
+        if(container instanceof Map){
+          index(container,key)
+          for(var existing of container.keys()){
+            if(equals(existing,key)) container.delete(existing)
+          }
+        }else if(Array.isArray(container) && !container.is_tuple){
+          index(container,key)
+          container.splice(key < 0 ? container.length+key : key,1)
+        }else{
+          throw new PyException('TypeError',["'"+typeName(container)+"' object doesn't support item deletion"])
+        }
+        return
+    }
+    throw syntaxError("can't delete expression",target.line)
+  }
+
+  evaluate(node){
+    var _this = this
+    switch(node.type){
+      case 'constant':
+        return node.value
+      case 'name':
+        return this.lookup(node.name)
+      case 'tuple':
+        return tuple(node.items.map(function(item){ return _this.evaluate(item) }))
+      case 'list':
+        return node.items.map(function(item){ return _this.evaluate(item) })
+      case 'dict':
+        var dict = new Map()
+        node.keys.forEach(function(key,i){
+          dict.set(_this.evaluate(key),_this.evaluate(node.values[i]))
+        })
+        return dict
+      case 'comprehension':
+      case 'generator':
+        return this.comprehension(node)
+      case 'attribute':
+        return getattr(this.evaluate(node.value),node.name)
+      case 'subscript':
+        var value = this.evaluate(node.value)
+        if(node.index.type == 'slice'){
+          var part = function(n){ return n ? _this.evaluate(n) : null }
+          return slice(value,part(node.index.start),part(node.index.stop),part(node.index.step))
+        }
+        return index(value,this.evaluate(node.index))
+      case 'call':
+        return this.callNode(node)
+      case 'binop':
+        return binaryOperation(node.op,this.evaluate(node.left),this.evaluate(node.right))
+      case 'unary':
+        var operand = this.evaluate(node.value)
+        if(typeof operand != 'number' && typeof operand != 'boolean'){
+          throw new PyException('TypeError',["unsupported type for "+node.op+": '"+typeName(operand)+"'"])
+        }
+        return node.op == '-' ? -operand : node.op == '~' ? ~operand : Number(operand)
+      case 'not':
+        return !truthy(this.evaluate(node.value))
+      case 'and':
+        var left = this.evaluate(node.left)
+        return truthy(left) ? this.evaluate(node.right) : left
+      case 'or':
+        var left = this.evaluate(node.left)
+        return truthy(left) ? left : this.evaluate(node.right)
+      case 'ifexp':
+        return truthy(this.evaluate(node.test)) ? this.evaluate(node.body) : this.evaluate(node.orelse)
+      case 'compare':
+        var left = this.evaluate(node.left)
+        for(var i=0;i<node.ops.length;i++){
+          var right = this.evaluate(node.values[i])
+          if(!compareOperation(node.ops[i],left,right)){
+            return false
+          }
+          left = right
+        }
+        return true
+    }
+    throw syntaxError("invalid syntax",node.line)
+  }
+
+  comprehension(node){
+    var _this = this
+    var results = node.kind == 'dict' ? new Map() : []
+    var loop = function(level){
+      if(level == node.clauses.length){
+        if(node.kind == 'dict'){
+          results.set(_this.evaluate(node.element),_this.evaluate(node.value))
+        }else{
+          results.push(_this.evaluate(node.element))
+        }
+        return
+      }
+      var clause = node.clauses[level]
+      iterate(_this.evaluate(clause.iterable)).forEach(function(item){
+        _this.assign(clause.target,item)
+        for(var i=0;i<clause.conditions.length;i++){
+          if(!truthy(_this.evaluate(clause.conditions[i]))){
+            return
+          }
+        }
+        loop(level+1)
+      })
+    }
+    loop(0)
+    return results
+  }
+
+  callNode(node){
+    var _this = this
+    var func = this.evaluate(node.func)
+    var args = []
+    var kwargs = {}
+    node.args.forEach(function(arg){
+      var value = _this.evaluate(arg.value)
+      if(arg.star == '*'){
+        args = args.concat(iterate(value))
+      }else if(arg.star == '**'){
+        value.forEach(function(v,k){ kwargs[k] = v })
+      }else if(arg.name){
+        kwargs[arg.name] = value
+      }else{
+        args.push(value)
+      }
+    })
+    return this.call(func,args,kwargs)
+  }
+
+  call(func,args,kwargs){
+    kwargs = kwargs || {}
+    if(typeof func == 'function'){
+      var result = func(args,kwargs)
+      return result === undefined ? null : result
+    }
+    if(func instanceof ExceptionType){
+      return new PyException(func,args)
+    }
+    if(func instanceof PyFunction){
+      return this.callFunction(func,args,kwargs)
+    }
+    throw new PyException('TypeError',["'"+typeName(func)+"' object isn't callable"])
+  }
+
+  callFunction(func,args,kwargs){
+    var locals = new Map()
+    var positional = args.slice()
+    func.params.forEach(function(param){
+      if(param.star == '*'){
+        locals.set(param.name,tuple(positional.splice(0)))
+      }else if(param.star == '**'){
+        var rest = new Map()
+        Object.keys(kwargs).forEach(function(k){ rest.set(k,kwargs[k]) })
+        locals.set(param.name,rest)
+        kwargs = {}
+      }else if(positional.length){
+        locals.set(param.name,positional.shift())
+      }else if(param.name in kwargs){
+        locals.set(param.name,kwargs[param.name])
+        delete kwargs[param.name]
+      }else if(param.default !== undefined){
+        locals.set(param.name,param.default)
+      }else{
+        throw new PyException('TypeError',["function missing required positional argument '"+param.name+"'"])
+      }
+    })
+    if(positional.length || Object.keys(kwargs).length){
+      throw new PyException('TypeError',["function takes "+func.params.length+" positional arguments"])
+    }
+    this.frames.push({file: this.frame().file, name: func.name, line: func.body.length ? func.body[0].line : 0, locals: locals, globals: []})
+    try{
+      this.run(func.body)
+    }catch(e){
+      if(e instanceof Return) return e.value
+      throw e
+    }finally{
+      this.frames.pop()
+    }
+    return null
+  }
+}
+
+function compareOperation(op,a,b){
+  switch(op){
+    case '==': return equals(a,b)
+    case '!=': return !equals(a,b)
+    case '<': return compare(a,b) < 0
+    case '>': return compare(a,b) > 0
+    case '<=': return compare(a,b) <= 0
+    case '>=': return compare(a,b) >= 0
+    case 'in': return contains(b,a)
+    case 'not in': return !contains(b,a)
+    case 'is': return a === b || (a === null && b === undefined) || (a === undefined && b === null)
+    case 'is not': return !compareOperation('is',a,b)
+  }
+}
+
+function basicBuiltins(interpreter){
+  var builtins = {
+    print: function(args,kwargs){
+      var sep = kwargs.sep === undefined || kwargs.sep === null ? ' ' : kwargs.sep
+      var end = kwargs.end === undefined || kwargs.end === null ? '\n' : kwargs.end
+      interpreter.stdout((args.map(str).join(sep)+end).replace(/\r?\n/g,'\r\n'))
+    },
+    len: function(args){
+      var value = args[0]
+      if(typeof value == 'string' || Buffer.isBuffer(value) || Array.isArray(value)) return value.length
+      if(value instanceof Map) return value.size
+      if(value instanceof PyObject && value.items) return value.items.length
+      throw new PyException('TypeError',["object of type '"+typeName(value)+"' has no len()"])
+    },
+    str: function(args){
+      if(args.length > 1 && Buffer.isBuffer(args[0])) return args[0].toString('utf8')
+      return args.length ? str(args[0]) : ''
+    },
+    repr: function(args){ return repr(args[0]) },
+    bytes: function(args){
+      if(args.length == 0) return Buffer.alloc(0)
+      if(typeof args[0] == 'number') return Buffer.alloc(args[0])
+      return Buffer.from(toBuffer(args[0]))
+    },
+    int: function(args){
+      if(args.length == 0) return 0
+      if(typeof args[0] == 'string'){
+        var base = args.length > 1 ? args[1] : 10
+        var value = parseInt(args[0].trim(),base)
+        if(Number.isNaN(value)) throw new PyException('ValueError',["invalid syntax for integer with base "+base])
+        return value
+      }
+      return Math.trunc(Number(args[0]))
+    },
+    float: function(args){
+      var value = args.length ? Number(args[0]) : 0
+      if(Number.isNaN(value) && !/nan/i.test(String(args[0]))) throw new PyException('ValueError',["invalid syntax for number"])
+      return value
+    },
+    bool: function(args){ return args.length ? truthy(args[0]) : false },
+    list: function(args){ return args.length ? iterate(args[0]) : [] },
+    tuple: function(args){ return tuple(args.length ? iterate(args[0]) : []) },
+    dict: function(args,kwargs){
+      var dict = new Map()
+      if(args.length){
+        if(args[0] instanceof Map) args[0].forEach(function(v,k){ dict.set(k,v) })
+        else iterate(args[0]).forEach(function(pair){ dict.set(index(pair,0),index(pair,1)) })
+      }
+      Object.keys(kwargs).forEach(function(k){ dict.set(k,kwargs[k]) })
+      return dict
+    },
+    range: function(args){
+      var start = args.length > 1 ? args[0] : 0
+      var stop = args.length > 1 ? args[1] : args[0]
+      var step = args.length > 2 ? args[2] : 1
+      var items = []
+      for(var i=start;step > 0 ? i < stop : i > stop;i += step){
+        items.push(i)
+        if(items.length > interpreter.max_steps) throw new PyException('MemoryError',[])
+      }
+      return items
+    },
+    enumerate: function(args){
+      return iterate(args[0]).map(function(item,i){ return tuple([i+(args[1] || 0),item]) })
+    },
+    zip: function(args){
+      var lists = args.map(iterate)
+      var length = Math.min.apply(null,lists.map(function(l){ return l.length }))
+      var items = []
+      for(var i=0;i<length;i++){
+        items.push(tuple(lists.map(function(l){ return l[i] })))
+      }
+      return items
+    },
+    sorted: function(args,kwargs){
+      var items = iterate(args[0]).sort(compare)
+      return kwargs.reverse ? items.reverse() : items
+    },
+    min: function(args){
+      var items = args.length == 1 ? iterate(args[0]) : args
+      return items.reduce(function(a,b){ return compare(b,a) < 0 ? b : a })
+    },
+    max: function(args){
+      var items = args.length == 1 ? iterate(args[0]) : args
+      return items.reduce(function(a,b){ return compare(b,a) > 0 ? b : a })
+    },
+    sum: function(args){ return iterate(args[0]).reduce(function(a,b){ return binaryOperation('+',a,b) },args[1] || 0) },
+    abs: function(args){ return Math.abs(args[0]) },
+    hex: function(args){ return (args[0] < 0 ? '-0x' : '0x')+Math.abs(args[0]).toString(16) },
+    chr: function(args){ return String.fromCharCode(args[0]) },
+    ord: function(args){ return Buffer.isBuffer(args[0]) ? args[0][0] : args[0].charCodeAt(0) },
+    isinstance: function(args){
+      var types = Array.isArray(args[1]) ? args[1] : [args[1]]
+      return types.some(function(type){
+        if(type instanceof ExceptionType) return args[0] instanceof PyException && args[0].type.isSubclassOf(type)
+        return typeof type == 'function' && type.py_type == typeName(args[0])
+      })
+    },
+    getattr: function(args){
+      try{
+        return getattr(args[0],args[1])
+      }catch(e){
+        if(args.length > 2 && e instanceof PyException && e.type === TYPES.AttributeError) return args[2]
+        throw e
+      }
+    },
+    hasattr: function(args){ return hasattr(args[0],args[1]) },
+    __import__: function(args){ return interpreter.importModule(args[0]) },
+    input: function(){ throw new PyException('EOFError',[]) },
+    globals: function(){ return interpreter.globals }
+  }
+  ;['str','bytes','int','float','bool','list','tuple','dict'].forEach(function(name){
+    builtins[name].py_type = name
+    builtins[name].py_name = name
+  })
+  Object.keys(TYPES).forEach(function(name){
+    builtins[name] = TYPES[name]
+  })
+  return builtins
+}
+
+module.exports = {
+  Interpreter: Interpreter,
+  PyException: PyException,
+  PyObject: PyObject,
+  ExceptionType: ExceptionType,
+  TYPES: TYPES,
+  ERRNO: ERRNO,
+  parse: parse,
+  tuple: tuple,
+  repr: repr,
+  str: str,
+  toBuffer: toBuffer,
+  iterate: iterate,
+  equals: equals
+}
@@ -0,0 +1,140 @@
+const Logger = require('../helpers/logger.js')
+const Config = require('../config.js')
+const PySerial = require('./pyserial.js')
+var EventEmitter = require('events')
+
+// Keeps track of the serial ports and tells when boards come and go.
+// SerialPort has no hotplug events, so it compares port lists, checking less
+// often (up to port_watch_max_interval) for as long as nothing changes.
+//
+// Events, ports are {path, manufacturer, vid, pid, serial_number} (see PySerial.describe):
+//   attached  a port showed up
+//   detached  a port went away
+//   change    after every scan that found a difference: {ports, attached, detached}
+//
+// The first scan after start() only collects the ports that are there already, see ports()
+module.exports = class PortWatcher extends EventEmitter {
+
+  // list is for testing, a function calling back with the described ports
+  constructor(list){
+    super()
+    this.list_ports = list || PySerial.listPorts
+    this.config = Config.constants()
+    this.logger = new Logger('PortWatcher')
+    this.current = null
+    this.timer = null
+    this.running = false
+    this.scanning = false
+    this.scan_callbacks = []
+    this.interval = this.config.port_watch_interval
+  }
+
+  // starts watching, cb is called with the ports after the first scan
+  start(cb){
+    if(this.running){
+      this.ports(cb)
+      return
+    }
+    this.logger.info("Watching serial ports")
+    this.running = true
+    this.interval = this.config.port_watch_interval
+    this.scan(cb)
+  }
+
+  stop(){
+    if(this.running){
+      this.logger.info("Stopped watching serial ports")
+    }
+    this.running = false
+    this.current = null
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  // calls back with the known ports, scanning first if there aren't any yet
+  ports(cb){
+    if(this.current && this.running){
+      cb(this.current)
+    }else{
+      this.scan(cb)
+    }
+  }
+
+  // scans right away, for when someone is waiting for a board
+  scan(cb){
+    var _this = this
+    if(cb){
+      this.scan_callbacks.push(cb)
+    }
+    if(this.scanning){
+      return
+    }
+    this.scanning = true
+    clearTimeout(this.timer)
+    this.list_ports(function(ports){
+      _this.scanning = false
+      var callbacks = _this.scan_callbacks.splice(0)
+      if(!_this.running){
+        for(var i=0;i<callbacks.length;i++){
+          callbacks[i](ports)
+        }
+        return
+      }
+      _this.__update(ports)
+      for(var i=0;i<callbacks.length;i++){
+        callbacks[i](ports)
+      }
+      _this.__schedule()
+    })
+  }
+
+  __update(ports){
+    var previous = this.current
+    this.current = ports
+    if(previous === null){
+      return
+    }
+    var change = PortWatcher.diff(previous,ports)
+    if(change.attached.length == 0 && change.detached.length == 0){
+      this.interval = Math.min(this.interval * 1.5,this.config.port_watch_max_interval)
+      return
+    }
+    this.interval = this.config.port_watch_interval
+    for(var i=0;i<change.detached.length;i++){
+      this.logger.info("Detached "+change.detached[i].path)
+      this.emit('detached',change.detached[i])
+    }
+    for(var i=0;i<change.attached.length;i++){
+      this.logger.info("Attached "+change.attached[i].path)
+      this.emit('attached',change.attached[i])
+    }
+    this.emit('change',{ports: ports, attached: change.attached, detached: change.detached})
+  }
+
+  __schedule(){
+    var _this = this
+    clearTimeout(this.timer)
+    this.timer = setTimeout(function(){
+      _this.timer = null
+      _this.scan()
+    },this.interval)
+  }
+
+  // A different board on the same path (same port, other serial number) counts as
+  // a detach and an attach
+  static diff(previous,current){
+    var key = function(port){
+      return port.path+"|"+(port.serial_number || "")
+    }
+    var previous_keys = previous.map(key)
+    var current_keys = current.map(key)
+    return {
+      attached: current.filter(function(port,i){
+        return previous_keys.indexOf(current_keys[i]) == -1
+      }),
+      detached: previous.filter(function(port,i){
+        return current_keys.indexOf(previous_keys[i]) == -1
+      })
+    }
+  }
+}
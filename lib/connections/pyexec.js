@@ -0,0 +1,225 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var spawn = require('child_process').spawn
+
+// Python interpreters without a raw REPL on stdio, started with stdio-repl.py instead
+var INTERPRETERS = /^(micropython|python|python3)(\.exe)?$/i
+var REPL_SCRIPT = path.join(__dirname,'stdio-repl.py')
+
+// A process as the board, for exec:command addresses like exec:/usr/local/bin/micropython.
+// Its stdin and stdout (and stderr) are the REPL, line endings are turned into \r\n like
+// a terminal does. A command that is only the MicroPython unix port or python runs
+// stdio-repl.py, other commands have to speak the MicroPython REPL themselves.
+// The process runs in params.exec_folder (a folder in the temp folder by default), when the
+// board says that's its root folder (see setBoardRoot) files are copied on the host directly
+module.exports = class PyExec {
+
+  constructor(command,params){
+    this.type = "exec"
+    this.command = command
+    this.params = params
+    this.folder = params.exec_folder || path.join(os.tmpdir(),'pymakr-exec')
+    this.process = null
+    this.connected = false
+    this.closing = false
+    this.root = null // folder on the host the board files are in, null when they aren't
+    this.last_byte = null
+    this.receive_buffer = [] // data that came in before registerListener
+    this.onmessage = null
+  }
+
+  // splits a command line into the program and its arguments, with '' and "" quoting
+  static parse(command){
+    var args = []
+    var re = /"([^"]*)"|'([^']*)'|([^\s"']+)/g
+    var match
+    var arg = null
+    var end = -1
+    while((match = re.exec(command)) !== null){
+      var part = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]
+      if(arg !== null && match.index == end){
+        arg += part // quotes in the middle of an argument, like --name="a b"
+      }else{
+        if(arg !== null) args.push(arg)
+        arg = part
+      }
+      end = re.lastIndex
+    }
+    if(arg !== null) args.push(arg)
+    if(args.length == 1 && INTERPRETERS.test(path.basename(args[0]))){
+      args.push(REPL_SCRIPT)
+    }
+    return args
+  }
+
+  connect(onconnect,onerror,ontimeout){
+    var _this = this
+    var error_reported = false
+    var report = function(err){
+      if(!error_reported){
+        error_reported = true
+        onerror(err)
+      }
+    }
+    var args = PyExec.parse(this.command)
+    if(args.length == 0){
+      setImmediate(function(){
+        report(new Error("No command in address exec:"+_this.command))
+      })
+      return
+    }
+
+    try{
+      fs.mkdirSync(this.folder,{recursive: true})
+    }catch(err){
+      setImmediate(function(){
+        report(err)
+      })
+      return
+    }
+
+    this.closing = false
+    this.root = null
+    this.last_byte = null
+    this.process = spawn(args[0],args.slice(1),{cwd: this.folder, windowsHide: true})
+
+    this.process.on('spawn',function(){
+      _this.connected = true
+      onconnect()
+    })
+    this.process.on('error',function(err){
+      report(err)
+    })
+    this.process.on('exit',function(code,signal){
+      _this.connected = false
+      _this.process = null
+      if(!_this.closing){
+        report(new Error("Process exited with "+(signal ? "signal "+signal : "code "+code)))
+      }
+    })
+    this.process.stdin.on('error',function(){
+      // writing to a process that exited, 'exit' reports that
+    })
+    this.process.stdout.on('data',function(data){
+      _this.__receive(data)
+    })
+    this.process.stderr.on('data',function(data){
+      _this.__receive(data)
+    })
+  }
+
+  // lone \n to \r\n, keeping track of a \r at the end of the previous chunk
+  __receive(data){
+    var output = []
+    for(var i=0;i<data.length;i++){
+      if(data[i] == 0x0a && this.last_byte != 0x0d){
+        output.push(0x0d)
+      }
+      output.push(data[i])
+      this.last_byte = data[i]
+    }
+    data = Buffer.from(output)
+    if(this.onmessage){
+      this.onmessage(data.toString(),data)
+    }else{
+      this.receive_buffer.push(data)
+    }
+  }
+
+  disconnect(cb){
+    var child = this.process
+    this.closing = true
+    this.connected = false
+    if(!child){
+      if(cb) cb()
+      return
+    }
+    child.once('exit',function(){
+      if(cb) cb()
+    })
+    child.kill()
+  }
+
+  registerListener(cb){
+    this.onmessage = cb
+    var buffered = this.receive_buffer.splice(0)
+    if(buffered.length > 0){
+      var raw = Buffer.concat(buffered)
+      cb(raw.toString(),raw)
+    }
+  }
+
+  // an exit shows up right away, no need to ask
+  sendPing(cb){
+    cb(this.process ? null : new Error("Process exited"))
+    return !!this.process
+  }
+
+  send(mssg,cb){
+    this.send_raw(Buffer.from(mssg,"binary"),cb)
+  }
+
+  send_raw(data,cb){
+    if(!this.process){
+      if(cb) cb(new Error("Not connected"))
+      return
+    }
+    this.process.stdin.write(data,function(){
+      if(cb) cb()
+    })
+  }
+
+  send_cmd(cmd,cb){
+    this.send_raw(Buffer.from('\x1b\x1b'+cmd,"binary"),cb)
+  }
+
+  flush(cb){
+    cb()
+  }
+
+  // Called with the root folder the board reported. When that's the folder the process
+  // runs in, the board files are host files and go through the host filesystem
+  setBoardRoot(folder){
+    try{
+      this.root = fs.realpathSync(folder) == fs.realpathSync(this.folder) ? this.folder : null
+    }catch(err){
+      this.root = null
+    }
+  }
+
+  // names are relative to the root folder and have to stay in it
+  canTransfer(name){
+    return this.root !== null && this.__hostPath(name) !== null
+  }
+
+  putFile(name,contents,cb){
+    var file = this.__hostPath(name)
+    if(file === null){
+      cb(new Error("Can't write "+name+" outside of "+this.root))
+      return
+    }
+    fs.writeFile(file,contents,cb)
+  }
+
+  getFile(name,cb){
+    var file = this.__hostPath(name)
+    if(file === null){
+      cb(new Error("Can't read "+name+" outside of "+this.root))
+      return
+    }
+    fs.readFile(file,cb)
+  }
+
+  __hostPath(name){
+    if(this.root === null){
+      return null
+    }
+    var file = path.resolve(this.root,name.replace(/^\/+/,''))
+    var relative = path.relative(this.root,file)
+    if(relative == '' || relative.split(path.sep)[0] == '..' || path.isAbsolute(relative)){
+      return null
+    }
+    return file
+  }
+}
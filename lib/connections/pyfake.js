@@ -0,0 +1,87 @@
+var FakeBoard = require('./fake-board/board.js')
+
+// Connection to a FakeBoard in this process, for fake://name addresses. Connects to the
+// board with that name, creating it when there's none yet. A name that is a platform
+// (fake://esp32, see FakeBoard.platforms()) makes a board of that kind, otherwise it's a Pycom board
+module.exports = class PyFake {
+
+  constructor(address,params){
+    this.type = "fake"
+    this.address = address
+    this.params = params
+    this.board = null
+    this.connected = false
+    this.receive_buffer = [] // data that came in before registerListener
+    this.onmessage = null
+    var _this = this
+    this.ondata = function(data){
+      if(_this.onmessage){
+        _this.onmessage(data.toString(),data)
+      }else{
+        _this.receive_buffer.push(data)
+      }
+    }
+  }
+
+  connect(onconnect,onerror,ontimeout){
+    var _this = this
+    this.onerror = onerror
+    setImmediate(function(){
+      var platform = FakeBoard.platforms().indexOf(_this.address) > -1 ? _this.address : undefined
+      try{
+        _this.board = FakeBoard.get(_this.address,{platform: platform})
+      }catch(err){
+        onerror(err)
+        return
+      }
+      _this.board.on('data',_this.ondata)
+      _this.connected = true
+      onconnect()
+    })
+  }
+
+  disconnect(cb){
+    if(this.board){
+      this.board.removeListener('data',this.ondata)
+      this.board = null
+    }
+    this.connected = false
+    if(cb) cb()
+  }
+
+  registerListener(cb){
+    this.onmessage = cb
+    var buffered = this.receive_buffer.splice(0)
+    if(buffered.length > 0){
+      var raw = Buffer.concat(buffered)
+      cb(raw.toString(),raw)
+    }
+  }
+
+  // a board is always there
+  sendPing(cb){
+    cb(null)
+    return true
+  }
+
+  send(mssg,cb){
+    this.send_raw(Buffer.from(mssg,"binary"),cb)
+  }
+
+  send_raw(data,cb){
+    if(!this.board){
+      if(cb) cb(new Error("Not connected"))
+      return
+    }
+    this.board.input(data)
+    if(cb) cb()
+  }
+
+  send_cmd(cmd,cb){
+    this.send_raw(Buffer.from('\x1b\x1b'+cmd,"binary"),cb)
+  }
+
+  flush(cb){
+    cb()
+  }
+}
@@ -0,0 +1,256 @@
+var Transcript = require('./transcript')
+var Logger = require('../helpers/logger.js')
+
+// the session of each transcript file the next connection plays
+var next_session = {}
+
+// Plays a transcript (see Transcript) back as the board, for replay:file addresses, to
+// reproduce what happened on a connection without the board. Received data comes in as
+// soon as Pyboard sent what was sent before it in the transcript, so a replay doesn't
+// depend on timing. When Pyboard sends something else the replay stops with an error
+// that says where, except for redacted data (like a password), where anything goes.
+// Every connection plays the next session in the file (reconnecting
+// after a reset starts a new session), after the last one it starts over
+module.exports = class PyReplay {
+
+  constructor(file,params){
+    this.file = file
+    this.params = params
+    this.connected = false
+    this.entries = []
+    this.position = 0 // entry that's next
+    this.sent = 0 // bytes of the tx entry at position that were sent already
+    this.stopped = true
+    this.scheduled = false
+    this.error = null // reading the transcript failed
+    this.diverged = false
+    this.transfers = false // the connection had a file protocol (see canTransfer)
+    this.receive_buffer = [] // data that came in before registerListener
+    this.onmessage = null
+    this.logger = new Logger('PyReplay')
+
+    var sessions = []
+    try{
+      sessions = Transcript.read(file)
+      if(sessions.length == 0){
+        throw new Error("No sessions in transcript "+file)
+      }
+    }catch(err){
+      this.error = err
+    }
+    if(sessions.length > 0){
+      var index = (next_session[file] || 0) % sessions.length
+      next_session[file] = index + 1
+      this.entries = sessions[index].slice(1)
+      this.transfers = this.entries.some(function(entry){
+        return entry.event == 'put' || entry.event == 'get'
+      })
+      // the connection the session was recorded on, so Pyboard does the same (like logging in over telnet)
+      this.type = sessions[index][0].type
+    }else{
+      this.type = "replay"
+    }
+  }
+
+  connect(onconnect,onerror,ontimeout){
+    var _this = this
+    this.onconnect = onconnect
+    this.onerror = onerror
+    this.ontimeout = ontimeout
+    setImmediate(function(){
+      if(_this.error){
+        onerror(_this.error)
+        return
+      }
+      _this.stopped = false
+      _this.__play()
+    })
+  }
+
+  // plays what comes next, up to what Pyboard has to send
+  __play(){
+    while(!this.stopped && this.position < this.entries.length){
+      var entry = this.entries[this.position]
+      if(entry.tx || entry.tx_redacted !== undefined || entry.event == 'put' || entry.event == 'get'){
+        return
+      }
+      this.position += 1
+      if(entry.rx){
+        this.__receive(entry.rx)
+      }else if(entry.event == 'connect'){
+        this.connected = true
+        this.onconnect()
+      }else if(entry.event == 'error'){
+        this.stopped = true
+        this.onerror(new Error(entry.message))
+      }else if(entry.event == 'timeout'){
+        this.ontimeout(entry.message)
+      }else if(entry.event == 'disconnect'){
+        this.stopped = true
+      }
+    }
+    if(!this.stopped){
+      this.logger.info("Replay of "+this.file+" finished")
+      this.stopped = true
+    }
+  }
+
+  __schedule(){
+    var _this = this
+    if(this.scheduled){
+      return
+    }
+    this.scheduled = true
+    setImmediate(function(){
+      _this.scheduled = false
+      _this.__play()
+    })
+  }
+
+  __receive(data){
+    if(this.onmessage){
+      this.onmessage(data.toString(),data)
+    }else{
+      this.receive_buffer.push(data)
+    }
+  }
+
+  __diverged(message,cb){
+    var entry = this.entries[this.position]
+    var where = entry ? "at line "+entry.line : "after the end"
+    var err = new Error("Replay of "+this.file+" diverged "+where+": "+message)
+    this.stopped = true
+    this.diverged = true
+    this.logger.warning(err.message)
+    var _this = this
+    setImmediate(function(){
+      if(cb) cb(err)
+      _this.onerror(err)
+    })
+  }
+
+  __expected(){
+    var entry = this.entries[this.position]
+    if(!entry){
+      return "nothing"
+    }else if(entry.tx){
+      return quote(entry.tx.slice(this.sent))
+    }else if(entry.tx_redacted !== undefined){
+      return "redacted data"
+    }else if(entry.rx){
+      return "receiving "+quote(entry.rx)
+    }else if(entry.event == 'put' || entry.event == 'get'){
+      return "a "+entry.event+" of "+entry.name
+    }
+    return "the "+entry.event+" event"
+  }
+
+  disconnect(cb){
+    this.stopped = true
+    this.connected = false
+    if(cb) cb()
+  }
+
+  registerListener(cb){
+    this.onmessage = cb
+    var buffered = this.receive_buffer.splice(0)
+    if(buffered.length > 0){
+      var raw = Buffer.concat(buffered)
+      cb(raw.toString(),raw)
+    }
+  }
+
+  sendPing(cb){
+    cb(this.connected ? null : new Error("Not connected"))
+    return this.connected
+  }
+
+  send(mssg,cb){
+    this.send_raw(Buffer.from(mssg,"binary"),cb)
+  }
+
+  send_raw(data,cb){
+    if(!this.connected || this.diverged){
+      if(cb) cb(new Error("Not connected"))
+      return
+    }
+    data = Buffer.from(data,"binary")
+    for(var i=0;i<data.length;i++){
+      var entry = this.entries[this.position]
+      if(entry && entry.tx_redacted !== undefined && this.sent == 0){
+        // what was sent isn't known, so whatever is sent now takes its place
+        this.position += 1
+        break
+      }
+      if(!entry || !entry.tx || entry.tx[this.sent] != data[i]){
+        this.__diverged("sent "+quote(data.slice(i))+" instead of "+this.__expected(),cb)
+        return
+      }
+      this.sent += 1
+      if(this.sent == entry.tx.length){
+        this.position += 1
+        this.sent = 0
+      }
+    }
+    var _this = this
+    setImmediate(function(){
+      if(cb) cb()
+      _this.__schedule()
+    })
+  }
+
+  send_cmd(cmd,cb){
+    this.send_raw(Buffer.from('\x1b\x1b'+cmd,"binary"),cb)
+  }
+
+  flush(cb){
+    cb()
+  }
+
+  canTransfer(name){
+    return this.transfers
+  }
+
+  putFile(name,contents,cb){
+    var entry = this.__transfer('put',name,cb)
+    if(entry){
+      this.__transferred(cb,entry.error)
+    }
+  }
+
+  getFile(name,cb){
+    var entry = this.__transfer('get',name,cb)
+    if(entry){
+      this.__transferred(cb,entry.error,Buffer.from(entry.data || '',"binary"))
+    }
+  }
+
+  // the entry for a file transfer that's next, null when that's something else
+  __transfer(event,name,cb){
+    var entry = this.entries[this.position]
+    if(!this.connected || this.diverged){
+      cb(new Error("Not connected"))
+      return null
+    }
+    if(!entry || entry.event != event || entry.name != name || this.sent > 0){
+      this.__diverged("a "+event+" of "+name+" instead of "+this.__expected(),cb)
+      return null
+    }
+    this.position += 1
+    return entry
+  }
+
+  __transferred(cb,error,contents){
+    var _this = this
+    setImmediate(function(){
+      cb(error ? new Error(error) : null,contents)
+      _this.__schedule()
+    })
+  }
+}
+
+// data for error messages, escaped and cut short
+function quote(data){
+  var text = JSON.stringify(data.toString("binary"))
+  return text.length > 60 ? text.slice(0,57)+'..."' : text
+}
@@ -0,0 +1,392 @@
+const Logger = require('../helpers/logger.js');
+const PySerial = require('./pyserial.js');
+var Socket = require('net').Socket;
+
+// telnet commands and options (RFC 854, 856, 858)
+var IAC = 255;
+var DONT = 254;
+var DO = 253;
+var WONT = 252;
+var WILL = 251;
+var SB = 250;
+var SE = 240;
+var BINARY = 0;
+var ECHO = 1;
+var SGA = 3;
+var COM_PORT_OPTION = 44;
+
+// RFC 2217 client to server commands, the server answers with the command + 100
+var SET_BAUDRATE = 1;
+var SET_DATASIZE = 2;
+var SET_PARITY = 3;
+var SET_STOPSIZE = 4;
+var SET_CONTROL = 5;
+var SERVER_OFFSET = 100;
+
+var PARITY = { none: 1, odd: 2, even: 3, mark: 4, space: 5 };
+var STOPSIZE = { 1: 1, 2: 2, 1.5: 3 };
+var FLOW_CONTROL = { none: 1, xonxoff: 2, rtscts: 3 };
+var CONTROL_DTR = { true: 8, false: 9 };
+var CONTROL_RTS = { true: 11, false: 12 };
+
+// options we're willing to enable on our side and to let the server enable on its side
+var OUR_OPTIONS = [BINARY, SGA, COM_PORT_OPTION];
+var THEIR_OPTIONS = [BINARY, SGA, ECHO, COM_PORT_OPTION];
+
+// A serial port on an RFC 2217 server (like ser2net or esp-link), on rfc2217://host:port.
+// Takes the same serial_* settings as PySerial and sets the port up remotely
+module.exports = class PyRfc2217 {
+  constructor(address, params) {
+    this.type = 'rfc2217';
+    this.address = address;
+    this.params = params;
+    this.connected = false;
+    this.logger = new Logger('PyRfc2217');
+    this.serial = PySerial.serialOptions(params.serial, this.logger);
+    this.stream = null;
+    this.ours = {}; // options we said WILL to, by option code
+    this.theirs = {}; // options we said DO to
+    this.parse_state = 'data';
+    this.subnegotiation = [];
+    this.pending = []; // sent com port commands waiting for the servers answer
+    this.ping_pending = false;
+  }
+
+  connect(onconnect, onerror, ontimeout) {
+    var _this = this;
+    var error_thrown = false;
+    var configured = false;
+
+    this.onerror = function(err) {
+      if (!error_thrown) {
+        error_thrown = true;
+        clearTimeout(timeout);
+        onerror(err);
+      }
+    };
+
+    this.stream = new Socket();
+    this.stream.on('connect', function() {
+      _this.__negotiate(WILL, COM_PORT_OPTION);
+      _this.__negotiate(WILL, BINARY);
+      _this.__negotiate(DO, BINARY);
+      _this.__negotiate(DO, SGA);
+    });
+    this.stream.on('data', function(data) {
+      _this.__receive(data);
+    });
+    this.stream.on('error', function(err) {
+      _this.onerror(err);
+    });
+    this.stream.on('close', function() {
+      _this.__failPending(new Error('Connection closed'));
+      if (!_this.closing) {
+        _this.onerror(new Error(configured ? 'Connection lost' : 'Connection closed by the server'));
+      }
+    });
+
+    // the server agreed on rfc 2217, set the port up the way PySerial would
+    this.onready = function() {
+      _this.configure(function(err) {
+        if (err) {
+          _this.onerror(err);
+          _this.disconnect(function() {});
+          return;
+        }
+        configured = true;
+        clearTimeout(timeout);
+        _this.send('\r\n', function() {
+          onconnect();
+        });
+      });
+    };
+
+    var timeout = setTimeout(function() {
+      if (!error_thrown) {
+        error_thrown = true;
+        ontimeout(new Error('Timeout while connecting'));
+        _this.disconnect(function() {});
+      }
+    }, this.params.timeout);
+
+    this.stream.connect(this.params.port, this.address);
+  }
+
+  disconnect(cb) {
+    this.closing = true;
+    if (this.stream) {
+      this.stream.destroy();
+    }
+    cb();
+  }
+
+  registerListener(cb) {
+    this.onmessage = cb;
+  }
+
+  send(mssg, cb) {
+    var data = new Buffer(mssg, 'binary');
+    this.send_raw(data, cb);
+  }
+
+  // 0xff in the data is sent twice, otherwise the server takes it for a telnet command
+  send_raw(data, cb) {
+    var escaped = [];
+    for (var i = 0; i < data.length; i++) {
+      escaped.push(data[i]);
+      if (data[i] == IAC) {
+        escaped.push(IAC);
+      }
+    }
+    this.__write(Buffer.from(escaped), cb);
+  }
+
+  send_cmd(cmd, cb) {
+    var mssg = '\x1b\x1b' + cmd;
+    var data = new Buffer(mssg, 'binary');
+    this.send_raw(data, cb);
+  }
+
+  // sets the control lines like on a local port, failing when the
+  // server didn't answer the previous ping
+  sendPing(cb) {
+    if (this.ping_pending) {
+      this.ping_pending = false;
+      cb(new Error('Ping failed'));
+      return false;
+    }
+    var _this = this;
+    this.ping_pending = true;
+    this.setControlLines(this.controlLines(), function(err) {
+      if (!err) {
+        _this.ping_pending = false;
+      }
+    });
+    cb(null);
+    return true;
+  }
+
+  flush(cb) {
+    cb();
+  }
+
+  // the dtr and rts lines to set after opening the port. A local port raises both
+  // when it opens, 'auto' does the same here
+  controlLines() {
+    var states = { high: true, low: false };
+    return {
+      dtr: this.serial.dtr in states ? states[this.serial.dtr] : true,
+      rts: this.serial.rts in states ? states[this.serial.rts] : true
+    };
+  }
+
+  // sends the serial_* settings to the server, calls back when it confirmed all of them
+  configure(cb) {
+    var _this = this;
+    var commands = [
+      [SET_BAUDRATE, PyRfc2217.uint32(this.serial.baud_rate)],
+      [SET_DATASIZE, [this.serial.data_bits]],
+      [SET_PARITY, [PARITY[this.serial.parity]]],
+      [SET_STOPSIZE, [STOPSIZE[this.serial.stop_bits]]],
+      [SET_CONTROL, [FLOW_CONTROL[this.serial.flow_control]]]
+    ];
+    var next = function(err) {
+      if (err) {
+        cb(err);
+      } else if (commands.length == 0) {
+        _this.setControlLines(_this.controlLines(), cb);
+      } else {
+        var command = commands.shift();
+        _this.__command(command[0], command[1], next);
+      }
+    };
+    next();
+  }
+
+  // changes the baud rate of the remote port
+  setBaudRate(baud_rate, cb) {
+    var _this = this;
+    this.__command(SET_BAUDRATE, PyRfc2217.uint32(baud_rate), function(err) {
+      if (!err) {
+        _this.serial.baud_rate = baud_rate;
+      }
+      if (cb) cb(err);
+    });
+  }
+
+  // sets the control lines of the remote port, lines is like {dtr: true, rts: false}
+  setControlLines(lines, cb) {
+    var _this = this;
+    var commands = [];
+    if (lines.dtr !== undefined) {
+      commands.push(CONTROL_DTR[!!lines.dtr]);
+    }
+    if (lines.rts !== undefined) {
+      commands.push(CONTROL_RTS[!!lines.rts]);
+    }
+    var next = function(err) {
+      if (err || commands.length == 0) {
+        if (cb) cb(err);
+        return;
+      }
+      _this.__command(SET_CONTROL, [commands.shift()], next);
+    };
+    next();
+  }
+
+  static uint32(value) {
+    var buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value, 0);
+    return Array.from(buffer);
+  }
+
+  // sends a com port command, calls back when the server answered it
+  __command(command, value, cb) {
+    if (!this.ours[COM_PORT_OPTION]) {
+      cb(new Error('Not connected'));
+      return;
+    }
+    var _this = this;
+    var request = {
+      command: command,
+      cb: cb,
+      timer: setTimeout(function() {
+        _this.pending.splice(_this.pending.indexOf(request), 1);
+        cb(new Error('No answer from the RFC 2217 server'));
+      }, this.params.timeout)
+    };
+    this.pending.push(request);
+    var data = [IAC, SB, COM_PORT_OPTION, command];
+    for (var i = 0; i < value.length; i++) {
+      data.push(value[i]);
+      if (value[i] == IAC) {
+        data.push(IAC);
+      }
+    }
+    data.push(IAC, SE);
+    this.__write(Buffer.from(data));
+  }
+
+  __failPending(err) {
+    var pending = this.pending.splice(0);
+    for (var i = 0; i < pending.length; i++) {
+      clearTimeout(pending[i].timer);
+      pending[i].cb(err);
+    }
+  }
+
+  __write(data, cb) {
+    if (!this.stream || this.stream.destroyed) {
+      if (cb) cb(new Error('Not connected'));
+      return;
+    }
+    this.stream.write(data, function() {
+      if (cb) cb();
+    });
+  }
+
+  // asks for an option, remembering it so we don't answer the servers reply
+  __negotiate(verb, option) {
+    if (verb == WILL || verb == WONT) {
+      this.ours[option] = verb == WILL;
+    } else {
+      this.theirs[option] = verb == DO;
+    }
+    this.__write(Buffer.from([IAC, verb, option]));
+  }
+
+  // splits the telnet commands from the data, keeping state between chunks
+  __receive(data) {
+    var output = [];
+    for (var i = 0; i < data.length; i++) {
+      var byte = data[i];
+      switch (this.parse_state) {
+        case 'data':
+          if (byte == IAC) {
+            this.parse_state = 'iac';
+          } else {
+            output.push(byte);
+          }
+          break;
+        case 'iac':
+          if (byte == IAC) {
+            output.push(IAC);
+            this.parse_state = 'data';
+          } else if (byte == SB) {
+            this.subnegotiation = [];
+            this.parse_state = 'sb';
+          } else if (byte == DO || byte == DONT || byte == WILL || byte == WONT) {
+            this.verb = byte;
+            this.parse_state = 'option';
+          } else {
+            // nop, go ahead and the like
+            this.parse_state = 'data';
+          }
+          break;
+        case 'option':
+          this.__option(this.verb, byte);
+          this.parse_state = 'data';
+          break;
+        case 'sb':
+          if (byte == IAC) {
+            this.parse_state = 'sb_iac';
+          } else {
+            this.subnegotiation.push(byte);
+          }
+          break;
+        case 'sb_iac':
+          if (byte == SE) {
+            this.__subnegotiation(this.subnegotiation);
+            this.parse_state = 'data';
+          } else {
+            this.subnegotiation.push(byte);
+            this.parse_state = 'sb';
+          }
+          break;
+      }
+    }
+    if (output.length > 0 && this.onmessage) {
+      var buffer = Buffer.from(output);
+      this.onmessage(buffer.toString(), buffer);
+    }
+  }
+
+  __option(verb, option) {
+    if (verb == DO || verb == DONT) {
+      var enable = verb == DO && OUR_OPTIONS.indexOf(option) > -1;
+      if (this.ours[option] !== enable) {
+        this.__negotiate(enable ? WILL : WONT, option);
+      }
+      if (option == COM_PORT_OPTION) {
+        if (enable && this.onready) {
+          var onready = this.onready;
+          this.onready = null;
+          onready();
+        } else if (!enable) {
+          this.onerror(new Error("The server doesn't support RFC 2217"));
+        }
+      }
+    } else {
+      var allow = verb == WILL && THEIR_OPTIONS.indexOf(option) > -1;
+      if (this.theirs[option] !== allow) {
+        this.__negotiate(allow ? DO : DONT, option);
+      }
+    }
+  }
+
+  __subnegotiation(data) {
+    if (data[0] != COM_PORT_OPTION || data.length < 2) {
+      return;
+    }
+    // line and modem state notifications (106 and 107) aren't answers to anything
+    var command = data[1] - SERVER_OFFSET;
+    for (var i = 0; i < this.pending.length; i++) {
+      if (this.pending[i].command == command) {
+        var request = this.pending.splice(i, 1)[0];
+        clearTimeout(request.timer);
+        request.cb(null, data.slice(2));
+        return;
+      }
+    }
+  }
+};
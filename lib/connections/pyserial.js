@@ -1,4 +1,6 @@
 const Logger = require('../helpers/logger.js');
+const BoardPreset = require('../board/board-preset.js');
+const AutoconnectRules = require('./autoconnect-rules.js');
 var fs = require('fs');
 
 var { SerialPort } = require('serialport');
@@ -13,10 +15,17 @@ module.exports = class PySerial {
     this.ayt_pending = false;
     this.logger = new Logger('PySerial');
     var _this = this;
-    this.stream = new SerialPort(      
+    this.serial = PySerial.serialOptions(params.serial, this.logger);
+    this.stream = new SerialPort(
       {
         path: address,
-        baudRate: 115200,
+        baudRate: this.serial.baud_rate,
+        dataBits: this.serial.data_bits,
+        parity: this.serial.parity,
+        stopBits: this.serial.stop_bits,
+        rtscts: this.serial.flow_control == 'rtscts',
+        xon: this.serial.flow_control == 'xonxoff',
+        xoff: this.serial.flow_control == 'xonxoff',
         autoOpen: false
       },
       function(err) {
@@ -27,10 +36,67 @@ module.exports = class PySerial {
     );
 
     this.comport_manufacturers = settings.autoconnect_comport_manufacturers;
+  }
 
-    var dtr_support = ['darwin'];
+  // the serial_* settings (see Pyboard.refreshConfig), with the defaults for missing or invalid values
+  static serialOptions(serial, logger) {
+    serial = serial || {};
+    var options = {
+      baud_rate: 115200,
+      data_bits: 8,
+      parity: 'none',
+      stop_bits: 1,
+      flow_control: 'none',
+      dtr: 'auto',
+      rts: 'auto'
+    };
+    var allowed = {
+      data_bits: [5, 6, 7, 8],
+      parity: ['none', 'even', 'odd', 'mark', 'space'],
+      stop_bits: [1, 1.5, 2],
+      flow_control: ['none', 'rtscts', 'xonxoff'],
+      dtr: ['auto', 'high', 'low'],
+      rts: ['auto', 'high', 'low']
+    };
+    var baud_rate = parseInt(serial.baud_rate);
+    if (baud_rate > 0) {
+      options.baud_rate = baud_rate;
+    } else if (serial.baud_rate !== undefined && serial.baud_rate !== null) {
+      logger.warning('Invalid serial_baud_rate ' + serial.baud_rate + ', using ' + options.baud_rate);
+    }
+    Object.keys(allowed).forEach(key => {
+      var value = serial[key];
+      if (value === undefined || value === null) {
+        return;
+      }
+      if (typeof options[key] == 'number') {
+        value = parseFloat(value);
+      }
+      if (allowed[key].indexOf(value) > -1) {
+        options[key] = value;
+      } else {
+        logger.warning('Invalid serial_' + key + ' ' + serial[key] + ', using ' + options[key]);
+      }
+    });
+    return options;
+  }
 
-    this.dtr_supported = dtr_support.indexOf(process.platform) > -1;
+  // the dtr and rts lines to set after opening the port. On 'auto', dtr goes high on
+  // mac and rts on windows (to avoid the MCU waiting in the bootloader on a hardware restart)
+  controlLines() {
+    var lines = {};
+    var states = { high: true, low: false };
+    if (this.serial.dtr in states) {
+      lines.dtr = states[this.serial.dtr];
+    } else if (process.platform == 'darwin') {
+      lines.dtr = true;
+    }
+    if (this.serial.rts in states) {
+      lines.rts = states[this.serial.rts];
+    } else if (process.platform == 'win32') {
+      lines.rts = true;
+    }
+    return lines;
   }
 
   connect(onconnect, onerror, ontimeout) {
@@ -45,11 +111,19 @@ module.exports = class PySerial {
       }
     });
 
+    // closed with an error when the port goes away, like when the board is unplugged
+    this.stream.on('close', function(err) {
+      if (err && !error_thrown) {
+        error_thrown = true;
+        onerror(err instanceof Error ? err : new Error(err));
+      }
+    });
+
     var timeout = null;
     console.log('Trying to open stream');
     this.stream.open(function(e) {
       console.log(e)
-      _this.sendPing(function(err) {
+      _this.setControlLines(function(err) {
         if (!err) {
           clearTimeout(timeout);
           _this.send('\r\n', function() {
@@ -123,84 +197,159 @@ module.exports = class PySerial {
   }
 
   static listPycom(settings, cb) {
-    var pycom_list = [];
-    var pycom_manus = [];
     settings.refresh();
-    var comport_manufacturers = settings.autoconnect_comport_manufacturers;
-    PySerial.list(settings, function(names, manus) {
-      for (var i = 0; i < names.length; i++) {
-        var name = names[i];
-        var manu = manus[i];
-        if (comport_manufacturers.indexOf(manu) > -1) {
-          pycom_list.push(name);
-          pycom_manus.push(manu);
-        }
-      }
-      cb(pycom_list, pycom_manus);
+    PySerial.listPorts(function(ports) {
+      var pycom = PySerial.autoconnectPorts(ports, settings);
+      cb(pycom.names, pycom.manus);
     });
   }
 
+  // the ports autoconnect may pick, best first. The autoconnect_rules setting decides
+  // when it has rules, otherwise the manufacturers and presets do (see pycomPorts)
+  static autoconnectPorts(ports, settings) {
+    var rules = new AutoconnectRules(settings.autoconnect_rules);
+    if (rules.empty) {
+      return PySerial.pycomPorts(ports, settings.autoconnect_comport_manufacturers);
+    }
+    var matched = rules.filter(ports);
+    return {
+      names: matched.map(port => port.path),
+      manus: matched.map(port => port.manufacturer || 'Unknown manufacturer'),
+      ports: matched
+    };
+  }
+
+  // calls back with the port names, their manufacturers and the described ports (see describe).
+  // Ports of known manufacturers come first, followed by other boards we have a preset for
   static list(settings, cb) {
-    var comport_manufacturers = settings.autoconnect_comport_manufacturers;
-    SerialPort.list().then(ports => {
-      var portnames = [];
-      var other_portnames = [];
-      var manufacturers = [];
-      var other_manufacturers = [];
-      ports.forEach((port, index, array) => {
-        var name = port.path;
-        if (!!name) {
-          if (name.indexOf('Bluetooth') == -1) {
-            var manu = port.manufacturer ? port.manufacturer : 'Unknown manufacturer';
-            var pycom_manu_index = comport_manufacturers.indexOf(manu);
-            if (pycom_manu_index > -1) {
-              var j;
-              for (j = 0; j < manufacturers.length; j++) {
-                if (pycom_manu_index < comport_manufacturers.indexOf(manufacturers[j])) {
-                  break;
-                }
+    PySerial.listPorts(function(ports) {
+      var ordered = PySerial.order(ports, settings.autoconnect_comport_manufacturers);
+      cb(ordered.names, ordered.manus, ordered.ports);
+    });
+  }
+
+  // calls back with all serial ports, described like describe()
+  static listPorts(cb) {
+    SerialPort.list().then(
+      ports => {
+        cb(ports.filter(port => !!port.path).map(PySerial.describe));
+      },
+      function() {
+        cb([]);
+      }
+    );
+  }
+
+  // the port metadata we use, from a port of SerialPort.list()
+  static describe(port) {
+    return {
+      path: port.path,
+      manufacturer: port.manufacturer || null,
+      vid: port.vendorId ? port.vendorId.toLowerCase() : null,
+      pid: port.productId ? port.productId.toLowerCase() : null,
+      serial_number: port.serialNumber || null
+    };
+  }
+
+  // the ports of boards we know, see order()
+  static pycomPorts(ports, comport_manufacturers) {
+    var ordered = PySerial.order(ports, comport_manufacturers);
+    var pycom = { names: [], manus: [], ports: [] };
+    for (var i = 0; i < ordered.names.length; i++) {
+      var port = ordered.ports[i];
+      if (comport_manufacturers.indexOf(ordered.manus[i]) > -1 || BoardPreset.matchUsb(port.vid, port.pid)) {
+        pycom.names.push(ordered.names[i]);
+        pycom.manus.push(ordered.manus[i]);
+        pycom.ports.push(port);
+      }
+    }
+    return pycom;
+  }
+
+  // sorts the described ports by the order of comport_manufacturers, followed by other
+  // boards we have a preset for. Returns their names, manufacturers and the ports themselves
+  static order(ports, comport_manufacturers) {
+    var portnames = [];
+    var other_portnames = [];
+    var manufacturers = [];
+    var other_manufacturers = [];
+    var port_infos = [];
+    var other_port_infos = [];
+    ports.forEach((port, index, array) => {
+      var name = port.path;
+      if (!!name) {
+        if (name.indexOf('Bluetooth') == -1) {
+          var manu = port.manufacturer ? port.manufacturer : 'Unknown manufacturer';
+          var pycom_manu_index = comport_manufacturers.indexOf(manu);
+          if (pycom_manu_index > -1) {
+            var j;
+            for (j = 0; j < manufacturers.length; j++) {
+              if (pycom_manu_index < comport_manufacturers.indexOf(manufacturers[j])) {
+                break;
               }
-              portnames.splice(j, 0, name);
-              manufacturers.splice(j, 0, manu);
-              // if(PySerial.COMPORT_MANUFACTURERS[0] == manu){
-              //   portnames.unshift(name) // push to top of array
-              //   manufacurers.unshift(manu) // push to top of array
-              // }else{
-              //   portnames.push(name)
-              //   manufacurers.push(manu) // push to top of array
-              // }
             }
-          } else {
+            portnames.splice(j, 0, name);
+            manufacturers.splice(j, 0, manu);
+            port_infos.splice(j, 0, port);
+            // if(PySerial.COMPORT_MANUFACTURERS[0] == manu){
+            //   portnames.unshift(name) // push to top of array
+            //   manufacurers.unshift(manu) // push to top of array
+            // }else{
+            //   portnames.push(name)
+            //   manufacurers.push(manu) // push to top of array
+            // }
+          } else if (BoardPreset.matchUsb(port.vid, port.pid)) {
             other_portnames.push(name);
-            other_manufacturers.push(manu); // push to top of array
+            other_manufacturers.push(manu);
+            other_port_infos.push(port);
           }
+        } else {
+          other_portnames.push(name);
+          other_manufacturers.push(manu); // push to top of array
+          other_port_infos.push(port);
         }
-      });
-      var result = portnames.concat(other_portnames);
-      var manus = manufacturers.concat(other_manufacturers);
-      cb(result, manus);
+      }
     });
+    return {
+      names: portnames.concat(other_portnames),
+      manus: manufacturers.concat(other_manufacturers),
+      ports: port_infos.concat(other_port_infos)
+    };
   }
 
-  sendPing(cb) {
-    if (process.platform == 'win32') {
-      // avoid MCU waiting in bootloader on hardware restart by setting both dtr and rts high
-      this.stream.set({ rts: true });
-    }
-    // not implemented
-    if (this.dtr_supported) {
-      this.stream.set({ dtr: true }, function(err) {
-        if (cb) {
-          cb(err);
-          return err ? false : true;
+  // usb ids of a serial port as {path, manufacturer, vid, pid, serial_number}, or null when unknown
+  static portInfo(address, cb) {
+    PySerial.listPorts(function(ports) {
+      for (var i = 0; i < ports.length; i++) {
+        if (ports[i].path == address && ports[i].vid) {
+          cb(ports[i]);
+          return;
         }
-      });
+      }
+      cb(null);
+    });
+  }
+
+  // sets the lines from controlLines() once, right after opening the port
+  setControlLines(cb) {
+    var lines = this.controlLines();
+    if (Object.keys(lines).length > 0) {
+      this.stream.set(lines, cb);
     } else {
       cb();
-      return true;
     }
   }
 
+  // the port closes when the board goes away, so it's alive while it's open. Leaves dtr
+  // and rts alone, boards that wire them to EN and BOOT would glitch or reset
+  sendPing(cb) {
+    var open = this.stream.isOpen;
+    if (cb) {
+      cb(open ? null : new Error('Serial port closed'));
+    }
+    return open;
+  }
+
   flush(cb) {
     this.stream.flush(cb);
   }
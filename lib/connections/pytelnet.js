@@ -1,12 +1,10 @@
-const TelnetClient = require('./telnet/telnetcli.js');
-
-var AYT = '\xff\xf6'
+const TelnetClient = require('./telnet.js');
 
 module.exports = class PyTelnet {
 
   constructor(address,params){
     this.type = "telnet"
-    this.stream = new TelnetClient('pycomboard');
+    this.stream = new TelnetClient()
     this.connected = false
     this.listening = false
     this.username_sent = false
@@ -14,7 +12,7 @@ module.exports = class PyTelnet {
     this.params = params
     this.address = address
     this.pingTimer = null
-    this.receive_buffer = ""
+    this.receive_buffer = [] // data that came in before registerListener
     this.ayt_pending = false
 
   }
@@ -26,7 +24,7 @@ module.exports = class PyTelnet {
       return false
     }
     this.ayt_pending = true
-    this.send(AYT)
+    this.stream.ayt()
     cb(null)
     return true
   }
@@ -38,52 +36,58 @@ module.exports = class PyTelnet {
     this.username_sent = false
     this.password_sent = false
     var _this = this
-    this.params.host = this.address
-    this.stream.connect(this.params,function(err){
-      onconnect(new Error(err))
-    });
-    this.stream.setReportErrorHandler(function(telnet,error){
-      if(onerror){
-        if (!error) {
-          error = "Connection lost"
-        }
-        onerror(new Error(error))
+    var error_reported = false
+    var report = function(err){
+      if(!error_reported && onerror){
+        error_reported = true
+        onerror(err)
       }
-    })
-
-    var timeout_triggered = false
-    this.stream.setReportTimeoutHandler(function(telnet,error){
-      if(ontimeout){
-        if(!timeout_triggered){
-          timeout_triggered = true
-          ontimeout(error)
-        }
+    }
 
+    this.stream.on('connect',function(){
+      _this.connected = true
+      onconnect()
+    })
+    this.stream.on('data',function(data){
+      if(_this.onmessage){
+        _this.onmessage(data.toString(),data)
+      }else{
+        _this.receive_buffer.push(data)
       }
     })
-
-    this.stream.setReportAYTHandler(function(telnetcli,type){
+    this.stream.on('ayt',function(){
       _this.ayt_pending = false
     })
+    this.stream.on('error',function(err){
+      report(err)
+    })
+    this.stream.on('close',function(lost){
+      _this.connected = false
+      if(lost){
+        report(new Error("Connection lost"))
+      }
+    })
+    this.stream.on('timeout',function(){
+      error_reported = true // the socket closes after this, that's no error
+      if(ontimeout){
+        ontimeout(new Error("Timeout while connecting"))
+      }
+    })
+
+    this.stream.connect(this.address,this.params.port,this.params.timeout)
   }
 
   disconnect(cb){
-    this.stream.close()
-    // give the connection time to close.
-    // there is no proper callback for this in the telnet lib.
-    setTimeout(cb,200)
+    this.stream.close(cb)
   }
 
   registerListener(cb){
     this.onmessage = cb
-
-    this.stream.read(function(err,recv){
-      if(recv){
-        var data=recv.join('');
-        var raw = Buffer(recv)
-        cb(data,raw)
-      }
-    });
+    var buffered = this.receive_buffer.splice(0)
+    if(buffered.length > 0){
+      var raw = Buffer.concat(buffered)
+      cb(raw.toString(),raw)
+    }
   }
 
   send(mssg,cb){
@@ -92,8 +96,8 @@ module.exports = class PyTelnet {
   }
 
   send_raw(data,cb){
-    this.stream.write(data,function(){
-      if(cb) cb()
+    this.stream.write(data,function(err){
+      if(cb) cb(err)
     })
   }
 
@@ -0,0 +1,343 @@
+const WebSocket = require('./websocket.js')
+const Logger = require('../helpers/logger.js')
+
+// file operations of the webrepl protocol
+var PUT_FILE = 1
+var GET_FILE = 2
+
+var HEADER_SIZE = 82 // see header()
+var MAX_NAME_LENGTH = 64 // in bytes
+var CHUNK_SIZE = 1024
+var TRANSFER_TIMEOUT = 10000
+
+// The WebREPL of MicroPython boards (webrepl.start() on the board), on ws://host:8266.
+// REPL traffic goes over text frames, files over binary frames
+module.exports = class PyWebRepl {
+
+  constructor(address,params){
+    this.type = "webrepl"
+    this.address = address
+    this.params = params
+    this.stream = null
+    this.connected = false
+    this.logged_in = false
+    this.receive_buffer = "" // repl output that came in before the listener was registered
+    this.binary_buffer = Buffer.alloc(0)
+    this.binary_reader = null
+    this.transferring = false
+    this.pong_pending = false
+    this.answers_pings = false // see sendPing()
+    this.logger = new Logger('PyWebRepl')
+  }
+
+  connect(onconnect,onerror,ontimeout){
+    var _this = this
+    var error_thrown = false
+    var login_output = ""
+    var password_sent = false
+
+    var fail = function(err){
+      if(!error_thrown){
+        error_thrown = true
+        clearTimeout(timeout)
+        onerror(err)
+      }
+    }
+
+    this.stream = new WebSocket()
+
+    this.stream.on('text',function(text){
+      if(_this.logged_in){
+        _this.__received(text)
+        return
+      }
+      login_output += text
+      if(!password_sent && login_output.indexOf('Password:') > -1){
+        password_sent = true
+        _this.stream.sendText(_this.params.password+"\r")
+      }
+      var connected = login_output.indexOf('WebREPL connected')
+      if(connected > -1){
+        _this.logged_in = true
+        clearTimeout(timeout)
+        // keep the prompt that follows for the terminal
+        _this.receive_buffer = login_output.substr(connected).replace(/^WebREPL connected\r?\n/,'')
+        onconnect()
+      }else if(login_output.indexOf('Access denied') > -1){
+        fail(new Error("WebREPL login failed, check the password"))
+        _this.stream.close()
+      }
+    })
+
+    this.stream.on('binary',function(data){
+      _this.binary_buffer = Buffer.concat([_this.binary_buffer,data])
+      _this.__readBinary()
+    })
+
+    this.stream.on('pong',function(){
+      _this.pong_pending = false
+      _this.answers_pings = true
+    })
+
+    this.stream.on('error',function(err){
+      fail(err)
+    })
+
+    this.stream.on('close',function(lost){
+      _this.logged_in = false
+      _this.__failTransfer(new Error("Connection closed"))
+      if(lost){
+        fail(new Error(_this.connected ? "Connection lost" : "Connection closed by the board"))
+      }
+    })
+
+    this.stream.on('timeout',function(){
+      if(!error_thrown){
+        error_thrown = true
+        ontimeout(new Error('Timeout while connecting'))
+      }
+    })
+
+    var timeout = setTimeout(function(){
+      if(!error_thrown && !_this.logged_in){
+        error_thrown = true
+        ontimeout(new Error(password_sent ? 'Timeout while logging in' : 'Timeout while connecting'))
+        _this.stream.close()
+      }
+    },this.params.timeout)
+
+    this.stream.connect(this.address,this.params.timeout)
+  }
+
+  disconnect(cb){
+    if(this.stream){
+      this.stream.close()
+    }
+    this.logged_in = false
+    cb()
+  }
+
+  registerListener(cb){
+    this.onmessage = cb
+    if(this.receive_buffer != ""){
+      var text = this.receive_buffer
+      this.receive_buffer = ""
+      this.__received(text)
+    }
+  }
+
+  __received(text){
+    if(this.onmessage){
+      this.onmessage(text,Buffer.from(text))
+    }else{
+      this.receive_buffer += text
+    }
+  }
+
+  send(mssg,cb){
+    var data = new Buffer(mssg,"binary")
+    this.send_raw(data,cb)
+  }
+
+  send_raw(data,cb){
+    this.stream.sendText(data,function(err){
+      if(cb) cb(err)
+    })
+  }
+
+  send_cmd(cmd,cb){
+    var mssg = '\x1b\x1b' + cmd
+    var data = new Buffer(mssg,"binary")
+    this.send_raw(data,cb)
+  }
+
+  // sends a websocket ping and fails when the one before it wasn't answered, like the
+  // AYT of PyTelnet. Only once the board answered a ping, some webrepls ignore them
+  // and a lost connection only shows up as a closed socket there
+  sendPing(cb){
+    if(this.pong_pending && this.answers_pings){
+      this.pong_pending = false
+      if(cb) cb(new Error("Ping failed"))
+      return false
+    }
+    this.pong_pending = true
+    this.stream.ping()
+    if(cb) cb(null)
+    return true
+  }
+
+  flush(cb){
+    cb()
+  }
+
+  // whether a file can go through the webrepl file protocol, the name is limited to 64 bytes
+  canTransfer(name){
+    return this.logged_in && Buffer.byteLength(name,'utf8') <= MAX_NAME_LENGTH
+  }
+
+  // writes contents (a buffer or string) to the file name on the board
+  putFile(name,contents,cb){
+    var _this = this
+    if(!Buffer.isBuffer(contents)){
+      contents = Buffer.from(contents)
+    }
+    var err = this.__transferError(name)
+    if(err){
+      cb(err)
+      return
+    }
+    this.__startTransfer(PUT_FILE,name,contents.length,function(err){
+      if(err){
+        _this.__endTransfer(err,null,cb)
+        return
+      }
+      var offset = 0
+      var next = function(err){
+        if(err){
+          _this.__endTransfer(err,null,cb)
+        }else if(offset < contents.length){
+          var chunk = contents.slice(offset,offset+CHUNK_SIZE)
+          offset += chunk.length
+          _this.stream.sendBinary(chunk,next)
+        }else{
+          _this.__readResponse("write",name,function(err){
+            _this.__endTransfer(err,null,cb)
+          })
+        }
+      }
+      next()
+    })
+  }
+
+  // reads the file name from the board, calls back with its contents as a buffer
+  getFile(name,cb){
+    var _this = this
+    var chunks = []
+    var err = this.__transferError(name)
+    if(err){
+      cb(err)
+      return
+    }
+    this.__startTransfer(GET_FILE,name,0,function(err){
+      if(err){
+        _this.__endTransfer(err,null,cb)
+        return
+      }
+      // the board sends a chunk for every zero byte we send, an empty chunk at the end
+      var next = function(){
+        _this.stream.sendBinary(Buffer.from([0]))
+        _this.__read(2,function(err,data){
+          if(err){
+            _this.__endTransfer(err,null,cb)
+            return
+          }
+          var size = data.readUInt16LE(0)
+          if(size == 0){
+            _this.__readResponse("read",name,function(err){
+              _this.__endTransfer(err,Buffer.concat(chunks),cb)
+            })
+            return
+          }
+          _this.__read(size,function(err,data){
+            if(err){
+              _this.__endTransfer(err,null,cb)
+              return
+            }
+            chunks.push(data)
+            next()
+          })
+        })
+      }
+      next()
+    })
+  }
+
+  __transferError(name){
+    if(!this.logged_in){
+      return new Error("Not connected")
+    }else if(!this.canTransfer(name)){
+      return new Error("File name too long for the WebREPL: "+name)
+    }else if(this.transferring){
+      return new Error("Another file transfer is in progress")
+    }
+    return null
+  }
+
+  __startTransfer(type,name,size,cb){
+    this.logger.info((type == PUT_FILE ? "Sending " : "Receiving ")+name)
+    this.transferring = true
+    this.binary_buffer = Buffer.alloc(0)
+    var header = PyWebRepl.header(type,name,size)
+    // some boards can't take the header in one frame, webrepl_cli.py splits it the same way
+    this.stream.sendBinary(header.slice(0,10))
+    this.stream.sendBinary(header.slice(10))
+    this.__readResponse(type == PUT_FILE ? "write" : "read",name,cb)
+  }
+
+  __endTransfer(err,result,cb){
+    this.transferring = false
+    this.binary_reader = null
+    cb(err,result)
+  }
+
+  __failTransfer(err){
+    if(this.binary_reader){
+      var reader = this.binary_reader
+      this.binary_reader = null
+      clearTimeout(reader.timer)
+      reader.cb(err)
+    }
+  }
+
+  // the 'WB' response with a status code, 0 when the board could open the file
+  __readResponse(action,name,cb){
+    this.__read(4,function(err,data){
+      if(err){
+        cb(err)
+      }else if(data.toString('binary',0,2) != 'WB'){
+        cb(new Error("Invalid WebREPL response"))
+      }else if(data.readUInt16LE(2) != 0){
+        cb(new Error("Failed to "+action+" "+name+" on the board (error "+data.readUInt16LE(2)+")"))
+      }else{
+        cb(null)
+      }
+    })
+  }
+
+  // calls back with the next length bytes of binary data
+  __read(length,cb){
+    var _this = this
+    this.binary_reader = {
+      length: length,
+      cb: cb,
+      timer: setTimeout(function(){
+        _this.__failTransfer(new Error("File transfer timed out"))
+      },TRANSFER_TIMEOUT)
+    }
+    this.__readBinary()
+  }
+
+  __readBinary(){
+    var reader = this.binary_reader
+    if(reader && this.binary_buffer.length >= reader.length){
+      var data = this.binary_buffer.slice(0,reader.length)
+      this.binary_buffer = this.binary_buffer.slice(reader.length)
+      this.binary_reader = null
+      clearTimeout(reader.timer)
+      reader.cb(null,data)
+    }
+  }
+
+  // struct webrepl_file from modwebrepl.c, little endian:
+  // 'WA', type (1 byte), reserved (1 + 8 bytes), size (4 bytes), name length (2 bytes), name (64 bytes)
+  static header(type,name,size){
+    var header = Buffer.alloc(HEADER_SIZE)
+    var name_bytes = Buffer.from(name,'utf8')
+    header.write('WA',0,'binary')
+    header[2] = type
+    header.writeUInt32LE(size,12)
+    header.writeUInt16LE(name_bytes.length,16)
+    name_bytes.copy(header,18)
+    return header
+  }
+}
@@ -0,0 +1,118 @@
+var Transcript = require('./transcript')
+
+// Wraps a connection and writes everything that goes over it to a Transcript, for the
+// transcript_file setting. Passes everything on to the connection, so Pyboard can't tell
+// the difference. What's written is what Pyboard sends and receives, before the
+// connection adds its own protocol (telnet negotiation, websocket frames and so on).
+// While redacting() is true (when logging in) only the length of what's sent is written
+module.exports = class Recorder {
+
+  constructor(connection,file,address,redacting){
+    this.connection = connection
+    this.redacting = redacting || function(){ return false }
+    this.transcript = new Transcript(file)
+    this.transcript.begin({address: address, type: connection.type})
+  }
+
+  get type(){
+    return this.connection.type
+  }
+
+  get connected(){
+    return this.connection.connected
+  }
+
+  set connected(connected){
+    this.connection.connected = connected
+  }
+
+  connect(onconnect,onerror,ontimeout){
+    var _this = this
+    this.connection.connect(function(){
+      _this.transcript.event('connect')
+      onconnect()
+    },function(err){
+      _this.transcript.event('error',{message: err ? err.message || String(err) : ''})
+      onerror(err)
+    },function(mssg){
+      _this.transcript.event('timeout',{message: mssg ? mssg.message || String(mssg) : ''})
+      ontimeout(mssg)
+    })
+  }
+
+  disconnect(cb){
+    var _this = this
+    this.connection.disconnect(function(){
+      _this.transcript.event('disconnect')
+      _this.transcript.close(function(){
+        if(cb) cb()
+      })
+    })
+  }
+
+  registerListener(cb){
+    var _this = this
+    this.connection.registerListener(function(mssg,raw){
+      _this.transcript.rx(Buffer.isBuffer(raw) ? raw : Buffer.from(String(mssg)))
+      cb(mssg,raw)
+    })
+  }
+
+  sendPing(cb){
+    return this.connection.sendPing(cb)
+  }
+
+  send(mssg,cb){
+    this.__tx(Buffer.from(mssg,'binary'))
+    this.connection.send(mssg,cb)
+  }
+
+  send_raw(data,cb){
+    this.__tx(data)
+    this.connection.send_raw(data,cb)
+  }
+
+  send_cmd(cmd,cb){
+    this.__tx(Buffer.from('\x1b\x1b'+cmd,'binary'))
+    this.connection.send_cmd(cmd,cb)
+  }
+
+  __tx(data){
+    if(this.redacting()){
+      this.transcript.txRedacted(data)
+    }else{
+      this.transcript.tx(data)
+    }
+  }
+
+  flush(cb){
+    this.connection.flush(cb)
+  }
+
+  setBoardRoot(folder){
+    if(this.connection.setBoardRoot){
+      this.connection.setBoardRoot(folder)
+    }
+  }
+
+  canTransfer(name){
+    return !!(this.connection.canTransfer && this.connection.canTransfer(name))
+  }
+
+  putFile(name,contents,cb){
+    var _this = this
+    this.connection.putFile(name,contents,function(err){
+      _this.transcript.event('put',{name: name, size: contents.length, error: err ? err.message : undefined})
+      cb(err)
+    })
+  }
+
+  getFile(name,cb){
+    var _this = this
+    this.connection.getFile(name,function(err,contents){
+      var details = err ? {error: err.message} : {data: Buffer.from(contents).toString('binary')}
+      _this.transcript.event('get',Object.assign({name: name},details))
+      cb(err,contents)
+    })
+  }
+}
@@ -0,0 +1,219 @@
+# REPL over stdin and stdout for exec: connections (PyExec). The MicroPython unix port
+# and CPython only have an interactive prompt on a terminal and no raw REPL, this gives
+# them the parts of the MicroPython REPL that Pymakr uses: the friendly REPL with paste
+# mode (ctrl-E), the raw REPL (ctrl-A, ctrl-B back) and soft reboots (ctrl-D on an empty
+# line), which start over with fresh globals. Runs in the working folder of the process,
+# which is the root folder of the "board". End of input ends the process.
+#
+#   micropython stdio-repl.py
+#   python3 stdio-repl.py
+import sys
+
+RAW_BANNER = b'raw REPL; CTRL-B to exit\r\n>'
+PASTE_BANNER = b'paste mode; Ctrl-C to cancel, Ctrl-D to finish\r\n=== '
+
+_globals = {}
+
+_out = sys.stdout.buffer
+
+
+# CPython has no u-modules and is stricter about bytes and str than MicroPython, the
+# scripts Pymakr runs on the board write bytes to sys.stdout and hexlify strings
+if sys.implementation.name != 'micropython':
+    import binascii
+    import types
+
+    class _Stdout:
+        def __init__(self, stream):
+            self._stream = stream
+
+        def write(self, data):
+            if isinstance(data, (bytes, bytearray)):
+                self._stream.flush()
+                _out.write(data)
+                return len(data)
+            return self._stream.write(data)
+
+        def __getattr__(self, name):
+            return getattr(self._stream, name)
+
+    sys.stdout = _Stdout(sys.stdout)
+
+    def _bytes(f):
+        return lambda data, *args: f(data.encode() if isinstance(data, str) else data, *args)
+
+    ubinascii = types.ModuleType('ubinascii')
+    ubinascii.__dict__.update(binascii.__dict__)
+    ubinascii.hexlify = _bytes(binascii.hexlify)
+    ubinascii.b2a_base64 = _bytes(binascii.b2a_base64)
+    sys.modules['ubinascii'] = ubinascii
+    for _name in ('os', 'time', 'sys', 'json', 'hashlib', 'errno', 'zlib'):
+        sys.modules['u' + _name] = __import__(_name)
+
+
+def _write(data):
+    # output of the running code goes through sys.stdout, flush that first
+    if hasattr(sys.stdout, 'flush'):
+        sys.stdout.flush()
+    _out.write(data)
+    if hasattr(_out, 'flush'):
+        _out.flush()
+
+
+def _read():
+    c = sys.stdin.buffer.read(1)
+    if not c:
+        sys.exit(0)
+    return c[0]
+
+
+def _banner():
+    v = sys.implementation.version
+    _write(('%s %d.%d.%d over stdio; %s\r\nType "help()" for more information.\r\n' % (
+        sys.implementation.name, v[0], v[1], v[2], sys.platform)).encode())
+
+
+def _reboot():
+    _globals.clear()
+    _globals['__name__'] = '__main__'
+
+
+def _print_exception(e):
+    if hasattr(sys, 'print_exception'):
+        sys.print_exception(e, sys.stdout)
+    else:
+        import traceback
+        # leaves out the frame of _run
+        traceback.print_exception(type(e), e, e.__traceback__.tb_next, file=sys.stdout)
+
+
+# runs source, returns the exception it raised. Exiting is left to the process
+def _run(source, mode):
+    try:
+        exec(compile(source, '<stdin>', mode), _globals)
+    except SystemExit:
+        raise
+    except BaseException as e:
+        return e
+    return None
+
+
+def _raw():
+    _write(b'\r\n' + RAW_BANNER)
+    code = bytearray()
+    while True:
+        c = _read()
+        if c == 1:
+            code = bytearray()
+            _write(b'\r\n' + RAW_BANNER)
+        elif c == 2:
+            _write(b'\r\n')
+            _banner()
+            return
+        elif c == 3:
+            code = bytearray()
+        elif c == 4:
+            if not code:
+                _reboot()
+                _write(b'OK\r\nMPY: soft reboot\r\n' + RAW_BANNER)
+                continue
+            source = bytes(code).decode()
+            code = bytearray()
+            _write(b'OK')
+            e = _run(source, 'exec')
+            _write(b'\x04')
+            if e is not None:
+                _print_exception(e)
+            _write(b'\x04>')
+        else:
+            # ctrl-E A ctrl-A (raw-paste mode) ends up here too, its ctrl-A
+            # resets the line so Pymakr sees that it isn't supported
+            code.append(c)
+
+
+def _paste():
+    _write(b'\r\n' + PASTE_BANNER)
+    code = bytearray()
+    while True:
+        c = _read()
+        if c == 3:
+            _write(b'\r\n')
+            return
+        elif c == 4:
+            _write(b'\r\n')
+            e = _run(bytes(code).decode(), 'exec')
+            if e is not None:
+                _print_exception(e)
+            return
+        elif c == 13:
+            code.append(10)
+            _write(b'\r\n=== ')
+        elif c != 10:
+            code.append(c)
+            _write(bytes([c]))
+
+
+# the friendly REPL, returns when asked for the raw REPL
+def _friendly():
+    line = bytearray()
+    block = []
+    _write(b'>>> ')
+    while True:
+        c = _read()
+        if c == 1:
+            return
+        elif c == 2:
+            line = bytearray()
+            block = []
+            _write(b'\r\n')
+            _banner()
+        elif c == 3:
+            line = bytearray()
+            block = []
+            _write(b'\r\n')
+        elif c == 4:
+            if line or block:
+                continue
+            _reboot()
+            _write(b'\r\nMPY: soft reboot\r\n')
+            _banner()
+        elif c == 5:
+            _paste()
+        elif c == 8 or c == 127:
+            if line:
+                line = line[:-1]
+                _write(b'\b \b')
+            continue
+        elif c == 13:
+            _write(b'\r\n')
+            text = bytes(line).decode()
+            line = bytearray()
+            if block:
+                if text.strip():
+                    block.append(text)
+                    _write(b'... ')
+                    continue
+                text = '\n'.join(block)
+                block = []
+            elif text.rstrip().endswith(':'):
+                block.append(text)
+                _write(b'... ')
+                continue
+            if text.strip():
+                e = _run(text + '\n', 'single')
+                if e is not None:
+                    _print_exception(e)
+        elif c >= 32 or c == 9:
+            line.append(c)
+            _write(bytes([c]))
+            continue
+        else:
+            continue
+        _write(b'>>> ')
+
+
+_reboot()
+_banner()
+while True:
+    _friendly()
+    _raw()
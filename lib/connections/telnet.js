@@ -0,0 +1,308 @@
+var net = require('net')
+var EventEmitter = require('events')
+
+// telnet commands (RFC 854)
+var COMMANDS = {
+  SE: 240,
+  NOP: 241,
+  DM: 242,
+  BRK: 243,
+  IP: 244,
+  AO: 245,
+  AYT: 246,
+  EC: 247,
+  EL: 248,
+  GA: 249,
+  SB: 250,
+  WILL: 251,
+  WONT: 252,
+  DO: 253,
+  DONT: 254,
+  IAC: 255
+}
+
+var OPTIONS = {
+  BINARY: 0, // RFC 856
+  ECHO: 1, // RFC 857
+  SGA: 3, // suppress go ahead, RFC 858
+  NAWS: 31 // window size, RFC 1073
+}
+
+// options we enable on our side when the server asks (DO), and let the server enable on its side (WILL)
+var LOCAL_OPTIONS = [OPTIONS.BINARY, OPTIONS.SGA, OPTIONS.NAWS]
+var REMOTE_OPTIONS = [OPTIONS.BINARY, OPTIONS.ECHO, OPTIONS.SGA]
+
+var IAC = COMMANDS.IAC
+var CR = 13
+var NUL = 0
+
+// Telnet client for the telnet server on Pycom boards. Negotiates options the way
+// RFC 1143 describes, so it never answers a request for a state an option is already in.
+// Hosts can be names, IPv4 or IPv6 addresses.
+//
+// var telnet = new TelnetClient()
+// telnet.on('connect',...) telnet.on('data',function(buffer){}) telnet.on('ayt',...)
+// telnet.on('close',function(lost){}) telnet.on('error',function(err){}) telnet.on('timeout',...)
+// telnet.connect('192.168.4.1',23,5000)
+class TelnetClient extends EventEmitter {
+
+  constructor(){
+    super()
+    this.socket = null
+    this.connected = false
+    this.close_requested = false // by us, any other close means the connection got lost
+    this.us = {} // state of the options on our side by code: 'no', 'yes', 'wantyes' or 'wantno'
+    this.him = {} // state of the options on the servers side
+    this.window = {columns: 80, rows: 24}
+    this.parse_state = 'data'
+    this.subnegotiation = []
+  }
+
+  // timeout is for setting up the connection, in ms
+  connect(host,port,timeout){
+    var _this = this
+    this.close_requested = false
+    this.socket = net.connect({host: host, port: port || 23})
+    if(timeout){
+      this.socket.setTimeout(timeout,function(){
+        if(!_this.connected){
+          _this.close_requested = true
+          _this.socket.destroy()
+          _this.emit('timeout')
+        }
+      })
+    }
+
+    this.socket.on('connect',function(){
+      _this.connected = true
+      _this.socket.setTimeout(0)
+      _this.emit('connect')
+    })
+
+    this.socket.on('data',function(data){
+      _this.__receive(data)
+    })
+
+    this.socket.on('error',function(err){
+      _this.emit('error',err)
+    })
+
+    this.socket.on('close',function(){
+      _this.connected = false
+      _this.emit('close',!_this.close_requested)
+    })
+  }
+
+  // sends data, doubling IAC bytes so the server doesn't take them for commands
+  write(data,cb){
+    if(!this.connected){
+      if(cb) cb(new Error("Not connected"))
+      return
+    }
+    this.socket.write(TelnetClient.escape(Buffer.from(data)),function(){
+      if(cb) cb()
+    })
+  }
+
+  // sends a command like COMMANDS.AYT
+  command(code,cb){
+    if(!this.connected){
+      if(cb) cb(new Error("Not connected"))
+      return
+    }
+    this.socket.write(Buffer.from([IAC,code]),function(){
+      if(cb) cb()
+    })
+  }
+
+  // asks the server if it's still there, it answers with an 'ayt' event
+  ayt(cb){
+    this.command(COMMANDS.AYT,cb)
+  }
+
+  // sends the window size to the server when it asked for it
+  setWindowSize(columns,rows){
+    this.window = {columns: columns, rows: rows}
+    if(this.us[OPTIONS.NAWS] == 'yes'){
+      this.__sendWindowSize()
+    }
+  }
+
+  // cb is called once the connection is closed
+  close(cb){
+    if(!this.socket || this.socket.destroyed){
+      if(cb) cb()
+      return
+    }
+    this.close_requested = true
+    if(cb){
+      this.socket.once('close',function(){
+        cb()
+      })
+    }
+    this.socket.destroy()
+  }
+
+  // 'yes' when the option is enabled on our side (local) or the servers side
+  optionState(option,local){
+    return (local ? this.us : this.him)[option] || 'no'
+  }
+
+  static escape(data){
+    if(data.indexOf(IAC) == -1){
+      return data
+    }
+    var escaped = []
+    for(var i=0;i<data.length;i++){
+      escaped.push(data[i])
+      if(data[i] == IAC){
+        escaped.push(IAC)
+      }
+    }
+    return Buffer.from(escaped)
+  }
+
+  // asks to enable (or disable) an option on our side (local) or the servers side
+  request(option,enable,local){
+    var states = local ? this.us : this.him
+    var state = states[option] || 'no'
+    if(enable && state == 'no'){
+      states[option] = 'wantyes'
+      this.__negotiate(local ? COMMANDS.WILL : COMMANDS.DO,option)
+    }else if(!enable && state == 'yes'){
+      states[option] = 'wantno'
+      this.__negotiate(local ? COMMANDS.WONT : COMMANDS.DONT,option)
+    }
+  }
+
+  __negotiate(verb,option){
+    if(this.socket && !this.socket.destroyed){
+      this.socket.write(Buffer.from([IAC,verb,option]))
+    }
+  }
+
+  __sendWindowSize(){
+    var size = Buffer.alloc(4)
+    size.writeUInt16BE(Math.min(this.window.columns,0xffff),0)
+    size.writeUInt16BE(Math.min(this.window.rows,0xffff),2)
+    var data = Buffer.concat([
+      Buffer.from([IAC,COMMANDS.SB,OPTIONS.NAWS]),
+      TelnetClient.escape(size),
+      Buffer.from([IAC,COMMANDS.SE])
+    ])
+    if(this.socket && !this.socket.destroyed){
+      this.socket.write(data)
+    }
+  }
+
+  // splits the commands from the data, keeping state between chunks
+  __receive(data){
+    var output = []
+    for(var i=0;i<data.length;i++){
+      var byte = data[i]
+      switch(this.parse_state){
+        case 'data':
+        case 'cr':
+          if(byte == IAC){
+            this.parse_state = 'iac'
+          }else if(this.parse_state == 'cr' && byte == NUL){
+            // CR NUL is a bare CR outside binary mode
+            this.parse_state = 'data'
+          }else{
+            output.push(byte)
+            this.parse_state = byte == CR && this.him[OPTIONS.BINARY] != 'yes' ? 'cr' : 'data'
+          }
+          break
+        case 'iac':
+          if(byte == IAC){
+            output.push(IAC)
+            this.parse_state = 'data'
+          }else if(byte == COMMANDS.SB){
+            this.subnegotiation = []
+            this.parse_state = 'sb'
+          }else if(byte >= COMMANDS.WILL){
+            this.verb = byte
+            this.parse_state = 'option'
+          }else{
+            if(byte == COMMANDS.AYT){
+              this.__flush(output)
+              this.emit('ayt')
+            }
+            // nop, go ahead and the like need nothing
+            this.parse_state = 'data'
+          }
+          break
+        case 'option':
+          this.__flush(output)
+          this.__option(this.verb,byte)
+          this.parse_state = 'data'
+          break
+        case 'sb':
+          if(byte == IAC){
+            this.parse_state = 'sb_iac'
+          }else{
+            this.subnegotiation.push(byte)
+          }
+          break
+        case 'sb_iac':
+          if(byte == COMMANDS.SE){
+            // we don't enable any option that the server sends parameters for
+            this.parse_state = 'data'
+          }else{
+            this.subnegotiation.push(byte)
+            this.parse_state = 'sb'
+          }
+          break
+      }
+    }
+    this.__flush(output)
+  }
+
+  // emits the data received so far, before a command changes how the rest is read
+  __flush(output){
+    if(output.length > 0){
+      this.emit('data',Buffer.from(output.splice(0)))
+    }
+  }
+
+  // answers a WILL, WONT, DO or DONT from the server (RFC 1143, without the queue bit)
+  __option(verb,option){
+    var local = verb == COMMANDS.DO || verb == COMMANDS.DONT
+    var states = local ? this.us : this.him
+    var supported = (local ? LOCAL_OPTIONS : REMOTE_OPTIONS).indexOf(option) > -1
+    var state = states[option] || 'no'
+    var agree = local ? COMMANDS.WILL : COMMANDS.DO
+    var refuse = local ? COMMANDS.WONT : COMMANDS.DONT
+
+    if(verb == COMMANDS.WILL || verb == COMMANDS.DO){
+      if(state == 'no'){
+        if(supported){
+          states[option] = 'yes'
+          this.__negotiate(agree,option)
+        }else{
+          this.__negotiate(refuse,option)
+        }
+      }else if(state == 'wantyes'){
+        states[option] = 'yes'
+      }else if(state == 'wantno'){
+        // the server doesn't want to turn it off
+        states[option] = 'no'
+      }
+      if(local && states[option] == 'yes' && state != 'yes' && option == OPTIONS.NAWS){
+        this.__sendWindowSize()
+      }
+    }else{
+      if(state == 'yes'){
+        states[option] = 'no'
+        this.__negotiate(refuse,option)
+      }else if(state == 'wantyes' || state == 'wantno'){
+        states[option] = 'no'
+      }
+    }
+  }
+}
+
+TelnetClient.COMMANDS = COMMANDS
+TelnetClient.OPTIONS = OPTIONS
+
+module.exports = TelnetClient
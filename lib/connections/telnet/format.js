@@ -1,7 +0,0 @@
-exports.error=function(name,err){
-	// console.error(name,' | ',err.toString()); // to use for debugging
-}
-
-exports.log=function(name,info){
-	// console.log(name,' | ',info.toString()); // to use for debugging
-}
@@ -0,0 +1,100 @@
+var fs = require('fs')
+var Logger = require('../helpers/logger.js')
+
+var VERSION = 1
+
+// A transcript of what went over a connection, for bug reports: one JSON object per line
+// with the milliseconds since the connection started (t) and either the bytes sent (tx)
+// or received (rx), or a connection event:
+//   {"t":0,"event":"start","address":"COM3","type":"serial","time":"2020-05-04T10:00:00.000Z","version":1}
+//   {"t":21,"tx":"\u0003\u0003"}
+//   {"t":40,"rx":"\r\n>>> "}
+// Bytes are stored as latin-1 strings, so control characters show up escaped and binary
+// data comes back as it was. What's sent while logging in is left out, only its length
+// is written ({"t":12,"tx_redacted":8}). Every connection appends a session starting with
+// a start event. Recorder writes transcripts, PyReplay plays them back
+module.exports = class Transcript {
+
+  constructor(file){
+    this.file = file
+    this.start = null
+    this.logger = new Logger('Transcript')
+    this.stream = fs.createWriteStream(file,{flags: 'a'})
+    var _this = this
+    this.stream.on('error',function(err){
+      _this.logger.warning("Can't write transcript "+file+": "+err.message)
+    })
+  }
+
+  // starts a session for a connection, details like its address and type
+  begin(details){
+    this.start = Date.now()
+    this.write(Object.assign({event: 'start'},details,{time: new Date(this.start).toISOString(), version: VERSION}))
+  }
+
+  tx(data){
+    this.write({tx: Buffer.from(data,'binary').toString('binary')})
+  }
+
+  // sent data that shouldn't end up in a bug report, like a password
+  txRedacted(data){
+    this.write({tx_redacted: Buffer.from(data,'binary').length})
+  }
+
+  rx(data){
+    this.write({rx: Buffer.from(data,'binary').toString('binary')})
+  }
+
+  event(name,details){
+    this.write(Object.assign({event: name},details))
+  }
+
+  write(entry){
+    if(!this.stream){
+      return // closed, like data that comes in after disconnecting
+    }
+    var t = this.start === null ? 0 : Date.now() - this.start
+    this.stream.write(JSON.stringify(Object.assign({t: t},entry))+'\n')
+  }
+
+  close(cb){
+    var stream = this.stream
+    this.stream = null
+    if(stream){
+      stream.end(cb)
+    }else if(cb){
+      cb()
+    }
+  }
+
+  // the sessions in a transcript file, each a list of entries with tx and rx as buffers
+  // and the line they are on. Throws on lines that aren't a transcript entry
+  static read(file){
+    var lines = fs.readFileSync(file,'utf8').split('\n')
+    var sessions = []
+    for(var i=0;i<lines.length;i++){
+      if(lines[i].trim() == ''){
+        continue
+      }
+      var entry
+      try{
+        entry = JSON.parse(lines[i])
+      }catch(err){
+        throw new Error("Invalid transcript "+file+", line "+(i+1)+": "+err.message)
+      }
+      if(entry.event == 'start'){
+        if(entry.version > VERSION){
+          throw new Error("Transcript "+file+" is from a newer version of Pymakr")
+        }
+        sessions.push([])
+      }else if(sessions.length == 0){
+        throw new Error("Invalid transcript "+file+", line "+(i+1)+" comes before the start of a session")
+      }
+      if(typeof entry.tx == 'string') entry.tx = Buffer.from(entry.tx,'binary')
+      if(typeof entry.rx == 'string') entry.rx = Buffer.from(entry.rx,'binary')
+      entry.line = i+1
+      sessions[sessions.length-1].push(entry)
+    }
+    return sessions
+  }
+}
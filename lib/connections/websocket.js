@@ -0,0 +1,337 @@
+var net = require('net')
+var crypto = require('crypto')
+var EventEmitter = require('events')
+
+var GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+var OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+}
+
+// Minimal websocket client (RFC 6455), just enough for the MicroPython WebREPL.
+// No extensions, no subprotocols and no tls, the boards don't do any of those.
+//
+// var ws = new WebSocket()
+// ws.on('open',...) ws.on('text',function(str){}) ws.on('binary',function(buffer){})
+// ws.on('close',function(lost){}) ws.on('error',function(err){})
+// ws.connect('ws://192.168.4.1:8266',5000)
+class WebSocket extends EventEmitter {
+
+  constructor(){
+    super()
+    this.socket = null
+    this.open = false
+    this.close_requested = false // by us, any other close means the connection got lost
+    this.close_sent = false
+    this.parser = new FrameParser()
+    this.fragments = null
+    this.fragments_opcode = null
+  }
+
+  // parses ws://host:port/path, the port defaults to 80
+  static parseUrl(url){
+    var match = /^ws:\/\/([^\/:]+|\[[^\]]+\])(?::(\d+))?(\/.*)?$/.exec(url)
+    if(!match){
+      return null
+    }
+    return {
+      host: match[1].replace(/^\[|\]$/g,''),
+      port: match[2] ? parseInt(match[2]) : 80,
+      path: match[3] || '/'
+    }
+  }
+
+  connect(url,timeout){
+    var _this = this
+    var target = WebSocket.parseUrl(url)
+    if(!target){
+      this.emit('error',new Error("Invalid websocket address "+url))
+      return
+    }
+    var key = crypto.randomBytes(16).toString('base64')
+    var response = Buffer.alloc(0)
+
+    this.socket = net.connect(target.port,target.host)
+    if(timeout){
+      this.socket.setTimeout(timeout,function(){
+        if(!_this.open){
+          _this.socket.destroy()
+          _this.emit('timeout')
+        }
+      })
+    }
+
+    this.socket.on('connect',function(){
+      _this.socket.write(
+        "GET "+target.path+" HTTP/1.1\r\n" +
+        "Host: "+target.host+":"+target.port+"\r\n" +
+        "Connection: Upgrade\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Sec-WebSocket-Key: "+key+"\r\n" +
+        "Sec-WebSocket-Version: 13\r\n" +
+        "\r\n")
+    })
+
+    this.socket.on('data',function(data){
+      if(_this.open){
+        _this.__receive(data)
+        return
+      }
+      // still waiting for the end of the handshake response
+      response = Buffer.concat([response,data])
+      var end = response.indexOf('\r\n\r\n')
+      if(end == -1){
+        return
+      }
+      var headers = response.slice(0,end).toString()
+      var rest = response.slice(end+4)
+      var err = WebSocket.checkHandshake(headers,key)
+      if(err){
+        _this.emit('error',err)
+        _this.socket.destroy()
+        return
+      }
+      _this.open = true
+      _this.socket.setTimeout(0)
+      _this.emit('open')
+      if(rest.length > 0){
+        _this.__receive(rest)
+      }
+    })
+
+    this.socket.on('error',function(err){
+      _this.emit('error',err)
+    })
+
+    this.socket.on('close',function(){
+      _this.open = false
+      _this.emit('close',!_this.close_requested)
+    })
+  }
+
+  // returns an error when the response headers don't upgrade the connection
+  static checkHandshake(headers,key){
+    var lines = headers.split('\r\n')
+    if(!/^HTTP\/1\.1 101/.test(lines[0])){
+      return new Error("Websocket handshake failed: "+lines[0])
+    }
+    var expected = WebSocket.acceptKey(key)
+    for(var i=1;i<lines.length;i++){
+      var sep = lines[i].indexOf(':')
+      if(lines[i].substr(0,sep).trim().toLowerCase() == 'sec-websocket-accept'){
+        if(lines[i].substr(sep+1).trim() == expected){
+          return null
+        }
+        break
+      }
+    }
+    return new Error("Websocket handshake failed: invalid Sec-WebSocket-Accept")
+  }
+
+  static acceptKey(key){
+    return crypto.createHash('sha1').update(key+GUID).digest('base64')
+  }
+
+  // text can be a string or the buffer with its utf-8 bytes
+  sendText(text,cb){
+    this.__send(OPCODES.TEXT,Buffer.isBuffer(text) ? text : Buffer.from(text,'utf8'),cb)
+  }
+
+  sendBinary(data,cb){
+    this.__send(OPCODES.BINARY,data,cb)
+  }
+
+  // the other side answers with a pong event
+  ping(cb){
+    this.__send(OPCODES.PING,Buffer.alloc(0),cb)
+  }
+
+  close(){
+    if(!this.socket){
+      return
+    }
+    var socket = this.socket
+    this.close_requested = true
+    if(this.open && !this.close_sent){
+      this.close_sent = true
+      this.__send(OPCODES.CLOSE,Buffer.from([0x03,0xe8])) // 1000, normal closure
+      // the server should close the tcp connection, don't wait for it forever
+      setTimeout(function(){
+        socket.destroy()
+      },1000)
+    }else{
+      socket.destroy()
+    }
+  }
+
+  __send(opcode,payload,cb){
+    if(!this.open){
+      if(cb) cb(new Error("Not connected"))
+      return
+    }
+    this.socket.write(WebSocket.encodeFrame(opcode,payload,true),function(err){
+      if(cb) cb(err)
+    })
+  }
+
+  __receive(data){
+    var frames
+    try{
+      frames = this.parser.push(data)
+    }catch(err){
+      this.emit('error',err)
+      this.socket.destroy()
+      return
+    }
+    for(var i=0;i<frames.length;i++){
+      this.__frame(frames[i])
+    }
+  }
+
+  __frame(frame){
+    switch(frame.opcode){
+      case OPCODES.PING:
+        this.__send(OPCODES.PONG,frame.payload)
+        break
+      case OPCODES.PONG:
+        this.emit('pong')
+        break
+      case OPCODES.CLOSE:
+        if(!this.close_sent){
+          this.close_sent = true
+          this.__send(OPCODES.CLOSE,frame.payload.slice(0,2))
+        }
+        this.socket.end()
+        break
+      case OPCODES.CONTINUATION:
+        if(!this.fragments){
+          return
+        }
+        this.fragments.push(frame.payload)
+        if(frame.fin){
+          this.__message(this.fragments_opcode,Buffer.concat(this.fragments))
+          this.fragments = null
+        }
+        break
+      default:
+        if(frame.fin){
+          this.__message(frame.opcode,frame.payload)
+        }else{
+          this.fragments = [frame.payload]
+          this.fragments_opcode = frame.opcode
+        }
+    }
+  }
+
+  __message(opcode,payload){
+    if(opcode == OPCODES.TEXT){
+      this.emit('text',payload.toString('utf8'),payload)
+    }else if(opcode == OPCODES.BINARY){
+      this.emit('binary',payload)
+    }
+  }
+
+  // a single frame with FIN set. Clients have to mask what they send, servers mustn't
+  static encodeFrame(opcode,payload,mask){
+    var length = payload.length
+    var header_length = 2 + (length > 0xffff ? 8 : length > 125 ? 2 : 0) + (mask ? 4 : 0)
+    var frame = Buffer.alloc(header_length + length)
+    frame[0] = 0x80 | opcode
+    var offset = 2
+    if(length > 0xffff){
+      frame[1] = 127
+      frame.writeUInt32BE(Math.floor(length / 0x100000000),2)
+      frame.writeUInt32BE(length % 0x100000000,6)
+      offset = 10
+    }else if(length > 125){
+      frame[1] = 126
+      frame.writeUInt16BE(length,2)
+      offset = 4
+    }else{
+      frame[1] = length
+    }
+    if(mask){
+      frame[1] |= 0x80
+      var key = crypto.randomBytes(4)
+      key.copy(frame,offset)
+      offset += 4
+      for(var i=0;i<length;i++){
+        frame[offset+i] = payload[i] ^ key[i % 4]
+      }
+    }else{
+      payload.copy(frame,offset)
+    }
+    return frame
+  }
+}
+
+// Cuts a stream of bytes into frames {fin, opcode, payload}, unmasking them when needed
+class FrameParser {
+
+  constructor(){
+    this.buffer = Buffer.alloc(0)
+  }
+
+  push(data){
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer,data]) : data
+    var frames = []
+    var frame
+    while((frame = this.__next()) != null){
+      frames.push(frame)
+    }
+    return frames
+  }
+
+  __next(){
+    var buffer = this.buffer
+    if(buffer.length < 2){
+      return null
+    }
+    var length = buffer[1] & 0x7f
+    var masked = (buffer[1] & 0x80) != 0
+    var offset = 2
+    if(length == 126){
+      if(buffer.length < 4) return null
+      length = buffer.readUInt16BE(2)
+      offset = 4
+    }else if(length == 127){
+      if(buffer.length < 10) return null
+      length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6)
+      offset = 10
+    }
+    if((buffer[0] & 0x70) != 0){
+      throw new Error("Unsupported websocket extension")
+    }
+    var key = null
+    if(masked){
+      if(buffer.length < offset+4) return null
+      key = buffer.slice(offset,offset+4)
+      offset += 4
+    }
+    if(buffer.length < offset+length){
+      return null
+    }
+    var payload = Buffer.from(buffer.slice(offset,offset+length))
+    if(key){
+      for(var i=0;i<payload.length;i++){
+        payload[i] ^= key[i % 4]
+      }
+    }
+    this.buffer = buffer.slice(offset+length)
+    return {
+      fin: (buffer[0] & 0x80) != 0,
+      opcode: buffer[0] & 0x0f,
+      payload: payload
+    }
+  }
+}
+
+WebSocket.OPCODES = OPCODES
+WebSocket.FrameParser = FrameParser
+
+module.exports = WebSocket
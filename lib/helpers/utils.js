@@ -55,44 +55,10 @@ module.exports = class Utils {
     return Utils.joinPath(folder, "/Code/User/", filename ? filename : "");
   }
 
-  base64decode(b64str){
-    var content = ""
-    var buffer_list = []
-    var b64str_arr = b64str.split('=')
-
-    for(var i=0;i<b64str_arr.length;i++){
-      var chunk = b64str_arr[i]
-      if(chunk.length > 0){
-
-        // Add == to only the last chunk
-        // Ignore last 2 items, becuase the original string contains '==' + some extra chars
-        if(i == b64str_arr.length-3){
-          chunk += '=='
-        }else{
-          chunk += '='
-        }
-        var bc = Buffer.from(chunk, 'base64')
-        buffer_list.push(bc)
-        content += bc.toString()
-      }
-    }
-    return [content,buffer_list]
-  }
-
   plural(text,number){
     return text + (number == 1 ? "" : "s")
   }
 
-  parse_error(content){
-    var err_index = content.indexOf("OSError:")
-    if(err_index > -1){
-      return Error(content.slice(err_index,content.length-2))
-    }else{
-      return null
-    }
-  }
-
-
   ensureFileDirectoryExistence(filePath) {
     var dirname = path.dirname(filePath)
     return this.ensureDirectoryExistence(dirname)
@@ -136,6 +102,11 @@ module.exports = class Utils {
   }
 
   calculate_int_version(version){
+    return Utils.calculate_int_version(version)
+  }
+
+  // 1.20.2.r4 -> 1200204, also used without settings (see board-info.js)
+  static calculate_int_version(version){
     var known_types = ['a', 'b', 'rc', 'r']
     if(!version){
       return 0
@@ -196,6 +196,23 @@ module.exports = class ApiWrapper {
     })
   }
 
+  // asks text in a modal dialog, cb(true) when the user picked button
+  ask(text,button,cb){
+    window.showWarningMessage(text,{modal: true},button).then(function(item){
+      cb(item == button)
+    })
+  }
+
+  // false in a workspace that VSCode doesn't trust (restricted mode)
+  isTrusted(){
+    return workspace.isTrusted !== false
+  }
+
+  // asks for a line of text, cb gets undefined when the box was closed
+  prompt(text,value,cb){
+    window.showInputBox({prompt: text, value: value}).then(cb)
+  }
+
   getProjectPath(){
     return this.rootPath()
   }
@@ -279,6 +296,17 @@ module.exports = class ApiWrapper {
     return code
   }
 
+  // path of the open file and the (0 based) line the selection or the current line starts at,
+  // used to map line numbers of code run from a selection back to the editor
+  getSelectionSource(){
+    var editor = window.activeTextEditor
+    var selection = editor.selection
+    return {
+      file: editor.document.isUntitled ? null : editor.document.fileName,
+      line_offset: selection.isEmpty ? selection.active.line : selection.start.line
+    }
+  }
+
   // restore the focus to the Editor after running a section of code
   editorFocus(){
     vscode.commands.executeCommand( 'workbench.action.focusPreviousGroup') 
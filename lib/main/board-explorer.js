@@ -0,0 +1,345 @@
+var path = require('path')
+var vscode = require('vscode')
+const ApiWrapper = require('./api-wrapper.js')
+const ConnectionState = require('../board/connection-state.js')
+const DeviceManager = require('./device-manager.js')
+const BoardFileSystem = require('./board-file-system.js')
+const Logger = require('../helpers/logger.js')
+
+// documents that show a file on the board without downloading it, read-only
+var PREVIEW_SCHEME = 'pymakr-preview'
+
+var STATES = ConnectionState.STATES
+
+// The Board Files view: the files on the active device as a tree, with actions to open a
+// file (read-only or to edit it on the board), download, delete, rename, create a folder
+// and upload into a folder.
+// The files are read when the view shows them for the first time, on refresh and after
+// every upload, but not on connect: reading them stops the code that runs on the board
+module.exports = class BoardExplorer {
+
+  constructor(devices){
+    var _this = this
+    this.devices = devices
+    this.api = new ApiWrapper()
+    this.logger = new Logger('BoardExplorer')
+    this.listings = {} // by device name, {files: [{path, size, dir}]}, {error} or {connected}
+    this.changed = new vscode.EventEmitter()
+    this.onDidChangeTreeData = this.changed.event
+    this.view = vscode.window.createTreeView('pymakr.files',{treeDataProvider: this})
+    this.preview = vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME,{
+      provideTextDocumentContent: function(uri){
+        return _this.__previewContent(uri)
+      }
+    })
+    devices.names().forEach(function(name){
+      _this.__watch(devices.get(name))
+    })
+    devices.on('add',function(name){
+      _this.__watch(devices.get(name))
+    })
+    devices.on('active',function(){
+      _this.changed.fire()
+    })
+    devices.on('remove',function(name){
+      delete _this.listings[name]
+    })
+  }
+
+  // follows a device: its files are read again after an upload and forgotten when it
+  // connects or disconnects
+  __watch(pymakr){
+    var _this = this
+    var name = pymakr.name || DeviceManager.DEFAULT
+    pymakr.on('synced',function(type){
+      if(type != 'receive' && _this.listings[name]){
+        _this.refresh(name)
+      }
+    })
+    pymakr.pyboard.state.on('change',function(change){
+      if(change.state == STATES.DISCONNECTED){
+        delete _this.listings[name]
+        _this.changed.fire()
+      }else if(change.state == STATES.FRIENDLY_REPL && (change.previous == STATES.CONNECTING || change.previous == STATES.AUTHENTICATING)){
+        _this.listings[name] = {connected: true}
+        _this.changed.fire()
+      }
+    })
+  }
+
+  getTreeItem(node){
+    if(node.placeholder){
+      return new vscode.TreeItem(node.placeholder)
+    }
+    var state = node.dir ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None
+    var item = new vscode.TreeItem(node.name,state)
+    item.contextValue = node.dir ? 'folder' : 'file'
+    item.resourceUri = vscode.Uri.file('/'+node.path) // for the icon of the file type
+    item.tooltip = node.path
+    if(!node.dir){
+      item.description = formatSize(node.size)
+      item.command = {command: 'pymakr.files.open', title: 'Open', arguments: [node]}
+    }
+    return item
+  }
+
+  getChildren(node){
+    var _this = this
+    if(node){
+      return node.children
+    }
+    var name = this.devices.active_name
+    var device = this.devices.active
+    if(!device.pyboard.connected){
+      return [{placeholder: 'Not connected'}]
+    }
+    var show = function(){
+      var listing = _this.listings[name]
+      if(listing.connected){
+        return [{placeholder: 'Connected, refresh to read the files'}]
+      }else if(listing.error){
+        return [{placeholder: "Couldn't read the files: "+listing.error.message}]
+      }
+      var root = buildTree(listing.files)
+      return root.children.length > 0 ? root.children : [{placeholder: 'No files'}]
+    }
+    if(this.listings[name]){
+      return show()
+    }
+    return this.__list(name).then(show)
+  }
+
+  __list(name){
+    var _this = this
+    return new Promise(function(resolve){
+      _this.devices.get(name).fileAction(function(files,cb){
+        files.list(cb)
+      },function(err,files){
+        _this.listings[name] = err ? {error: err} : {files: files}
+        resolve()
+      })
+    })
+  }
+
+  // reads the files of a device again, the active one by default
+  refresh(name){
+    delete this.listings[name || this.devices.active_name]
+    this.changed.fire()
+  }
+
+  open(node){
+    var uri = vscode.Uri.file('/'+node.path).with({scheme: PREVIEW_SCHEME, query: this.devices.active_name})
+    vscode.window.showTextDocument(uri,{preview: true})
+  }
+
+  // opens the file from the board itself, saving writes it back, see BoardFileSystem
+  edit(node){
+    var device = this.devices.active
+    var root_folder = device.pyboard.info ? device.pyboard.info.root_folder : device.pyboard.preset.root_folder
+    vscode.window.showTextDocument(BoardFileSystem.uri(this.devices.active_name,root_folder,node.path))
+  }
+
+  __previewContent(uri){
+    var device = this.devices.get(uri.query)
+    var file = uri.path.slice(1)
+    return new Promise(function(resolve,reject){
+      if(!device){
+        reject(new Error("Device "+uri.query+" is gone"))
+        return
+      }
+      device.fileAction(function(files,cb){
+        files.read(file,cb)
+      },function(err,contents){
+        if(err){
+          reject(err)
+        }else{
+          resolve(contents.toString())
+        }
+      })
+    })
+  }
+
+  download(node){
+    var _this = this
+    var listing = this.listings[this.devices.active_name]
+    var files = node.dir ? filesIn(listing,node.path) : [node.path]
+    var base = parent(node.path)
+    vscode.window.showOpenDialog({
+      canSelectFiles: false,
+      canSelectFolders: true,
+      openLabel: 'Download here',
+      defaultUri: this.api.getProjectPath() ? vscode.Uri.file(this.api.getProjectPath()) : undefined
+    }).then(function(target){
+      if(!target || target.length == 0){
+        return
+      }
+      _this.__action('Downloading '+node.name,function(board_files,cb){
+        board_files.download(files,base,target[0].fsPath,cb)
+      },function(err){
+        if(!err){
+          _this.api.info("Downloaded "+node.name+" to "+target[0].fsPath)
+        }
+      },false)
+    })
+  }
+
+  remove(node){
+    var _this = this
+    var what = node.dir ? "the folder "+node.path+" and everything in it" : node.path
+    this.api.confirm("Delete",'Delete '+what+' from the board?',{
+      'Cancel': function(){},
+      'Delete': function(){
+        _this.__action('Deleting '+node.name,function(files,cb){
+          files.remove(node.path,cb)
+        })
+      }
+    })
+  }
+
+  rename(node){
+    var _this = this
+    vscode.window.showInputBox({prompt: 'New name for '+node.path, value: node.name, validateInput: validateName}).then(function(name){
+      if(!name || name == node.name){
+        return
+      }
+      var to = join(parent(node.path),name)
+      _this.__action('Renaming '+node.name,function(files,cb){
+        files.rename(node.path,to,cb)
+      })
+    })
+  }
+
+  createFolder(node){
+    var _this = this
+    var folder = this.__folderOf(node)
+    vscode.window.showInputBox({prompt: 'Name of the new folder in '+(folder || 'the root folder'), validateInput: validateName}).then(function(name){
+      if(!name){
+        return
+      }
+      var created = join(folder,name)
+      _this.__action('Creating '+name,function(files,cb){
+        files.createDir(created,cb)
+      })
+    })
+  }
+
+  upload(node){
+    var _this = this
+    var folder = this.__folderOf(node)
+    vscode.window.showOpenDialog({canSelectFiles: true, canSelectFolders: false, canSelectMany: true, openLabel: 'Upload'}).then(function(selected){
+      if(!selected || selected.length == 0){
+        return
+      }
+      vscode.window.withProgress({location: vscode.ProgressLocation.Notification, title: 'Uploading to '+(folder || 'the board')},function(progress){
+        return new Promise(function(resolve){
+          _this.__action('Uploading',function(files,cb){
+            var i = 0
+            var next = function(err){
+              if(err || i >= selected.length){
+                cb(err)
+                return
+              }
+              var local = selected[i].fsPath
+              i += 1
+              files.upload(local,folder,function(file){
+                progress.report({message: file})
+              },next)
+            }
+            next()
+          },resolve)
+        })
+      })
+    })
+  }
+
+  // the folder an action on node goes to, '' for the root folder
+  __folderOf(node){
+    if(!node || node.placeholder){
+      return ''
+    }
+    return node.dir ? node.path : parent(node.path)
+  }
+
+  // runs action(files,cb) on the active device and shows what went wrong, then cb(err).
+  // The files are read again after, unless refresh is false and it worked
+  __action(title,action,cb,refresh){
+    var _this = this
+    var name = this.devices.active_name
+    this.logger.info(title)
+    this.devices.active.fileAction(action,function(err){
+      if(err){
+        _this.api.error(title+' failed: '+err.message)
+      }
+      if(refresh !== false || err){
+        _this.refresh(name)
+      }
+      if(cb) cb(err)
+    })
+  }
+
+  dispose(){
+    this.view.dispose()
+    this.preview.dispose()
+    this.changed.dispose()
+  }
+}
+
+// nested folders from a listing, {name, path, dir, size, children}, folders first
+function buildTree(files){
+  var root = {path: '', dir: true, children: []}
+  var folders = {'': root}
+  var folder = function(folder_path){
+    if(!folders[folder_path]){
+      var node = {name: path.posix.basename(folder_path), path: folder_path, dir: true, children: []}
+      folder(parent(folder_path)).children.push(node)
+      folders[folder_path] = node
+    }
+    return folders[folder_path]
+  }
+  files.forEach(function(file){
+    if(file.dir){
+      folder(file.path)
+    }else{
+      folder(parent(file.path)).children.push({name: path.posix.basename(file.path), path: file.path, dir: false, size: file.size})
+    }
+  })
+  var sort = function(node){
+    node.children.sort(function(a,b){
+      return a.dir != b.dir ? (a.dir ? -1 : 1) : a.name.localeCompare(b.name)
+    })
+    node.children.forEach(function(child){
+      if(child.dir) sort(child)
+    })
+  }
+  sort(root)
+  return root
+}
+
+// the files in a folder and its subfolders
+function filesIn(listing,folder){
+  return (listing && listing.files ? listing.files : []).filter(function(file){
+    return !file.dir && file.path.startsWith(folder+'/')
+  }).map(function(file){
+    return file.path
+  })
+}
+
+function parent(file_path){
+  var dir = path.posix.dirname(file_path)
+  return dir == '.' ? '' : dir
+}
+
+function join(folder,name){
+  return folder ? folder+'/'+name : name
+}
+
+function validateName(name){
+  return /[\/\x00]/.test(name) ? "A name can't contain / or null characters" : null
+}
+
+function formatSize(size){
+  if(size === null || size === undefined){
+    return ''
+  }
+  return size < 1000 ? size+' B' : (size/1000).toFixed(1)+' kB'
+}
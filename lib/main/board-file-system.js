@@ -0,0 +1,230 @@
+var path = require('path')
+var vscode = require('vscode')
+const Logger = require('../helpers/logger.js')
+
+var SCHEME = 'pymakr'
+var STAT_CACHE_TIME = 5000 // ms, VSCode asks for stats all the time and every one is a session on the board
+
+// Files on the board as pymakr://<device>/<path on the board>, like pymakr://default/flash/main.py,
+// so they open and save in the editor without downloading and uploading them. Every call
+// is a BoardFiles action on that device, saving checks the hash of what was written.
+// What stat, readDirectory and readFile learn about files is kept for a few seconds
+module.exports = class BoardFileSystem {
+
+  constructor(devices){
+    this.devices = devices
+    this.logger = new Logger('BoardFileSystem')
+    this.stats = {} // by device and path, {entry: {type, size, mtime}, time}
+    this.changed = new vscode.EventEmitter()
+    this.onDidChangeFile = this.changed.event
+    this.registration = vscode.workspace.registerFileSystemProvider(SCHEME,this,{isCaseSensitive: true})
+  }
+
+  static get SCHEME(){
+    return SCHEME
+  }
+
+  // the uri of a file on a device, file is relative to the root folder of the board or absolute
+  static uri(device_name,root_folder,file){
+    var absolute = file.startsWith('/') ? file : path.posix.join(root_folder || '/',file)
+    return vscode.Uri.parse(SCHEME+'://'+encodeURIComponent(device_name)+'/').with({path: absolute})
+  }
+
+  // changes aren't watched, the board doesn't tell about them
+  watch(){
+    return new vscode.Disposable(function(){})
+  }
+
+  stat(uri){
+    var _this = this
+    var cached = this.__cached(uri.authority,uri.path)
+    var entry = cached ? Promise.resolve(cached) : this.__action(uri,function(files,file,cb){
+      files.stat(file,cb)
+    }).then(function(entry){
+      _this.__cache(uri.authority,uri.path,entry)
+      return entry
+    })
+    return entry.then(function(entry){
+      return {
+        type: entry.type == 'dir' ? vscode.FileType.Directory : vscode.FileType.File,
+        ctime: entry.mtime,
+        mtime: entry.mtime,
+        size: entry.size
+      }
+    })
+  }
+
+  readDirectory(uri){
+    var _this = this
+    return this.__action(uri,function(files,file,cb){
+      files.readDir(file,cb)
+    }).then(function(entries){
+      return entries.map(function(entry){
+        _this.__cache(uri.authority,path.posix.join(uri.path,entry.name),entry)
+        return [entry.name,entry.type == 'dir' ? vscode.FileType.Directory : vscode.FileType.File]
+      })
+    })
+  }
+
+  readFile(uri){
+    var _this = this
+    return this.__action(uri,function(files,file,cb){
+      files.read(file,cb)
+    }).then(function(contents){
+      var known = _this.__cached(uri.authority,uri.path)
+      _this.__cache(uri.authority,uri.path,{type: 'file', size: contents.length, mtime: known ? known.mtime : Date.now()})
+      return new Uint8Array(contents)
+    })
+  }
+
+  writeFile(uri,content,options){
+    var _this = this
+    return this.__action(uri,function(files,file,cb){
+      files.write(file,Buffer.from(content),options,cb)
+    }).then(function(existed){
+      // the board has its own clock, stat asks it for the new time
+      _this.__forget(uri.authority,uri.path)
+      _this.changed.fire([{type: existed ? vscode.FileChangeType.Changed : vscode.FileChangeType.Created, uri: uri}])
+    })
+  }
+
+  createDirectory(uri){
+    var _this = this
+    return this.__action(uri,function(files,file,cb){
+      files.createDir(file,cb)
+    }).then(function(){
+      _this.__forget(uri.authority,uri.path)
+      _this.changed.fire([{type: vscode.FileChangeType.Created, uri: uri}])
+    })
+  }
+
+  delete(uri,options){
+    var _this = this
+    return this.stat(uri).then(function(stat){
+      if(stat.type == vscode.FileType.Directory && !options.recursive){
+        return _this.readDirectory(uri).then(function(entries){
+          if(entries.length > 0){
+            throw vscode.FileSystemError.NoPermissions("Folder "+uri.path+" isn't empty")
+          }
+        })
+      }
+    }).then(function(){
+      return _this.__action(uri,function(files,file,cb){
+        files.remove(file,cb)
+      })
+    }).then(function(){
+      _this.__forget(uri.authority,uri.path)
+      _this.changed.fire([{type: vscode.FileChangeType.Deleted, uri: uri}])
+    })
+  }
+
+  rename(old_uri,new_uri,options){
+    var _this = this
+    if(old_uri.authority != new_uri.authority){
+      return Promise.reject(vscode.FileSystemError.NoPermissions("Can't move files between devices"))
+    }
+    return this.__exists(new_uri).then(function(exists){
+      if(exists && !options.overwrite){
+        throw vscode.FileSystemError.FileExists(new_uri)
+      }
+      return _this.__action(old_uri,function(files,file,cb){
+        files.rename(file,new_uri.path,cb)
+      })
+    }).then(function(){
+      _this.__forget(old_uri.authority,old_uri.path)
+      _this.__forget(new_uri.authority,new_uri.path)
+      _this.changed.fire([
+        {type: vscode.FileChangeType.Deleted, uri: old_uri},
+        {type: vscode.FileChangeType.Created, uri: new_uri}
+      ])
+    })
+  }
+
+  __exists(uri){
+    return this.stat(uri).then(function(){
+      return true
+    },function(err){
+      if(isNotFound(err)){
+        return false
+      }
+      throw err
+    })
+  }
+
+  // the entry of a file that was seen less than STAT_CACHE_TIME ago, null otherwise
+  __cached(device,file){
+    var cached = this.stats[device+file]
+    if(!cached || Date.now() - cached.time > STAT_CACHE_TIME){
+      return null
+    }
+    return cached.entry
+  }
+
+  __cache(device,file,entry){
+    this.stats[device+file] = {entry: {type: entry.type, size: entry.size, mtime: entry.mtime}, time: Date.now()}
+  }
+
+  // drops what's known about a file, or a folder and everything in it
+  __forget(device,file){
+    var key = device+file
+    for(var known in this.stats){
+      if(known == key || known.startsWith(key+'/')){
+        delete this.stats[known]
+      }
+    }
+  }
+
+  // runs action(files,file,cb) on the device of uri, rejects with a FileSystemError
+  __action(uri,action){
+    var _this = this
+    var device = this.devices.get(decodeURIComponent(uri.authority))
+    return new Promise(function(resolve,reject){
+      if(!device){
+        reject(vscode.FileSystemError.Unavailable("There's no device "+uri.authority))
+        return
+      }
+      if(!device.pyboard.connected){
+        reject(vscode.FileSystemError.Unavailable("Device "+uri.authority+" isn't connected"))
+        return
+      }
+      device.fileAction(function(files,cb){
+        action(files,uri.path,cb)
+      },function(err,result){
+        if(err){
+          reject(_this.__error(err,uri))
+        }else{
+          resolve(result)
+        }
+      })
+    })
+  }
+
+  // the FileSystemError for an error from the board, going by the errno of OSErrors
+  __error(err,uri){
+    var message = err.message || ''
+    if(/ENOENT|Errno 2\b/.test(message)){
+      return vscode.FileSystemError.FileNotFound(uri)
+    }
+    if(/EEXIST|Errno 17\b/.test(message)){
+      return vscode.FileSystemError.FileExists(uri)
+    }
+    if(/EISDIR|Errno 21\b/.test(message)){
+      return vscode.FileSystemError.FileIsADirectory(uri)
+    }
+    if(/ENOTDIR|Errno 20\b/.test(message)){
+      return vscode.FileSystemError.FileNotADirectory(uri)
+    }
+    this.logger.warning(uri.toString()+": "+message)
+    return new vscode.FileSystemError(message)
+  }
+
+  dispose(){
+    this.registration.dispose()
+    this.changed.dispose()
+  }
+}
+
+// FileSystemError has a code in newer versions of VSCode, older ones only name it
+function isNotFound(err){
+  return err.code == 'FileNotFound' || /FileNotFound/.test(err.name)
+}
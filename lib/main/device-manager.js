@@ -0,0 +1,195 @@
+const EventEmitter = require('events');
+const Address = require('../connections/address');
+const Logger = require('../helpers/logger.js');
+
+// name of the device that uses the address and autoconnect settings
+var DEFAULT = 'default';
+
+// The boards this window works with at the same time. The default device connects like
+// before (the address setting or autoconnect), the devices setting adds more, like
+//   "devices": [{"name": "gateway", "address": "COM3"}, {"name": "sensor", "address": "192.168.4.1"}]
+// Every device is a Pymakr with its own Pyboard, terminal, status bar entry, Runner and
+// Sync. Commands go to the active device, see select(). create(name,settings) makes the
+// Pymakr of a device, with settings that have the address of that device
+module.exports = class DeviceManager extends EventEmitter {
+
+  constructor(main, settings, create) {
+    super();
+    this.settings = settings;
+    this.create = create;
+    this.devices = {};
+    this.devices[DEFAULT] = main;
+    this.addresses = {}; // address of every device from the devices setting
+    this.active_name = DEFAULT;
+    this.logger = new Logger('DeviceManager');
+  }
+
+  static get DEFAULT() {
+    return DEFAULT;
+  }
+
+  // the valid devices in the devices setting, and what's wrong with the others
+  static parse(devices) {
+    var result = { devices: [], errors: [] };
+    if (devices === undefined || devices === null) {
+      return result;
+    }
+    if (!Array.isArray(devices)) {
+      result.errors.push('The devices setting should be a list, like [{"name": "sensor", "address": "COM3"}]');
+      return result;
+    }
+    var names = {};
+    var addresses = {};
+    for (var i = 0; i < devices.length; i++) {
+      var device = devices[i] || {};
+      var name = typeof device.name == 'string' ? device.name.trim() : '';
+      var address = typeof device.address == 'string' ? device.address.trim() : '';
+      if (name == '') {
+        result.errors.push('Device ' + (i + 1) + ' in the devices setting has no name');
+      } else if (name == DEFAULT || names[name]) {
+        result.errors.push("Device name '" + name + "' is taken");
+      } else if (address == '') {
+        result.errors.push("Device '" + name + "' has no address");
+      } else if (Address.opaqueScheme(address) == 'exec') {
+        // the devices setting can come from a project, which shouldn't pick a command to run
+        result.errors.push("Device '" + name + "': exec: addresses only work in the address setting of the global settings");
+      } else if (addresses[address]) {
+        result.errors.push("Devices '" + addresses[address] + "' and '" + name + "' have the same address");
+      } else {
+        try {
+          Address.parse(address);
+          names[name] = true;
+          addresses[address] = name;
+          result.devices.push({ name: name, address: address });
+        } catch (err) {
+          result.errors.push("Device '" + name + "': " + err.message);
+        }
+      }
+    }
+    return result;
+  }
+
+  // Settings of a device: its own address and no autoconnect, the rest comes from the
+  // project and global settings. Refreshing updates those, so all devices see changes
+  static deviceSettings(settings, address) {
+    var device_settings = Object.create(settings);
+    Object.defineProperty(device_settings, 'address', {
+      get: function() {
+        return address;
+      },
+      set: function() {}
+    });
+    Object.defineProperty(device_settings, 'auto_connect', {
+      get: function() {
+        return false;
+      },
+      set: function() {}
+    });
+    device_settings.refresh = function(cb) {
+      settings.refresh(cb);
+    };
+    device_settings.projectChanged = function() {
+      settings.projectChanged();
+    };
+    return device_settings;
+  }
+
+  // adds and removes devices to match the devices setting, a device with a new address
+  // starts over. Returns what's wrong with the setting
+  update(devices) {
+    var parsed = DeviceManager.parse(devices);
+    var wanted = {};
+    for (var i = 0; i < parsed.devices.length; i++) {
+      wanted[parsed.devices[i].name] = parsed.devices[i].address;
+    }
+    var names = Object.keys(this.addresses);
+    for (i = 0; i < names.length; i++) {
+      if (wanted[names[i]] != this.addresses[names[i]]) {
+        this.remove(names[i]);
+      }
+    }
+    for (i = 0; i < parsed.devices.length; i++) {
+      if (!this.devices[parsed.devices[i].name]) {
+        this.add(parsed.devices[i].name, parsed.devices[i].address);
+      }
+    }
+    return parsed.errors;
+  }
+
+  add(name, address) {
+    this.logger.info('Adding device ' + name + ' at ' + address);
+    var pymakr = this.create(name, DeviceManager.deviceSettings(this.settings, address));
+    this.devices[name] = pymakr;
+    this.addresses[name] = address;
+    pymakr.view.setActive(false);
+    this.emit('add', name);
+  }
+
+  remove(name) {
+    var pymakr = this.devices[name];
+    if (!pymakr || name == DEFAULT) {
+      return;
+    }
+    this.logger.info('Removing device ' + name);
+    if (this.active_name == name) {
+      this.select(DEFAULT);
+    }
+    delete this.devices[name];
+    delete this.addresses[name];
+    pymakr.destroy();
+    this.emit('remove', name);
+  }
+
+  // makes a device the one commands go to, returns false when there's no such device
+  select(name) {
+    if (!this.devices[name]) {
+      return false;
+    }
+    this.active_name = name;
+    var names = this.names();
+    for (var i = 0; i < names.length; i++) {
+      this.devices[names[i]].view.setActive(names[i] == name);
+    }
+    // the run and upload buttons show the state of the active device
+    this.active.setButtonState();
+    this.emit('active', name);
+    return true;
+  }
+
+  get active() {
+    return this.devices[this.active_name];
+  }
+
+  get(name) {
+    return this.devices[name] || null;
+  }
+
+  // default first, then in the order of the setting
+  names() {
+    return Object.keys(this.devices);
+  }
+
+  // name, address and connection status of every device, for picking one
+  list() {
+    var _this = this;
+    return this.names().map(function(name) {
+      var pyboard = _this.devices[name].pyboard;
+      var address = _this.addresses[name] || (_this.settings.auto_connect ? 'autoconnect' : _this.settings.address);
+      return {
+        name: name,
+        address: pyboard.address || address || '',
+        status: pyboard.status,
+        active: name == _this.active_name
+      };
+    });
+  }
+
+  destroy() {
+    var names = this.names();
+    for (var i = 0; i < names.length; i++) {
+      this.devices[names[i]].destroy();
+    }
+    this.devices = {};
+    this.addresses = {};
+  }
+}
@@ -4,11 +4,29 @@ const { StatusBarAlignment, window } = require ('vscode');
 const Term = require('./terminal');
 const ApiWrapper = require('../main/api-wrapper.js');
 const Logger = require ('../helpers/logger.js');
+const ConnectionState = require('../board/connection-state.js');
+const DeviceManager = require('./device-manager.js');
+
+var STATES = ConnectionState.STATES;
+
+// status bar icon and description for each connection state
+var STATE_TITLES = {};
+STATE_TITLES[STATES.DISCONNECTED] = ['chrome-close', 'not connected'];
+STATE_TITLES[STATES.CONNECTING] = ['sync', 'connecting'];
+STATE_TITLES[STATES.AUTHENTICATING] = ['sync', 'logging in'];
+STATE_TITLES[STATES.FRIENDLY_REPL] = ['check', 'connected'];
+STATE_TITLES[STATES.RAW_REPL] = ['check', 'connected, raw REPL'];
+STATE_TITLES[STATES.RUNNING] = ['triangle-right', 'running'];
+STATE_TITLES[STATES.PASTE] = ['check', 'connected, paste mode'];
+STATE_TITLES[STATES.SYNCING] = ['sync', 'synchronizing'];
 
 var EventEmitter = require('events');
 
+// The status bar and terminal of a board. The view of the default device has all the
+// buttons, the views of other devices (see DeviceManager) only a status bar entry with the
+// name of the device. device is {name, buttons} for those, buttons the view with the buttons
 module.exports = class PanelView extends EventEmitter {
-  constructor(pyboard, settings) {
+  constructor(pyboard, settings, device) {
     super();
     var _this = this;
     this.settings = settings;
@@ -16,14 +34,23 @@ module.exports = class PanelView extends EventEmitter {
     this.visible = true;
     this.api = new ApiWrapper();
     this.logger = new Logger('PanelView');
+    this.ports = []; // boards on usb, see setPorts
+    this.device = device ? device.name : null;
+    this.buttons = device ? device.buttons : this;
+    this.active = !device; // commands go to this board, see DeviceManager.select
 
     this.statusItems = {};
     this.statusItems['status'] = this.createStatusItem(
       'status',
       '',
-      'pymakr.toggleConnect',
+      { command: 'pymakr.selectDevice', title: 'Select device', arguments: [this.device || DeviceManager.DEFAULT] },
       'Toggle board connection'
     ); // name is set using setTitle function
+    if (this.device) {
+      this.statusItems['status'].show();
+      this.createTerminal();
+      return;
+    }
     this.statusItems['run'] = this.createStatusItem(
       'run',
       '$(triangle-right) Run',
@@ -96,7 +123,16 @@ module.exports = class PanelView extends EventEmitter {
       'pymakr.listCommands',
       'List all available pymakr commands'
     );
-    this.setTitle('not connected');
+    this.createTerminal();
+  }
+
+  createTerminal() {
+    var _this = this;
+    this.setTitle(this.pyboard.status);
+    this.onStateChange = function(event) {
+      _this.setTitle(event.state);
+    };
+    this.pyboard.state.on('change', this.onStateChange);
     // terminal logic
     var onTermConnect = function(err) {
       _this.emit('term-connected', err);
@@ -105,7 +141,7 @@ module.exports = class PanelView extends EventEmitter {
     _this.setProjectName(_this.api.getProjectPath());
 
     // create terminal
-    this.terminal = new Term(onTermConnect, this.pyboard, _this.settings);
+    this.terminal = new Term(onTermConnect, this.pyboard, _this.settings, this.device);
     this.terminal.setOnMessageListener(function(input) {
       _this.emit('user_input', input);
     });
@@ -160,16 +196,25 @@ module.exports = class PanelView extends EventEmitter {
       description: '',
       cmd: 'get_version'
     });
-    items.push({
-      label: 'Pymakr > Extra > Get WiFi AP SSID',
-      description: '',
-      cmd: 'get_wifi'
-    });
+    if (this.pyboard.preset.wifiSsidCommand(this.pyboard.info)) {
+      items.push({
+        label: 'Pymakr > Extra > Get WiFi AP SSID',
+        description: '',
+        cmd: 'get_wifi'
+      });
+    }
     items.push({
       label: 'Pymakr > Extra > List Serial Ports',
       description: '',
       cmd: 'get_serial'
     });
+    if (Array.isArray(this.settings.devices) && this.settings.devices.length > 0) {
+      items.push({
+        label: 'Pymakr > Select device',
+        description: this.device || '',
+        cmd: 'select_device'
+      });
+    }
     items.push({ label: 'Pymakr > Help', description: '', cmd: 'help' });
 
     var options = {
@@ -184,6 +229,24 @@ module.exports = class PanelView extends EventEmitter {
     });
   }
 
+  // devices is DeviceManager.list(), cb gets the name of the device that was picked
+  showDevicePick(devices, cb) {
+    var items = devices.map(function(device) {
+      var title = STATE_TITLES[device.status] || STATE_TITLES[STATES.DISCONNECTED];
+      return {
+        label: '$(' + title[0] + ') ' + device.name,
+        description: device.address + (device.active ? ' (active)' : ''),
+        detail: title[1],
+        name: device.name
+      };
+    });
+    window.showQuickPick(items, { placeHolder: 'Select the device for Pymakr commands' }).then(function(selection) {
+      if (selection) {
+        cb(selection.name);
+      }
+    });
+  }
+
   createStatusItem(key, name, command, tooltip) {
     if (!this.statusItemPrio) {
       this.statusItemPrio = 15;
@@ -215,12 +278,19 @@ module.exports = class PanelView extends EventEmitter {
     this.setButtonState();
   }
 
-  // refresh button display based on current status
+  // refresh button display based on current status, the buttons only show the active board
   setButtonState(runner_busy, synchronizing, synchronize_type) {
+    if (this.active) {
+      this.buttons.setButtons(this.pyboard, runner_busy, synchronizing, synchronize_type);
+    }
+    this.setTitle(this.pyboard.status);
+  }
+
+  setButtons(pyboard, runner_busy, synchronizing, synchronize_type) {
     // if (!this.visible) {
     //   this.setTitle('not connected')
     // }else if(this.pyboard.connected) {
-    if (this.pyboard.connected) {
+    if (pyboard.connected) {
       if (runner_busy == undefined) {
         // do nothing
       } else if (runner_busy) {
@@ -238,23 +308,42 @@ module.exports = class PanelView extends EventEmitter {
         this.setButton('upload', 'triangle-up', 'Upload');
         this.setButton('download', 'triangle-down', 'Download');
       }
-
-      this.setTitle('connected');
-    } else {
-      this.setTitle('not connected');
     }
   }
 
   setButton(name, icon, text) {
-    this.statusItems[name].text = '$(' + icon + ') ' + text;
+    if (this.statusItems[name]) {
+      this.statusItems[name].text = '$(' + icon + ') ' + text;
+    }
+  }
+
+  // whether commands go to this board, see DeviceManager.select
+  setActive(active) {
+    this.active = active;
+    this.setTitle(this.pyboard.status);
   }
 
   setTitle(status) {
-    var icon = 'chrome-close';
-    if (status == 'connected') {
-      icon = 'check';
+    var title = STATE_TITLES[status] || STATE_TITLES[STATES.DISCONNECTED];
+    this.setButton('status', title[0], this.device || 'Pymakr Console');
+    var tooltip = 'Toggle board connection (' + title[1] + ')';
+    if (this.device || !this.active) {
+      tooltip = (this.active ? 'Toggle the connection of ' : 'Use ') + (this.device || 'the default device') + ' (' + title[1] + ')';
+    }
+    if (this.pyboard.info) {
+      tooltip += '\n' + this.pyboard.info.toString() + ', ' + this.pyboard.preset.name + ' preset';
     }
-    this.setButton('status', icon, 'Pymakr Console');
+    for (var i = 0; i < this.ports.length; i++) {
+      var port = this.ports[i];
+      tooltip += '\n' + port.path + ' (' + (port.manufacturer || 'Unknown manufacturer') + ')';
+    }
+    this.statusItems['status'].tooltip = tooltip;
+  }
+
+  // lists the boards found on usb in the status tooltip
+  setPorts(ports) {
+    this.ports = ports;
+    this.setTitle(this.pyboard.status);
   }
 
   // UI Stuff
@@ -289,7 +378,15 @@ module.exports = class PanelView extends EventEmitter {
 
   // Tear down any state and detach
   destroy() {
-    this.disconnect();
+    var keys = Object.keys(this.statusItems);
+    for (var i = 0; i < keys.length; i++) {
+      this.statusItems[keys[i]].dispose();
+    }
+    this.statusItems = {};
+    if (this.onStateChange) {
+      this.pyboard.state.removeListener('change', this.onStateChange);
+    }
+    this.terminal.dispose();
   }
 
   getElement() {
@@ -2,10 +2,12 @@ const EventEmitter = require('events');
 const ApiWrapper = require('./api-wrapper.js');
 const Logger = require('../helpers/logger.js');
 var fs = require('fs');
+var path = require('path');
 var vscode = require('vscode');
 const Config = require('../config.js')
 const Utils = require('../helpers/utils.js');
 const PySerial = require('../connections/pyserial');
+const Address = require('../connections/address');
 const {workspace} = require('vscode');
 const dns = require('dns');
 
@@ -126,10 +128,12 @@ module.exports = class SettingsWrapper extends EventEmitter {
     })
   }
 
+  // emits 'refresh' when the settings are up to date again
   refresh(cb){
     var _this = this
     this.refreshGlobalConfig(function(){
       _this.refreshProjectConfig()
+      _this.emit('refresh')
       if(cb) cb()
     })
 
@@ -154,6 +158,8 @@ module.exports = class SettingsWrapper extends EventEmitter {
     this.username = this.api.config('username')
     this.password = this.api.config('password')
     this.sync_folder = this.api.config('sync_folder')
+    this.board_sync_folder = this.api.config('board_sync_folder')
+    this.board_sync_folder_prompt = this.api.config('board_sync_folder_prompt')
     this.sync_file_types = this.api.config('sync_file_types')
     this.sync_all_file_types = this.api.config('sync_all_file_types')
     
@@ -167,6 +173,21 @@ module.exports = class SettingsWrapper extends EventEmitter {
     this.py_ignore = this.api.config('py_ignore')
     this.fast_upload = this.api.config('fast_upload')
     this.autoconnect_comport_manufacturers = this.api.config('autoconnect_comport_manufacturers')
+    this.autoconnect_rules = this.api.config('autoconnect_rules')
+    this.board_preset = this.api.config('board_preset')
+    this.exec_folder = this.api.config('exec_folder')
+    this.transcript_file = this.api.config('transcript_file')
+    this.devices = this.api.config('devices')
+    this.auto_reconnect = this.api.config('auto_reconnect')
+    this.reconnect_attempts = this.api.config('reconnect_attempts')
+    this.reconnect_delay = this.api.config('reconnect_delay')
+    this.serial_baud_rate = this.api.config('serial_baud_rate')
+    this.serial_data_bits = this.api.config('serial_data_bits')
+    this.serial_parity = this.api.config('serial_parity')
+    this.serial_stop_bits = this.api.config('serial_stop_bits')
+    this.serial_flow_control = this.api.config('serial_flow_control')
+    this.serial_dtr = this.api.config('serial_dtr')
+    this.serial_rts = this.api.config('serial_rts')
 
     this.timeout = 15000
     this.setProjectConfig()
@@ -185,6 +206,12 @@ module.exports = class SettingsWrapper extends EventEmitter {
     
 
 
+    if(Address.hasScheme(this.address)){
+      // the connection resolves the host itself
+      if(cbg) cbg()
+      return
+    }
+
     PySerial.isSerialPort(this.address,function(is_serial){
 
       if(is_serial || _this.utils.isIP(_this.address)){
@@ -316,10 +343,24 @@ module.exports = class SettingsWrapper extends EventEmitter {
     }
   }
 
+  // whether file, relative to the project like pyboard reads it, stays inside the project
+  __inProject(file){
+    if(!this.project_path){
+      return false
+    }
+    var relative = path.relative(this.project_path,path.resolve(this.project_path,file))
+    return relative != '' && relative.split(path.sep)[0] != '..' && !path.isAbsolute(relative)
+  }
+
   setProjectConfig(){
     // these projects settings override the global settings 
     if('address' in this.project_config){
-      this.address = this.project_config.address
+      // a project can't pick a command to run, only the global settings can
+      if(Address.opaqueScheme(this.project_config.address) == 'exec'){
+        this.logger.warning("Ignoring the exec: address in the project settings, put it in the global settings instead")
+      }else{
+        this.address = this.project_config.address
+      }
     }
     if('username' in this.project_config){
       this.username = this.project_config.username
@@ -330,6 +371,12 @@ module.exports = class SettingsWrapper extends EventEmitter {
     if('sync_folder' in this.project_config){
       this.sync_folder = this.project_config.sync_folder
     }
+    if('board_sync_folder' in this.project_config){
+      this.board_sync_folder = this.project_config.board_sync_folder
+    }
+    if('board_sync_folder_prompt' in this.project_config){
+      this.board_sync_folder_prompt = this.project_config.board_sync_folder_prompt
+    }
     if('sync_file_types' in this.project_config){
       this.sync_file_types = this.project_config.sync_file_types
     }
@@ -354,6 +401,57 @@ module.exports = class SettingsWrapper extends EventEmitter {
     if('fast_upload' in this.project_config){
       this.fast_upload = this.project_config.fast_upload
     }
+    if('autoconnect_rules' in this.project_config){
+      this.autoconnect_rules = this.project_config.autoconnect_rules
+    }
+    if('board_preset' in this.project_config){
+      this.board_preset = this.project_config.board_preset
+    }
+    if('exec_folder' in this.project_config){
+      this.exec_folder = this.project_config.exec_folder
+    }
+    if('transcript_file' in this.project_config){
+      // an untrusted project can't make us write files, a trusted one only into its own folder
+      var transcript = this.project_config.transcript_file
+      if(!transcript || (this.api.isTrusted() && this.__inProject(transcript))){
+        this.transcript_file = transcript
+      }else{
+        this.logger.warning("Ignoring the transcript_file in the project settings, it has to be inside a trusted project")
+      }
+    }
+    if('devices' in this.project_config){
+      this.devices = this.project_config.devices
+    }
+    if('auto_reconnect' in this.project_config){
+      this.auto_reconnect = this.project_config.auto_reconnect
+    }
+    if('reconnect_attempts' in this.project_config){
+      this.reconnect_attempts = this.project_config.reconnect_attempts
+    }
+    if('reconnect_delay' in this.project_config){
+      this.reconnect_delay = this.project_config.reconnect_delay
+    }
+    if('serial_baud_rate' in this.project_config){
+      this.serial_baud_rate = this.project_config.serial_baud_rate
+    }
+    if('serial_data_bits' in this.project_config){
+      this.serial_data_bits = this.project_config.serial_data_bits
+    }
+    if('serial_parity' in this.project_config){
+      this.serial_parity = this.project_config.serial_parity
+    }
+    if('serial_stop_bits' in this.project_config){
+      this.serial_stop_bits = this.project_config.serial_stop_bits
+    }
+    if('serial_flow_control' in this.project_config){
+      this.serial_flow_control = this.project_config.serial_flow_control
+    }
+    if('serial_dtr' in this.project_config){
+      this.serial_dtr = this.project_config.serial_dtr
+    }
+    if('serial_rts' in this.project_config){
+      this.serial_rts = this.project_config.serial_rts
+    }
   
   }
 
@@ -387,18 +485,29 @@ module.exports = class SettingsWrapper extends EventEmitter {
         "username": this.api.config('username'),
         "password": this.api.config('password'),
         "sync_folder": this.api.config('sync_folder'),
+        "board_sync_folder": this.api.config('board_sync_folder'),
         "open_on_start": this.api.config('open_on_start'),
         "safe_boot_on_upload": this.api.config('safe_boot_on_upload'),
         "statusbar_buttons": this.api.config('statusbar_buttons'),
         "py_ignore": this.api.config('py_ignore'),
-        "fast_upload": this.api.config('fast_upload')
+        "fast_upload": this.api.config('fast_upload'),
+        "board_preset": this.api.config('board_preset')
     }
     if(global){
       config.sync_file_types = this.api.config('sync_file_types')
+      config.board_sync_folder_prompt = this.api.config('board_sync_folder_prompt')
       config.ctrl_c_on_connect = this.api.config('ctrl_c_on_connect')
       config.sync_all_file_types = this.api.config('sync_all_file_types')
       config.auto_connect = this.api.config('auto_connect')
       config.autoconnect_comport_manufacturers = this.api.config('autoconnect_comport_manufacturers')
+      config.autoconnect_rules = this.api.config('autoconnect_rules')
+      config.exec_folder = this.api.config('exec_folder')
+      config.transcript_file = this.api.config('transcript_file')
+      config.auto_reconnect = this.api.config('auto_reconnect')
+      config.reconnect_attempts = this.api.config('reconnect_attempts')
+      config.reconnect_delay = this.api.config('reconnect_delay')
+      config.serial_baud_rate = this.api.config('serial_baud_rate')
+      config.serial_flow_control = this.api.config('serial_flow_control')
     }
     return config
   }
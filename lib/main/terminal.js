@@ -6,11 +6,12 @@ var Socket = require('net').Socket;
 
 module.exports = class Term {
 
-    constructor(cb,pyboard,settings) {
+    // device is the name of the board for boards other than the default one, see DeviceManager
+    constructor(cb,pyboard,settings,device) {
       this.port = parseInt(Math.random()*1000 + 1337)
       this.host = "127.0.0.1"
       this.term_buffer = ""
-      this.terminal_name = "Pymakr Console"
+      this.terminal_name = device ? "Pymakr Console ("+device+")" : "Pymakr Console"
       this.shellprompt = '>>> ';
       this.pyboard = pyboard
       this.logger = new Logger('Term')
@@ -25,6 +26,7 @@ module.exports = class Term {
       this.stream = new Socket();
       this.connected = false
       this.is_windows = process.platform == 'win32'
+      this.disposed = false
 
       //dragging
       this.startY = null
@@ -34,8 +36,8 @@ module.exports = class Term {
       this.connect(cb)
       var _this = this
 
-      vscode.window.onDidCloseTerminal(function(event){
-        if(!_this.create_failed && event._name == _this.terminal_name){
+      this.close_listener = vscode.window.onDidCloseTerminal(function(event){
+        if(!_this.create_failed && !_this.disposed && event._name == _this.terminal_name){
           _this.create()
         }
       })
@@ -53,6 +55,9 @@ module.exports = class Term {
 
     connectReattempt(cb){
       var _this = this
+      if(this.disposed){
+        return
+      }
       this.connection_attempt +=1
       this.connected = false
       setTimeout(function(){
@@ -183,4 +188,14 @@ module.exports = class Term {
     copy(ev){
       
     }
+
+    // closes the terminal for good, like when its device is removed
+    dispose(){
+      this.disposed = true
+      this.close_listener.dispose()
+      this.stream.destroy()
+      if(this.terminal){
+        this.terminal.dispose()
+      }
+    }
 }
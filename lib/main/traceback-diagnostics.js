@@ -0,0 +1,105 @@
+var fs = require('fs')
+var path = require('path')
+var vscode = require('vscode')
+const ApiWrapper = require('./api-wrapper.js')
+const Shell = require('../board/shell.js')
+const Logger = require('../helpers/logger.js')
+
+// Shows the exception of code that ran on the board as a problem in the editor,
+// by mapping the traceback frames back to local files.
+// Frames are either '<stdin>' (the code sent by run/run selection) or a file on
+// the board, which we look for in the sync folder of the project. Files on the board are
+// relative to the folder the last sync used (see board_folder), or the board_sync_folder
+// before the first one.
+module.exports = class TracebackDiagnostics {
+
+  constructor(settings){
+    this.settings = settings
+    this.api = new ApiWrapper()
+    this.logger = new Logger('TracebackDiagnostics')
+    this.collection = vscode.languages.createDiagnosticCollection('pymakr')
+    this.board_root = '/flash'
+    this.board_folder = null // absolute, set after a sync
+  }
+
+  // source is {file, line_offset} of the code that ran as '<stdin>'
+  // returns the frames that could be mapped, as [{file, line, name}] with local paths
+  publish(exception,source){
+    this.clear()
+    var locations = this.locate(exception.traceback,source)
+    if(locations.length == 0){
+      return locations
+    }
+
+    // the error goes on the innermost frame, the calls leading to it are related info
+    var last = locations[locations.length-1]
+    var message = exception.type + (exception.message ? ": "+exception.message : "")
+    var diagnostic = new vscode.Diagnostic(this.__range(last.line),message,vscode.DiagnosticSeverity.Error)
+    diagnostic.source = 'Pymakr'
+    diagnostic.relatedInformation = locations.slice(0,-1).reverse().map(function(location){
+      var name = location.name ? " in "+location.name : ""
+      return new vscode.DiagnosticRelatedInformation(
+        new vscode.Location(vscode.Uri.file(location.file),new vscode.Range(location.line-1,0,location.line-1,0)),
+        "Called from here"+name
+      )
+    })
+    this.collection.set(vscode.Uri.file(last.file),[diagnostic])
+    return locations
+  }
+
+  locate(traceback,source){
+    var locations = []
+    for(var i=0;i<traceback.length;i++){
+      var frame = traceback[i]
+      var file = this.localPath(frame.file,source)
+      if(file){
+        var line = frame.line
+        if(frame.file == '<stdin>' && source && source.line_offset){
+          line += source.line_offset
+        }
+        locations.push({file: file, line: line, name: frame.name})
+      }
+    }
+    return locations
+  }
+
+  localPath(board_file,source){
+    if(board_file == '<stdin>'){
+      return source && source.file ? source.file : null
+    }
+    var project_path = this.api.getProjectPath()
+    if(!project_path){
+      return null
+    }
+
+    var relative = board_file
+    var board_folder = this.board_folder || Shell.boardFolder(this.settings.board_sync_folder,this.board_root)
+    if(relative.startsWith(board_folder+"/")){
+      relative = relative.slice(board_folder.length+1)
+    }else if(relative.startsWith(this.board_root+"/")){
+      relative = relative.slice(this.board_root.length+1)
+    }
+    relative = relative.replace(/^\/+/,'')
+
+    var sync_folder = this.settings.sync_folder.replace(/^\/|\/$/g, '')
+    var file = path.join(project_path,sync_folder,relative)
+    if(!fs.existsSync(file)){
+      this.logger.verbose("No local file for "+board_file)
+      return null
+    }
+    return file
+  }
+
+  clear(){
+    this.collection.clear()
+  }
+
+  dispose(){
+    this.collection.dispose()
+  }
+
+  // the whole line, lines in a traceback are 1 based
+  __range(line){
+    return new vscode.Range(line-1,0,line-1,Number.MAX_SAFE_INTEGER)
+  }
+}
@@ -1,18 +1,29 @@
 
 const Sync = require('./board/sync');
+const BoardFiles = require('./board/board-files');
+const ConnectionState = require('./board/connection-state');
 const Runner = require('./board/runner');
+const Reconnector = require('./board/reconnector');
 const PySerial = require('./connections/pyserial');
+const PortWatcher = require('./connections/port-watcher');
+const Address = require('./connections/address');
 const Utils = require('./helpers/utils');
 const ApiWrapper = require('./main/api-wrapper.js');
 const Logger = require('./helpers/logger.js')
 const Config = require('./config.js')
 var EventEmitter = require('events');
 
+// exec: addresses the user agreed to run, see __allowConnect
+var ALLOWED_COMMANDS = {}
+
 module.exports = class Pymakr extends EventEmitter {
 
-  constructor(serializedState,pyboard,view,settings) {
+  // name is set for boards other than the default one (see DeviceManager), those
+  // connect to their own address and leave autoconnect and the settings to the default
+  constructor(serializedState,pyboard,view,settings,name) {
     super()
     var _this = this
+    this.name = name || null
     this.pyboard = pyboard
     this.synchronizing = false
     this.synchronize_type = ""
@@ -21,7 +32,8 @@ module.exports = class Pymakr extends EventEmitter {
     this.logger = new Logger('Pymakr')
     this.config = Config.constants()
     this.view = view
-    this.autoconnect_timer = null
+    this.port_watcher = new PortWatcher()
+    this.autoconnect_enabled = false
     this.autoconnect_address = undefined
     this.connection_timer = null
     this.utils = new Utils(settings)
@@ -30,20 +42,31 @@ module.exports = class Pymakr extends EventEmitter {
 
     this.terminal = this.view.terminal
     this.runner = new Runner(pyboard,this.terminal,this)
+    this.files = new BoardFiles(pyboard,settings)
+    this.reconnector = new Reconnector(this)
 
-    this.settings.on('format_error',function(){
-      _this.terminal.writeln("JSON format error in pymakr.conf file")
-      if(_this.pyboard.connected){
-        _this.terminal.writePrompt()
+    this.port_watcher.on('change',function(change){
+      _this.view.setPorts(_this.boardPorts(change.ports).ports)
+      if(_this.autoconnect_enabled){
+        _this.setAutoconnectAddress()
       }
     })
 
-    this.settings.on('format_error.project',function(){
-      _this.terminal.writeln("JSON format error in pymakr.conf project file")
-      if(_this.pyboard.connected){
-        _this.terminal.writePrompt()
-      }
-    })
+    if(!this.name){
+      this.settings.on('format_error',function(){
+        _this.terminal.writeln("JSON format error in pymakr.conf file")
+        if(_this.pyboard.connected){
+          _this.terminal.writePrompt()
+        }
+      })
+
+      this.settings.on('format_error.project',function(){
+        _this.terminal.writeln("JSON format error in pymakr.conf project file")
+        if(_this.pyboard.connected){
+          _this.terminal.writePrompt()
+        }
+      })
+    }
 
     this.view.on('term-connected',function(err){
       _this.settings.setFileChangedGlobal()
@@ -54,6 +77,13 @@ module.exports = class Pymakr extends EventEmitter {
       }
       _this.logger.info("Connected trigger from view")
 
+      if(_this.name){
+        if(_this.settings.open_on_start){
+          _this.connect()
+        }
+        return
+      }
+
       this.first_time_start = !this.api.settingsExist()
       if(this.first_time_start){
         this.first_time_start = false
@@ -67,8 +97,9 @@ module.exports = class Pymakr extends EventEmitter {
       if(!_this.settings.open_on_start || close_terminal){
         _this.hidePanel()
       }else{
+        _this.watchPorts()
         if(_this.settings.auto_connect){
-          _this.startAutoConnect(null,true)
+          _this.startAutoConnect()
         }else{
           _this.logger.verbose("No auto connect enabled, connecting normally:")
           _this.connect()
@@ -93,10 +124,12 @@ module.exports = class Pymakr extends EventEmitter {
       _this.disconnect()
       _this.setButtonState()
       _this.stopAutoConnect()
+      _this.port_watcher.stop()
     })
 
     this.view.on('open',function(){
       this.logger.verbose("Open emitted")
+      _this.watchPorts()
       _this.startAutoConnect(function(connected_on_addr){
         if(!connected_on_addr){
           _this.logger.verbose("No address from autoconnect, connecting normally")
@@ -202,10 +235,8 @@ module.exports = class Pymakr extends EventEmitter {
       }
     })
 
-    this.pyboard.registerStatusListener(function(status){
-      if(status == 3){
-        _this.terminal.enter()
-      }
+    this.pyboard.state.on(ConnectionState.STATES.RAW_REPL,function(){
+      _this.terminal.enter()
     })
 
     this.api.listenToProjectChange(function(path){
@@ -215,10 +246,17 @@ module.exports = class Pymakr extends EventEmitter {
       if(address != _this.settings.address){
         _this.logger.verbose("Project changed, address changed, therefor connecting again:")
         _this.connect()
+      }else if(_this.autoconnect_enabled){
+        // the project can have its own autoconnect_rules
+        _this.setAutoconnectAddress()
       }
     })
 
 
+    if(this.name){
+      return
+    }
+
     this.settings.onChange('auto_connect',function(old_value,new_value){
       var v = new_value
       _this.logger.info("auto_connect setting changed to "+v)
@@ -231,29 +269,32 @@ module.exports = class Pymakr extends EventEmitter {
     })
   }
 
-  startAutoConnect(cb,wait){
+  // connects to the first board on usb, and again whenever the port watcher sees boards come or go
+  startAutoConnect(cb){
     if(this.view.visible){
       var _this = this
-      this.logger.info("Starting autoconnect interval...")
+      this.logger.info("Starting autoconnect...")
       this.stopAutoConnect()
       this.terminal.writeln("AutoConnect enabled, ignoring 'address' setting (see Global Settings)")
       this.terminal.writeln("Searching for PyCom boards on serial...")
-      if(!wait){
-        this.setAutoconnectAddress(cb)
-      }
-      this.autoconnect_timer = setInterval(function(){
-        _this.setAutoconnectAddress()
-      },2500)
-    }else{
+      this.autoconnect_enabled = true
+      this.port_watcher.start(function(){
+        if(_this.autoconnect_enabled){
+          _this.setAutoconnectAddress(cb)
+        }else if(cb){
+          cb(null)
+        }
+      })
+    }else if(cb){
       cb(null)
     }
   }
 
   stopAutoConnect(){
     var previous = this.pyboard.address
-    if(this.autoconnect_timer){
+    if(this.autoconnect_enabled){
       this.logger.info("Stop autoconnect")
-      clearInterval(this.autoconnect_timer)
+      this.autoconnect_enabled = false
       previous = this.autoconnect_address
       this.autoconnect_address = undefined
     }
@@ -263,6 +304,19 @@ module.exports = class Pymakr extends EventEmitter {
     }
   }
 
+  // keeps the boards in the status bar up to date, and autoconnect when enabled
+  watchPorts(){
+    var _this = this
+    this.port_watcher.start(function(ports){
+      _this.view.setPorts(_this.boardPorts(ports).ports)
+    })
+  }
+
+  // the ports autoconnect may pick, see PySerial.autoconnectPorts
+  boardPorts(ports){
+    return PySerial.autoconnectPorts(ports,this.settings)
+  }
+
   setAutoconnectAddress(cb){
     var _this = this
     var emitted_addr = null
@@ -303,7 +357,7 @@ module.exports = class Pymakr extends EventEmitter {
 
   getAutoconnectAddress(cb){
     var _this = this
-    _this.logger.silly("Autoconnect interval")
+    _this.logger.silly("Looking for an autoconnect address")
     if(this.settings.auto_connect){
       _this.logger.silly("Autoconnect enabled")
       this.getPycomBoard(function(name,manu,list){
@@ -337,7 +391,10 @@ module.exports = class Pymakr extends EventEmitter {
 
   getPycomBoard(cb){
     var _this = this
-    PySerial.listPycom(this.settings,function(list,manufacturers){
+    this.port_watcher.ports(function(ports){
+      var boards = _this.boardPorts(ports)
+      var list = boards.names
+      var manufacturers = boards.manus
       if(list.length > 0){
         var name = list[0]
         var manu = manufacturers[0]
@@ -367,32 +424,46 @@ module.exports = class Pymakr extends EventEmitter {
     })
   }
 
-  getWifiMac(){
-    var _this = this
+  async getWifiMac(){
     if(!this.pyboard.connected){
       this.terminal.writeln("Please connect to your device")
       return
     }
 
-    var command =
-      "from network import WLAN; from binascii import hexlify; from os import uname; wlan = WLAN(); mac = hexlify(wlan.mac().ap_mac).decode('ascii'); device = uname().sysname;print('WiFi AP SSID: %(device)s-wlan-%(mac)s' % {'device': device, 'mac': mac[len(mac)-4:len(mac)]})";
-    _this.pyboard.send_wait_for_blocking(command+'\n\r',command,function(err){
-      if(err){
-        _this.logger.error("Failed to send command: "+command)
-      }
-    },1000)
+    var command = this.pyboard.preset.wifiSsidCommand(this.pyboard.info)
+    if(!command){
+      this.terminal.writeln("Getting the WiFi SSID is not available on "+this.pyboard.preset.name+" boards")
+      this.terminal.writePrompt()
+      return
+    }
+    try{
+      await this.pyboard.request({data: command+'\n\r', enter: true, wait_for: command, blocking: true, timeout: 1000, name: 'get wifi mac'})
+    }catch(err){
+      this.logger.error("Failed to send command: "+command)
+    }
   }
 
   getSerial(){
     var _this = this
     this.terminal.enter()
-    PySerial.list(this.settings,function(list,manufacturers){
+    this.port_watcher.scan(function(ports){
+      // boards autoconnect would pick first, then the other ports so their ids can go in autoconnect_rules
+      var boards = _this.boardPorts(ports).ports
+      var list = boards.concat(ports.filter(function(port){
+        return boards.indexOf(port) == -1
+      }))
       _this.terminal.writeln("Found "+list.length+" serialport"+(list.length == 1 ? "" : "s"))
       for(var i=0;i<list.length;i++){
-        var name = list[i]
-        var text = name + " (" + manufacturers[i]+ ")"
+        var port = list[i]
+        var text = port.path + " (" + (port.manufacturer || "Unknown manufacturer") + ")"
+        if(port.vid){
+          text += " usb "+port.vid+":"+port.pid
+        }
+        if(port.serial_number){
+          text += " serial "+port.serial_number
+        }
         if(i==0){
-          _this.api.writeToCipboard(name)
+          _this.api.writeToCipboard(port.path)
           text += " (copied to clipboard)"
         }
 
@@ -401,18 +472,17 @@ module.exports = class Pymakr extends EventEmitter {
     })
   }
 
-  getVersion(){
-    var _this = this
+  async getVersion(){
     if(!this.pyboard.connected){
       this.terminal.writeln("Please connect to your device")
       return
     }
     var command = "import os; os.uname().release\r\n"
-    this.pyboard.send_wait_for_blocking(command,command,function(err){
-      if(err){
-        _this.logger.error("Failed to send command: "+command)
-      }
-    })
+    try{
+      await this.pyboard.request({data: command, enter: true, wait_for: command, blocking: true, timeout: 2000, name: 'get version'})
+    }catch(err){
+      this.logger.error("Failed to send command: "+command)
+    }
   }
 
   // refresh button display based on current status
@@ -421,13 +491,14 @@ module.exports = class Pymakr extends EventEmitter {
   }
 
   setTitle(status){
-	  this.view.setTitle()
+	  this.view.setTitle(this.pyboard.status)
   }
 
   connect(address,clickaction){
     var _this = this
     this.logger.info("Connecting...")
     this.logger.info(address)
+    this.reconnector.stop()
 
     if(this.autoconnect_address){
       if(!address){
@@ -489,6 +560,7 @@ module.exports = class Pymakr extends EventEmitter {
           if(err){
             _this.terminal.writeln("Connection error: "+err)
           }else{
+            _this.probeBoard()
             _this.api.setConnectionState(address,true,_this.view.project_name)
             _this.connection_timer = setInterval(function(){
               if(_this.pyboard.connected){
@@ -514,6 +586,9 @@ module.exports = class Pymakr extends EventEmitter {
               _this.logger.warning("Synchronizing, stopping sync")
               _this.syncObj.stop()
             }
+          }else if(_this.reconnector.isReconnecting()){
+            _this.terminal.writeln("> Connection error ("+message+")")
+            _this.setButtonState()
           }else{
             _this.terminal.writeln("> Failed to connect ("+message+"). Click here to try again.")
             _this.setButtonState()
@@ -521,7 +596,11 @@ module.exports = class Pymakr extends EventEmitter {
         }
 
         var ontimeout = function(err){
-          _this.terminal.writeln("> Connection timed out. Click here to try again.")
+          if(_this.reconnector.isReconnecting()){
+            _this.terminal.writeln("> "+err.message)
+          }else{
+            _this.terminal.writeln("> Connection timed out. Click here to try again.")
+          }
           _this.setButtonState()
         }
 
@@ -531,14 +610,62 @@ module.exports = class Pymakr extends EventEmitter {
           }
         }
 
-        _this.pyboard.connect(address,onconnect,onerror, ontimeout, onmessage)
+        _this.__allowConnect(address,function(err){
+          if(err){
+            _this.terminal.writeln("> "+err.message)
+            _this.setButtonState()
+            return
+          }
+          _this.pyboard.connect(address,onconnect,onerror, ontimeout, onmessage)
+        })
+      }
+    })
+  }
+
+  // An exec: address runs a command on this computer, so it needs a trusted workspace
+  // and the user's ok, once per command while VSCode runs
+  __allowConnect(address,cb){
+    if(Address.opaqueScheme(address) != 'exec' || ALLOWED_COMMANDS[address]){
+      cb()
+      return
+    }
+    if(!this.api.isTrusted()){
+      cb(new Error("Not running "+address+", exec: addresses only work in a trusted workspace"))
+      return
+    }
+    this.api.ask("Connecting to "+address+" runs '"+address.slice(5).trim()+"' on this computer. Run it?","Run",function(ok){
+      if(ok){
+        ALLOWED_COMMANDS[address] = true
+        cb()
+      }else{
+        cb(new Error("Not running "+address))
       }
     })
   }
 
+  // collects the BoardInfo that Sync, Shell and the status bar use, see Pyboard.probe
+  probeBoard(){
+    var _this = this
+    this.pyboard.probe().then(function(info){
+      // the probe went through the raw repl, which moved the terminal to a new line
+      _this.terminal.writePrompt()
+      _this.runner.diagnostics.board_root = info.root_folder
+      _this.setTitle()
+    },function(err){
+      _this.logger.warning("Failed to probe the board: "+err.message)
+    })
+  }
+
+  // connects to the board again after the connection got lost, see Reconnector
+  reconnect(address){
+    this.pyboard.setAddress(address)
+    this.continueConnect()
+  }
+
   disconnect(cb){
 
     this.logger.info("Disconnecting...")
+    this.reconnector.stop()
     if(this.pyboard.isConnecting()){
         this.terminal.writeln("Connection attempt canceled")
     }
@@ -562,6 +689,10 @@ module.exports = class Pymakr extends EventEmitter {
       this.terminal.writeln("Please connect your device")
       return
     }
+    if(this.files.busy){
+      this.terminal.writeln("Please wait for the Board Files action to finish")
+      return
+    }
     if(!this.synchronizing){
       
       // this.runner.toggle(function(){
@@ -641,16 +772,29 @@ module.exports = class Pymakr extends EventEmitter {
       this.terminal.writeln("Please connect your device")
       return
     }
+    if(this.files.busy){
+      this.terminal.writeln("Please wait for the Board Files action to finish")
+      return
+    }
     if(!this.synchronizing){
       this.syncObj = new Sync(this.pyboard,this.settings,this.terminal)
       this.synchronizing = true
       this.synchronize_type = type
       this.setButtonState()
+      var sync = this.syncObj
       var cb = function(err){
-
         _this.synchronizing = false
         _this.setButtonState()
-        if(_this.pyboard.type != 'serial'){
+        // the board folder prompt was dismissed, the board wasn't touched
+        if(err && err.cancelled){
+          return
+        }
+        // tracebacks of the files on the board point to where this sync put them
+        if(sync.synced_folder){
+          _this.runner.diagnostics.board_folder = sync.synced_folder
+        }
+        _this.emit('synced',type)
+        if(!_this.pyboard.keepsConnectionOnReset()){
           setTimeout(function(){
               _this.connect()
           },4000)
@@ -682,6 +826,20 @@ module.exports = class Pymakr extends EventEmitter {
     }
   }
 
+  // runs action(files,cb) with the BoardFiles of this board, for the Board Files view.
+  // Like a sync it needs the board to itself
+  fileAction(action,cb){
+    if(!this.pyboard.connected){
+      cb(new Error("Please connect your device"))
+    }else if(this.synchronizing){
+      cb(new Error("Please wait for the upload or download to finish"))
+    }else if(this.runner.busy){
+      cb(new Error("Please stop the running code first"))
+    }else{
+      action(this.files,cb)
+    }
+  }
+
   writeHelpText(){
     this.terminal.enter()
     this.terminal.write(this.config.help_text)
@@ -748,8 +906,10 @@ module.exports = class Pymakr extends EventEmitter {
   // Tear down any state and detach
   destroy() {
     this.logger.warning("Destroying plugin")
+    this.port_watcher.stop()
     this.disconnect()
-    this.view.removeElement()
+    this.runner.diagnostics.dispose()
+    this.view.destroy()
   }
 
   getElement() {
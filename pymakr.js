@@ -17,8 +17,12 @@ const batchRegisterCommands = (context, commands) => {
 /**
  * this method activates the extension
  * @param {vscode.ExtensionContext} context 
+ * @returns {Promise<{state: import('./lib/board/connection-state')}>} api for other extensions,
+ * `state` emits the connection state changes of the board
  */
 async function activate(context) {
+    let ready
+    const api = new Promise(resolve => ready = resolve)
 
     /**
      * we have to import SettingsWrapper after prepareSerialPort
@@ -27,86 +31,137 @@ async function activate(context) {
     const SettingsWrapper = require('./lib/main/settings-wrapper');
 
     const settingsWrapper = new SettingsWrapper(function () {
-        const nodejs_installed = execSync('node -v', { encoding: 'utf8' }).substr(0, 1) === "v"
-
-        if (!nodejs_installed) {
-            vscode.window.showErrorMessage("NodeJS not detected on this machine, which is required for Pymakr to work. See the Pymakr readme for dependencies.")
-        } else {
-            const PanelView = require('./lib/main/panel-view');
-            const Pymakr = require('./lib/pymakr');
-            const Pyboard = require('./lib/board/pyboard');
-
-
-            const pyboard = new Pyboard(settingsWrapper)
-            const panelView = new PanelView(pyboard, settingsWrapper)
-            const pymakr = new Pymakr({}, pyboard, panelView, settingsWrapper)
-            const { terminal } = panelView
-
-            destroyHandles.push(() => panelView.destroy())
-
-            batchRegisterCommands(context, {
-                'pymakr.help': () => {
-                    terminal.show()
-                    pymakr.writeHelpText()
-                },
-                'pymakr.listCommands': () => {
-                    panelView.showQuickPick()
-                },
-                'pymakr.connect': () => {
-                    terminal.show()
-                    pymakr.connect()
-                },
-                'pymakr.run': () => {
-                    terminal.show()
-                    pymakr.run()
-                },
-                'pymakr.runselection': () => {
-                    terminal.show()
-                    pymakr.runselection()
-                },
-                'pymakr.upload': () => {
-                    terminal.show()
-                    pymakr.upload()
-                },
-                'pymakr.uploadFile': () => {
-                    terminal.show()
-                    pymakr.uploadFile()
-                },
-                'pymakr.download': () => {
-                    terminal.show()
-                    pymakr.download()
-                },
-                'pymakr.globalSettings': () => {
-                    pymakr.openGlobalSettings()
-                },
-                'pymakr.projectSettings': () => {
-                    pymakr.openProjectSettings()
-                },
-                'pymakr.disconnect': () => {
-                    pymakr.disconnect()
-                },
-                'pymakr.toggleConnect': () => {
-                    if (!pymakr.pyboard.connected)
-                        terminal.show()
-                    pymakr.toggleConnect()
-                },
-                'pymakr.extra.getVersion': () => {
-                    terminal.show()
-                    pymakr.getVersion()
-                },
-                'pymakr.extra.getWifiMac': () => {
-                    terminal.show()
-                    pymakr.getWifiMac()
-                },
-                'pymakr.extra.getSerial': () => {
-                    terminal.show()
-                    pymakr.getSerial()
+        // the promise has to settle whatever goes wrong, VSCode waits for it
+        try {
+            let nodejs_installed = false
+            try {
+                nodejs_installed = execSync('node -v', { encoding: 'utf8' }).substr(0, 1) === "v"
+            } catch (err) {
+                // no node on the path
+            }
+
+            if (!nodejs_installed) {
+                vscode.window.showErrorMessage("NodeJS not detected on this machine, which is required for Pymakr to work. See the Pymakr readme for dependencies.")
+                ready(undefined)
+            } else {
+                const PanelView = require('./lib/main/panel-view');
+                const Pymakr = require('./lib/pymakr');
+                const Pyboard = require('./lib/board/pyboard');
+                const DeviceManager = require('./lib/main/device-manager');
+                const BoardExplorer = require('./lib/main/board-explorer');
+                const BoardFileSystem = require('./lib/main/board-file-system');
+
+
+                const pyboard = new Pyboard(settingsWrapper)
+                const panelView = new PanelView(pyboard, settingsWrapper)
+                const pymakr = new Pymakr({}, pyboard, panelView, settingsWrapper)
+
+                // the boards from the devices setting, next to the default one
+                const devices = new DeviceManager(pymakr, settingsWrapper, (name, settings) => {
+                    const devicePyboard = new Pyboard(settings)
+                    const view = new PanelView(devicePyboard, settings, { name, buttons: panelView })
+                    view.on('select_device', () => selectDevice())
+                    return new Pymakr({}, devicePyboard, view, settings, name)
+                })
+                panelView.on('select_device', () => selectDevice())
+                // the Board Files view, shows the files of the active device
+                const explorer = new BoardExplorer(devices)
+                // pymakr://<device>/<path> opens files on the boards in the editor
+                const fileSystem = new BoardFileSystem(devices)
+
+                let deviceErrors = ''
+                const updateDevices = () => {
+                    const errors = devices.update(settingsWrapper.devices)
+                    if (errors.join() != deviceErrors) {
+                        deviceErrors = errors.join()
+                        errors.forEach(error => vscode.window.showWarningMessage('Pymakr: ' + error))
+                    }
                 }
-            })
+                updateDevices()
+                settingsWrapper.on('refresh', updateDevices)
 
-        }
+                /**
+                 * makes a device the active one and shows its terminal, for the status bar entries
+                 * of the devices. The entry of the active device toggles its connection instead.
+                 * Without name, asks which device
+                 * @param {string} [name]
+                 */
+                const selectDevice = (name) => {
+                    if (name === undefined) {
+                        panelView.showDevicePick(devices.list(), picked => {
+                            devices.select(picked)
+                            devices.active.terminal.show()
+                        })
+                    } else if (devices.active_name == name) {
+                        if (!devices.active.pyboard.connected)
+                            devices.active.terminal.show()
+                        devices.active.toggleConnect()
+                    } else if (devices.select(name)) {
+                        devices.active.terminal.show()
+                    }
+                }
 
+                /**
+                 * runs a command on the active device, showing its terminal first
+                 * @param {(device: import('./lib/pymakr')) => void} command
+                 */
+                const onActive = (command) => () => {
+                    devices.active.terminal.show()
+                    command(devices.active)
+                }
+
+                destroyHandles.push(() => devices.destroy())
+                destroyHandles.push(() => explorer.dispose())
+                destroyHandles.push(() => fileSystem.dispose())
+
+                batchRegisterCommands(context, {
+                    'pymakr.help': onActive(device => device.writeHelpText()),
+                    'pymakr.listCommands': () => {
+                        devices.active.view.showQuickPick()
+                    },
+                    'pymakr.connect': onActive(device => device.connect()),
+                    'pymakr.run': onActive(device => device.run()),
+                    'pymakr.runselection': onActive(device => device.runselection()),
+                    'pymakr.upload': onActive(device => device.upload()),
+                    'pymakr.uploadFile': onActive(device => device.uploadFile()),
+                    'pymakr.download': onActive(device => device.download()),
+                    'pymakr.globalSettings': () => {
+                        pymakr.openGlobalSettings()
+                    },
+                    'pymakr.projectSettings': () => {
+                        pymakr.openProjectSettings()
+                    },
+                    'pymakr.disconnect': () => {
+                        devices.active.disconnect()
+                    },
+                    'pymakr.toggleConnect': () => {
+                        if (!devices.active.pyboard.connected)
+                            devices.active.terminal.show()
+                        devices.active.toggleConnect()
+                    },
+                    'pymakr.selectDevice': selectDevice,
+                    'pymakr.extra.getVersion': onActive(device => device.getVersion()),
+                    'pymakr.extra.getWifiMac': onActive(device => device.getWifiMac()),
+                    'pymakr.extra.getSerial': onActive(device => device.getSerial()),
+                    'pymakr.files.refresh': () => explorer.refresh(),
+                    'pymakr.files.open': node => explorer.open(node),
+                    'pymakr.files.edit': node => explorer.edit(node),
+                    'pymakr.files.download': node => explorer.download(node),
+                    'pymakr.files.delete': node => explorer.remove(node),
+                    'pymakr.files.rename': node => explorer.rename(node),
+                    'pymakr.files.createFolder': node => explorer.createFolder(node),
+                    'pymakr.files.upload': node => explorer.upload(node)
+                })
+
+                ready({ state: pyboard.state })
+            }
+        } catch (err) {
+            vscode.window.showErrorMessage("Pymakr failed to start: " + err.message)
+            ready(undefined)
+        }
     })
+
+    return api
 }
 
 module.exports = {
@@ -0,0 +1,36 @@
+const assert = require("assert");
+const Address = require("../../lib/connections/address");
+
+suite("Address", () => {
+  test("picks the connection and port from the scheme", () => {
+    const tcp = Address.parse("tcp://localhost:2000");
+    assert.strictEqual(tcp.type, "socket");
+    assert.strictEqual(tcp.host, "localhost");
+    assert.strictEqual(tcp.port, 2000);
+
+    const telnet = Address.parse("TELNET://192.168.4.1");
+    assert.strictEqual(telnet.type, "telnet");
+    assert.strictEqual(telnet.port, 23);
+
+    const ws = Address.parse("ws://[fe80::1]/repl");
+    assert.strictEqual(ws.type, "webrepl");
+    assert.strictEqual(ws.host, "fe80::1");
+    assert.strictEqual(ws.toString(), "ws://[fe80::1]:8266/repl");
+  });
+
+  test("leaves addresses without a scheme to the serial port check", () => {
+    for (const address of ["/dev/ttyUSB0", "COM3", "192.168.4.1", "lopy.local"]) {
+      const parsed = Address.parse(address);
+      assert.strictEqual(parsed.scheme, null);
+      assert.strictEqual(parsed.type, null);
+      assert.strictEqual(parsed.host, address);
+    }
+  });
+
+  test("rejects unknown schemes and bad ports", () => {
+    assert.throws(() => Address.parse("http://192.168.4.1"), /Unknown address scheme/);
+    assert.throws(() => Address.parse("tcp://localhost"), /needs a port/);
+    assert.throws(() => Address.parse("tcp://localhost:70000"), /Invalid port/);
+    assert.throws(() => Address.parse("telnet://:23"), /No host/);
+  });
+});
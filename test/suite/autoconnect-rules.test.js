@@ -0,0 +1,53 @@
+const assert = require("assert");
+const AutoconnectRules = require("../../lib/connections/autoconnect-rules");
+const PySerial = require("../../lib/connections/pyserial");
+
+const port = (path, vid, pid, serial_number, manufacturer) => ({
+  path: path,
+  manufacturer: manufacturer || null,
+  vid: vid,
+  pid: pid,
+  serial_number: serial_number,
+});
+
+const ports = [
+  port("/dev/ttyUSB0", "10c4", "ea60", "0001", "Silicon Labs"),
+  port("/dev/ttyACM0", "2e8a", "0005", "E6614103E7"),
+  port("/dev/ttyACM1", "2e8a", "0005", "E6614864D3"),
+];
+
+suite("Autoconnect rules", () => {
+  test("matches globs case insensitively", () => {
+    const glob = AutoconnectRules.glob("E661*D?");
+    assert.ok(glob.test("e6614864d3"));
+    assert.ok(!glob.test("E6614103E7"));
+    assert.ok(AutoconnectRules.glob("Pycom Ltd.").test("pycom ltd."));
+    assert.ok(!AutoconnectRules.glob("Pycom Ltd.").test("Pycom Ltdx"));
+  });
+
+  test("picks ports in the order of the rules", () => {
+    const rules = new AutoconnectRules([{ vid: "10C4" }, { vid: "2e8a", pid: "0005" }]);
+    assert.deepStrictEqual(
+      rules.filter(ports.slice().reverse()).map((p) => p.path),
+      ["/dev/ttyUSB0", "/dev/ttyACM1", "/dev/ttyACM0"]
+    );
+    assert.strictEqual(rules.match(port("/dev/ttyS0", null, null, null)), -1);
+  });
+
+  test("pins a project to one board by serial number", () => {
+    const settings = {
+      autoconnect_rules: [{ serial_number: "E6614864D3" }],
+      autoconnect_comport_manufacturers: ["Silicon Labs"],
+    };
+    assert.deepStrictEqual(PySerial.autoconnectPorts(ports, settings).names, ["/dev/ttyACM1"]);
+  });
+
+  test("falls back to the manufacturers without rules", () => {
+    const settings = { autoconnect_rules: [], autoconnect_comport_manufacturers: ["Silicon Labs"] };
+    assert.deepStrictEqual(PySerial.autoconnectPorts(ports, settings).names, [
+      "/dev/ttyUSB0",
+      "/dev/ttyACM0",
+      "/dev/ttyACM1",
+    ]);
+  });
+});
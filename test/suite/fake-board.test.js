@@ -0,0 +1,190 @@
+const assert = require("assert");
+const zlib = require("zlib");
+const FakeBoard = require("../../lib/connections/fake-board/board");
+const Shell = require("../../lib/board/shell");
+const Address = require("../../lib/connections/address");
+const { Interpreter } = require("../../lib/connections/fake-board/python");
+const { connect, disconnect, call } = require("./helpers");
+
+const run = (code) => {
+  let output = "";
+  const interpreter = new Interpreter({ stdout: (text) => (output += text) });
+  try {
+    interpreter.exec(code);
+  } catch (e) {
+    output += e.format();
+  }
+  return output;
+};
+
+// sends data to the board and collects what it writes back until it's quiet
+const talk = (board, data) =>
+  new Promise((resolve) => {
+    const received = [];
+    const collect = (buffer) => received.push(buffer);
+    board.on("data", collect);
+    board.input(data);
+    setTimeout(() => {
+      board.removeListener("data", collect);
+      resolve(Buffer.concat(received).toString("binary"));
+    }, 20);
+  });
+
+suite("Fake board interpreter", () => {
+  test("runs functions, loops and comprehensions", () => {
+    const code = [
+      "def area(w, h=2):",
+      "    return w * h",
+      "sizes = [area(w) for w in range(4) if w % 2]",
+      "d = {'n': len(sizes)}",
+      "for k, v in d.items():",
+      "    print(k, v, sizes, sizes[::-1])",
+      "print('%d.%d' % (1, 20), '%(x)s' % {'x': b'\\x00a'})",
+    ].join("\n");
+    assert.strictEqual(run(code), "n 2 [2, 6] [6, 2]\r\n1.20 b'\\x00a'\r\n");
+  });
+
+  test("prints tracebacks like MicroPython", () => {
+    assert.strictEqual(
+      run("def f():\n    raise OSError(2)\ntry:\n    f()\nexcept OSError as e:\n    print(e.args[0])\nf()\n"),
+      "2\r\n" +
+        "Traceback (most recent call last):\r\n" +
+        '  File "<stdin>", line 7, in <module>\r\n' +
+        '  File "<stdin>", line 2, in f\r\n' +
+        "OSError: [Errno 2] ENOENT\r\n"
+    );
+    assert.match(run("while True:\n    pass\n"), /KeyboardInterrupt/);
+  });
+});
+
+suite("Fake board", () => {
+  teardown(() => {
+    FakeBoard.remove("test");
+  });
+
+  test("echoes the friendly repl and runs main.py on a soft reboot", async () => {
+    const board = FakeBoard.create("test", { platform: "rp2040" });
+    board.fs.writeFile("/main.py", "print('main')\n");
+    assert.strictEqual(await talk(board, "1+1\r"), "1+1\r\n2\r\n>>> ");
+    assert.strictEqual(await talk(board, "if 1:\r  print('x')\r\r"), "if 1:\r\n...   print('x')\r\n... \r\nx\r\n>>> ");
+    assert.strictEqual(
+      await talk(board, "\x04"),
+      '\r\nMPY: soft reboot\r\nmain\r\n' + board.platform.banner + '\r\nType "help()" for more information.\r\n>>> '
+    );
+  });
+
+  test("speaks raw-paste mode, unless the firmware is too old for it", async () => {
+    const board = FakeBoard.create("test", { platform: "esp32" });
+    assert.strictEqual(await talk(board, "\r\x01"), "\r\n>>> \r\nraw REPL; CTRL-B to exit\r\n>");
+    assert.strictEqual(await talk(board, "\x03\x05A\x01"), "R\x01\x80\x00");
+    const code = "print(len('" + "x".repeat(200) + "'))\n";
+    assert.strictEqual(await talk(board, code + "\x04"), "\x01\x04200\r\n\x04\x04>");
+    assert.strictEqual(
+      await talk(board, "1/0\x04"),
+      "OK\x04Traceback (most recent call last):\r\n" +
+        '  File "<stdin>", line 1, in <module>\r\nZeroDivisionError: divide by zero\r\n\x04>'
+    );
+
+    const old = FakeBoard.create("test", { platform: "pycom" });
+    await talk(old, "\x01");
+    assert.strictEqual(await talk(old, "\x03\x05A\x01"), "\r\nraw REPL; CTRL-B to exit\r\n>");
+  });
+
+  test("decompresses uploads and reports missing files like the board", async () => {
+    const board = FakeBoard.create("test");
+    board.fs.writeFile("/flash/a.py", zlib.gzipSync("print('a')\n"));
+    await talk(board, "\x01");
+    const decompress =
+      "import uzlib\r\ndef decompress(name):\r\n  with open(name,'r+') as d:\r\n    c = uzlib.decompress(d.read())\r\n" +
+      "  with open(name,'w') as d:\r\n      d.write(c)\r\ndecompress('a.py')\r\nos.remove('/lib')\r\n";
+    const output = await talk(board, "import os\r\n" + decompress + "\x04");
+    assert.match(output, /OSError: \[Errno 2\] ENOENT\r\n\x04>$/);
+    assert.strictEqual(board.fs.readFile("/flash/a.py").toString(), "print('a')\n");
+  });
+});
+
+suite("Fake board connection", () => {
+  teardown(() => {
+    FakeBoard.remove("lopy");
+  });
+
+  test("takes fake:// addresses without a port", () => {
+    const address = Address.parse("fake://lopy");
+    assert.strictEqual(address.type, "fake");
+    assert.strictEqual(address.toString(), "fake://lopy");
+    assert.throws(() => Address.parse("fake://lopy:23"), /Unexpected port/);
+  });
+
+  test("probes, executes and runs code through Pyboard", async () => {
+    const board = FakeBoard.create("lopy", { unique_id: "240ac4c0ffee" });
+    board.fs.mkdir("/flash/lib");
+    const pyboard = await connect("fake://lopy");
+    try {
+      const info = await pyboard.probe();
+      assert.strictEqual(pyboard.preset.id, "pycom");
+      assert.strictEqual(info.root_folder, "/flash");
+      assert.strictEqual(info.unique_id, "240ac4c0ffee");
+
+      await pyboard.enqueue((done) => pyboard.enter_raw_repl_no_reset(done), { name: "enter raw repl" });
+      const listing = await pyboard.execute("import os\r\nprint(os.listdir())\r\n");
+      assert.strictEqual(listing.stdout, "['lib']\r\n");
+      await pyboard.enqueue((done) => pyboard.enter_friendly_repl(done), { name: "enter friendly repl" });
+
+      const result = await pyboard.run("import sys\nsys.stdout.write('ran')\nraise ValueError('oops')\n");
+      assert.strictEqual(result.stdout, "ran");
+      assert.strictEqual(result.exception.type, "ValueError");
+    } finally {
+      await disconnect(pyboard);
+    }
+  });
+
+  test("writes, reads and lists files through Shell", async function () {
+    // Shell takes a short pause after every command
+    this.timeout(10000);
+    const board = FakeBoard.create("lopy", { platform: "esp32" });
+    board.fs.mkdir("/lib");
+    const pyboard = await connect("fake://lopy");
+    try {
+      const shell = await new Promise((resolve, reject) => {
+        const created = new Shell(pyboard, (err) => (err ? reject(err) : resolve(created)), "send", pyboard.settings);
+      });
+      const contents = Buffer.concat([Buffer.from("x = '\u00e9'\n"), Buffer.from([0, 0x80, 0xff]), Buffer.alloc(1500, "y")]);
+      await call((cb) => shell.writeFile("lib/data.py", null, contents, true, false, cb));
+      assert.deepStrictEqual(board.fs.readFile("/lib/data.py"), contents);
+
+      const read = await new Promise((resolve, reject) =>
+        shell.readFile("lib/data.py", (err, buffers) => (err ? reject(err) : resolve(Buffer.concat(buffers))))
+      );
+      assert.deepStrictEqual(read, contents);
+      assert.deepStrictEqual(await call((cb) => shell.list_files(cb)), ["lib/data.py"]);
+
+      await call((cb) => shell.exit(cb));
+      assert.strictEqual(pyboard.status, "friendly_repl");
+    } finally {
+      await disconnect(pyboard);
+    }
+  });
+
+  test("keeps typed input out of the raw repl until the board is back in the friendly repl", async () => {
+    const board = FakeBoard.create("lopy");
+    const pyboard = await connect("fake://lopy");
+    const typed = [];
+    const input = board.input.bind(board);
+    board.input = (data) => {
+      typed.push(data.toString("binary"));
+      input(data);
+    };
+    try {
+      await pyboard.enqueue((done) => pyboard.enter_raw_repl_no_reset(done), { name: "enter raw repl" });
+      pyboard.send_user_input("1+1\r", () => {});
+      assert.strictEqual((await pyboard.execute("print(2+2)\r\n")).stdout, "4\r\n");
+      assert.ok(!typed.includes("1+1\r"));
+
+      await pyboard.enqueue((done) => pyboard.enter_friendly_repl(done), { name: "enter friendly repl" });
+      await pyboard.request({ name: "after" });
+      assert.strictEqual(typed[typed.length - 1], "1+1\r");
+    } finally {
+      await disconnect(pyboard);
+    }
+  });
+});
@@ -0,0 +1,28 @@
+const Pyboard = require("../../lib/board/pyboard");
+
+// the settings Pyboard, Shell and BoardFiles read, with overrides for a test
+const settings = (overrides) => ({
+  board_preset: "auto",
+  timeout: 2000,
+  ctrl_c_on_connect: true,
+  auto_connect: false,
+  upload_chunk_size: 512,
+  reboot_after_upload: true,
+  get_allowed_file_types: () => ["py"],
+  refresh: (cb) => cb && cb(),
+  ...overrides,
+});
+
+// resolves with a Pyboard connected to address
+const connect = (address, overrides, onerror) =>
+  new Promise((resolve, reject) => {
+    const pyboard = new Pyboard(settings(overrides));
+    pyboard.connect(address, () => resolve(pyboard), onerror || reject, reject, () => {});
+  });
+
+const disconnect = (pyboard) => new Promise((resolve) => pyboard.disconnect_silent(resolve));
+
+// runs an action that takes a cb(err, result), resolves with the result
+const call = (action) => new Promise((resolve, reject) => action((err, result) => (err ? reject(err) : resolve(result))));
+
+module.exports = { settings, connect, disconnect, call };
@@ -0,0 +1,78 @@
+const assert = require("assert");
+const PortWatcher = require("../../lib/connections/port-watcher");
+
+const port = (path, serial_number) => ({
+  path: path,
+  manufacturer: "Pycom",
+  vid: "04d8",
+  pid: "ef98",
+  serial_number: serial_number || null,
+});
+
+// a watcher on a list of ports the test changes, without timers of its own
+const watch = (ports) => {
+  const watcher = new PortWatcher((cb) => cb(ports.slice()));
+  watcher.__schedule = () => {};
+  return watcher;
+};
+
+suite("Port watcher", () => {
+  test("compares port lists by path and serial number", () => {
+    const change = PortWatcher.diff(
+      [port("/dev/ttyACM0", "A"), port("/dev/ttyACM1", "B")],
+      [port("/dev/ttyACM1", "C"), port("/dev/ttyUSB0")]
+    );
+    assert.deepStrictEqual(
+      change.attached.map((p) => p.path),
+      ["/dev/ttyACM1", "/dev/ttyUSB0"]
+    );
+    assert.deepStrictEqual(
+      change.detached.map((p) => p.path),
+      ["/dev/ttyACM0", "/dev/ttyACM1"]
+    );
+  });
+
+  test("emits attached and detached ports after the first scan", () => {
+    const ports = [port("/dev/ttyACM0", "A")];
+    const watcher = watch(ports);
+    const events = [];
+    watcher.on("attached", (p) => events.push("attached " + p.path));
+    watcher.on("detached", (p) => events.push("detached " + p.path));
+    watcher.on("change", (change) => events.push(change.ports.length + " ports"));
+
+    let first = null;
+    watcher.start((found) => (first = found));
+    assert.deepStrictEqual(first, [port("/dev/ttyACM0", "A")]);
+    assert.deepStrictEqual(events, []);
+
+    ports.push(port("/dev/ttyUSB0"));
+    watcher.scan();
+    ports.shift();
+    watcher.scan();
+    assert.deepStrictEqual(events, [
+      "attached /dev/ttyUSB0",
+      "2 ports",
+      "detached /dev/ttyACM0",
+      "1 ports",
+    ]);
+    watcher.stop();
+  });
+
+  test("checks less often while nothing changes", () => {
+    const ports = [];
+    const watcher = watch(ports);
+    const config = watcher.config;
+    watcher.start();
+    assert.strictEqual(watcher.interval, config.port_watch_interval);
+
+    for (let i = 0; i < 10; i++) {
+      watcher.scan();
+    }
+    assert.strictEqual(watcher.interval, config.port_watch_max_interval);
+
+    ports.push(port("/dev/ttyACM0"));
+    watcher.scan();
+    assert.strictEqual(watcher.interval, config.port_watch_interval);
+    watcher.stop();
+  });
+});
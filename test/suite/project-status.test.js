@@ -0,0 +1,40 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ProjectStatus = require("../../lib/board/project-status");
+
+const settings = {
+  sync_all_file_types: false,
+  py_ignore: [],
+  get_allowed_file_types: () => ["py"],
+};
+
+const entry = (name, type) => (type == "d" ? [name, "d", "hash of " + name] : [name, "f", "hash of " + name, 1]);
+
+suite("ProjectStatus", () => {
+  let folder;
+  let status;
+
+  setup(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "pymakr-status-test-")) + "/";
+    fs.writeFileSync(folder + "main.py", "print('hi')\n");
+    status = new ProjectStatus(null, settings, folder);
+    status.content = [entry("main.py", "f"), entry("lib", "d"), entry("lib/a.py", "f"), entry("lib/sub", "d"), entry("lib/sub/b.py", "f"), entry("old.py", "f")];
+    status.__process_file();
+  });
+
+  teardown(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  test("deletes a folder without what's in it", () => {
+    const deletes = status.get_changes().delete.map((file) => file[0]);
+    assert.deepStrictEqual(deletes.sort(), ["lib", "old.py"]);
+  });
+
+  test("forgets what was in a removed folder", () => {
+    status.update("lib");
+    assert.deepStrictEqual(Object.keys(status.board_file_hashes).sort(), ["main.py", "old.py"]);
+  });
+});
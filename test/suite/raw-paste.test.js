@@ -0,0 +1,103 @@
+const assert = require("assert");
+const Pyboard = require("../../lib/board/pyboard");
+const ConnectionState = require("../../lib/board/connection-state");
+const { settings } = require("./helpers");
+
+const ENTER = "\x03\x05A\x01";
+const STATES = ConnectionState.STATES;
+
+// a Pyboard in the raw repl on a connection that hands everything sent to answer(data),
+// which plays the board. What it returns is sent back, like the board would
+const scripted = (answer) => {
+  const pyboard = new Pyboard(settings());
+  const board = {
+    pyboard: pyboard,
+    sent: "",
+    reply: (text) => {
+      const raw = Buffer.from(text, "binary");
+      pyboard.receive(raw.toString(), raw);
+    },
+  };
+  const send = (data, cb) => {
+    const text = Buffer.from(data, "binary").toString("binary");
+    board.sent += text;
+    const response = answer(text);
+    setImmediate(() => {
+      if (cb) cb();
+      if (response) board.reply(response);
+    });
+  };
+  pyboard.connection = { send: send, send_raw: send, flush: (cb) => cb() };
+  pyboard.onmessage = () => {};
+  pyboard.setStatus(STATES.CONNECTING);
+  pyboard.setStatus(STATES.FRIENDLY_REPL);
+  pyboard.setStatus(STATES.RAW_REPL);
+  return board;
+};
+
+const exec = (pyboard, code) =>
+  new Promise((resolve, reject) => pyboard.exec_raw(code, (err, content) => (err ? reject(err) : resolve(content))));
+
+const wait = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+suite("Raw-paste mode", () => {
+  const code = "print('" + "x".repeat(11) + "')\n"; // 21 bytes, three windows of 8
+
+  test("sends one window at a time, when the board has room for it", async () => {
+    const board = scripted((data) => {
+      if (data == ENTER) return "R\x01\x08\x00";
+      if (data == "\x04") return "\x04xxxxxxxxxxx\r\n\x04\x04>";
+    });
+    board.pyboard.raw_paste_supported = true;
+    const result = exec(board.pyboard, code);
+    await wait();
+    assert.strictEqual(board.sent, ENTER + code.slice(0, 8));
+    board.reply("\x01");
+    await wait();
+    assert.strictEqual(board.sent, ENTER + code.slice(0, 16));
+    board.reply("\x01");
+    assert.strictEqual(await result, "OKxxxxxxxxxxx\r\n\x04\x04>");
+    assert.strictEqual(board.sent, ENTER + code + "\x04");
+  });
+
+  test("stops sending when the board aborts", async () => {
+    const board = scripted((data) => (data == ENTER ? "R\x01\x08\x00" : null));
+    board.pyboard.raw_paste_supported = true;
+    const result = exec(board.pyboard, code);
+    await wait();
+    board.reply("\x04");
+    await assert.rejects(result, /aborted by the board/);
+    assert.strictEqual(board.sent, ENTER + code.slice(0, 8) + "\x04");
+
+    const refused = scripted((data) => (data == ENTER ? "R\x01\x08\x00\x04" : null));
+    refused.pyboard.raw_paste_supported = true;
+    await assert.rejects(exec(refused.pyboard, code), /aborted by the board/);
+    assert.strictEqual(refused.sent, ENTER);
+  });
+
+  test("falls back to the raw repl when the board answers R\\x00", async () => {
+    const board = scripted((data) => {
+      if (data == ENTER) return "R\x00";
+      if (data == "\x04\r\n") return "OKxxxxxxxxxxx\r\n\x04\x04>";
+    });
+    board.pyboard.raw_paste_supported = true;
+    assert.strictEqual(await exec(board.pyboard, code), "OKxxxxxxxxxxx\r\n\x04\x04>");
+    assert.strictEqual(board.pyboard.raw_paste_supported, false);
+    assert.strictEqual(board.sent, ENTER + code + "\x04\r\n");
+  });
+
+  test("detects whether the firmware supports it", async () => {
+    const answers = {
+      supported: (data) => (data == ENTER ? "R\x01\x80\x00" : "\x04\x04\x04>"),
+      disabled: () => "R\x00",
+      old: () => "\r\nraw REPL; CTRL-B to exit\r\n>",
+    };
+    const detected = {};
+    for (const name in answers) {
+      const board = scripted(answers[name]);
+      await new Promise((resolve) => board.pyboard.detect_raw_paste(resolve));
+      detected[name] = board.pyboard.raw_paste_supported;
+    }
+    assert.deepStrictEqual(detected, { supported: true, disabled: false, old: false });
+  });
+});
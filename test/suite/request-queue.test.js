@@ -0,0 +1,72 @@
+const assert = require("assert");
+const RequestQueue = require("../../lib/board/request-queue");
+
+const delay = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+suite("Request queue", () => {
+  test("runs requests one after the other, in order", async () => {
+    const queue = new RequestQueue();
+    const order = [];
+    const task = (name, ms) => () => {
+      order.push("start " + name);
+      return delay(ms).then(() => {
+        order.push("end " + name);
+        return name;
+      });
+    };
+
+    const results = await Promise.all([
+      queue.push(task("a", 20)),
+      queue.push(task("b", 1)),
+      queue.push(task("c", 5)),
+    ]);
+
+    assert.deepStrictEqual(results, ["a", "b", "c"]);
+    assert.deepStrictEqual(order, ["start a", "end a", "start b", "end b", "start c", "end c"]);
+    assert.strictEqual(queue.isBusy(), false);
+  });
+
+  test("a failing request does not block the next one", async () => {
+    const queue = new RequestQueue();
+    const failed = queue.push(() => Promise.reject(new Error("timeout")));
+    const next = queue.push(() => "next");
+
+    await assert.rejects(failed, /timeout/);
+    assert.strictEqual(await next, "next");
+  });
+
+  test("cancel rejects the running request and continues", async () => {
+    const queue = new RequestQueue();
+    const hanging = queue.push(() => new Promise(() => {}), { interactive: true });
+    const next = queue.push(() => "next");
+
+    assert.strictEqual(queue.isInteractive(), true);
+    queue.cancel(new Error("canceled"));
+
+    await assert.rejects(hanging, /canceled/);
+    assert.strictEqual(await next, "next");
+  });
+
+  test("clear rejects everything that is waiting", async () => {
+    const queue = new RequestQueue();
+    const hanging = queue.push(() => new Promise(() => {}));
+    const waiting = queue.push(() => "never");
+
+    queue.clear(new Error("Disconnected"));
+
+    await assert.rejects(hanging, /Disconnected/);
+    await assert.rejects(waiting, /Disconnected/);
+    assert.strictEqual(queue.isBusy(), false);
+  });
+
+  test("a request that never finishes times out and the queue moves on", async () => {
+    const queue = new RequestQueue();
+    let stopped = false;
+    const hanging = queue.push(() => new Promise(() => {}), { name: "echo", timeout: 20, ontimeout: () => (stopped = true) });
+    const next = queue.push(() => "next");
+
+    await assert.rejects(hanging, /echo timed out/);
+    assert.strictEqual(stopped, true);
+    assert.strictEqual(await next, "next");
+  });
+});
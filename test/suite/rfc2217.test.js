@@ -0,0 +1,138 @@
+const assert = require("assert");
+const net = require("net");
+const PyRfc2217 = require("../../lib/connections/pyrfc2217");
+
+const IAC = 255;
+const SB = 250;
+const SE = 240;
+const DO = 253;
+const WILL = 251;
+const COM_PORT_OPTION = 44;
+
+// Stand-in for an RFC 2217 server: agrees on the com port option, keeps what the
+// client set up and answers every command, echoing the serial data back
+const startServer = (port) =>
+  new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+      let state = "data";
+      let sub = [];
+      socket.on("error", () => {});
+      socket.on("data", (data) => {
+        const echo = [];
+        for (const byte of data) {
+          if (state == "data") {
+            if (byte == IAC) state = "iac";
+            else echo.push(byte);
+          } else if (state == "iac") {
+            if (byte == IAC) {
+              echo.push(IAC, IAC);
+              state = "data";
+            } else if (byte == SB) {
+              sub = [];
+              state = "sb";
+            } else {
+              state = byte == WILL ? "will" : "option";
+            }
+          } else if (state == "will") {
+            socket.write(Buffer.from([IAC, DO, byte]));
+            state = "data";
+          } else if (state == "option") {
+            state = "data";
+          } else if (state == "sb") {
+            if (byte == IAC) state = "sb_iac";
+            else sub.push(byte);
+          } else if (state == "sb_iac") {
+            if (byte == SE) {
+              port.commands.push(sub.slice(1));
+              if (!port.silent) {
+                socket.write(Buffer.from([IAC, SB, COM_PORT_OPTION, sub[1] + 100, ...sub.slice(2), IAC, SE]));
+              }
+              state = "data";
+            } else {
+              sub.push(byte);
+              state = "sb";
+            }
+          }
+        }
+        if (echo.length) socket.write(Buffer.from(echo));
+      });
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const connect = (server, serial) => {
+  const connection = new PyRfc2217("127.0.0.1", { port: server.address().port, timeout: 1000, serial: serial });
+  return new Promise((resolve, reject) => connection.connect(() => resolve(connection), reject, reject));
+};
+
+suite("RFC 2217 connection", () => {
+  let server;
+  let port;
+
+  setup(async () => {
+    port = { commands: [], silent: false };
+    server = await startServer(port);
+  });
+
+  teardown(() => {
+    server.close();
+  });
+
+  test("sets up the remote port from the serial settings", async () => {
+    const connection = await connect(server, {
+      baud_rate: 921600,
+      data_bits: 7,
+      parity: "even",
+      stop_bits: 2,
+      flow_control: "rtscts",
+      dtr: "low",
+    });
+    assert.deepStrictEqual(port.commands, [
+      [1, 0x00, 0x0e, 0x10, 0x00], // baud rate
+      [2, 7], // data bits
+      [3, 3], // even parity
+      [4, 2], // stop bits
+      [5, 3], // hardware flow control
+      [5, 9], // dtr off
+      [5, 11], // rts on
+    ]);
+    connection.disconnect(() => {});
+  });
+
+  test("changes the baud rate and control lines remotely", async () => {
+    const connection = await connect(server, {});
+    port.commands = [];
+    await new Promise((resolve, reject) => connection.setBaudRate(115200, (err) => (err ? reject(err) : resolve())));
+    await new Promise((resolve, reject) =>
+      connection.setControlLines({ dtr: false, rts: false }, (err) => (err ? reject(err) : resolve()))
+    );
+    assert.deepStrictEqual(port.commands, [
+      [1, 0x00, 0x01, 0xc2, 0x00],
+      [5, 9],
+      [5, 12],
+    ]);
+    connection.disconnect(() => {});
+  });
+
+  test("escapes 0xff in the serial data", async () => {
+    const connection = await connect(server, {});
+    const received = [];
+    connection.registerListener((mssg, raw) => received.push(raw));
+    await new Promise((resolve) => connection.send_raw(Buffer.from([0x41, 0xff, 0x42]), resolve));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    connection.disconnect(() => {});
+    // after the echo of the newline that was sent when connecting
+    assert.deepStrictEqual(Array.from(Buffer.concat(received).slice(-3)), [0x41, 0xff, 0x42]);
+  });
+
+  test("fails the ping when the server stops answering", async () => {
+    const connection = await connect(server, {});
+    const ping = () => new Promise((resolve) => connection.sendPing(resolve));
+    assert.strictEqual(await ping(), null);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    port.silent = true;
+    assert.strictEqual(await ping(), null);
+    assert.ok((await ping()) instanceof Error);
+    connection.disconnect(() => {});
+  });
+});
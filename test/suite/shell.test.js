@@ -0,0 +1,61 @@
+const assert = require("assert");
+const FakeBoard = require("../../lib/connections/fake-board/board");
+const Shell = require("../../lib/board/shell");
+const { connect, disconnect, call } = require("./helpers");
+
+suite("Shell", function () {
+  this.timeout(20000);
+
+  let board;
+  let pyboard;
+  let shell;
+
+  setup(async () => {
+    board = FakeBoard.create("shell", { platform: "esp32" });
+    board.fs.writeFile("/main.py", "print('root')\n");
+    pyboard = await connect("fake://shell");
+    await new Promise((resolve, reject) => {
+      shell = new Shell(pyboard, (err) => (err ? reject(err) : resolve()), "send", pyboard.settings);
+    });
+  });
+
+  teardown(async () => {
+    await call((cb) => shell.exit_no_reset(cb));
+    await disconnect(pyboard);
+    FakeBoard.remove("shell");
+  });
+
+  test("resolves the sync folder against the root folder", () => {
+    assert.strictEqual(Shell.boardFolder("", "/flash"), "/flash");
+    assert.strictEqual(Shell.boardFolder("lib/", "/flash"), "/flash/lib");
+    assert.strictEqual(Shell.boardFolder("lib", "/"), "/lib");
+    assert.strictEqual(Shell.boardFolder("/sd", "/flash"), "/sd");
+    assert.strictEqual(Shell.boardFolder("/", "/flash"), "/");
+  });
+
+  test("reads and writes in the sync folder and goes back to the root folder on exit", async () => {
+    shell.setSyncFolder("app/lib");
+    await call((cb) => shell.setSyncRoot(cb));
+    assert.strictEqual(board.cwd, "/app/lib");
+    await call((cb) => shell.writeFile("main.py", null, Buffer.from("print('app')\n"), true, false, cb));
+    assert.strictEqual(board.fs.readFile("/app/lib/main.py").toString(), "print('app')\n");
+    assert.strictEqual(board.fs.readFile("/main.py").toString(), "print('root')\n");
+
+    assert.deepStrictEqual(await call((cb) => shell.list_files(cb)), ["main.py"]);
+    const contents = await new Promise((resolve, reject) => shell.readFile("main.py", (err, buffers, text) => (err ? reject(err) : resolve(text))));
+    assert.strictEqual(contents, "print('app')\n");
+    assert.strictEqual(board.cwd, "/app/lib");
+
+    await call((cb) => shell.exit_no_reset(cb));
+    assert.strictEqual(board.cwd, "/");
+  });
+
+  test("lists the files below the root folder without a sync folder", async () => {
+    board.fs.mkdir("/app");
+    board.fs.writeFile("/app/main.py", "print('app')\n");
+    shell.setSyncFolder("");
+    assert.strictEqual(shell.sync_folder, null);
+    await call((cb) => shell.setSyncRoot(cb));
+    assert.deepStrictEqual((await call((cb) => shell.list_files(cb))).sort(), ["app/main.py", "main.py"]);
+  });
+});
@@ -0,0 +1,139 @@
+const assert = require("assert");
+const net = require("net");
+const TelnetClient = require("../../lib/connections/telnet");
+const PyTelnet = require("../../lib/connections/pytelnet");
+
+const { IAC, WILL, WONT, DO, DONT, SB, SE, AYT } = TelnetClient.COMMANDS;
+const { ECHO, SGA, NAWS } = TelnetClient.OPTIONS;
+const TERMINAL_TYPE = 24;
+
+// Stand-in for the telnet server of a board: keeps every byte the client sent,
+// the test writes to the client through board.socket
+const startServer = (host) =>
+  new Promise((resolve) => {
+    const board = { received: [], socket: null };
+    board.server = net.createServer((socket) => {
+      board.socket = socket;
+      socket.on("error", () => {});
+      socket.on("data", (data) => board.received.push(...data));
+      if (board.greeting) socket.write(board.greeting);
+    });
+    board.server.listen(0, host || "127.0.0.1", () => resolve(board));
+  });
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms || 50));
+
+const connect = (board, host) =>
+  new Promise((resolve, reject) => {
+    const client = new TelnetClient();
+    const data = [];
+    client.on("data", (buffer) => data.push(...buffer));
+    client.on("error", reject);
+    client.on("connect", () => resolve({ client, data }));
+    client.connect(host || "127.0.0.1", board.server.address().port, 1000);
+  });
+
+suite("Telnet client", () => {
+  let board;
+
+  setup(async () => {
+    board = await startServer();
+  });
+
+  teardown(() => {
+    board.server.close();
+  });
+
+  test("answers option requests once and refuses unknown options", async () => {
+    const { client } = await connect(board);
+    await wait();
+    board.socket.write(Buffer.from([IAC, WILL, ECHO, IAC, WILL, SGA, IAC, DO, TERMINAL_TYPE, IAC, WILL, ECHO]));
+    await wait();
+    assert.deepStrictEqual(board.received, [IAC, DO, ECHO, IAC, DO, SGA, IAC, WONT, TERMINAL_TYPE]);
+    assert.strictEqual(client.optionState(ECHO), "yes");
+
+    board.received = [];
+    board.socket.write(Buffer.from([IAC, WONT, ECHO]));
+    await wait();
+    assert.deepStrictEqual(board.received, [IAC, DONT, ECHO]);
+    assert.strictEqual(client.optionState(ECHO), "no");
+    client.close();
+  });
+
+  test("sends the window size when the server asks for it", async () => {
+    const { client } = await connect(board);
+    client.setWindowSize(255, 40);
+    board.socket.write(Buffer.from([IAC, DO, NAWS]));
+    await wait();
+    assert.deepStrictEqual(board.received, [IAC, WILL, NAWS, IAC, SB, NAWS, 0, IAC, IAC, 0, 40, IAC, SE]);
+    client.close();
+  });
+
+  test("escapes IAC and splits commands from data across chunks", async () => {
+    const { client, data } = await connect(board);
+    let ayt = 0;
+    client.on("ayt", () => ayt++);
+    await new Promise((resolve) => client.write(Buffer.from([0x41, IAC, 0x42]), resolve));
+    board.socket.write(Buffer.from([0x43, IAC]));
+    await wait();
+    board.socket.write(Buffer.from([IAC, 0x44, 13, 0, IAC]));
+    await wait();
+    board.socket.write(Buffer.from([AYT, 0x45]));
+    await wait();
+    assert.deepStrictEqual(board.received, [0x41, IAC, IAC, 0x42]);
+    assert.deepStrictEqual(data, [0x43, IAC, 0x44, 13, 0x45]);
+    assert.strictEqual(ayt, 1);
+    client.close();
+  });
+
+  test("connects over IPv6", async () => {
+    const v6 = await startServer("::1");
+    const { client } = await connect(v6, "::1");
+    await new Promise((resolve) => client.write("print(1)\r\n", resolve));
+    await wait();
+    assert.strictEqual(Buffer.from(v6.received).toString(), "print(1)\r\n");
+    client.close();
+    v6.server.close();
+  });
+
+  test("tells a lost connection from a closed one", async () => {
+    const first = await connect(board);
+    const lost = new Promise((resolve) => first.client.on("close", resolve));
+    await wait();
+    board.socket.destroy();
+    assert.strictEqual(await lost, true);
+
+    const second = await connect(board);
+    const closed = new Promise((resolve) => second.client.on("close", resolve));
+    second.client.close();
+    assert.strictEqual(await closed, false);
+  });
+});
+
+suite("PyTelnet connection", () => {
+  test("passes on the login prompt and reports a lost connection once", async () => {
+    const board = await startServer();
+    board.greeting = "MicroPython v1.20.0\r\nLogin as: ";
+    const pytelnet = new PyTelnet("localhost", { port: board.server.address().port, timeout: 1000 });
+    const errors = [];
+    await new Promise((resolve, reject) => pytelnet.connect(resolve, (err) => errors.push(err.message), reject));
+    await wait();
+    const received = [];
+    pytelnet.registerListener((mssg) => received.push(mssg));
+    assert.deepStrictEqual(received, ["MicroPython v1.20.0\r\nLogin as: "]);
+
+    board.socket.destroy();
+    await wait();
+    assert.deepStrictEqual(errors, ["Connection lost"]);
+    board.server.close();
+  });
+
+  test("fails when nothing listens", async () => {
+    const board = await startServer();
+    const port = board.server.address().port;
+    await new Promise((resolve) => board.server.close(resolve));
+    const pytelnet = new PyTelnet("127.0.0.1", { port: port, timeout: 1000 });
+    const err = await new Promise((resolve) => pytelnet.connect(() => resolve(null), resolve, resolve));
+    assert.strictEqual(err.code, "ECONNREFUSED");
+  });
+});
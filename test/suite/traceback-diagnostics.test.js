@@ -0,0 +1,133 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vscode = require("vscode");
+const ConnectionState = require("../../lib/board/connection-state");
+const ExecResult = require("../../lib/board/exec-result");
+const Runner = require("../../lib/board/runner");
+const TracebackDiagnostics = require("../../lib/main/traceback-diagnostics");
+
+const stderr = (...lines) => ["Traceback (most recent call last):", ...lines, ""].join("\r\n");
+
+suite("TracebackDiagnostics", () => {
+  let project;
+  let settings;
+  let diagnostics;
+
+  setup(() => {
+    project = fs.mkdtempSync(path.join(os.tmpdir(), "pymakr-traceback-test-"));
+    fs.mkdirSync(path.join(project, "src", "lib"), { recursive: true });
+    fs.writeFileSync(path.join(project, "src", "main.py"), "");
+    fs.writeFileSync(path.join(project, "src", "lib", "sensor.py"), "");
+    settings = { sync_folder: "src", board_sync_folder: "" };
+    diagnostics = new TracebackDiagnostics(settings);
+    diagnostics.api = { getProjectPath: () => project };
+  });
+
+  teardown(() => {
+    diagnostics.dispose();
+    fs.rmSync(project, { recursive: true, force: true });
+  });
+
+  test("moves <stdin> lines to where the selection starts", () => {
+    const source = { file: path.join(project, "src", "main.py"), line_offset: 9 };
+    const traceback = [
+      { file: "<stdin>", line: 2, name: "<module>" },
+      { file: "/flash/lib/sensor.py", line: 5, name: "read" },
+    ];
+    assert.deepStrictEqual(diagnostics.locate(traceback, source), [
+      { file: source.file, line: 11, name: "<module>" },
+      { file: path.join(project, "src", "lib", "sensor.py"), line: 5, name: "read" },
+    ]);
+    assert.strictEqual(diagnostics.localPath("<stdin>", undefined), null);
+  });
+
+  test("finds board files below the root folder, /flash or /", () => {
+    const sensor = path.join(project, "src", "lib", "sensor.py");
+    assert.strictEqual(diagnostics.localPath("/flash/lib/sensor.py"), sensor);
+    assert.strictEqual(diagnostics.localPath("lib/sensor.py"), sensor);
+
+    diagnostics.board_root = "/";
+    assert.strictEqual(diagnostics.localPath("/lib/sensor.py"), sensor);
+    assert.strictEqual(diagnostics.localPath("/flash/lib/sensor.py"), null);
+  });
+
+  test("follows the folder the files were synced to", () => {
+    settings.board_sync_folder = "app";
+    assert.strictEqual(diagnostics.localPath("/flash/app/main.py"), path.join(project, "src", "main.py"));
+
+    diagnostics.board_folder = "/sd";
+    assert.strictEqual(diagnostics.localPath("/sd/lib/sensor.py"), path.join(project, "src", "lib", "sensor.py"));
+  });
+
+  test("leaves out frames without a local file", () => {
+    const traceback = [
+      { file: "/flash/boot.py", line: 3, name: "<module>" },
+      { file: "/flash/main.py", line: 7, name: "<module>" },
+      { file: "<stdin>", line: 1, name: "<module>" },
+    ];
+    assert.deepStrictEqual(diagnostics.locate(traceback, null), [
+      { file: path.join(project, "src", "main.py"), line: 7, name: "<module>" },
+    ]);
+
+    diagnostics.api = { getProjectPath: () => null };
+    assert.strictEqual(diagnostics.localPath("/flash/main.py"), null);
+  });
+
+  test("puts the exception on the innermost frame, with the calls leading to it", () => {
+    const main = path.join(project, "src", "main.py");
+    const sensor = path.join(project, "src", "lib", "sensor.py");
+    const result = new ExecResult(
+      "",
+      stderr('  File "main.py", line 7, in <module>', '  File "/flash/lib/sensor.py", line 5, in read', "OSError: [Errno 5] EIO")
+    );
+    diagnostics.publish(result.exception, null);
+
+    assert.strictEqual(diagnostics.collection.get(vscode.Uri.file(main)), undefined);
+    const [diagnostic] = diagnostics.collection.get(vscode.Uri.file(sensor));
+    assert.strictEqual(diagnostic.message, "OSError: [Errno 5] EIO");
+    assert.strictEqual(diagnostic.severity, vscode.DiagnosticSeverity.Error);
+    assert.strictEqual(diagnostic.range.start.line, 4);
+    assert.deepStrictEqual(
+      diagnostic.relatedInformation.map((info) => [info.location.uri.fsPath, info.location.range.start.line, info.message]),
+      [[main, 6, "Called from here in <module>"]]
+    );
+  });
+
+  test("clears the problem once the code runs without an exception", () => {
+    const written = [];
+    const terminal = { writeln_and_prompt: (text) => written.push(text) };
+    const runner = new Runner({ state: new ConnectionState() }, terminal, { settings: settings });
+    runner.diagnostics.api = diagnostics.api;
+    const main = path.join(project, "src", "main.py");
+
+    runner.__report(new ExecResult("", stderr('  File "main.py", line 3, in <module>', "ZeroDivisionError: divide by zero")), null);
+    assert.strictEqual(runner.diagnostics.collection.get(vscode.Uri.file(main)).length, 1);
+    assert.deepStrictEqual(written, ["\r\nTraceback locations:\r\n  " + main + ":3"]);
+
+    runner.__report(new ExecResult("", stderr('  File "main.py", line 9, in <module>', "KeyboardInterrupt: ")), null);
+    assert.strictEqual(runner.diagnostics.collection.get(vscode.Uri.file(main)).length, 1);
+
+    runner.__report(new ExecResult("done\r\n", ""), null);
+    assert.strictEqual(runner.diagnostics.collection.get(vscode.Uri.file(main)), undefined);
+    runner.diagnostics.dispose();
+  });
+
+  test("writes why a run failed, unless it was stopped", () => {
+    const written = [];
+    const terminal = { writeln: () => {}, writeln_and_prompt: (text) => written.push(text) };
+    const pyboard = { state: new ConnectionState(), run: (code, cb) => cb(new Error("timeout"), null) };
+    const runner = new Runner(pyboard, terminal, { settings: settings });
+    runner.api = { getSelectionSource: () => null };
+
+    runner.selection("print(1)\n");
+    assert.deepStrictEqual(written, ["timeout"]);
+    assert.strictEqual(runner.busy, false);
+
+    runner.stopped = true;
+    runner.__finish(new Error("canceled"), null, null);
+    assert.deepStrictEqual(written, ["timeout"]);
+    runner.diagnostics.dispose();
+  });
+});
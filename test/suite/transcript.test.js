@@ -0,0 +1,113 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FakeBoard = require("../../lib/connections/fake-board/board");
+const Transcript = require("../../lib/connections/transcript");
+const Recorder = require("../../lib/connections/recorder");
+const PyReplay = require("../../lib/connections/pyreplay");
+const { connect, disconnect } = require("./helpers");
+
+// probes the board and runs code in the raw repl
+const session = async (pyboard, code) => {
+  const info = await pyboard.probe();
+  await pyboard.enqueue((done) => pyboard.enter_raw_repl_no_reset(done), { name: "enter raw repl" });
+  const result = await pyboard.execute(code);
+  return { info: info, stdout: result.stdout };
+};
+
+suite("Transcripts", () => {
+  let folder;
+
+  setup(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "pymakr-transcript-test-"));
+  });
+
+  teardown(() => {
+    FakeBoard.remove("recorded");
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  test("records what goes over the connection", async () => {
+    const file = path.join(folder, "transcript.jsonl");
+    FakeBoard.create("recorded", { platform: "esp32" });
+    const pyboard = await connect("fake://recorded", { transcript_file: file });
+    await pyboard.send("1+1\r");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await disconnect(pyboard);
+
+    const [entries] = Transcript.read(file);
+    assert.deepStrictEqual(
+      { event: entries[0].event, address: entries[0].address, type: entries[0].type },
+      { event: "start", address: "fake://recorded", type: "fake" }
+    );
+    assert.deepStrictEqual(
+      entries.filter((entry) => entry.event).map((entry) => entry.event),
+      ["start", "connect", "disconnect"]
+    );
+    const tx = Buffer.concat(entries.filter((entry) => entry.tx).map((entry) => entry.tx)).toString();
+    const rx = Buffer.concat(entries.filter((entry) => entry.rx).map((entry) => entry.rx)).toString();
+    assert.strictEqual(tx, "\x03\r\n1+1\r");
+    assert.match(rx, /1\+1\r\n2\r\n>>> $/);
+    assert.ok(entries.every((entry, i) => i == 0 || entry.t >= entries[i - 1].t));
+  });
+
+  test("replays a recording without the board, until Pymakr does something else", async () => {
+    const file = path.join(folder, "transcript.jsonl");
+    const board = FakeBoard.create("recorded", { platform: "rp2040", unique_id: "e66038b7133f" });
+    board.fs.writeFile("/main.py", "print('hi')\n");
+    const code = "import os\r\nprint(os.listdir())\r\n";
+    const recorder = await connect("fake://recorded", { transcript_file: file });
+    const recorded = await session(recorder, code);
+    await disconnect(recorder);
+    FakeBoard.remove("recorded");
+
+    const errors = [];
+    const replay = await connect("replay:" + file, {}, (err) => errors.push(err.message));
+    try {
+      assert.strictEqual(replay.type, "fake");
+      const replayed = await session(replay, code);
+      assert.deepStrictEqual(replayed, recorded);
+      assert.strictEqual(replayed.stdout, "['main.py']\r\n");
+      assert.strictEqual(replayed.info.unique_id, "e66038b7133f");
+      await assert.rejects(replay.execute("print(1)\r\n"));
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0], /^Replay of .* diverged after the end: sent "\\u0003\\u0005A\\u0001/);
+    } finally {
+      await disconnect(replay);
+    }
+  });
+
+  test("leaves the login out and replays it with any username and password", async () => {
+    const file = path.join(folder, "transcript.jsonl");
+    const connection = {
+      type: "telnet",
+      connect: (onconnect) => onconnect(),
+      disconnect: (cb) => cb(),
+      send: (mssg, cb) => cb && cb(),
+    };
+    let loggingIn = true;
+    const recorder = new Recorder(connection, file, "telnet://192.168.4.1", () => loggingIn);
+    await new Promise((resolve, reject) => recorder.connect(resolve, reject, reject));
+    recorder.send("micro\r\n");
+    recorder.send("python\r\n");
+    loggingIn = false;
+    recorder.send("1+1\r");
+    await new Promise((resolve) => recorder.disconnect(resolve));
+
+    assert.ok(!fs.readFileSync(file, "utf8").includes("python"));
+    const [entries] = Transcript.read(file);
+    assert.deepStrictEqual(
+      entries.filter((entry) => entry.tx || entry.tx_redacted).map((entry) => entry.tx_redacted || entry.tx.toString()),
+      [7, 8, "1+1\r"]
+    );
+
+    const replay = new PyReplay(file, {});
+    await new Promise((resolve, reject) => replay.connect(resolve, reject, reject));
+    const send = (data) => new Promise((resolve) => replay.send(data, resolve));
+    assert.strictEqual(await send("admin\r\n"), undefined);
+    assert.strictEqual(await send("a longer password\r\n"), undefined);
+    assert.strictEqual(await send("1+1\r"), undefined);
+    assert.match((await send("2+2\r")).message, /diverged after the end/);
+  });
+});
@@ -0,0 +1,185 @@
+const assert = require("assert");
+const net = require("net");
+const WebSocket = require("../../lib/connections/websocket");
+const PyWebRepl = require("../../lib/connections/pywebrepl");
+
+const { TEXT, BINARY, PING, PONG } = WebSocket.OPCODES;
+
+// Stand-in for the webrepl of a board: password login, an echoing REPL and the file protocol.
+// It answers websocket pings while server.answersPings is true
+const startBoard = (password, files) =>
+  new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+      const parser = new WebSocket.FrameParser();
+      const send = (opcode, payload) => socket.write(WebSocket.encodeFrame(opcode, Buffer.from(payload), false));
+      const respond = (code) => {
+        const response = Buffer.from("WB\0\0", "binary");
+        response.writeUInt16LE(code, 2);
+        send(BINARY, response);
+      };
+      let handshake = "";
+      let loggedIn = false;
+      let header = Buffer.alloc(0);
+      let upload = null;
+      let download = null;
+
+      const onBinary = (data) => {
+        if (upload) {
+          upload.chunks.push(data);
+          upload.received += data.length;
+          if (upload.received >= upload.size) {
+            files[upload.name] = Buffer.concat(upload.chunks);
+            upload = null;
+            respond(0);
+          }
+        } else if (download) {
+          const chunk = download.contents.slice(download.offset, download.offset + 100);
+          download.offset += chunk.length;
+          const size = Buffer.alloc(2);
+          size.writeUInt16LE(chunk.length, 0);
+          send(BINARY, Buffer.concat([size, chunk]));
+          if (chunk.length == 0) {
+            download = null;
+            respond(0);
+          }
+        } else {
+          header = Buffer.concat([header, data]);
+          if (header.length < 82) {
+            return;
+          }
+          const type = header[2];
+          const size = header.readUInt32LE(12);
+          const name = header.slice(18, 18 + header.readUInt16LE(16)).toString();
+          header = Buffer.alloc(0);
+          if (type == 1) {
+            upload = { name: name, size: size, received: 0, chunks: [] };
+            respond(0);
+          } else if (!(name in files)) {
+            respond(2);
+          } else {
+            download = { contents: files[name], offset: 0 };
+            respond(0);
+          }
+        }
+      };
+
+      socket.on("data", (data) => {
+        if (handshake !== null) {
+          handshake += data.toString();
+          const key = /Sec-WebSocket-Key: (.*)\r\n/.exec(handshake);
+          if (handshake.indexOf("\r\n\r\n") > -1) {
+            handshake = null;
+            socket.write(
+              "HTTP/1.1 101 Switching Protocols\r\n" +
+                "Upgrade: websocket\r\nConnection: Upgrade\r\n" +
+                "Sec-WebSocket-Accept: " + WebSocket.acceptKey(key[1]) + "\r\n\r\n"
+            );
+            send(TEXT, "Password: ");
+          }
+          return;
+        }
+        parser.push(data).forEach((frame) => {
+          if (frame.opcode == BINARY) {
+            onBinary(frame.payload);
+          } else if (frame.opcode == PING && server.answersPings) {
+            send(PONG, frame.payload);
+          } else if (frame.opcode != TEXT) {
+            return;
+          } else if (!loggedIn && frame.payload.toString() == password + "\r") {
+            loggedIn = true;
+            send(TEXT, "\r\nWebREPL connected\r\n>>> ");
+          } else if (!loggedIn) {
+            send(TEXT, "\r\nAccess denied\r\n");
+            socket.end();
+          } else {
+            send(TEXT, frame.payload.toString().toUpperCase());
+          }
+        });
+      });
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const connect = (server, password) => {
+  const repl = new PyWebRepl("ws://127.0.0.1:" + server.address().port, { password: password, timeout: 2000 });
+  return new Promise((resolve, reject) => {
+    repl.connect(() => resolve(repl), reject, reject);
+  });
+};
+
+suite("WebREPL connection", () => {
+  let server;
+  let files;
+
+  setup(async () => {
+    files = { "boot.py": Buffer.from("# boot.py\r\nimport webrepl\r\nwebrepl.start()\r\n") };
+    server = await startBoard("secret", files);
+  });
+
+  teardown(() => {
+    server.close();
+  });
+
+  test("logs in and passes the REPL traffic on", async () => {
+    const repl = await connect(server, "secret");
+    const received = [];
+    repl.registerListener((mssg) => received.push(mssg));
+    assert.deepStrictEqual(received, [">>> "]);
+
+    await new Promise((resolve) => repl.send("print(1)\r\n", resolve));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(received, [">>> ", "PRINT(1)\r\n"]);
+    repl.disconnect(() => {});
+  });
+
+  test("fails with the wrong password", async () => {
+    await assert.rejects(connect(server, "wrong"), /login failed/);
+  });
+
+  test("writes and reads files", async () => {
+    const repl = await connect(server, "secret");
+    const contents = Buffer.alloc(2500, "x");
+
+    await new Promise((resolve, reject) => repl.putFile("lib/data.bin", contents, (err) => (err ? reject(err) : resolve())));
+    assert.ok(files["lib/data.bin"].equals(contents));
+
+    const read = await new Promise((resolve, reject) =>
+      repl.getFile("boot.py", (err, data) => (err ? reject(err) : resolve(data)))
+    );
+    assert.ok(read.equals(files["boot.py"]));
+
+    await assert.rejects(new Promise((resolve, reject) => repl.getFile("missing.py", (err) => (err ? reject(err) : resolve()))), /error 2/);
+    repl.disconnect(() => {});
+  });
+
+  test("leaves names longer than 64 bytes to the REPL", async () => {
+    const repl = await connect(server, "secret");
+    assert.strictEqual(repl.canTransfer("main.py"), true);
+    assert.strictEqual(repl.canTransfer("a/".repeat(40) + "main.py"), false);
+    repl.disconnect(() => {});
+  });
+
+  test("fails the ping after one that wasn't answered", async function () {
+    this.timeout(5000);
+    const repl = await connect(server, "secret");
+    const ping = () => new Promise((resolve) => repl.sendPing(resolve));
+    // small frames can wait for the ack of the one before them
+    const wait = () => new Promise((resolve) => setTimeout(resolve, 500));
+
+    // boards that never answered a ping only close the socket when the connection is lost
+    assert.strictEqual(await ping(), null);
+    await wait();
+    assert.strictEqual(await ping(), null);
+
+    server.answersPings = true;
+    await wait();
+    assert.strictEqual(await ping(), null);
+    await wait();
+
+    server.answersPings = false;
+    assert.strictEqual(await ping(), null);
+    await wait();
+    assert.match((await ping()).message, /Ping failed/);
+    repl.disconnect(() => {});
+  });
+});